@@ -0,0 +1,98 @@
+// Server-Sent Events for streamed analyze-with-ai requests
+//
+// GET    /analyze-with-ai/stream/{streamId}   events after Last-Event-ID (header or ?lastEventId=)
+//                                             as text/event-stream; waits briefly for new events
+//                                             while the analysis runs, 204 once it has ended
+// DELETE /analyze-with-ai/stream/{streamId}   cancel the running analysis
+//
+// The analysis itself is started with POST /analyze-with-ai { stream: true, streamId }
+
+const { StoreError } = require('../shared/entityStore');
+const { getVerifiedIdentity } = require('../shared/clientPrincipal');
+const { CLIENT_RETRY_MS, formatSseEvents, readStreamEvents, cancelStream } = require('../shared/analysisStream');
+
+const corsHeaders = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+};
+
+module.exports = async function (context, req) {
+    // Handle CORS
+    if (req.method === 'OPTIONS') {
+        context.res = {
+            status: 200,
+            headers: {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, DELETE, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization, Last-Event-ID'
+            },
+            body: ''
+        };
+        return;
+    }
+
+    const method = req.method.toUpperCase();
+    const { streamId } = req.params || {};
+
+    try {
+        const { userId } = await getVerifiedIdentity(req, context.log);
+
+        if (method === 'DELETE') {
+            const result = await cancelStream(streamId, userId);
+            context.log(`Cancellation requested for analysis stream ${streamId} by user: ${userId}`);
+            context.res = {
+                status: 202,
+                headers: corsHeaders,
+                body: result
+            };
+            return;
+        }
+
+        const lastEventId = req.headers?.['last-event-id'] || req.query?.lastEventId;
+        const { status, events, done } = await readStreamEvents(streamId, userId, { lastEventId });
+
+        // 204 tells EventSource-style clients to stop reconnecting
+        if (done) {
+            context.res = {
+                status: 204,
+                headers: {
+                    'Access-Control-Allow-Origin': '*',
+                    'X-Stream-Status': status
+                }
+            };
+            return;
+        }
+
+        context.res = {
+            status: 200,
+            headers: {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Expose-Headers': 'X-Stream-Status',
+                'X-Stream-Status': status
+            },
+            body: formatSseEvents(events, { retryMs: CLIENT_RETRY_MS })
+        };
+
+    } catch (error) {
+        if (error instanceof StoreError) {
+            context.res = {
+                status: error.statusCode,
+                headers: corsHeaders,
+                body: { error: error.message, code: error.code }
+            };
+            return;
+        }
+
+        context.log.error('Error in analyze-with-ai-stream function:', error);
+        context.res = {
+            status: 500,
+            headers: corsHeaders,
+            body: {
+                error: 'Failed to read analysis stream',
+                details: error.message
+            }
+        };
+    }
+};
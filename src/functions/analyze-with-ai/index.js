@@ -1,12 +1,92 @@
-const https = require('https');
 const { 
     calculateOptimalChunkSize, 
     createChunks, 
-    countTokens 
+    countTokens,
+    estimateCosts
 } = require('../shared/tokenUtils');
+const registry = require('../shared/endpointRegistry');
+const { getVerifiedIdentity } = require('../shared/clientPrincipal');
+const { StoreError } = require('../shared/entityStore');
+const {
+    STREAM_EVENTS,
+    STREAM_STATUS,
+    formatSseEvents,
+    startStream
+} = require('../shared/analysisStream');
+const { OpenAIClient } = require('../shared/openaiClient');
+const { getDeploymentProfile } = require('../shared/modelProbe');
+const { defaultSelector } = require('../shared/modelSelector');
+const { discoverDeployments } = require('../shared/deploymentDiscovery');
+const { getAzureCredential } = require('../shared/azureAuth');
+const { BUDGET_STATUS, checkBudget, usageRecorder } = require('../shared/usageLedger');
+const { completeStructured: completeStructuredOutput } = require('../shared/structuredOutput');
+const {
+    ROW_ID_FIELD,
+    FINDINGS_SCHEMA,
+    SYNTHESIS_SCHEMA,
+    createMapChunks,
+    buildMapPrompt,
+    parseChunkFindings,
+    reduceFindings,
+    buildSynthesisPrompt,
+    resolveSynthesis,
+    fallbackSynthesis
+} = require('../shared/mapReduceAnalysis');
+
+const ANALYSIS_MODES = ['chunked', 'mapReduce'];
+const SYNTHESIS_TIMEOUT_MS = 180000;
+
+// deploymentName that lets ModelSelector pick among the resource's deployments
+const AUTO_DEPLOYMENT = 'auto';
+const ROUTING_OPTIONS = ['taskType', 'complexity', 'maxLatencyMs', 'maxCostPer1K'];
+// Task detection reads a sample; the structure checks are regexes over the whole text
+const ROUTING_SAMPLE_CHARS = 250000;
+
+/**
+ * Throttling, server errors and an open circuit say the deployment is unhealthy
+ * and the next one may succeed; anything else would fail on every deployment
+ */
+function shouldFailOver(error) {
+    return error.statusCode === 429 || error.statusCode >= 500 || error.code === 'CIRCUIT_BREAKER_OPEN';
+}
+
+/**
+ * Deployments auto routing may pick from: the caller's list (names or
+ * { name, model }) or the resource's deployments read with the managed identity
+ */
+async function listRoutableDeployments(availableDeployments, hostname, log) {
+    if (Array.isArray(availableDeployments) && availableDeployments.length > 0) {
+        return availableDeployments.map(deployment => typeof deployment === 'string' ? { name: deployment } : deployment);
+    }
+
+    const { deployments } = await discoverDeployments({
+        credential: getAzureCredential(),
+        accountName: hostname.split('.')[0],
+        log
+    });
+    return deployments.filter(deployment => !deployment.status || deployment.status === 'Succeeded');
+}
+
+/**
+ * Scale the request timeout with chunk size (larger chunks need more time)
+ */
+function chunkTimeout(chunkTokens) {
+    const baseTimeout = 90000; // 90 seconds base (increased from 30s)
+    const timeoutPerThousandTokens = 2000; // 2 seconds per 1K tokens (increased from 1s)
+    return Math.min(
+        baseTimeout + Math.floor(chunkTokens / 1000) * timeoutPerThousandTokens,
+        240000 // Max 4 minutes per chunk (increased from 2 minutes)
+    );
+}
+
+// Responses stay JSON unless the client asks for the event log itself
+function wantsEventStream(req) {
+    return (req.headers?.accept || '').includes('text/event-stream');
+}
 
 module.exports = async function (context, req) {
     context.log('AI Analysis function processing request');
+    let streamHandle = null;
     
     try {
         // Handle OPTIONS request for CORS
@@ -16,7 +96,8 @@ module.exports = async function (context, req) {
                 headers: {
                     'Access-Control-Allow-Origin': '*',
                     'Access-Control-Allow-Methods': 'POST, OPTIONS',
-                    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-MS-CLIENT-PRINCIPAL'
+                    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-MS-CLIENT-PRINCIPAL',
+                    'Access-Control-Expose-Headers': 'X-Stream-Id'
                 },
                 body: ''
             };
@@ -51,8 +132,13 @@ module.exports = async function (context, req) {
             data,
             maxTokens = 2000, // Reduced from 4096 per Microsoft best practices - lower max_tokens improves latency
             temperature = 0.7,
-            stream = false, // Enable streaming for better perceived performance
-            stopSequences = [] // Add stop sequences to prevent over-generation
+            stream = false, // Record progress and token deltas for GET /analyze-with-ai/stream/{streamId}
+            streamId, // Optional client-chosen ID for GET/DELETE /analyze-with-ai/stream/{streamId}; must not be in use
+            stopSequences = [], // Add stop sequences to prevent over-generation
+            mode = 'chunked', // 'mapReduce' extracts structured findings per chunk, then dedupes, ranks and synthesizes
+            maxFindings = 50, // Findings passed to the map-reduce synthesis call
+            availableDeployments, // Candidates for deploymentName 'auto'; discovered when omitted
+            routing = {} // Overrides for auto routing: taskType, complexity, maxLatencyMs, maxCostPer1K
         } = req.body;
 
         context.log(`Processing request for deployment: ${deploymentName}`);
@@ -92,6 +178,23 @@ module.exports = async function (context, req) {
             return;
         }
 
+        if (!ANALYSIS_MODES.includes(mode)) {
+            context.res = {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*'
+                },
+                body: {
+                    error: 'Invalid mode',
+                    message: `mode must be one of: ${ANALYSIS_MODES.join(', ')}`,
+                    timestamp: new Date().toISOString()
+                }
+            };
+            return;
+        }
+        const isMapReduce = mode === 'mapReduce';
+
         // Check if data is too large (over 50MB) and suggest using smaller chunks
         const dataSize = JSON.stringify(req.body).length;
         if (dataSize > 50 * 1024 * 1024) {
@@ -137,7 +240,7 @@ module.exports = async function (context, req) {
         let finalEndpoint = endpoint;
         
         if (customSubdomainName && !finalEndpoint) {
-            finalEndpoint = `https://${customSubdomainName}.openai.azure.com`;
+            finalEndpoint = registry.getOpenAIEndpoint(customSubdomainName);
         }
         
         if (!finalEndpoint) {
@@ -164,13 +267,98 @@ module.exports = async function (context, req) {
             dataText = JSON.stringify(data, null, 2);
         }
 
-        // Use tokenUtils to calculate optimal chunk size based on model
-        const chunkingStrategy = calculateOptimalChunkSize(
-            deploymentName,
-            maxTokens, // This is output tokens, the function will look up the actual context window
+        // Shared client: retries, circuit breaker and rate limiting per deployment;
+        // every response's tokens go to the caller's usage ledger (keyed like the budget)
+        const identity = await getVerifiedIdentity(req, context.log);
+        const client = new OpenAIClient({
+            endpoint: finalEndpoint,
+            userToken,
+            log: context.log,
+            onUsage: usageRecorder(identity, 'analyze-with-ai', context.log)
+        });
+
+        // deploymentName 'auto': ModelSelector picks the deployment and orders the
+        // fallbacks tried when it is throttled or failing
+        let recommendation = null;
+        let route = [{ deploymentName, model: null }];
+        if (deploymentName.toLowerCase() === AUTO_DEPLOYMENT) {
+            let deployments;
+            try {
+                deployments = await listRoutableDeployments(availableDeployments, client.hostname, context.log);
+            } catch (error) {
+                context.log.error(`Deployment discovery for auto routing failed: ${error.message}`);
+                context.res = {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Access-Control-Allow-Origin': '*'
+                    },
+                    body: {
+                        error: 'Auto routing unavailable',
+                        message: `Could not list the deployments of ${client.hostname} (${error.message}). Send availableDeployments or a deploymentName.`,
+                        timestamp: new Date().toISOString()
+                    }
+                };
+                return;
+            }
+
+            const preferences = Object.fromEntries(
+                ROUTING_OPTIONS.filter(option => routing[option] !== undefined).map(option => [option, routing[option]])
+            );
+            recommendation = defaultSelector.recommendDeployment(deployments, {
+                prompt: userPrompt,
+                data: dataText.slice(0, ROUTING_SAMPLE_CHARS),
+                dataSize: countTokens(dataText),
+                // Data is chunked to fit whichever model is picked
+                requiredTokens: 0,
+                requiresStreaming: !!stream,
+                ...preferences
+            });
+
+            if (!recommendation) {
+                context.res = {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Access-Control-Allow-Origin': '*'
+                    },
+                    body: {
+                        error: 'Auto routing unavailable',
+                        message: `None of the ${deployments.length} deployments serves a chat model that meets the routing constraints`,
+                        deployments: deployments.map(deployment => deployment.name),
+                        timestamp: new Date().toISOString()
+                    }
+                };
+                return;
+            }
+
+            route = recommendation.route;
+            context.log(`[Auto routing] ${recommendation.explanation}`);
+            context.log(`[Auto routing] Route: ${route.map(target => target.deploymentName).join(' -> ')}`);
+        }
+
+        // Catalog capabilities for each deployment, corrected by its last probe if any
+        const targets = await Promise.all(route.map(async target => ({
+            ...target,
+            profile: await getDeploymentProfile({
+                hostname: client.hostname,
+                deploymentName: target.deploymentName,
+                model: target.model,
+                log: context.log
+            })
+        })));
+        const { profile } = targets[0];
+        context.log(`Model profile: ${profile.model || 'unknown'} (catalog ${profile.catalogVersion}, probed: ${profile.probed})`);
+
+        // Use tokenUtils to calculate optimal chunk size for every deployment on the route;
+        // failover can reach any of them, so chunks are sized for the smallest input limit
+        const chunkingStrategy = targets.map(target => calculateOptimalChunkSize(
+            target.deploymentName,
+            maxTokens, // This is output tokens, the context window comes from the profile
             systemPrompt,
-            userPrompt
-        );
+            userPrompt,
+            target.profile
+        )).reduce((smallest, strategy) => strategy.optimalChunkSize < smallest.optimalChunkSize ? strategy : smallest);
 
         context.log('Chunking strategy:', {
             modelName: chunkingStrategy.modelName,
@@ -181,18 +369,17 @@ module.exports = async function (context, req) {
         });
 
         // Create chunks using the tokenUtils function
-        // For GPT-5 and GPT-4o models, use full optimal chunk size (no artificial cap)
+        // Models with a 128K+ context window use the full optimal chunk size
         // For older models, cap at 30K for stability
-        const isModernModel = deploymentName && (
-            deploymentName.toLowerCase().includes('gpt-5') ||
-            deploymentName.toLowerCase().includes('gpt-4o') ||
-            deploymentName.toLowerCase().includes('o1')
-        );
+        const isModernModel = chunkingStrategy.contextWindow >= 128000;
         const maxChunkSize = isModernModel 
             ? chunkingStrategy.optimalChunkSize  // Use full capacity for modern models
             : Math.min(chunkingStrategy.optimalChunkSize, 30000); // 30K cap for older models
         context.log(`Using chunk size: ${maxChunkSize} tokens (optimal was ${chunkingStrategy.optimalChunkSize})`);
-        const chunkResults = createChunks(dataText, maxChunkSize, 50);
+
+        // Map-reduce chunks carry row IDs so findings can be traced back to source rows
+        const mapChunks = isMapReduce ? createMapChunks(data, maxChunkSize, profile) : null;
+        const chunkResults = isMapReduce ? mapChunks.chunks : createChunks(dataText, maxChunkSize, 50, profile);
         
         // Convert to simple array if needed (createChunks returns objects with metadata)
         const chunks = chunkResults.map ? chunkResults : [chunkResults];
@@ -201,35 +388,137 @@ module.exports = async function (context, req) {
 
         // Log actual token counts for debugging
         if (chunks.length > 0 && chunks[0].text) {
-            const firstChunkTokens = countTokens(chunks[0].text);
+            const firstChunkTokens = countTokens(chunks[0].text, profile);
             context.log(`First chunk actual tokens: ${firstChunkTokens}`);
         }
 
-        // Parse endpoint URL
-        const endpointUrl = new URL(finalEndpoint);
-        const hostname = endpointUrl.hostname;
-        
-        // Prepare API path - use latest API version for GPT-5 support
-        const apiPath = `/openai/deployments/${deploymentName}/chat/completions?api-version=2024-10-01-preview`;
-        
-        // Prepare request body - GPT-5 and reasoning models have special requirements
-        const isGPT5Model = deploymentName && (
-            deploymentName.toLowerCase().includes('gpt-5') ||
-            deploymentName.toLowerCase().includes('gpt5')
+        // Budget check with the worst case for this run: every chunk plus the prompts,
+        // and the full completion budget per call (and the synthesis for map-reduce)
+        const promptTokens = countTokens(systemPrompt, profile) + countTokens(userPrompt, profile);
+        const calls = chunks.length + (isMapReduce ? 1 : 0);
+        const estimate = estimateCosts(
+            chunks.reduce((sum, chunk) => sum + (chunk.tokens || countTokens(chunk.text || chunk, profile)), 0) + promptTokens * calls,
+            (profile.supportsMaxTokens ? Math.min(maxTokens, profile.maxOutputTokens) : profile.maxOutputTokens) * calls,
+            profile.model || targets[0].deploymentName
         );
-        const isReasoningModel = deploymentName && (
-            deploymentName.toLowerCase().includes('o1') ||
-            deploymentName.toLowerCase().includes('o3')
-        );
-        const isNewerModel = isGPT5Model || isReasoningModel;
-        
-        // gpt-5-nano and gpt-5-mini models only support default temperature (1)
-        const deploymentLower = deploymentName ? deploymentName.toLowerCase() : '';
-        const isNanoModel = deploymentLower.includes('nano');
-        const isMiniModel = deploymentLower.includes('mini') || deploymentLower.includes('4o-mini');
-        const requiresDefaultTemp = isNanoModel || isMiniModel;
+        let budget = null;
+        try {
+            budget = await checkBudget(identity, estimate.totalCostUsd);
+        } catch (error) {
+            context.log.warn(`Usage budget unavailable, continuing without it: ${error.message}`);
+        }
+
+        if (budget && budget.status === BUDGET_STATUS.HARD_EXCEEDED) {
+            context.log.warn(`Hard budget exceeded for ${identity.userId}: spent $${budget.spentUsd}, estimated $${budget.estimatedCostUsd}, limit $${budget.hardLimitUsd}`);
+            context.res = {
+                status: 429,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*',
+                    'Retry-After': String(Math.max(1, Math.ceil((new Date(budget.resetsAt) - Date.now()) / 1000)))
+                },
+                body: {
+                    error: 'Budget exceeded',
+                    code: 'BUDGET_EXCEEDED',
+                    message: `This analysis (estimated $${budget.estimatedCostUsd.toFixed(4)}) would take your ${budget.period} spend of $${budget.spentUsd.toFixed(4)} past the hard budget of $${budget.hardLimitUsd}. The budget resets at ${budget.resetsAt}.`,
+                    budget,
+                    timestamp: new Date().toISOString()
+                }
+            };
+            return;
+        }
+        if (budget && budget.status === BUDGET_STATUS.SOFT_EXCEEDED) {
+            context.log.warn(`Soft budget exceeded for ${identity.userId}: spent $${budget.spentUsd} of $${budget.softLimitUsd}`);
+        }
+
+        // GPT-5 and reasoning models only accept the default temperature (1)
+        const requiresDefaultTemp = !profile.supportsTemperature;
         const finalTemperature = requiresDefaultTemp ? 1 : temperature;
 
+        // SSE mode: progress events and token deltas go to an event log that the
+        // client polls through /analyze-with-ai/stream/{streamId} while this request runs
+        if (stream) {
+            streamHandle = await startStream({ streamId, userId: identity.userId, log: context.log });
+            streamHandle.emit(STREAM_EVENTS.STARTED, {
+                streamId: streamHandle.streamId,
+                mode,
+                deploymentName: targets[0].deploymentName,
+                routing: recommendation ? recommendation.explanation : undefined,
+                budget: budget ? budget.status : undefined,
+                totalChunks: chunks.length
+            });
+        }
+        const emit = (event, payload) => streamHandle && streamHandle.emit(event, payload);
+        const signal = streamHandle ? streamHandle.signal : undefined;
+
+        // Build request body - GPT-5 and reasoning models reject the max_tokens parameter
+        const buildRequestBody = (messages, responseFormat, targetProfile = profile) => {
+            const requestBodyObj = {
+                messages: messages,
+                temperature: targetProfile.supportsTemperature ? temperature : 1,
+                // Structured output is parsed as a whole, so it is never streamed
+                stream: responseFormat ? false : !!stream
+            };
+
+            // Models without max_tokens support (GPT-5, reasoning) use API defaults
+            if (targetProfile.supportsMaxTokens) {
+                requestBodyObj.max_tokens = maxTokens;
+            }
+            
+            // Add stop sequences to prevent over-generation (Microsoft best practice)
+            if (stopSequences && stopSequences.length > 0) {
+                requestBodyObj.stop = stopSequences;
+            }
+
+            if (responseFormat) {
+                requestBodyObj.response_format = responseFormat;
+            }
+            
+            return requestBodyObj;
+        };
+
+        // Calls start on the current deployment of the route; a 429 or server error
+        // moves this call and every later one to the next deployment
+        let activeTarget = 0;
+        const failovers = [];
+        const chatRouted = async (send) => {
+            for (let index = activeTarget; ; index++) {
+                const target = targets[index];
+                try {
+                    return { ...(await send(target)), deploymentName: target.deploymentName };
+                } catch (error) {
+                    if (index + 1 >= targets.length || !shouldFailOver(error)) {
+                        throw error;
+                    }
+                    const next = targets[index + 1];
+                    context.log.warn(`[Auto routing] ${target.deploymentName} failed (${error.message}), falling back to ${next.deploymentName}`);
+                    if (activeTarget <= index) {
+                        const failover = {
+                            from: target.deploymentName,
+                            to: next.deploymentName,
+                            reason: error.message,
+                            timestamp: new Date().toISOString()
+                        };
+                        activeTarget = index + 1;
+                        failovers.push(failover);
+                        emit(STREAM_EVENTS.FAILOVER, failover);
+                    }
+                }
+            }
+        };
+
+        // JSON output constrained by a schema, validated on receipt and sent back for
+        // correction when it breaks the schema
+        const completeStructured = (messages, name, schema, options) => chatRouted(({ deploymentName: target, profile: targetProfile }) =>
+            completeStructuredOutput(client, target, buildRequestBody(messages, undefined, targetProfile), {
+                ...options,
+                name,
+                schema,
+                profile: targetProfile,
+                log: context.log.warn
+            })
+        );
+
         // Process chunks with LIMITED PARALLELISM like C# implementation
         // C# uses SemaphoreSlim(2,2) or (3,3) for limited concurrency
         const results = [];
@@ -239,7 +528,7 @@ module.exports = async function (context, req) {
         // Adjust concurrency based on chunk size - Conservative per Microsoft best practices
         // Microsoft recommends "avoid sharp changes in workload" and gradual scaling
         const avgChunkSize = chunks.length > 0 ? 
-            Math.floor(chunks.reduce((sum, c) => sum + countTokens(c.text || c), 0) / chunks.length) : 0;
+            Math.floor(chunks.reduce((sum, c) => sum + countTokens(c.text || c, profile), 0) / chunks.length) : 0;
         const MAX_CONCURRENT_CHUNKS = avgChunkSize > 100000 ? 1 :  // Very large: sequential only
                                       avgChunkSize > 50000 ? 1 :   // Large: sequential (Microsoft: avoid sharp changes)
                                       avgChunkSize > 20000 ? 2 :   // Medium: 2 concurrent max
@@ -256,6 +545,11 @@ module.exports = async function (context, req) {
         
         // Process chunks in small batches with limited parallelism
         for (let batchStart = 0; batchStart < chunks.length; batchStart += MAX_CONCURRENT_CHUNKS) {
+            if (signal?.aborted) {
+                context.log.warn(`Analysis cancelled. Processed ${results.length} of ${chunks.length} chunks`);
+                break;
+            }
+
             // Check if we're approaching timeout
             if (Date.now() - startProcessingTime > MAX_PROCESSING_TIME) {
                 context.log.warn(`Approaching timeout limit. Processed ${results.length} of ${chunks.length} chunks`);
@@ -279,268 +573,92 @@ module.exports = async function (context, req) {
             const batchPromises = batch.map(async (chunk, batchIndex) => {
                 const chunkIndex = batchStart + batchIndex;
                 context.log(`[Batch ${batchNumber}] Starting chunk ${chunkIndex + 1}/${chunks.length}`);
+                emit(STREAM_EVENTS.CHUNK_STARTED, { chunkIndex, totalChunks: chunks.length });
                 
                 try {
-                    const chunkResult = await (async () => {
-                // Handle both object format (from createChunks) and string format
-                const chunkText = chunk.text || chunk;
-                // Prepare messages for OpenAI
-                const messages = [];
-                if (systemPrompt) {
-                    messages.push({ role: 'system', content: systemPrompt });
-                }
-                
-                const chunkContext = chunks.length > 1 
-                    ? `${userPrompt}\n\n[Chunk ${chunkIndex + 1} of ${chunks.length}]\n\n${chunkText}`
-                    : `${userPrompt}\n\n${chunkText}`;
+                    // Handle both object format (from createChunks) and string format
+                    const chunkText = chunk.text || chunk;
+                    // Prepare messages for OpenAI
+                    const messages = [];
+                    if (systemPrompt) {
+                        messages.push({ role: 'system', content: systemPrompt });
+                    }
                     
-                messages.push({ 
-                    role: 'user', 
-                    content: chunkContext
-                });
-                
-                // Build request body - GPT-5 models work best without max_tokens parameter
-                const requestBodyObj = {
-                    messages: messages,
-                    temperature: finalTemperature,
-                    stream: stream // Enable streaming if requested
-                };
-                
-                // Only add max_tokens for non-GPT5/non-reasoning models
-                // GPT-5 and reasoning models should use API defaults
-                if (!isGPT5Model && !isReasoningModel) {
-                    requestBodyObj.max_tokens = maxTokens;
-                }
-                
-                // Add stop sequences to prevent over-generation (Microsoft best practice)
-                if (stopSequences && stopSequences.length > 0) {
-                    requestBodyObj.stop = stopSequences;
-                }
-                
-                const requestBody = JSON.stringify(requestBodyObj);
-                
-                // Log request details for debugging GPT-5 issues
-                if (chunkIndex === 0 && isGPT5Model) {
-                    context.log(`[GPT-5 Debug] Request body for ${deploymentName}:`, JSON.stringify(requestBodyObj, null, 2));
-                }
+                    // Map-reduce chunks ask for structured findings; chunked mode asks for free text
+                    const chunkContext = isMapReduce
+                        ? buildMapPrompt(userPrompt, chunk, chunks.length)
+                        : chunks.length > 1 
+                            ? `${userPrompt}\n\n[Chunk ${chunkIndex + 1} of ${chunks.length}]\n\n${chunkText}`
+                            : `${userPrompt}\n\n${chunkText}`;
+                        
+                    messages.push({ 
+                        role: 'user', 
+                        content: chunkContext
+                    });
 
-                context.log(`Processing chunk ${chunkIndex + 1}/${chunks.length} (${countTokens(chunkText)} tokens)`);
-                
-                // Log the endpoint being called for debugging
-                if (chunkIndex === 0) {
-                    context.log(`Calling Azure OpenAI endpoint: https://${hostname}${apiPath}`);
-                    context.log(`User token present: ${!!userToken}, Token length: ${userToken ? userToken.length : 0}`);
-                    context.log(`Model type - GPT-5: ${isGPT5Model}, Reasoning: ${isReasoningModel}, Nano: ${isNanoModel}, Mini: ${isMiniModel}`);
-                    context.log(`Temperature: ${finalTemperature} (requires default: ${requiresDefaultTemp}), Max tokens: ${requestBodyObj.max_tokens || 'not set (using API default)'}`);  
-                }
+                    context.log(`Processing chunk ${chunkIndex + 1}/${chunks.length} (${countTokens(chunkText, profile)} tokens)`);
+                    
+                    // Log the endpoint being called for debugging
+                    if (chunkIndex === 0) {
+                        context.log(`Calling Azure OpenAI endpoint: ${client.endpoint} (deployment ${targets[activeTarget].deploymentName})`);
+                        context.log(`User token present: ${!!userToken}, Token length: ${userToken ? userToken.length : 0}`);
+                        context.log(`Model type - ${profile.model || 'unknown'}, Reasoning: ${profile.isReasoningModel}, Context window: ${profile.contextWindow}`);
+                        context.log(`Temperature: ${finalTemperature} (requires default: ${requiresDefaultTemp}), Max tokens: ${profile.supportsMaxTokens ? maxTokens : 'not set (using API default)'}`);  
+                    }
 
-                // Create timeout wrapper for the HTTPS request
-                // Scale timeout based on chunk size (larger chunks need more time)
-                const chunkTokens = countTokens(chunkText);
-                const baseTimeout = 90000; // 90 seconds base (increased from 30s)
-                const timeoutPerThousandTokens = 2000; // 2 seconds per 1K tokens (increased from 1s)
-                const timeoutMs = Math.min(
-                    baseTimeout + Math.floor(chunkTokens / 1000) * timeoutPerThousandTokens,
-                    240000 // Max 4 minutes per chunk (increased from 2 minutes)
-                );
-                context.log(`[Chunk ${chunkIndex + 1}] Timeout set to ${timeoutMs}ms for ${chunkTokens} tokens`);
-                
-                // Retry logic with exponential backoff per Microsoft best practices
-                const MAX_RETRIES = 3; // Microsoft recommends proper retry attempts
-                const BASE_DELAY = 2000; // 2 seconds base delay
-                let lastError = null;
-                
-                for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-                    try {
-                        if (attempt > 1) {
-                            // Microsoft-recommended exponential backoff: 2s, 4s, 8s
-                            const delay = BASE_DELAY * Math.pow(2, attempt - 1);
-                            context.log(`[Retry ${attempt}/${MAX_RETRIES}] Waiting ${delay}ms before retry (exponential backoff)...`);
-                            await new Promise(resolve => setTimeout(resolve, delay));
-                        }
-                        
-                        context.log(`[Chunk ${chunkIndex + 1}] Attempt ${attempt}/${MAX_RETRIES}`);
-                        
-                        // Make HTTPS request to Azure OpenAI with timeout
-                        const response = await Promise.race([
-                    // The actual request
-                    new Promise((resolve, reject) => {
-                        const startTime = Date.now();
-                        context.log(`[Chunk ${chunkIndex + 1}] Starting request to OpenAI...`);
-                        
-                        const options = {
-                            hostname: hostname,
-                            port: 443,
-                            path: apiPath,
-                            method: 'POST',
-                            headers: {
-                                'Content-Type': 'application/json',
-                                'Authorization': `Bearer ${userToken}`,
-                                'Content-Length': Buffer.byteLength(requestBody)
-                            },
-                            timeout: timeoutMs // Add timeout to the request itself
-                        };
+                    // Scale timeout based on chunk size (larger chunks need more time)
+                    const timeoutMs = chunkTimeout(countTokens(chunkText, profile));
+                    context.log(`[Chunk ${chunkIndex + 1}] Timeout set to ${timeoutMs}ms`);
 
-                        const req = https.request(options, (res) => {
-                            let data = '';
-                            
-                            res.on('data', (chunk) => {
-                                data += chunk;
-                            });
-                            
-                            res.on('end', () => {
-                                const elapsed = Date.now() - startTime;
-                                context.log(`[Chunk ${chunkIndex + 1}] Response received in ${elapsed}ms, status: ${res.statusCode}`);
-                                
-                                // Log full response for GPT-5 debugging
-                                if (isGPT5Model && chunkIndex === 0) {
-                                    context.log(`[GPT-5 Debug] Full response (first 1000 chars): ${data.substring(0, 1000)}`);
-                                }
-                                
-                                if (res.statusCode === 200) {
-                                    try {
-                                        const result = JSON.parse(data);
-                                        
-                                        // Enhanced logging to debug empty responses
-                                        context.log(`[Chunk ${chunkIndex + 1}] Response received successfully`);
-                                        context.log(`[Chunk ${chunkIndex + 1}] Has choices: ${!!result.choices}, Choices length: ${result.choices ? result.choices.length : 0}`);
-                                        
-                                        if (result.choices && result.choices[0]) {
-                                            const messageContent = result.choices[0].message?.content;
-                                            context.log(`[Chunk ${chunkIndex + 1}] Content present: ${!!messageContent}, Content length: ${messageContent ? messageContent.length : 0}`);
-                                            if (!messageContent) {
-                                                context.log(`[Chunk ${chunkIndex + 1}] WARNING: Response has no content. Full response structure: ${JSON.stringify(result, null, 2).substring(0, 500)}`);
-                                            }
-                                        } else {
-                                            context.log(`[Chunk ${chunkIndex + 1}] ERROR: No choices in response. Full response: ${JSON.stringify(result).substring(0, 500)}`);
-                                        }
-                                        
-                                        if (isGPT5Model && chunkIndex === 0) {
-                                            context.log(`[GPT-5 Debug] Success! Model: ${result.model}, Usage: ${JSON.stringify(result.usage)}`);
-                                        }
-                                        resolve(result);
-                                    } catch (e) {
-                                        context.log.error(`[Chunk ${chunkIndex + 1}] Failed to parse response: ${data.substring(0, 200)}`);
-                                        reject(new Error('Failed to parse OpenAI response'));
-                                    }
-                                } else {
-                                    context.log.error(`[Chunk ${chunkIndex + 1}] API error ${res.statusCode}: ${data}`);
-                                    
-                                    // Special handling for authentication errors
-                                    if (res.statusCode === 401 || res.statusCode === 403) {
-                                        context.log.error(`[Authentication Error] The Azure AD token may not have correct permissions for Azure OpenAI`);
-                                        context.log.error(`[Authentication Error] Ensure user has 'Cognitive Services OpenAI User' role on the OpenAI resource`);
-                                        context.log.error(`[Authentication Error] Token was sent as: Authorization: Bearer [token]`);
-                                    }
-                                    
-                                    // Log full error for GPT-5 models
-                                    if (isGPT5Model) {
-                                        context.log.error(`[GPT-5 Debug] Full error response: ${data}`);
-                                    }
-                                    reject(new Error(`OpenAI API error: ${res.statusCode} - ${data.substring(0, 500)}`));
-                                }
-                            });
-                        });
-
-                        req.on('error', (error) => {
-                            const elapsed = Date.now() - startTime;
-                            context.log.error(`[Chunk ${chunkIndex + 1}] Request error after ${elapsed}ms: ${error.message}`);
-                            reject(error);
-                        });
-                        
-                        req.on('timeout', () => {
-                            const elapsed = Date.now() - startTime;
-                            context.log.error(`[Chunk ${chunkIndex + 1}] Request timeout after ${elapsed}ms`);
-                            req.destroy();
-                            reject(new Error(`Request timeout after ${timeoutMs}ms`));
-                        });
-
-                        req.write(requestBody);
-                        req.end();
-                    }),
-                    // Timeout promise
-                    new Promise((_, reject) => {
-                        setTimeout(() => {
-                            context.log.error(`[Chunk ${chunkIndex + 1}] Timeout reached (${timeoutMs}ms)`);
-                            reject(new Error(`Chunk ${chunkIndex + 1} timed out after ${timeoutMs}ms`));
-                        }, timeoutMs);
-                    })
-                ]);
-
-                        // Extract response - if we got here, request succeeded
-                        const aiResponse = response.choices && response.choices[0] ? response.choices[0].message?.content : null;
-                        const usage = response.usage || {};
-                        
-                        // Log if we got empty response
-                        if (!aiResponse) {
-                            context.log.warn(`[Chunk ${chunkIndex + 1}] OpenAI returned successful status but empty content`);
-                            context.log.warn(`[Chunk ${chunkIndex + 1}] Response structure: ${JSON.stringify(response).substring(0, 300)}`);
-                        }
-                        
-                        // Success - return immediately (even if content is empty)
-                        return {
-                            chunkIndex: chunkIndex,
-                            response: aiResponse,
-                            tokensUsed: {
-                                input: usage.prompt_tokens || 0,
-                                output: usage.completion_tokens || 0
-                            },
-                            success: true
-                        };
-                        
-                    } catch (error) {
-                        lastError = error;
-                        context.log.error(`[Chunk ${chunkIndex + 1}] Attempt ${attempt} failed: ${error.message}`);
-                        
-                        // Check if it's a rate limit error (429) or service unavailable (503)
-                        const isRetryableError = error.message && (
-                            error.message.includes('429') || 
-                            error.message.includes('503') ||
-                            error.message.includes('rate')
-                        );
-                        
-                        if (isRetryableError) {
-                            context.log.warn(`[Retryable Error] Chunk ${chunkIndex + 1} hit rate limit or service issue, will retry with backoff`);
-                        } else if (error.message && error.message.includes('timeout')) {
-                            // Don't retry on legitimate timeouts (Microsoft best practice)
-                            context.log.warn(`[Timeout] Chunk ${chunkIndex + 1} timed out - not retrying (likely legitimate timeout for large chunk)`);
-                            return {
-                                chunkIndex: chunkIndex,
-                                response: null,
-                                error: `Chunk ${chunkIndex + 1} timed out after ${timeoutMs}ms`,
-                                success: false
-                            };
-                        }
-                        
-                        // If this was the last attempt or not retryable, return error
-                        if (attempt === MAX_RETRIES || !isRetryableError) {
-                            context.log.error(`[Chunk ${chunkIndex + 1}] Failed after ${attempt} attempt(s)`);
-                            return {
-                                chunkIndex: chunkIndex,
-                                response: null,
-                                error: lastError.message,
-                                success: false
-                            };
+                    const label = `Chunk ${chunkIndex + 1}`;
+                    const { content, usage, deploymentName: servedBy } = isMapReduce
+                        ? await completeStructured(messages, 'chunk_findings', FINDINGS_SCHEMA, { label, timeoutMs, signal })
+                        : await chatRouted(target => client.chat(target.deploymentName, buildRequestBody(messages, undefined, target.profile), {
+                            timeoutMs,
+                            label,
+                            signal,
+                            onDelta: (delta) => emit(STREAM_EVENTS.DELTA, { chunkIndex, content: delta })
+                        }));
+
+                    const chunkResult = {
+                        chunkIndex: chunkIndex,
+                        deploymentName: servedBy,
+                        response: content,
+                        tokensUsed: {
+                            input: usage.prompt_tokens || 0,
+                            output: usage.completion_tokens || 0
+                        },
+                        success: true
+                    };
+
+                    if (isMapReduce) {
+                        chunkResult.rowRange = chunk.rowRange;
+                        try {
+                            chunkResult.findings = parseChunkFindings(content, chunk);
+                        } catch (parseError) {
+                            context.log.error(`[Chunk ${chunkIndex + 1}] Findings were not valid JSON: ${parseError.message}`);
+                            chunkResult.success = false;
+                            chunkResult.error = `Chunk ${chunkIndex + 1} returned invalid findings JSON: ${parseError.message}`;
                         }
-                        // Otherwise, loop will continue with next attempt
                     }
-                }
-                
-                // Shouldn't reach here, but handle just in case
-                return {
-                    chunkIndex: chunkIndex,
-                    response: null,
-                    error: lastError ? lastError.message : 'Unknown error',
-                    success: false
-                };
-            })(); // End of async function
+
+                    emit(STREAM_EVENTS.CHUNK_DONE, {
+                        chunkIndex,
+                        success: chunkResult.success,
+                        error: chunkResult.error,
+                        tokensUsed: chunkResult.tokensUsed,
+                        findings: chunkResult.findings ? chunkResult.findings.length : undefined
+                    });
                     return chunkResult;
-                } catch (unexpectedError) {
-                    context.log.error(`[Batch ${batchNumber}] Unexpected error in chunk ${chunkIndex + 1}: ${unexpectedError.message}`);
+                } catch (error) {
+                    context.log.error(`[Batch ${batchNumber}] Chunk ${chunkIndex + 1} failed: ${error.message}`);
+                    emit(STREAM_EVENTS.CHUNK_DONE, { chunkIndex, success: false, error: error.message, cancelled: !!error.cancelled });
                     return {
                         chunkIndex: chunkIndex,
                         response: null,
-                        error: `Unexpected error: ${unexpectedError.message}`,
+                        error: error.message,
+                        timedOut: !!error.timedOut,
+                        cancelled: !!error.cancelled,
                         success: false
                     };
                 }
@@ -567,13 +685,119 @@ module.exports = async function (context, req) {
         // Calculate totals
         const successfulChunks = results.filter(r => r.success).length;
         const failedChunks = results.filter(r => !r.success).length;
-        const timedOutChunks = results.filter(r => !r.success && r.error && r.error.includes('timeout')).length;
-        const totalInputTokens = results.reduce((sum, r) => sum + (r.tokensUsed?.input || 0), 0);
-        const totalOutputTokens = results.reduce((sum, r) => sum + (r.tokensUsed?.output || 0), 0);
+        const timedOutChunks = results.filter(r => !r.success && (r.timedOut || (r.error && r.error.includes('timeout')))).length;
+        let totalInputTokens = results.reduce((sum, r) => sum + (r.tokensUsed?.input || 0), 0);
+        let totalOutputTokens = results.reduce((sum, r) => sum + (r.tokensUsed?.output || 0), 0);
+        const cancelled = !!signal?.aborted;
+
+        emit(STREAM_EVENTS.AGGREGATING, { successfulChunks, failedChunks, cancelled });
+
+        // Reduce: dedupe and rank findings across chunks, then synthesize conclusions
+        let mapReduce;
+        if (isMapReduce) {
+            const chunkFindings = results.filter(r => r.success).flatMap(r => r.findings);
+            const findings = reduceFindings(chunkFindings);
+            context.log(`[Reduce] Merged ${chunkFindings.length} chunk findings into ${findings.length} distinct findings`);
+
+            let synthesis;
+            let synthesisError;
+            if (findings.length > 0 && successfulChunks > 0 && !cancelled) {
+                try {
+                    const messages = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+                    messages.push({
+                        role: 'user',
+                        content: buildSynthesisPrompt(userPrompt, findings.slice(0, maxFindings), {
+                            totalRows: mapChunks.totalRows,
+                            totalChunks: chunks.length,
+                            failedChunks
+                        })
+                    });
+                    const { content, usage } = await completeStructured(messages, 'analysis_synthesis', SYNTHESIS_SCHEMA, {
+                        label: 'Synthesis',
+                        timeoutMs: SYNTHESIS_TIMEOUT_MS
+                    });
+                    synthesis = resolveSynthesis(content, findings);
+                    totalInputTokens += usage.prompt_tokens || 0;
+                    totalOutputTokens += usage.completion_tokens || 0;
+                } catch (error) {
+                    context.log.error(`[Synthesis] Failed, returning ranked findings only: ${error.message}`);
+                    synthesisError = error.message;
+                }
+            }
+
+            mapReduce = {
+                rowIdField: ROW_ID_FIELD,
+                totalRows: mapChunks.totalRows,
+                chunks: chunks.map(chunk => ({ index: chunk.index, rowRange: chunk.rowRange, tokens: chunk.tokens })),
+                findings,
+                synthesis: synthesis || fallbackSynthesis(findings),
+                synthesisError
+            };
+        }
 
         context.log(`Analysis complete. Successful: ${successfulChunks}/${chunks.length}, Failed: ${failedChunks}, Timed out: ${timedOutChunks}`);
         context.log(`Tokens used: Input=${totalInputTokens}, Output=${totalOutputTokens}`);
 
+        const summary = {
+            totalChunks: chunks.length,
+            successfulChunks: successfulChunks,
+            failedChunks: failedChunks,
+            timedOutChunks: timedOutChunks,
+            totalTokensUsed: {
+                input: totalInputTokens,
+                output: totalOutputTokens
+            },
+            modelUsed: targets[activeTarget].deploymentName,
+            chunkingStrategy: {
+                contextWindow: chunkingStrategy.contextWindow,
+                optimalChunkSize: chunkingStrategy.optimalChunkSize,
+                quotaUtilization: chunkingStrategy.quotaUtilization
+            },
+            performanceOptimization: modelSuggestion
+        };
+
+        if (budget) {
+            summary.budget = budget;
+        }
+
+        if (recommendation) {
+            summary.routing = {
+                selectedDeployment: targets[0].deploymentName,
+                model: recommendation.primary,
+                taskType: recommendation.taskType,
+                complexity: recommendation.complexity,
+                explanation: recommendation.explanation,
+                route: targets.map(target => target.deploymentName),
+                failovers
+            };
+        }
+
+        if (streamHandle) {
+            // Clients already hold the chunk text from delta events; done carries everything else
+            if (cancelled) {
+                emit(STREAM_EVENTS.CANCELLED, { summary, processedChunks: results.length });
+            } else {
+                emit(STREAM_EVENTS.DONE, { success: successfulChunks > 0, mode, mapReduce, summary });
+            }
+            await streamHandle.finish(cancelled ? STREAM_STATUS.CANCELLED : STREAM_STATUS.COMPLETED);
+        }
+
+        // The complete event log, for clients that opt in with Accept: text/event-stream
+        if (streamHandle && wantsEventStream(req)) {
+            context.res = {
+                status: 200,
+                headers: {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Access-Control-Allow-Origin': '*',
+                    'Access-Control-Expose-Headers': 'X-Stream-Id',
+                    'X-Stream-Id': streamHandle.streamId
+                },
+                body: formatSseEvents(streamHandle.events)
+            };
+            return;
+        }
+
         // Return successful response
         context.res = {
             status: 200,
@@ -583,30 +807,51 @@ module.exports = async function (context, req) {
             },
             body: {
                 success: successfulChunks > 0,
+                streamId: streamHandle ? streamHandle.streamId : undefined,
+                cancelled: streamHandle ? cancelled : undefined,
+                mode,
                 results: results,
-                summary: {
-                    totalChunks: chunks.length,
-                    successfulChunks: successfulChunks,
-                    failedChunks: failedChunks,
-                    timedOutChunks: timedOutChunks,
-                    totalTokensUsed: {
-                        input: totalInputTokens,
-                        output: totalOutputTokens
-                    },
-                    modelUsed: deploymentName,
-                    chunkingStrategy: {
-                        contextWindow: chunkingStrategy.contextWindow,
-                        optimalChunkSize: chunkingStrategy.optimalChunkSize,
-                        quotaUtilization: chunkingStrategy.quotaUtilization
-                    },
-                    performanceOptimization: modelSuggestion
-                },
+                mapReduce,
+                summary,
                 timestamp: new Date().toISOString()
             }
         };
 
     } catch (error) {
         context.log.error('Error in AI Analysis function:', error);
+
+        if (streamHandle) {
+            streamHandle.emit(STREAM_EVENTS.ERROR, { message: error.message || 'Failed to complete AI analysis' });
+            await streamHandle.finish(STREAM_STATUS.FAILED, { error: error.message });
+        }
+
+        // Rejected stream IDs and other store errors keep their status
+        if (error instanceof StoreError) {
+            context.res = {
+                status: error.statusCode,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*'
+                },
+                body: { error: error.message, code: error.code }
+            };
+            return;
+        }
+
+        if (streamHandle && wantsEventStream(req)) {
+            context.res = {
+                status: 500,
+                headers: {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Access-Control-Allow-Origin': '*',
+                    'Access-Control-Expose-Headers': 'X-Stream-Id',
+                    'X-Stream-Id': streamHandle.streamId
+                },
+                body: formatSseEvents(streamHandle.events)
+            };
+            return;
+        }
         
         context.res = {
             status: 500,
@@ -621,4 +866,4 @@ module.exports = async function (context, req) {
             }
         };
     }
-};
\ No newline at end of file
+};
@@ -1,77 +1,12 @@
-const https = require('https');
 const { 
     calculateOptimalChunkSize, 
     createChunks, 
     countTokens 
 } = require('../shared/tokenUtils');
-
-// Retry logic with exponential backoff (mirrors C# SendWithRetryAsync)
-async function sendWithRetry(options, requestBody, context, chunkIndex, maxRetries = 5) {
-    let lastError = null;
-    const baseDelay = 5000; // 5 seconds base delay
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            context.log(`[Chunk ${chunkIndex}] Attempt ${attempt}/${maxRetries}`);
-            
-            const result = await new Promise((resolve, reject) => {
-                const req = https.request(options, (res) => {
-                    let data = '';
-                    
-                    res.on('data', (chunk) => {
-                        data += chunk;
-                    });
-                    
-                    res.on('end', () => {
-                        if (res.statusCode === 200) {
-                            try {
-                                const parsed = JSON.parse(data);
-                                resolve(parsed);
-                            } catch (e) {
-                                reject(new Error(`Failed to parse response: ${e.message}`));
-                            }
-                        } else if (res.statusCode === 429) {
-                            // Rate limit - extract retry-after if available
-                            const retryAfter = res.headers['retry-after'] || 
-                                              res.headers['x-ratelimit-reset-after'] || 
-                                              Math.pow(2, attempt) * baseDelay / 1000;
-                            reject({ 
-                                statusCode: 429, 
-                                message: 'Rate limit exceeded',
-                                retryAfter: parseInt(retryAfter)
-                            });
-                        } else {
-                            reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-                        }
-                    });
-                });
-                
-                req.on('error', reject);
-                req.write(requestBody);
-                req.end();
-            });
-            
-            return result; // Success!
-            
-        } catch (error) {
-            lastError = error;
-            
-            if (error.statusCode === 429 && attempt < maxRetries) {
-                // Rate limit - implement exponential backoff
-                const delay = error.retryAfter ? error.retryAfter * 1000 : Math.pow(2, attempt) * baseDelay;
-                context.log(`[Chunk ${chunkIndex}] Rate limited. Waiting ${delay}ms before retry...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-            } else if (attempt < maxRetries) {
-                // Other error - exponential backoff
-                const delay = Math.pow(2, attempt) * baseDelay;
-                context.log(`[Chunk ${chunkIndex}] Error: ${error.message}. Waiting ${delay}ms before retry...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-            }
-        }
-    }
-    
-    throw lastError || new Error('Max retries exceeded');
-}
+const { OpenAIClient } = require('../shared/openaiClient');
+const { getDeploymentProfile } = require('../shared/modelProbe');
+const { getVerifiedIdentity } = require('../shared/clientPrincipal');
+const { usageRecorder } = require('../shared/usageLedger');
 
 module.exports = async function (context, req) {
     context.log('AI Analysis Streaming function processing request');
@@ -120,7 +55,6 @@ module.exports = async function (context, req) {
             maxTokens = 4096,
             temperature = 0.7,
             modelName,
-            contextLength = 128000,
             stopSequences
         } = req.body;
 
@@ -141,45 +75,7 @@ module.exports = async function (context, req) {
             return;
         }
 
-        // Configure API endpoint
-        let hostname;
-        context.log(`Received endpoint: "${endpoint}", customSubdomainName: "${customSubdomainName}"`);
-        
-        if (endpoint) {
-            // Handle different endpoint formats
-            if (endpoint.startsWith('http://') || endpoint.startsWith('https://')) {
-                // Parse the full URL to get the hostname
-                try {
-                    const endpointUrl = new URL(endpoint);
-                    hostname = endpointUrl.hostname;
-                    context.log(`Parsed hostname from URL: ${hostname}`);
-                } catch (urlError) {
-                    context.log.error(`Failed to parse endpoint URL: ${urlError.message}`);
-                    // Try to extract hostname manually
-                    const match = endpoint.match(/https?:\/\/([^\/]+)/);
-                    if (match) {
-                        hostname = match[1];
-                        context.log(`Extracted hostname manually: ${hostname}`);
-                    }
-                }
-            } else if (endpoint.includes('.openai.azure.')) {
-                // Already a hostname
-                hostname = endpoint;
-                context.log(`Using endpoint as hostname directly: ${hostname}`);
-            } else {
-                // Assume it's just the subdomain
-                hostname = `${endpoint}.openai.azure.com`;
-                context.log(`Constructed hostname from subdomain: ${hostname}`);
-            }
-        } else if (customSubdomainName) {
-            // Fallback to custom subdomain if no endpoint provided
-            if (customSubdomainName.includes('.openai.azure.')) {
-                hostname = customSubdomainName;
-            } else {
-                hostname = `${customSubdomainName}.openai.azure.com`;
-            }
-            context.log(`Using customSubdomainName: ${hostname}`);
-        } else {
+        if (apiKey) {
             context.res = {
                 status: 400,
                 headers: {
@@ -188,15 +84,25 @@ module.exports = async function (context, req) {
                 },
                 body: {
                     error: 'Bad Request',
-                    message: 'No valid endpoint or customSubdomainName provided',
+                    message: 'API key authentication is not supported. Send a bearer token or rely on the managed identity.',
                     timestamp: new Date().toISOString()
                 }
             };
             return;
         }
-        
-        // Validate hostname
-        if (!hostname || hostname === 'undefined' || hostname === 'null' || hostname === 'undefined.openai.azure.com') {
+
+        // Delegated token when the caller sends one, otherwise the managed identity
+        const authHeader = req.headers?.authorization;
+        let client;
+        try {
+            client = new OpenAIClient({
+                endpoint,
+                customSubdomainName,
+                userToken: authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null,
+                log: context.log,
+                onUsage: usageRecorder(await getVerifiedIdentity(req, context.log), 'analyze-with-ai-stream', context.log)
+            });
+        } catch (endpointError) {
             context.res = {
                 status: 400,
                 headers: {
@@ -205,19 +111,19 @@ module.exports = async function (context, req) {
                 },
                 body: {
                     error: 'Bad Request',
-                    message: `Invalid hostname: ${hostname}. Please provide a valid endpoint or customSubdomainName.`,
+                    message: 'No valid endpoint or customSubdomainName provided',
                     timestamp: new Date().toISOString()
                 }
             };
             return;
         }
         
-        context.log(`Final hostname: ${hostname} for deployment: ${deploymentName}`);
+        context.log(`Final endpoint: ${client.endpoint} for deployment: ${deploymentName}`);
 
         // Pre-request validation (like C# implementation)
-        const totalDataTokens = data ? countTokens(data) : 0;
-        const systemTokens = countTokens(systemPrompt);
-        const userTokens = countTokens(userPrompt);
+        const totalDataTokens = data ? countTokens(data, modelName || deploymentName) : 0;
+        const systemTokens = countTokens(systemPrompt, modelName || deploymentName);
+        const userTokens = countTokens(userPrompt, modelName || deploymentName);
         const totalRequestTokens = totalDataTokens + systemTokens + userTokens;
         
         context.log(`Token counts - Data: ${totalDataTokens}, System: ${systemTokens}, User: ${userTokens}, Total: ${totalRequestTokens}`);
@@ -246,12 +152,21 @@ module.exports = async function (context, req) {
             return;
         }
 
+        // Catalog capabilities for the deployment, corrected by its last probe if any
+        const profile = await getDeploymentProfile({
+            hostname: client.hostname,
+            deploymentName,
+            model: modelName,
+            log: context.log
+        });
+
         // Calculate optimal chunk size
-        const optimalChunkSize = calculateOptimalChunkSize(
+        const { optimalChunkSize } = calculateOptimalChunkSize(
             modelName || deploymentName,
-            contextLength,
+            maxTokens,
             systemPrompt,
-            userPrompt
+            userPrompt,
+            profile
         );
 
         context.log(`Optimal chunk size calculated: ${optimalChunkSize} tokens`);
@@ -259,15 +174,14 @@ module.exports = async function (context, req) {
         // Create chunks if data is provided
         let chunks = [];
         if (data) {
-            chunks = createChunks(data, optimalChunkSize);
+            chunks = createChunks(data, optimalChunkSize, 50, profile);
             context.log(`Created ${chunks.length} chunks from input data`);
         } else {
             chunks = ['']; // Single empty chunk for non-data requests
         }
 
-        const isNewerModel = deploymentName.includes('gpt-5') || deploymentName.includes('o1');
-        const isNanoModel = deploymentName.includes('nano');
-        const finalTemperature = isNanoModel ? 1 : temperature;
+        // GPT-5 and reasoning models only accept the default temperature (1)
+        const finalTemperature = profile.supportsTemperature ? temperature : 1;
 
         // Process chunks with LIMITED parallelism (like C# SemaphoreSlim)
         const results = [];
@@ -321,8 +235,8 @@ module.exports = async function (context, req) {
                         temperature: finalTemperature
                     };
                     
-                    // Only add max_tokens for non-GPT5/non-reasoning models
-                    if (!isNewerModel) {
+                    // Models without max_tokens support (GPT-5, reasoning) use API defaults
+                    if (profile.supportsMaxTokens) {
                         requestBodyObj.max_tokens = maxTokens;
                     }
                     
@@ -330,44 +244,19 @@ module.exports = async function (context, req) {
                         requestBodyObj.stop = stopSequences;
                     }
                     
-                    const requestBody = JSON.stringify(requestBodyObj);
-                    
-                    // Configure request options
-                    const headers = {
-                        'Content-Type': 'application/json',
-                        'Content-Length': Buffer.byteLength(requestBody)
-                    };
-                    
-                    // Use API key if provided, otherwise rely on managed identity (would need different implementation)
-                    if (apiKey) {
-                        headers['api-key'] = apiKey;
-                    } else {
-                        // For now, use a placeholder key - in production this should use managed identity
-                        // This would require using Azure SDK instead of direct HTTPS
-                        context.log('[WARNING] No API key provided - using placeholder for testing');
-                        headers['api-key'] = 'placeholder-key-for-testing';
-                    }
-                    
-                    const options = {
-                        hostname: hostname,
-                        port: 443,
-                        path: `/openai/deployments/${deploymentName}/chat/completions?api-version=2024-06-01`,
-                        method: 'POST',
-                        headers: headers
-                    };
-                    
-                    // Send request with retry logic
-                    const response = await sendWithRetry(options, requestBody, context, chunkIndex);
+                    const response = await client.chat(deploymentName, requestBodyObj, {
+                        label: `Chunk ${chunkIndex + 1}`
+                    });
                     
                     // Extract result
                     const result = {
                         chunkIndex,
-                        response: response.choices?.[0]?.message?.content || 'No response',
-                        tokensUsed: response.usage ? {
+                        response: response.content || 'No response',
+                        tokensUsed: {
                             input: response.usage.prompt_tokens || 0,
                             output: response.usage.completion_tokens || 0,
                             total: response.usage.total_tokens || 0
-                        } : { input: 0, output: 0, total: 0 }
+                        }
                     };
                     
                     // Update totals
@@ -425,7 +314,7 @@ module.exports = async function (context, req) {
                     processingTime,
                     successRate: Math.round((completedChunks / chunks.length) * 100),
                     totalChunks: chunks.length,
-                    chunkSizes: chunks.map(c => countTokens(c.text || c))
+                    chunkSizes: chunks.map(c => countTokens(c.text || c, profile))
                 },
                 aggregatedResponse,
                 timestamp: new Date().toISOString()
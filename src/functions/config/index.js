@@ -4,6 +4,8 @@
  * This is a public endpoint (no authentication required)
  */
 
+const registry = require('../shared/endpointRegistry');
+
 module.exports = async function (context, req) {
     context.log('Config endpoint called');
 
@@ -25,68 +27,16 @@ module.exports = async function (context, req) {
     }
 
     // Get environment from Azure Function settings
-    const environment = process.env.AZURE_ENVIRONMENT || 'AzureUSGovernment';
+    const environment = registry.getEnvironmentName();
     const tenantId = process.env.AZURE_TENANT_ID || '';
     const clientId = process.env.AZURE_CLIENT_ID || '';
     const useManagedIdentity = process.env.USE_MANAGED_IDENTITY === 'true';
     const functionAppUrl = process.env.WEBSITE_HOSTNAME ? `https://${process.env.WEBSITE_HOSTNAME}` : '';
     const staticWebAppUrl = process.env.STATIC_WEB_APP_URL || '';
 
-    // Define endpoints based on environment
-    const endpoints = {
-        AzureCloud: {
-            management: 'https://management.azure.com',
-            authentication: 'https://login.microsoftonline.com',
-            graph: 'https://graph.microsoft.com',
-            logAnalytics: 'https://api.loganalytics.io',
-            logAnalyticsOds: 'https://ods.opinsights.azure.com',
-            cognitive: 'https://cognitiveservices.azure.com',
-            openAI: 'openai.azure.com',
-            portal: 'https://portal.azure.com'
-        },
-        AzureUSGovernment: {
-            management: 'https://management.usgovcloudapi.net',
-            authentication: 'https://login.microsoftonline.us',
-            graph: 'https://graph.microsoft.us',
-            logAnalytics: 'https://api.loganalytics.us',
-            logAnalyticsOds: 'https://ods.opinsights.azure.us',
-            cognitive: 'https://cognitiveservices.azure.us',
-            openAI: 'openai.azure.us',
-            portal: 'https://portal.azure.us'
-        },
-        AzureDoD: {
-            management: 'https://management.usgovcloudapi.net',
-            authentication: 'https://login.microsoftonline.us',
-            graph: 'https://dod-graph.microsoft.us',
-            logAnalytics: 'https://api.loganalytics.us',
-            logAnalyticsOds: 'https://ods.opinsights.azure.us',
-            cognitive: 'https://cognitiveservices.azure.us',
-            openAI: 'openai.azure.us',
-            portal: 'https://portal.azure.us'
-        }
-    };
-
-    // Define scopes based on environment
-    const scopes = {
-        AzureCloud: {
-            management: 'https://management.azure.com/.default',
-            graph: 'https://graph.microsoft.com/.default',
-            logAnalytics: 'https://api.loganalytics.io/.default',
-            cognitive: 'https://cognitiveservices.azure.com/.default'
-        },
-        AzureUSGovernment: {
-            management: 'https://management.usgovcloudapi.net/.default',
-            graph: 'https://graph.microsoft.us/.default',
-            logAnalytics: 'https://api.loganalytics.us/.default',
-            cognitive: 'https://cognitiveservices.azure.us/.default'
-        },
-        AzureDoD: {
-            management: 'https://management.usgovcloudapi.net/.default',
-            graph: 'https://dod-graph.microsoft.us/.default',
-            logAnalytics: 'https://api.loganalytics.us/.default',
-            cognitive: 'https://cognitiveservices.azure.us/.default'
-        }
-    };
+    // Endpoints and scopes come from the shared endpoint registry
+    const { name: environmentDisplayName, ...endpoints } = registry.getEndpoints(environment);
+    const scopes = registry.getScopes(environment);
 
     // Build configuration response
     const config = {
@@ -96,15 +46,15 @@ module.exports = async function (context, req) {
             clientId: clientId,
             useManagedIdentity: useManagedIdentity,
             tenantId: tenantId,
-            authority: `${endpoints[environment].authentication}/${tenantId}`,
+            authority: `${endpoints.authentication}/${tenantId}`,
             authType: useManagedIdentity ? 'managed-identity' : 'interactive'
         },
         api: {
             functionAppUrl: functionAppUrl,
             staticWebAppUrl: staticWebAppUrl
         },
-        endpoints: endpoints[environment] || endpoints.AzureDoD,
-        scopes: scopes[environment] || scopes.AzureDoD,
+        endpoints: endpoints,
+        scopes: scopes,
         features: {
             enableM365Defender: true,
             enableLocalFiles: true,
@@ -114,7 +64,8 @@ module.exports = async function (context, req) {
         ui: {
             appName: 'AI-Icarus',
             appVersion: '1.0.0',
-            environment: environment === 'AzureDoD' ? 'DoD IL4' : 'GCC High'
+            environment: environment === 'AzureDoD' ? 'DoD IL4' : 'GCC High',
+            environmentName: environmentDisplayName
         },
         security: {
             tlsVersion: '1.2',
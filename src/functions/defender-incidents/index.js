@@ -1,10 +1,11 @@
 const { DefaultAzureCredential } = require("@azure/identity");
 const { MonitorQueryClient } = require("@azure/monitor-query");
+const registry = require('../shared/endpointRegistry');
 
 module.exports = async function (context, req) {
     try {
         // Get environment details
-        const environment = process.env.AZURE_ENVIRONMENT || 'AzureUSGovernment';
+        const environment = registry.getEnvironmentName();
         const subscriptionId = process.env.AZURE_SUBSCRIPTION_ID || req.query.subscriptionId || req.body?.subscriptionId;
         const workspaceId = req.query.workspaceId || req.body?.workspaceId;
         const timeRange = req.query.timeRange || req.body?.timeRange || '7d';
@@ -19,9 +20,7 @@ module.exports = async function (context, req) {
         }
 
         // Set up endpoints based on environment
-        const logAnalyticsEndpoint = environment === 'AzureUSGovernment' || environment === 'AzureDoD' 
-            ? 'https://api.loganalytics.us'
-            : 'https://api.loganalytics.io';
+        const logAnalyticsEndpoint = registry.getEndpoint('logAnalytics', environment);
 
         // Create credential for authentication
         const credential = new DefaultAzureCredential({
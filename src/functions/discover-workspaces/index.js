@@ -1,4 +1,5 @@
 const { OperationalInsightsManagementClient } = require("@azure/arm-operationalinsights");
+const registry = require('../shared/endpointRegistry');
 
 module.exports = async function (context, req) {
     context.log('Discover workspaces function triggered');
@@ -41,7 +42,10 @@ module.exports = async function (context, req) {
         };
         
         // Create the client using the user's credentials
-        const client = new OperationalInsightsManagementClient(credential, subscriptionId);
+        const client = new OperationalInsightsManagementClient(credential, subscriptionId, {
+            endpoint: registry.getEndpoint('management'),
+            credentialScopes: [registry.getScope('management')]
+        });
         
         // List all workspaces the USER has access to
         const workspaceList = [];
@@ -1,3 +1,32 @@
+const registry = require('../shared/endpointRegistry');
+const { getVerifiedIdentity } = require('../shared/clientPrincipal');
+const { StoreError } = require('../shared/entityStore');
+const { QUERY_STATUS, startQuery, isTimeoutError } = require('../shared/kqlQueryRegistry');
+const { formatDiagnostics } = require('../shared/kqlParser');
+const { analyzeQueryAccess } = require('../shared/workspaceAccess');
+const {
+    CACHE_STATUS,
+    alignTimeWindow,
+    parseCacheControl,
+    getCallerKey,
+    cachedQuery,
+    cacheHeaders
+} = require('../shared/queryResultCache');
+const {
+    MAX_FANOUT_WORKSPACES,
+    getFanOutConcurrency,
+    mapWithConcurrency,
+    mergeWorkspaceTables
+} = require('../shared/kqlFanOut');
+
+const corsHeaders = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-MS-CLIENT-PRINCIPAL, Cache-Control',
+    'Access-Control-Expose-Headers': 'X-Query-Id, X-Cache, Age'
+};
+
 module.exports = async function (context, req) {
     context.log('ExecuteKQLQuery function processing request');
 
@@ -8,7 +37,7 @@ module.exports = async function (context, req) {
             headers: {
                 'Access-Control-Allow-Origin': '*',
                 'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-                'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-MS-CLIENT-PRINCIPAL'
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-MS-CLIENT-PRINCIPAL, Cache-Control'
             },
             body: ''
         };
@@ -18,291 +47,330 @@ module.exports = async function (context, req) {
     try {
         // Get authorization header
         const authToken = req.headers?.authorization;
-        
+
         if (!authToken || !authToken.startsWith('Bearer ')) {
             context.res = {
                 status: 401,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-                    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-MS-CLIENT-PRINCIPAL'
-                },
+                headers: corsHeaders,
                 body: { error: 'Authentication required. Please provide a Bearer token.' }
             };
             return;
         }
-        
+
         // Parse request body
         const request = req.body;
-        
-        if (!request?.workspaceId || !request?.query) {
+
+        // workspaceIds runs the query on each workspace in parallel and merges the results
+        const isFanOut = Array.isArray(request?.workspaceIds);
+        const workspaceIds = isFanOut
+            ? [...new Set(request.workspaceIds.filter(id => typeof id === 'string' && id))]
+            : [request?.workspaceId].filter(Boolean);
+
+        if (workspaceIds.length === 0 || !request?.query) {
             context.res = {
                 status: 400,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-                    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-MS-CLIENT-PRINCIPAL'
-                },
-                body: { error: 'workspaceId and query are required' }
+                headers: corsHeaders,
+                body: { error: 'workspaceId (or workspaceIds) and query are required' }
             };
             return;
         }
 
-        // Basic safety validation
-        const unsafePatterns = [
-            /\bdrop\s+table\b/i,
-            /\bdelete\s+/i,
-            /\btruncate\s+/i,
-            /\balter\s+/i,
-            /\bcreate\s+/i
-        ];
-        
-        const isQuerySafe = !unsafePatterns.some(pattern => pattern.test(request.query));
-        
-        if (!isQuerySafe) {
+        if (workspaceIds.length > MAX_FANOUT_WORKSPACES) {
             context.res = {
                 status: 400,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*',
-                    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-                    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-MS-CLIENT-PRINCIPAL'
-                },
-                body: { error: 'Query contains potentially unsafe operations' }
+                headers: corsHeaders,
+                body: { error: `A query can run across at most ${MAX_FANOUT_WORKSPACES} workspaces` }
             };
             return;
         }
 
-        context.log(`User executing KQL query on workspace: ${request.workspaceId}`);
+        // Static analysis: syntax, control commands and cross-workspace access
+        const analysis = await analyzeQueryAccess(request.query, {
+            workspaceIds,
+            token: authToken.substring(7),
+            log: context.log
+        });
+        if (!analysis.valid) {
+            context.res = {
+                status: 400,
+                headers: corsHeaders,
+                body: {
+                    error: 'Query failed validation',
+                    message: formatDiagnostics(analysis.diagnostics),
+                    diagnostics: analysis.diagnostics
+                }
+            };
+            return;
+        }
+
+        // Register the query so it can be cancelled through /kql/queries/{queryId}/cancel
+        // Clients may supply their own queryId so they can cancel before this request returns
+        const { userId } = await getVerifiedIdentity(req, context.log);
+        const handle = await startQuery({
+            queryId: req.headers['x-query-id'] || request.queryId,
+            userId,
+            workspaceId: workspaceIds.join(','),
+            timeoutSeconds: request.timeoutSeconds,
+            log: context.log
+        });
+        const headers = { ...corsHeaders, 'X-Query-Id': handle.queryId };
+
+        context.log(`User executing KQL query ${handle.queryId} on workspace(s): ${workspaceIds.join(', ')} (timeout ${handle.timeoutSeconds}s)`);
         context.log(`Query: ${request.query}`);
-        
-        let result;
-        let executionTime = 0;
-        let usingSampleData = false;
-        
-        try {
-            // Import Azure SDKs
-            const { ManagedIdentityCredential } = require('@azure/identity');
+
+        // Set time range (default to last 30 days for better data availability)
+        // Bounds are aligned to the minute so repeated runs can be served from the result cache
+        const timeInterval = alignTimeWindow(request.timeRange ? {
+            startTime: new Date(request.timeRange.startTime),
+            endTime: new Date(request.timeRange.endTime)
+        } : {
+            startTime: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // 30 days ago
+            endTime: new Date()
+        });
+
+        // Run the query with the given credential, honouring the server timeout and cancellation
+        const runQuery = async (credential, workspaceId) => {
             const { LogsQueryClient, LogsQueryResultStatus } = require('@azure/monitor-query');
-            
-            // Custom credential implementation for user bearer tokens
-            class BearerTokenCredential {
-                constructor(bearerToken) {
-                    this.bearerToken = bearerToken;
-                }
-                
-                async getToken(scopes, options) {
-                    // Return the token in the format expected by Azure SDK
-                    return {
-                        token: this.bearerToken,
-                        expiresOnTimestamp: Date.now() + 3600000 // 1 hour from now
-                    };
-                }
-            }
-            
-            // Use user's delegated token for RBAC-based authentication
-            const userToken = authToken.substring(7);
-            context.log('Using user delegated token for authentication (RBAC-based)');
-            
-            const credential = new BearerTokenCredential(userToken);
-            
-            // Get environment configuration
-            const azureEnvironment = process.env.AzureEnvironment || 'AzureCloud';
-            const logAnalyticsEndpoint = process.env.LogAnalyticsEndpoint || 
-                (azureEnvironment === 'AzureUSGovernment' || azureEnvironment === 'AzureDoD'
-                    ? 'https://api.loganalytics.us'
-                    : 'https://api.loganalytics.io');
-            
+
+            const logAnalyticsEndpoint = registry.getEndpoint('logAnalytics');
             context.log(`Using Log Analytics endpoint: ${logAnalyticsEndpoint}`);
-            
-            // Initialize Log Analytics client
+
             const logsClient = new LogsQueryClient(credential, {
                 endpoint: logAnalyticsEndpoint
             });
 
-            // Set time range (default to last 30 days for better data availability)
-            const timeInterval = request.timeRange ? {
-                startTime: new Date(request.timeRange.startTime),
-                endTime: new Date(request.timeRange.endTime)
-            } : {
-                startTime: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // 30 days ago
-                endTime: new Date()
-            };
+            context.log(`Time range: ${timeInterval.startTime.toISOString()} to ${timeInterval.endTime.toISOString()}`);
 
-            // Execute the query
             const startTime = Date.now();
-            context.log(`Executing query: ${request.query}`);
-            context.log(`Time range: ${timeInterval.startTime.toISOString()} to ${timeInterval.endTime.toISOString()}`);
-            
             const queryResult = await logsClient.queryWorkspace(
-                request.workspaceId,
+                workspaceId,
                 request.query,
                 timeInterval,
                 {
-                    serverTimeoutInSeconds: 30,
+                    serverTimeoutInSeconds: handle.timeoutSeconds,
                     includeStatistics: true,
-                    includeVisualization: false
+                    includeVisualization: false,
+                    abortSignal: handle.signal
                 }
             );
-            executionTime = (Date.now() - startTime) / 1000;
-            
+            const elapsed = (Date.now() - startTime) / 1000;
+
+            let status = QUERY_STATUS.COMPLETED;
+            let partialError;
+
             // Check query status
-            if (queryResult.status === LogsQueryResultStatus.Success) {
-                context.log(`Query executed successfully in ${executionTime}s`);
-            } else if (queryResult.status === LogsQueryResultStatus.PartialFailure) {
-                context.log.warn('Query partially failed:', queryResult.partialError);
+            if (queryResult.status === LogsQueryResultStatus.PartialFailure) {
+                context.log.warn(`Query partially failed on ${workspaceId}:`, queryResult.partialError);
+                partialError = queryResult.partialError?.message;
+                status = isTimeoutError(queryResult.partialError) ? QUERY_STATUS.TIMED_OUT : QUERY_STATUS.PARTIAL;
+            } else {
+                context.log(`Query executed successfully on ${workspaceId} in ${elapsed}s`);
             }
-            
-            // Format the response
-            result = {
-                tables: queryResult.tables.map(table => ({
-                    name: table.name,
-                    columns: table.columns.map(col => ({
-                        name: col.name,
-                        type: col.type
+
+            // Partial failures carry whatever rows were produced before the error
+            const tables = queryResult.tables || queryResult.partialTables || [];
+
+            return {
+                status,
+                partialError,
+                executionTime: elapsed,
+                result: {
+                    tables: tables.map(table => ({
+                        name: table.name,
+                        columns: table.columns.map(col => ({
+                            name: col.name,
+                            type: col.type
+                        })),
+                        rows: table.rows.slice(0, request.maxRows || 1000)
                     })),
-                    rows: table.rows.slice(0, request.maxRows || 1000)
-                })),
-                statistics: queryResult.statistics,
-                visualization: queryResult.visualization
+                    statistics: queryResult.statistics,
+                    visualization: queryResult.visualization
+                }
             };
-            
-            const rowCount = result.tables[0]?.rows?.length || 0;
-            context.log(`Query returned ${rowCount} rows`);
-            
-            // If no rows returned, it might be an empty result (not an error)
-            if (rowCount === 0) {
-                context.log('No data found for the query in the specified time range');
+        };
+
+        // Custom credential implementation for user bearer tokens
+        class BearerTokenCredential {
+            constructor(bearerToken) {
+                this.bearerToken = bearerToken;
             }
-            
-        } catch (queryError) {
-            context.log.error('Query execution failed:', queryError.message);
-            
-            // If user token failed, try with Managed Identity as fallback
-            if (queryError.message && 
-                (queryError.message.includes('authentication') || 
-                 queryError.message.includes('401') || 
-                 queryError.message.includes('403'))) {
-                
+
+            async getToken(scopes, options) {
+                // Return the token in the format expected by Azure SDK
+                return {
+                    token: this.bearerToken,
+                    expiresOnTimestamp: Date.now() + 3600000 // 1 hour from now
+                };
+            }
+        }
+
+        // Use user's delegated token for RBAC-based authentication, Managed Identity as fallback
+        // Errors where both credentials were rejected are flagged with authFailed
+        const runOnWorkspace = async (workspaceId) => {
+            try {
+                return await runQuery(new BearerTokenCredential(authToken.substring(7)), workspaceId);
+            } catch (queryError) {
+                context.log.error(`Query execution failed on ${workspaceId}:`, queryError.message);
+
+                if (handle.abortReason || !queryError.message ||
+                    !(queryError.message.includes('authentication') ||
+                      queryError.message.includes('401') ||
+                      queryError.message.includes('403'))) {
+                    throw queryError;
+                }
+
                 context.log('User token authentication failed, trying Managed Identity fallback');
-                
+
+                const { ManagedIdentityCredential } = require('@azure/identity');
+
                 try {
-                    const { ManagedIdentityCredential } = require('@azure/identity');
-                    const { LogsQueryClient, LogsQueryResultStatus } = require('@azure/monitor-query');
-                    
-                    const credential = new ManagedIdentityCredential();
-                    const logsClient = new LogsQueryClient(credential, {
-                        endpoint: process.env.LogAnalyticsEndpoint || 'https://api.loganalytics.io'
-                    });
-                    
-                    const timeInterval = request.timeRange ? {
-                        startTime: new Date(request.timeRange.startTime),
-                        endTime: new Date(request.timeRange.endTime)
-                    } : {
-                        startTime: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
-                        endTime: new Date()
-                    };
-                    
-                    const startTime = Date.now();
-                    const queryResult = await logsClient.queryWorkspace(
-                        request.workspaceId,
-                        request.query,
-                        timeInterval,
-                        {
-                            serverTimeoutInSeconds: 30,
-                            includeStatistics: true,
-                            includeVisualization: false
-                        }
-                    );
-                    executionTime = (Date.now() - startTime) / 1000;
-                    
-                    result = {
-                        tables: queryResult.tables.map(table => ({
-                            name: table.name,
-                            columns: table.columns.map(col => ({
-                                name: col.name,
-                                type: col.type
-                            })),
-                            rows: table.rows.slice(0, request.maxRows || 1000)
-                        })),
-                        statistics: queryResult.statistics,
-                        visualization: queryResult.visualization
-                    };
-                    
-                    const rowCount = result.tables[0]?.rows?.length || 0;
-                    context.log(`Query returned ${rowCount} rows using Managed Identity fallback`);
-                    
+                    const outcome = await runQuery(new ManagedIdentityCredential(), workspaceId);
+                    context.log('Query completed using Managed Identity fallback');
+                    return outcome;
                 } catch (fallbackError) {
-                    context.log.error('Managed Identity fallback also failed:', fallbackError.message);
-                    
-                    // Return error response instead of sample data
-                    context.res = {
-                        status: 403,
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'Access-Control-Allow-Origin': '*',
-                            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-                            'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-MS-CLIENT-PRINCIPAL'
-                        },
-                        body: {
-                            error: 'Failed to execute query',
-                            message: 'Authentication failed. Please ensure you have Log Analytics Reader permissions on the workspace.',
-                            details: fallbackError.message,
-                            timestamp: new Date().toISOString()
-                        }
-                    };
-                    return;
+                    if (!handle.abortReason && !isTimeoutError(fallbackError)) {
+                        context.log.error('Managed Identity fallback also failed:', fallbackError.message);
+                        fallbackError.authFailed = true;
+                    }
+                    throw fallbackError;
                 }
-            } else {
-                // Not an auth error, return the error
+            }
+        };
+
+        // Completed results are cached per caller, workspace, normalized query and time window
+        const cacheOptions = {
+            query: request.query,
+            timeWindow: timeInterval,
+            caller: getCallerKey(req),
+            cacheControl: parseCacheControl(req.headers['cache-control']),
+            variant: { maxRows: request.maxRows || 1000 },
+            isCacheable: (outcome) => outcome.status === QUERY_STATUS.COMPLETED
+        };
+        const runCached = (workspaceId) => cachedQuery({ ...cacheOptions, workspaceId }, () => runOnWorkspace(workspaceId));
+
+        if (isFanOut) {
+            await runFanOut({ context, request, workspaceIds, handle, headers, runCached });
+            return;
+        }
+
+        context.log('Using user delegated token for authentication (RBAC-based)');
+
+        let outcome;
+        let cache;
+
+        try {
+            ({ value: outcome, cache } = await runCached(workspaceIds[0]));
+            if (cache.status === CACHE_STATUS.HIT) {
+                context.log(`Query ${handle.queryId} served from cache (age ${cache.ageSeconds}s)`);
+            }
+        } catch (queryError) {
+            if (queryError.authFailed) {
+                await handle.finish(QUERY_STATUS.FAILED, { error: queryError.message });
+
+                // Return error response instead of sample data
+                context.res = {
+                    status: 403,
+                    headers,
+                    body: {
+                        queryId: handle.queryId,
+                        status: QUERY_STATUS.FAILED,
+                        error: 'Failed to execute query',
+                        message: 'Authentication failed. Please ensure you have Log Analytics Reader permissions on the workspace.',
+                        details: queryError.message,
+                        timestamp: new Date().toISOString()
+                    }
+                };
+                return;
+            }
+
+            if (handle.abortReason === QUERY_STATUS.CANCELLED) {
+                context.log(`Query ${handle.queryId} cancelled by user`);
+                await handle.finish(QUERY_STATUS.CANCELLED);
+                context.res = {
+                    status: 200,
+                    headers,
+                    body: {
+                        queryId: handle.queryId,
+                        status: QUERY_STATUS.CANCELLED,
+                        message: 'Query was cancelled',
+                        timestamp: new Date().toISOString()
+                    }
+                };
+                return;
+            }
+
+            if (handle.abortReason === QUERY_STATUS.TIMED_OUT || isTimeoutError(queryError)) {
+                context.log.warn(`Query ${handle.queryId} timed out after ${handle.timeoutSeconds}s`);
+                await handle.finish(QUERY_STATUS.TIMED_OUT);
                 context.res = {
-                    status: 500,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Access-Control-Allow-Origin': '*',
-                        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-                        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-MS-CLIENT-PRINCIPAL'
-                    },
+                    status: 504,
+                    headers,
                     body: {
-                        error: 'Query execution failed',
-                        message: queryError.message,
+                        queryId: handle.queryId,
+                        status: QUERY_STATUS.TIMED_OUT,
+                        error: 'Query timed out',
+                        message: `Query did not complete within ${handle.timeoutSeconds} seconds. Narrow the time range or raise the timeout.`,
+                        timeoutSeconds: handle.timeoutSeconds,
                         timestamp: new Date().toISOString()
                     }
                 };
                 return;
             }
+
+            // Not an auth error, return the error
+            await handle.finish(QUERY_STATUS.FAILED, { error: queryError.message });
+            context.res = {
+                status: 500,
+                headers,
+                body: {
+                    queryId: handle.queryId,
+                    status: QUERY_STATUS.FAILED,
+                    error: 'Query execution failed',
+                    message: queryError.message,
+                    timestamp: new Date().toISOString()
+                }
+            };
+            return;
         }
 
+        const rowCount = outcome.result.tables[0]?.rows?.length || 0;
+        context.log(`Query returned ${rowCount} rows`);
+        await handle.finish(outcome.status, { rowCount, executionTime: outcome.executionTime });
+
         context.res = {
             status: 200,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-                'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-MS-CLIENT-PRINCIPAL'
-            },
+            headers: { ...headers, ...cacheHeaders(cache) },
             body: {
-                result: result,
-                executionTime: executionTime,
-                rowCount: result.tables[0]?.rows?.length || 0,
+                queryId: handle.queryId,
+                status: outcome.status,
+                result: outcome.result,
+                executionTime: outcome.executionTime,
+                rowCount,
+                timeoutSeconds: handle.timeoutSeconds,
+                partialError: outcome.partialError,
+                cache,
                 timestamp: new Date().toISOString(),
                 user: 'authenticated',
-                note: result.tables[0]?.rows?.length === 0 ? 'No data found for the query in the specified time range' : undefined
+                // If no rows returned, it might be an empty result (not an error)
+                note: rowCount === 0 ? 'No data found for the query in the specified time range' : undefined
             }
         };
 
     } catch (error) {
+        // Malformed or reused query IDs
+        if (error instanceof StoreError) {
+            context.res = {
+                status: error.statusCode,
+                headers: corsHeaders,
+                body: { error: error.message, code: error.code }
+            };
+            return;
+        }
+
         context.log.error('Error in ExecuteKQLQuery function:', error);
         context.res = {
             status: 500,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-                'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-MS-CLIENT-PRINCIPAL'
-            },
+            headers: corsHeaders,
             body: {
                 error: 'Internal server error',
                 message: error.message,
@@ -310,4 +378,105 @@ module.exports = async function (context, req) {
             }
         };
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Run the query on every workspace (bounded concurrency) and respond with the
+ * merged tables plus a per-workspace status list. Individual workspace failures
+ * are reported in `workspaces`; the request only fails when none succeed
+ */
+async function runFanOut({ context, request, workspaceIds, handle, headers, runCached }) {
+    const concurrency = getFanOutConcurrency();
+    context.log(`Fanning query ${handle.queryId} out to ${workspaceIds.length} workspaces (concurrency ${concurrency})`);
+
+    const failureStatus = (error) => {
+        if (handle.abortReason) return handle.abortReason;
+        return isTimeoutError(error) ? QUERY_STATUS.TIMED_OUT : QUERY_STATUS.FAILED;
+    };
+
+    const startTime = Date.now();
+    const outcomes = await mapWithConcurrency(workspaceIds, concurrency, async (workspaceId) => {
+        try {
+            const { value, cache } = await runCached(workspaceId);
+            return { workspaceId, ...value, cache: cache.status };
+        } catch (error) {
+            return {
+                workspaceId,
+                status: failureStatus(error),
+                error: error.authFailed
+                    ? 'Authentication failed. Please ensure you have Log Analytics Reader permissions on the workspace.'
+                    : error.message
+            };
+        }
+    }, {
+        signal: handle.signal,
+        onSkipped: (workspaceId) => ({ workspaceId, status: handle.abortReason })
+    });
+    const executionTime = (Date.now() - startTime) / 1000;
+
+    const workspaces = outcomes.map(outcome => ({
+        workspaceId: outcome.workspaceId,
+        status: outcome.status,
+        rowCount: outcome.result?.tables[0]?.rows.length || 0,
+        executionTime: outcome.executionTime,
+        cache: outcome.cache,
+        error: outcome.error || outcome.partialError
+    }));
+
+    if (handle.abortReason === QUERY_STATUS.CANCELLED) {
+        context.log(`Query ${handle.queryId} cancelled by user`);
+        await handle.finish(QUERY_STATUS.CANCELLED);
+        context.res = {
+            status: 200,
+            headers,
+            body: {
+                queryId: handle.queryId,
+                status: QUERY_STATUS.CANCELLED,
+                message: 'Query was cancelled',
+                workspaces,
+                timestamp: new Date().toISOString()
+            }
+        };
+        return;
+    }
+
+    const succeeded = outcomes.filter(outcome => outcome.result);
+    const merged = mergeWorkspaceTables(succeeded, { maxRows: request.maxRows || 1000 });
+    const rowCount = merged.tables[0]?.rows.length || 0;
+
+    let status = QUERY_STATUS.COMPLETED;
+    let httpStatus = 200;
+    if (succeeded.length === 0) {
+        const allTimedOut = outcomes.every(outcome => outcome.status === QUERY_STATUS.TIMED_OUT);
+        status = allTimedOut ? QUERY_STATUS.TIMED_OUT : QUERY_STATUS.FAILED;
+        httpStatus = allTimedOut ? 504 : 502;
+    } else if (outcomes.some(outcome => outcome.status !== QUERY_STATUS.COMPLETED)) {
+        status = QUERY_STATUS.PARTIAL;
+    }
+
+    const failedCount = workspaces.filter(ws => ws.status !== QUERY_STATUS.COMPLETED).length;
+    context.log(`Fan-out query ${handle.queryId} returned ${rowCount} rows; ${failedCount} of ${workspaceIds.length} workspaces did not complete`);
+    await handle.finish(status, { rowCount, executionTime, failedWorkspaces: failedCount });
+
+    const cacheHits = workspaces.filter(ws => ws.cache === CACHE_STATUS.HIT).length;
+
+    context.res = {
+        status: httpStatus,
+        headers: { ...headers, 'X-Cache': cacheHits === workspaces.length ? 'HIT' : cacheHits > 0 ? 'PARTIAL' : 'MISS' },
+        body: {
+            queryId: handle.queryId,
+            status,
+            error: succeeded.length === 0 ? 'Query failed on every workspace' : undefined,
+            result: { tables: merged.tables },
+            truncated: merged.truncated,
+            workspaces,
+            cache: { hits: cacheHits, misses: workspaces.length - cacheHits },
+            executionTime,
+            rowCount,
+            timeoutSeconds: handle.timeoutSeconds,
+            timestamp: new Date().toISOString(),
+            user: 'authenticated',
+            note: succeeded.length > 0 && rowCount === 0 ? 'No data found for the query in the specified time range' : undefined
+        }
+    };
+}
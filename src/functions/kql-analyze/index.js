@@ -0,0 +1,67 @@
+// Static analysis for the KQL editor
+//
+// POST /kql/analyze   { query, workspaceId?, workspaceIds? } -> { valid, diagnostics, tables, workspaceReferences }
+//
+// Diagnostics carry 1-based line/column ranges for underlining. Cross-workspace
+// references are resolved against the caller's ARM token when one is supplied.
+
+const { analyzeQueryAccess } = require('../shared/workspaceAccess');
+
+const corsHeaders = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+};
+
+module.exports = async function (context, req) {
+    // Handle CORS
+    if (req.method === 'OPTIONS') {
+        context.res = {
+            status: 200,
+            headers: {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+            },
+            body: ''
+        };
+        return;
+    }
+
+    const request = req.body || {};
+    if (typeof request.query !== 'string') {
+        context.res = {
+            status: 400,
+            headers: corsHeaders,
+            body: { error: 'query is required' }
+        };
+        return;
+    }
+
+    try {
+        const authToken = req.headers?.authorization;
+        const analysis = await analyzeQueryAccess(request.query, {
+            workspaceId: request.workspaceId,
+            workspaceIds: Array.isArray(request.workspaceIds) ? request.workspaceIds : [],
+            token: authToken && authToken.startsWith('Bearer ') ? authToken.substring(7) : null,
+            log: context.log
+        });
+
+        context.res = {
+            status: 200,
+            headers: corsHeaders,
+            body: {
+                valid: analysis.valid,
+                diagnostics: analysis.diagnostics,
+                tables: analysis.tables,
+                workspaceReferences: analysis.workspaceReferences
+            }
+        };
+    } catch (error) {
+        context.log.error('Error analyzing KQL query:', error);
+        context.res = {
+            status: 500,
+            headers: corsHeaders,
+            body: { error: 'Failed to analyze query', message: error.message }
+        };
+    }
+};
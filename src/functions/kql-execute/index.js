@@ -1,5 +1,23 @@
 const { DefaultAzureCredential } = require("@azure/identity");
-const { MonitorQueryClient } = require("@azure/monitor-query");
+const { LogsQueryClient, Durations } = require("@azure/monitor-query");
+const registry = require('../shared/endpointRegistry');
+const {
+    alignTimeWindow,
+    parseCacheControl,
+    getCallerKey,
+    cachedQuery,
+    cacheHeaders
+} = require('../shared/queryResultCache');
+
+// ISO 8601 duration (P1D, PT4H, P7DT12H) -> milliseconds
+function durationToMs(duration) {
+    const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i.exec(duration || '');
+    if (!match || duration.length < 3) {
+        return null;
+    }
+    const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    return ((((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60 + +seconds) * 1000;
+}
 
 module.exports = async function (context, req) {
     context.log('KQL execute endpoint called');
@@ -9,7 +27,8 @@ module.exports = async function (context, req) {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Cache-Control',
+        'Access-Control-Expose-Headers': 'X-Cache, Age'
     };
 
     // Handle OPTIONS request for CORS
@@ -42,29 +61,59 @@ module.exports = async function (context, req) {
         const credential = new DefaultAzureCredential();
         
         // Configure for Government cloud endpoints
-        const logAnalyticsEndpoint = process.env.LogAnalyticsEndpoint || 'https://api.loganalytics.us';
+        const logAnalyticsEndpoint = registry.getEndpoint('logAnalytics');
         
-        // Create Monitor Query Client for Government cloud
-        const client = new MonitorQueryClient(credential, {
+        // Create Logs Query Client for Government cloud
+        const client = new LogsQueryClient(credential, {
             endpoint: logAnalyticsEndpoint
         });
 
         // Set default timespan if not provided (last 24 hours)
-        const queryTimespan = timespan || 'P1D';
-        
+        const queryTimespan = timespan || Durations.oneDay;
+        const timespanMs = durationToMs(queryTimespan);
+
+        if (!timespanMs) {
+            context.res = {
+                status: 400,
+                headers: headers,
+                body: JSON.stringify({
+                    error: 'Invalid timespan',
+                    message: 'timespan must be an ISO 8601 duration such as P1D or PT4H'
+                })
+            };
+            return;
+        }
+
+        // Resolve the duration to absolute, minute-aligned bounds so refreshes share cache entries
+        const now = Date.now();
+        const timeInterval = alignTimeWindow({ startTime: new Date(now - timespanMs), endTime: new Date(now) });
+
         context.log(`Executing KQL query on workspace ${workspaceId}`);
         
         try {
-            // Execute the KQL query
-            const result = await client.queryWorkspace(
-                workspaceId,
+            // Execute the KQL query (or reuse a cached result)
+            const { value: result, cache } = await cachedQuery({
                 query,
-                {
-                    duration: queryTimespan,
-                    includeQueryStatistics: true,
-                    includeVisualization: true
-                }
-            );
+                workspaceId,
+                timeWindow: timeInterval,
+                caller: getCallerKey(req),
+                cacheControl: parseCacheControl(req.headers['cache-control'])
+            }, async () => {
+                const queryResult = await client.queryWorkspace(
+                    workspaceId,
+                    query,
+                    timeInterval,
+                    {
+                        includeStatistics: true,
+                        includeVisualization: true
+                    }
+                );
+                return {
+                    tables: queryResult.tables,
+                    statistics: queryResult.statistics,
+                    visualization: queryResult.visualization
+                };
+            });
 
             // Process the results
             const tables = [];
@@ -90,17 +139,20 @@ module.exports = async function (context, req) {
                     workspaceId: workspaceId,
                     query: query,
                     timespan: queryTimespan,
+                    startTime: timeInterval.startTime.toISOString(),
+                    endTime: timeInterval.endTime.toISOString(),
                     executedAt: new Date().toISOString(),
                     rowCount: tables[0]?.rows?.length || 0,
                     columnCount: tables[0]?.columns?.length || 0
-                }
+                },
+                cache
             };
 
             context.log(`Query executed successfully, returned ${response.metadata.rowCount} rows`);
 
             context.res = {
                 status: 200,
-                headers: headers,
+                headers: { ...headers, ...cacheHeaders(cache) },
                 body: JSON.stringify(response)
             };
             
@@ -142,7 +194,7 @@ module.exports = async function (context, req) {
             body: JSON.stringify({
                 error: 'Failed to execute KQL query',
                 message: error.message,
-                environment: process.env.AZURE_ENVIRONMENT || 'AzureUSGovernment'
+                environment: registry.getEnvironmentName()
             })
         };
     }
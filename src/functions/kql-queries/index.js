@@ -0,0 +1,89 @@
+// Status and cancellation for KQL queries started through /kql/execute
+//
+// GET  /kql/queries/{queryId}          current status of the query
+// POST /kql/queries/{queryId}/cancel   abort the in-flight Log Analytics request
+
+const { StoreError } = require('../shared/entityStore');
+const { getVerifiedIdentity } = require('../shared/clientPrincipal');
+const { cancelQuery, getQueryStatus } = require('../shared/kqlQueryRegistry');
+
+const corsHeaders = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+};
+
+module.exports = async function (context, req) {
+    // Handle CORS
+    if (req.method === 'OPTIONS') {
+        context.res = {
+            status: 200,
+            headers: {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+            },
+            body: ''
+        };
+        return;
+    }
+
+    const { queryId, action } = req.params;
+    const { userId, verified } = await getVerifiedIdentity(req, context.log);
+
+    // Unverified callers share one identity, so they could reach each other's queries
+    if (!verified) {
+        context.res = {
+            status: 401,
+            headers: corsHeaders,
+            body: {
+                error: 'Invalid authorization token',
+                message: 'Query status and cancellation need a token that validates for this app (see TOKEN_AUDIENCES)'
+            }
+        };
+        return;
+    }
+
+    try {
+        let result;
+
+        if (req.method === 'GET' && !action) {
+            result = await getQueryStatus(queryId, userId);
+        } else if (req.method === 'POST' && action === 'cancel') {
+            context.log(`Cancelling KQL query ${queryId} for user: ${userId}`);
+            result = await cancelQuery(queryId, userId);
+        } else {
+            context.res = {
+                status: 405,
+                headers: corsHeaders,
+                body: { error: `${req.method} is not supported for this route` }
+            };
+            return;
+        }
+
+        context.res = {
+            status: 200,
+            headers: corsHeaders,
+            body: result
+        };
+
+    } catch (error) {
+        if (error instanceof StoreError) {
+            context.res = {
+                status: error.statusCode,
+                headers: corsHeaders,
+                body: { error: error.message, code: error.code }
+            };
+            return;
+        }
+
+        context.log.error('Error in kql-queries function:', error);
+        context.res = {
+            status: 500,
+            headers: corsHeaders,
+            body: {
+                error: 'Failed to process query request',
+                details: error.message
+            }
+        };
+    }
+};
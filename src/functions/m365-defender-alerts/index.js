@@ -1,4 +1,4 @@
-const fetch = require('node-fetch');
+const { GraphClient } = require('../shared/graphClient');
 
 module.exports = async function (context, req) {
     context.log('M365 Defender alerts function triggered');
@@ -31,26 +31,26 @@ module.exports = async function (context, req) {
             filters.push(`category eq '${category}'`);
         }
         
-        // Construct URL with filters - Using Microsoft Graph API
-        let apiUrl = `https://graph.microsoft.com/v1.0/security/alerts_v2?$top=${top}`;
+        // Construct path with filters - Graph host follows AZURE_ENVIRONMENT
+        let path = `/security/alerts_v2?$top=${Math.min(top, 100)}`;
         if (filters.length > 0) {
-            apiUrl += `&$filter=${filters.join(' and ')}`;
+            path += `&$filter=${encodeURIComponent(filters.join(' and '))}`;
         }
         
-        // Call Microsoft Graph API
-        const response = await fetch(apiUrl, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/json',
-                'Content-Type': 'application/json'
+        const graph = new GraphClient(token, { log: context.log, version: process.env.GRAPH_API_VERSION });
+
+        // Call Microsoft Graph API, following @odata.nextLink up to the requested count
+        let data;
+        try {
+            data = await graph.getAllPages(path, { maxItems: parseInt(top) || 100 });
+        } catch (graphError) {
+            if (!graphError.statusCode) {
+                throw graphError;
             }
-        });
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            context.log(`M365 Defender API error: ${response.status} - ${errorText}`);
+            context.log(`M365 Defender API error: ${graphError.message}`);
             
-            if (response.status === 401) {
+            if (graphError.statusCode === 401) {
                 context.res = {
                     status: 401,
                     body: { 
@@ -62,28 +62,10 @@ module.exports = async function (context, req) {
             }
             
             context.res = {
-                status: response.status,
+                status: graphError.statusCode,
                 body: { 
                     error: 'Failed to fetch alerts from M365 Defender',
-                    details: errorText
-                }
-            };
-            return;
-        }
-
-        let data;
-        try {
-            data = await response.json();
-        } catch (jsonError) {
-            // If we can't parse the response, return empty results
-            context.log('Response was not valid JSON, returning empty results');
-            context.res = {
-                status: 200,
-                body: {
-                    alerts: [],
-                    totalCount: 0,
-                    timestamp: new Date().toISOString(),
-                    note: 'No security alerts found in your tenant.'
+                    details: graphError.message
                 }
             };
             return;
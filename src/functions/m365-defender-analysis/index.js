@@ -1,5 +1,16 @@
 const { ManagedIdentityCredential } = require('@azure/identity');
 const { LogsQueryClient } = require('@azure/monitor-query');
+const registry = require('../shared/endpointRegistry');
+const { getVerifiedIdentity } = require('../shared/clientPrincipal');
+const { renderTemplate } = require('../shared/promptTemplates');
+
+// ai-prompt analysisType -> prompt template
+const INCIDENT_PROMPT_TEMPLATES = {
+    executive: 'incident-executive',
+    technical: 'incident-technical',
+    business: 'incident-business',
+    recommendations: 'incident-recommendations'
+};
 
 module.exports = async function (context, req) {
     context.log('M365 Defender Analysis function triggered');
@@ -46,7 +57,7 @@ module.exports = async function (context, req) {
     try {
         const credential = new ManagedIdentityCredential();
         const logsClient = new LogsQueryClient(credential, {
-            endpoint: process.env.LogAnalyticsEndpoint || 'https://api.loganalytics.io'
+            endpoint: registry.getEndpoint('logAnalytics')
         });
 
         if (action === 'full-analysis') {
@@ -374,40 +385,10 @@ SecurityAlert
             };
 
         } else if (action === 'ai-prompt') {
-            // Generate AI analysis prompt
+            // Generate AI analysis prompt from the team's prompt templates
             const { analysisType = 'executive' } = req.body;
-            
-            const prompts = {
-                executive: {
-                    system: `You are a senior security analyst providing an executive summary of security incidents. 
-Focus on business impact, risk assessment, and high-level required actions. 
-Keep the summary concise and suitable for non-technical leadership.
-Format your response with clear sections and bullet points.`,
-                    user: generateExecutivePrompt(incident)
-                },
-                technical: {
-                    system: `You are a security expert providing deep technical analysis of security incidents.
-Focus on attack vectors, techniques used, indicators of compromise, and technical details.
-Map findings to MITRE ATT&CK framework where applicable.
-Provide specific technical recommendations.`,
-                    user: generateTechnicalPrompt(incident)
-                },
-                business: {
-                    system: `You are a risk analyst assessing the business impact of security incidents.
-Focus on potential financial impact, compliance implications, operational disruptions, and reputational risk.
-Provide risk ratings and business-oriented recommendations.`,
-                    user: generateBusinessPrompt(incident)
-                },
-                recommendations: {
-                    system: `You are an incident response specialist providing actionable recommendations.
-Focus on immediate containment actions, investigation steps, remediation requirements, and prevention measures.
-Include specific KQL queries for further investigation where applicable.
-Structure recommendations by priority and timeline.`,
-                    user: generateRecommendationsPrompt(incident)
-                }
-            };
-
-            const selectedPrompt = prompts[analysisType] || prompts.executive;
+            const templateId = INCIDENT_PROMPT_TEMPLATES[analysisType] || INCIDENT_PROMPT_TEMPLATES.executive;
+            const selectedPrompt = await renderTemplate(await getVerifiedIdentity(req, context.log), templateId, incident, { log: context.log });
 
             context.res = {
                 status: 200,
@@ -418,7 +399,12 @@ Structure recommendations by priority and timeline.`,
                 body: {
                     systemPrompt: selectedPrompt.system,
                     userPrompt: selectedPrompt.user,
-                    analysisType: analysisType
+                    analysisType: analysisType,
+                    template: {
+                        id: selectedPrompt.templateId,
+                        source: selectedPrompt.source,
+                        version: selectedPrompt.version
+                    }
                 }
             };
 
@@ -461,96 +447,4 @@ function deduplicateEntities(entities, keyField) {
         seen.add(key);
         return true;
     });
-}
-
-// Prompt generation functions
-function generateExecutivePrompt(incident) {
-    return `Analyze this security incident and provide an executive summary:
-
-INCIDENT DETAILS:
-- Title: ${incident.title}
-- Incident Number: ${incident.incidentNumber}
-- Severity: ${incident.severity}
-- Status: ${incident.status}
-- Classification: ${incident.classification || 'Under Investigation'}
-- Created: ${incident.createdTime}
-- Alerts: ${incident.alerts || 0}
-- Affected Users: ${incident.users || 0}
-- Affected Devices: ${incident.devices || 0}
-
-Provide:
-1. Executive Summary (2-3 sentences)
-2. Business Impact Assessment
-3. Risk Level (Critical/High/Medium/Low) with justification
-4. Recommended Executive Actions (3-5 bullet points)
-5. Key Metrics and Timeline`;
-}
-
-function generateTechnicalPrompt(incident) {
-    return `Perform technical analysis of this security incident:
-
-INCIDENT: ${incident.title}
-Severity: ${incident.severity}
-Alert Count: ${incident.alerts || 0}
-
-TECHNICAL CONTEXT:
-${incident.description || 'No description available'}
-
-Analyze and provide:
-1. Attack Vector Analysis
-2. MITRE ATT&CK Tactics and Techniques
-3. Indicators of Compromise (IoCs)
-4. Attack Timeline and Progression
-5. Detection Gaps and Improvements
-6. Technical Containment Actions`;
-}
-
-function generateBusinessPrompt(incident) {
-    return `Assess the business impact of this security incident:
-
-INCIDENT: ${incident.title}
-Severity: ${incident.severity}
-Classification: ${incident.classification || 'Under Investigation'}
-Affected Systems: Users: ${incident.users || 0}, Devices: ${incident.devices || 0}
-
-Provide assessment of:
-1. Potential Financial Impact (data breach costs, downtime, recovery)
-2. Compliance and Regulatory Implications
-3. Operational Disruption Assessment
-4. Reputational Risk Analysis
-5. Customer/Partner Impact
-6. Business Continuity Recommendations`;
-}
-
-function generateRecommendationsPrompt(incident) {
-    return `Provide actionable recommendations for this security incident:
-
-INCIDENT: ${incident.title} (#${incident.incidentNumber})
-Severity: ${incident.severity}
-Status: ${incident.status}
-Alerts: ${incident.alerts || 0}
-
-Generate comprehensive recommendations:
-
-1. IMMEDIATE ACTIONS (within 1 hour):
-   - Containment steps
-   - Evidence preservation
-   - Critical notifications
-
-2. SHORT-TERM ACTIONS (within 24 hours):
-   - Investigation queries (provide specific KQL)
-   - System isolation requirements
-   - Password reset scope
-
-3. MEDIUM-TERM ACTIONS (within 1 week):
-   - Remediation requirements
-   - Security control improvements
-   - Monitoring enhancements
-
-4. LONG-TERM ACTIONS (within 1 month):
-   - Process improvements
-   - Training requirements
-   - Policy updates
-
-Include specific KQL queries for investigation where applicable.`;
 }
\ No newline at end of file
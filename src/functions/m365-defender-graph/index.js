@@ -1,5 +1,18 @@
-const https = require('https');
-const { OpenAIClient, AzureKeyCredential } = require('@azure/openai');
+const { OpenAIClient } = require('../shared/openaiClient');
+const { GraphClient } = require('../shared/graphClient');
+const { ANONYMOUS_IDENTITY, getTokenClaims, identityFromClaims } = require('../shared/clientPrincipal');
+const { usageRecorder } = require('../shared/usageLedger');
+const { renderTemplate } = require('../shared/promptTemplates');
+const { getDeploymentProfile } = require('../shared/modelProbe');
+const { SECURITY_ANALYSIS_SCHEMA, completeStructured, formatSecurityAnalysis } = require('../shared/structuredOutput');
+const { StoreError } = require('../shared/entityStore');
+const incidentTriage = require('../shared/incidentTriage');
+const { buildEntityGraph, expandNode, listPivots } = require('../shared/entityGraph');
+const { enrichIndicators, indicatorsFromEntities, annotateEntities, summarizeForPrompt } = require('../shared/threatIntel');
+const registry = require('../shared/endpointRegistry');
+
+// Actions that change incidents in Defender (plus their audit trail)
+const TRIAGE_ACTIONS = ['update-incident', 'add-comment', 'incident-tags', 'incident-audit'];
 
 module.exports = async function (context, req) {
     context.log('M365 Defender Graph API function triggered');
@@ -39,15 +52,22 @@ module.exports = async function (context, req) {
     }
 
     try {
+        // Graph host follows AZURE_ENVIRONMENT (graph.microsoft.us / dod-graph.microsoft.us)
+        const graph = new GraphClient(token, {
+            log: context.log,
+            version: req.query?.graphVersion || process.env.GRAPH_API_VERSION
+        });
+
         if (action === 'incidents') {
             // Fetch incidents with expanded alerts using Microsoft Graph API
-            // Note: Microsoft Graph limits $top to 50 when expanding alerts
+            // Note: Microsoft Graph limits $top to 50 per page when expanding alerts,
+            // larger requests are satisfied by following @odata.nextLink
             const { top = 50, filter, orderby = 'createdDateTime desc' } = req.query || {};
             
             // Build query parameters
             const queryParams = new URLSearchParams();
             queryParams.append('$expand', 'alerts');
-            queryParams.append('$top', Math.min(top, 50)); // Enforce max 50 limit
+            queryParams.append('$top', Math.min(top, 50)); // Enforce max 50 per page
             queryParams.append('$orderby', orderby);
             
             if (filter) {
@@ -56,10 +76,9 @@ module.exports = async function (context, req) {
             
             context.log(`Fetching incidents from Microsoft Graph with params: ${queryParams.toString()}`);
             
-            const incidents = await fetchFromGraph(
+            const incidents = await graph.getAllPages(
                 `/security/incidents?${queryParams.toString()}`,
-                token,
-                context
+                { maxItems: parseInt(top) || 50 }
             );
             
             // Transform Graph API response to match our frontend expectations
@@ -101,15 +120,18 @@ module.exports = async function (context, req) {
             // Remove all demo handling - always fetch real data from Graph API
             
             // Fetch incident with expanded alerts
-            const incident = await fetchFromGraph(
-                `/security/incidents/${incidentId}?$expand=alerts`,
-                token,
-                context
-            );
+            const incident = await graph.get(`/security/incidents/${incidentId}?$expand=alerts`);
             
             // Process and extract detailed evidence from alerts
             const analysis = processIncidentWithEvidence(incident, context);
             
+            // Reputation of the incident's IPs, URLs and file hashes (skip with threatIntel: false)
+            // App-only tokens name no user and so no tenant to read threat intelligence for
+            const user = req.body?.threatIntel !== false && await getGraphUser(graph, req, true);
+            if (user) {
+                await enrichWithThreatIntel(analysis, graph, user, context);
+            }
+            
             context.res = {
                 status: 200,
                 headers: {
@@ -119,21 +141,98 @@ module.exports = async function (context, req) {
                 body: analysis
             };
             
+        } else if (action === 'entity-graph') {
+            // Entity-relationship graph of an incident's evidence
+            const incidentId = req.body?.incidentId || req.query?.incidentId;
+            
+            if (!incidentId) {
+                context.res = {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders
+                    },
+                    body: { error: 'incidentId is required' }
+                };
+                return;
+            }
+            
+            const incident = await graph.get(`/security/incidents/${encodeURIComponent(incidentId)}?$expand=alerts`);
+            const entityGraph = buildEntityGraph(processIncidentWithEvidence(incident, context));
+            
+            context.res = {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders
+                },
+                body: {
+                    incidentId,
+                    ...entityGraph,
+                    pivots: listPivots(),
+                    timestamp: new Date().toISOString()
+                }
+            };
+            
+        } else if (action === 'entity-expand') {
+            // Pivot from one node: follow-up advanced hunting and Graph lookups
+            const { node, lookbackDays, pivots } = req.body || {};
+            
+            if (!node?.id || !node?.type || typeof node.properties !== 'object') {
+                context.res = {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders
+                    },
+                    body: { error: 'node with id, type and properties is required' }
+                };
+                return;
+            }
+            if (!isNameList(pivots)) {
+                context.res = {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders
+                    },
+                    body: { error: 'pivots must be an array of pivot names' }
+                };
+                return;
+            }
+            
+            context.log(`Expanding ${node.id} (lookback ${lookbackDays || 'default'} days)`);
+            
+            const expansion = await expandNode(graph, node, {
+                lookbackDays,
+                pivots,
+                processIncident: (incident) => processIncidentWithEvidence(incident, context),
+                log: context.log
+            });
+            
+            context.res = {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders
+                },
+                body: { ...expansion, timestamp: new Date().toISOString() }
+            };
+            
         } else if (action === 'alerts') {
             // Get alerts with evidence
             const { top = 50, filter } = req.query || {};
             
             const queryParams = new URLSearchParams();
-            queryParams.append('$top', Math.min(top, 100)); // Alerts endpoint allows up to 100
+            queryParams.append('$top', Math.min(top, 100)); // Alerts endpoint allows up to 100 per page
             
             if (filter) {
                 queryParams.append('$filter', filter);
             }
             
-            const alerts = await fetchFromGraph(
+            const alerts = await graph.getAllPages(
                 `/security/alerts_v2?${queryParams.toString()}`,
-                token,
-                context
+                { maxItems: parseInt(top) || 50 }
             );
             
             context.res = {
@@ -174,16 +273,23 @@ module.exports = async function (context, req) {
                 processedData = incidentData;
             } else {
                 // Fetch the incident details with expanded alerts
-                const incident = await fetchFromGraph(
-                    `/security/incidents/${incidentId}?$expand=alerts`,
-                    token,
-                    context
-                );
+                const incident = await graph.get(`/security/incidents/${incidentId}?$expand=alerts`);
                 
                 // Process incident to extract all evidence
                 processedData = processIncidentWithEvidence(incident, context);
             }
             
+            // Usage is billed to the caller and threat intelligence is read for their tenant;
+            // fetching the incident already proved the token. App-only tokens name no user:
+            // their usage is anonymous and they get no threat intelligence
+            const user = await getGraphUser(graph, req, !incidentData);
+            const identity = user || { ...ANONYMOUS_IDENTITY };
+            
+            // Verdicts go into the prompt; incident data from incident-details already has them
+            if (user && !processedData.threatIntel && processedData.entities) {
+                await enrichWithThreatIntel(processedData, graph, user, context);
+            }
+            
             // If OpenAI parameters are provided, use real AI analysis
             if (resourceName && deploymentName) {
                 try {
@@ -193,7 +299,8 @@ module.exports = async function (context, req) {
                         resourceName, 
                         deploymentName, 
                         token,
-                        context
+                        context,
+                        identity
                     );
                     
                     context.res = {
@@ -234,6 +341,117 @@ module.exports = async function (context, req) {
                 };
             }
             
+        } else if (action === 'threat-intel') {
+            // Reputation of given indicators ([{ type, value }]) or of an incident's evidence
+            const { incidentId, indicators, providers } = req.body || {};
+            
+            if (!Array.isArray(indicators) && !incidentId) {
+                context.res = {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders
+                    },
+                    body: { error: 'indicators ([{ type, value }]) or incidentId is required' }
+                };
+                return;
+            }
+            if (!isNameList(providers)) {
+                context.res = {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders
+                    },
+                    body: { error: 'providers must be an array of provider names' }
+                };
+                return;
+            }
+            
+            // Threat intelligence is organisation data: only callers whose token Graph
+            // accepts for security incidents get to query it
+            let lookup = indicators;
+            if (!Array.isArray(indicators)) {
+                const incident = await graph.get(`/security/incidents/${encodeURIComponent(incidentId)}?$expand=alerts`);
+                lookup = indicatorsFromEntities(processIncidentWithEvidence(incident, context).entities);
+            }
+            const identity = await getGraphIdentity(graph, req, !Array.isArray(indicators));
+            
+            const enrichment = await enrichIndicators(lookup, {
+                graph,
+                tenantId: identity.tenantId,
+                providers,
+                log: context.log
+            });
+            
+            context.res = {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders
+                },
+                body: { incidentId, ...enrichment }
+            };
+            
+        } else if (TRIAGE_ACTIONS.includes(action)) {
+            // Triage writes back to Defender and is audited; needs SecurityIncident.ReadWrite.All
+            const { incidentId, ...input } = req.body || {};
+            const auditIncidentId = incidentId || req.query?.incidentId;
+            
+            if (!auditIncidentId) {
+                context.res = {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders
+                    },
+                    body: { error: 'incidentId is required' }
+                };
+                return;
+            }
+            
+            // Reading the incident proves the token; who acted and whose audit trail
+            // is read then come from that token's claims rather than any header
+            await graph.get(`/security/incidents/${encodeURIComponent(auditIncidentId)}`);
+            const identity = await getGraphIdentity(graph, req, true);
+            const options = { log: context.log };
+            let body;
+            
+            if (action === 'update-incident') {
+                context.log(`${identity.userName} is updating incident ${incidentId}`);
+                const incident = await incidentTriage.updateIncident(graph, identity, incidentId, input, options);
+                // Field names follow transformIncidents so the UI can merge the result into its list
+                body = {
+                    incident: {
+                        id: incident.incidentId || incident.id,
+                        status: (incident.status || 'active').toLowerCase(),
+                        owner: incident.assignedTo || '',
+                        classification: incident.classification || 'Unknown',
+                        determination: incident.determination || 'Unknown',
+                        tags: incident.customTags || [],
+                        lastActivityTime: incident.lastUpdateDateTime
+                    }
+                };
+            } else if (action === 'add-comment') {
+                const comments = await incidentTriage.addComment(graph, identity, incidentId, input.comment, options);
+                body = { incidentId, comments };
+            } else if (action === 'incident-tags') {
+                const tags = await incidentTriage.setTags(graph, identity, incidentId, input, options);
+                body = { incidentId, tags };
+            } else {
+                const entries = await incidentTriage.getAuditTrail(identity, auditIncidentId, { limit: req.query?.limit || input.limit });
+                body = { incidentId: auditIncidentId, entries, count: entries.length };
+            }
+            
+            context.res = {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders
+                },
+                body: { ...body, timestamp: new Date().toISOString() }
+            };
+            
         } else {
             context.res = {
                 status: 400,
@@ -246,6 +464,18 @@ module.exports = async function (context, req) {
         }
         
     } catch (error) {
+        if (error instanceof StoreError) {
+            context.res = {
+                status: error.statusCode,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders
+                },
+                body: { error: error.message, code: error.code }
+            };
+            return;
+        }
+        
         context.log.error(`Error in M365 Defender Graph function: ${error.message}`);
         
         // Provide more detailed error information
@@ -258,7 +488,9 @@ module.exports = async function (context, req) {
         // Check for specific error types
         if (error.message?.includes('401')) {
             errorResponse.details = 'Authentication failed. The token may not have the required permissions.';
-            errorResponse.requiredScopes = 'SecurityEvents.Read.All or SecurityEvents.ReadWrite.All';
+            errorResponse.requiredScopes = TRIAGE_ACTIONS.includes(action)
+                ? 'SecurityIncident.ReadWrite.All'
+                : 'SecurityEvents.Read.All or SecurityEvents.ReadWrite.All';
         } else if (error.message?.includes('403')) {
             errorResponse.details = 'Access forbidden. This may require Microsoft 365 E5 or Microsoft Defender for Endpoint P2 license.';
             errorResponse.suggestion = 'Try switching to Azure Sentinel data source if available.';
@@ -277,59 +509,44 @@ module.exports = async function (context, req) {
     }
 };
 
-// Helper function to call Microsoft Graph API
-async function fetchFromGraph(endpoint, token, context) {
-    return new Promise((resolve, reject) => {
-        const options = {
-            hostname: 'graph.microsoft.com',
-            path: `/v1.0${endpoint}`,
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            },
-            timeout: 10000 // 10 second timeout
-        };
-        
-        context.log(`Calling Graph API: ${options.path}`);
-        
-        const req = https.request(options, (res) => {
-            let data = '';
-            
-            res.on('data', (chunk) => {
-                data += chunk;
-            });
-            
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    try {
-                        const result = JSON.parse(data);
-                        resolve(result);
-                    } catch (e) {
-                        reject(new Error(`Failed to parse Graph API response: ${e.message}`));
-                    }
-                } else {
-                    const error = new Error(`Graph API returned ${res.statusCode}: ${data}`);
-                    error.statusCode = res.statusCode;
-                    reject(error);
-                }
-            });
-        });
-        
-        req.on('error', (error) => {
-            context.log(`Graph API request error: ${error.message}`);
-            reject(error);
-        });
-        
-        req.on('timeout', () => {
-            context.log(`Graph API request timed out after 10 seconds`);
-            req.destroy();
-            reject(new Error('Graph API request timed out'));
-        });
-        
-        req.setTimeout(10000); // Set the timeout
-        req.end();
+// Optional name filters (pivots, providers) are matched with includes(), so only arrays of strings
+function isNameList(value) {
+    return value === undefined || (Array.isArray(value) && value.every(name => typeof name === 'string'));
+}
+
+// The caller's identity from their Graph token. Graph tokens cannot be validated
+// locally, but once Graph has answered a call made with one its claims are genuine;
+// proven says such a call already succeeded, otherwise a minimal one is made.
+// null for tokens without a user (app-only)
+async function getGraphUser(graph, req, proven = false) {
+    if (!proven) {
+        await graph.get('/security/incidents?$top=1&$select=id');
+    }
+    const claims = getTokenClaims(req);
+    return claims?.oid ? identityFromClaims(claims) : null;
+}
+
+// As getGraphUser, for actions that must be attributed to a user
+async function getGraphIdentity(graph, req, proven = false) {
+    const identity = await getGraphUser(graph, req, proven);
+    if (!identity) {
+        throw new StoreError('The Graph token does not identify a user', 'UNAUTHORIZED', 401);
+    }
+    return identity;
+}
+
+// Look up the reputation of the incident's indicators and mark the entities that have one;
+// identity comes from getGraphIdentity so its tenant is genuine
+async function enrichWithThreatIntel(processedData, graph, identity, context) {
+    const enrichment = await enrichIndicators(indicatorsFromEntities(processedData.entities), {
+        graph,
+        tenantId: identity.tenantId,
+        log: context.log
     });
+    annotateEntities(processedData.entities, enrichment);
+    processedData.threatIntel = enrichment;
+    context.log(`Threat intelligence: ${enrichment.summary.malicious} malicious, ${enrichment.summary.suspicious} suspicious of ${enrichment.summary.total} indicators`);
+    return processedData;
 }
 
 // Transform Graph API incidents to match our format
@@ -551,6 +768,7 @@ function processIncidentWithEvidence(incident, context) {
                     alertEntities.files.push(fileEntity);
                 } else if (evidenceType.includes('processEvidence')) {
                     const processEntity = {
+                        deviceId: evidence.mdeDeviceId,
                         processId: evidence.processId,
                         commandLine: evidence.processCommandLine,
                         processCommandLine: evidence.processCommandLine,
@@ -827,7 +1045,8 @@ function generateAIAnalysis(processedData, context) {
         threatActors: identifyPotentialThreatActors(incident),
         knownPatterns: matchKnownPatterns(incident),
         relatedIncidents: `Based on the incident patterns, this may be related to ${determination === 'maliciousActivity' ? 'ongoing threat campaigns' : 'routine security monitoring'}.`,
-        iocCorrelation: correlateIOCs(incident)
+        iocCorrelation: correlateIOCs({...incident, entities, threatIntel: processedData.threatIntel}),
+        indicatorReputation: summarizeForPrompt(processedData.threatIntel) || null
     };
     
     // Build recommendations
@@ -1846,7 +2065,14 @@ function correlateIOCs(incident) {
             correlationLevel = 'Limited correlation - isolated activity. ';
         }
         
-        return correlationLevel + '\n\nIndicators of Compromise:\n' + iocList.join('\n');
+        // Verdicts from the threat intelligence providers, when the incident was enriched
+        const known = (incident.threatIntel?.indicators || []).filter(result => result.verdict !== 'unknown');
+        const reputation = known.length
+            ? '\n\nThreat Intelligence Matches:\n' + known.slice(0, 10).map(result =>
+                `${result.type} ${result.value}: ${result.verdict}${result.confidence !== null ? ` (confidence ${result.confidence})` : ''} - ${result.sources.join(', ')}`).join('\n')
+            : '';
+        
+        return correlationLevel + '\n\nIndicators of Compromise:\n' + iocList.join('\n') + reputation;
     }
     
     return 'No IOCs identified in this incident.';
@@ -1928,23 +2154,18 @@ function calculateConfidenceLevel(incident) {
 }
 
 // Generate real AI analysis using Azure OpenAI
-async function generateRealAIAnalysis(incidentData, resourceName, deploymentName, token, context) {
+async function generateRealAIAnalysis(incidentData, resourceName, deploymentName, token, context, identity) {
     context.log(`Generating real AI analysis using ${resourceName}/${deploymentName}`);
     const startTime = Date.now(); // Track performance metrics
     
     try {
-        // Get Azure OpenAI endpoint and key from environment or use defaults
-        const endpoint = process.env.AZURE_OPENAI_ENDPOINT || `https://${resourceName}.openai.azure.com`;
-        const apiKey = process.env.AZURE_OPENAI_KEY;
-        
-        if (!apiKey) {
-            context.log.warn('Azure OpenAI API key not found in environment, attempting to use managed identity');
-            // For now, fall back to mock if no API key
-            return generateMockAIAnalysis(incidentData, context);
-        }
-        
-        // Initialize OpenAI client
-        const client = new OpenAIClient(endpoint, new AzureKeyCredential(apiKey));
+        // The caller's token is scoped to Microsoft Graph, so Azure OpenAI is called with the managed identity
+        const endpoint = process.env.AZURE_OPENAI_ENDPOINT || registry.getOpenAIEndpoint(resourceName);
+        const client = new OpenAIClient({
+            endpoint,
+            log: context.log,
+            onUsage: usageRecorder(identity, 'm365-defender-graph', context.log)
+        });
         
         // Prepare the incident summary for AI analysis
         const incidentSummary = {
@@ -1961,57 +2182,41 @@ async function generateRealAIAnalysis(incidentData, resourceName, deploymentName
                 description: t.description
             })) || [],
             mitreTactics: incidentData.mitreTactics?.slice(0, 5) || [],
-            topRecommendations: incidentData.recommendations?.slice(0, 3) || []
+            topRecommendations: incidentData.recommendations?.slice(0, 3) || [],
+            threatIntel: summarizeForPrompt(incidentData.threatIntel)
         };
         
-        // Create the prompt for AI analysis
-        const systemPrompt = `You are a cybersecurity expert analyzing Microsoft 365 Defender incidents. 
-Provide a comprehensive security analysis with specific, actionable recommendations.
-Focus on threat assessment, attack patterns, and mitigation strategies.
-Be concise but thorough. Use security industry best practices and frameworks like MITRE ATT&CK.`;
-        
-        const userPrompt = `Analyze this security incident and provide:
-1. Executive Summary (2-3 sentences)
-2. Threat Assessment (severity justification and potential impact)
-3. Attack Pattern Analysis (tactics used and likely next steps)
-4. Immediate Actions Required (top 3-5 urgent steps)
-5. Long-term Security Improvements (strategic recommendations)
-6. Indicators of Compromise to monitor
-
-Incident Data:
-${JSON.stringify(incidentSummary, null, 2)}`;
+        // Create the prompt for AI analysis from the team's template
+        const prompt = await renderTemplate(identity, 'defender-incident-analysis', { incidentData: incidentSummary }, { log: context.log });
         
         context.log(`Sending request to Azure OpenAI with deployment: ${deploymentName}`);
         
         // Call Azure OpenAI
         const messages = [
-            { role: "system", content: systemPrompt },
-            { role: "user", content: userPrompt }
+            { role: "system", content: prompt.system },
+            { role: "user", content: prompt.user }
         ];
         
-        const result = await client.getChatCompletions(
-            deploymentName,
+        // The answer follows SECURITY_ANALYSIS_SCHEMA and is validated (and repaired) on receipt
+        const profile = await getDeploymentProfile({ hostname: client.hostname, deploymentName, log: context.log });
+        const result = await completeStructured(client, deploymentName, {
             messages,
-            {
-                maxTokens: 2000,
-                temperature: 0.7,
-                topP: 0.9,
-                frequencyPenalty: 0.3,
-                presencePenalty: 0.3
-            }
-        );
-        
-        const aiResponse = result.choices[0]?.message?.content || '';
-        
-        if (!aiResponse) {
-            context.log.error('Empty response from Azure OpenAI');
-            return generateMockAIAnalysis(incidentData, context);
-        }
+            max_tokens: 2000,
+            temperature: 0.7,
+            top_p: 0.9,
+            frequency_penalty: 0.3,
+            presence_penalty: 0.3
+        }, {
+            name: 'security_analysis',
+            schema: SECURITY_ANALYSIS_SCHEMA,
+            profile,
+            label: 'Defender incident analysis',
+            log: context.log
+        });
         
-        context.log('Successfully generated AI analysis');
+        context.log(`Successfully generated AI analysis (${result.attempts} attempt(s), ${result.responseFormat})`);
         
-        // Parse the AI response into structured format
-        const analysis = parseAIResponse(aiResponse, incidentData);
+        const analysis = buildStructuredAnalysis(result.data, incidentData, result.model || deploymentName);
         
         return {
             analysis,
@@ -2019,8 +2224,11 @@ ${JSON.stringify(incidentSummary, null, 2)}`;
                 model: deploymentName,
                 resource: resourceName,
                 timestamp: new Date().toISOString(),
-                tokensUsed: result.usage?.totalTokens || 0,
-                processingTime: Date.now() - startTime
+                tokensUsed: result.usage.total_tokens || 0,
+                processingTime: Date.now() - startTime,
+                outputFormat: result.responseFormat,
+                attempts: result.attempts,
+                promptTemplate: { id: prompt.templateId, source: prompt.source, version: prompt.version }
             }
         };
         
@@ -2034,87 +2242,33 @@ ${JSON.stringify(incidentSummary, null, 2)}`;
     }
 }
 
-// Parse AI response into structured format
-function parseAIResponse(aiResponse, incidentData) {
-    // Try to extract sections from the AI response
-    const sections = {
-        executiveSummary: '',
-        threatAssessment: '',
-        attackPattern: '',
-        immediateActions: [],
-        longTermImprovements: [],
-        iocs: []
-    };
-    
-    // Simple parsing - look for section headers
-    const lines = aiResponse.split('\n');
-    let currentSection = '';
-    
-    for (const line of lines) {
-        const lowerLine = line.toLowerCase();
-        
-        if (lowerLine.includes('executive summary')) {
-            currentSection = 'executiveSummary';
-        } else if (lowerLine.includes('threat assessment')) {
-            currentSection = 'threatAssessment';
-        } else if (lowerLine.includes('attack pattern')) {
-            currentSection = 'attackPattern';
-        } else if (lowerLine.includes('immediate action')) {
-            currentSection = 'immediateActions';
-        } else if (lowerLine.includes('long-term') || lowerLine.includes('long term')) {
-            currentSection = 'longTermImprovements';
-        } else if (lowerLine.includes('indicator') && lowerLine.includes('compromise')) {
-            currentSection = 'iocs';
-        } else if (line.trim() && currentSection) {
-            // Add content to current section
-            if (currentSection === 'immediateActions' || currentSection === 'longTermImprovements' || currentSection === 'iocs') {
-                // These are lists
-                if (line.match(/^[\d\-\*•]/)) {
-                    sections[currentSection].push(line.replace(/^[\d\-\*•]+\.?\s*/, '').trim());
-                }
-            } else {
-                // These are text sections
-                sections[currentSection] += (sections[currentSection] ? ' ' : '') + line.trim();
-            }
-        }
-    }
-    
-    // If parsing didn't work well, use the full response
-    if (!sections.executiveSummary) {
-        sections.executiveSummary = aiResponse.split('\n')[0] || 'AI analysis completed successfully.';
-    }
-    
+// Map a SECURITY_ANALYSIS_SCHEMA result onto the analysis layout the UI and exports use
+function buildStructuredAnalysis(structured, incidentData, modelUsed) {
+    const actions = (priority) => structured.recommendations
+        .filter(recommendation => recommendation.priority === priority)
+        .map(recommendation => recommendation.action);
+    const immediateActions = actions('immediate');
+    const shortTermActions = actions('short-term');
+    const longTermActions = actions('long-term');
+
     // Build the structured response similar to mock
     return {
-        summary: sections.executiveSummary || `Advanced AI analysis of ${incidentData.title} incident`,
+        summary: structured.summary || `Advanced AI analysis of ${incidentData.title} incident`,
+        
+        severity: structured.severity,
         
         threatIntelligence: {
-            assessment: sections.threatAssessment || `This ${incidentData.severity} severity incident shows characteristics of ${incidentData.classification || 'suspicious activity'}.`,
-            attackVector: sections.attackPattern || 'Multiple attack vectors detected requiring immediate attention.',
-            indicators: sections.iocs.length > 0 ? sections.iocs : [
-                'Monitor for similar attack patterns',
-                'Track associated IP addresses and domains',
-                'Watch for lateral movement attempts'
-            ],
+            assessment: structured.findings.map(finding => `${finding.title}: ${finding.description}`).join(' ') || `This ${incidentData.severity} severity incident shows characteristics of ${incidentData.classification || 'suspicious activity'}.`,
+            attackVector: structured.mitre.map(technique => `${technique.tactic}: ${technique.techniqueId} ${technique.technique}`).join('; ') || 'Multiple attack vectors detected requiring immediate attention.',
+            indicators: structured.iocs.map(ioc => `${ioc.type}: ${ioc.value}`),
             confidence: calculateConfidenceLevel(incidentData)
         },
         
+        // Only what the model returned; empty lists are not padded with generic advice
         recommendations: {
-            immediate: sections.immediateActions.length > 0 ? sections.immediateActions : [
-                'Isolate affected systems immediately',
-                'Reset credentials for compromised accounts',
-                'Enable enhanced monitoring on critical assets'
-            ],
-            shortTerm: [
-                'Conduct thorough forensic analysis',
-                'Review and update security policies',
-                'Implement additional detection rules'
-            ],
-            longTerm: sections.longTermImprovements.length > 0 ? sections.longTermImprovements : [
-                'Implement zero-trust architecture',
-                'Enhance security awareness training',
-                'Deploy advanced threat protection solutions'
-            ]
+            immediate: immediateActions,
+            shortTerm: shortTermActions,
+            longTerm: longTermActions
         },
         
         riskScore: calculateRiskScore(incidentData),
@@ -2135,12 +2289,18 @@ function parseAIResponse(aiResponse, incidentData) {
         
         estimatedTimeToResolve: `${Math.max(2, 8 - (incidentData.alertsCount || 0))} hours`,
         
-        preventiveMeasures: sections.longTermImprovements.length > 0 ? sections.longTermImprovements : generatePreventiveMeasures(incidentData),
+        preventiveMeasures: longTermActions,
+        
+        findings: structured.findings,
+        
+        iocs: structured.iocs,
+        
+        mitre: structured.mitre,
         
-        additionalContext: aiResponse,
+        additionalContext: formatSecurityAnalysis(structured),
         
         generatedAt: new Date().toISOString(),
         
-        modelUsed: 'Azure OpenAI GPT-4'
+        modelUsed
     };
 }
\ No newline at end of file
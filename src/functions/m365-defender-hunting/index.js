@@ -1,4 +1,4 @@
-const https = require('https');
+const { GraphClient } = require('../shared/graphClient');
 
 module.exports = async function (context, req) {
     context.log('M365 Defender Hunting Query function triggered');
@@ -47,12 +47,15 @@ module.exports = async function (context, req) {
         return;
     }
 
+    // Graph host follows AZURE_ENVIRONMENT (graph.microsoft.us / dod-graph.microsoft.us)
+    const graph = new GraphClient(token, { log: context.log, timeoutMs: 60000, version: process.env.GRAPH_API_VERSION });
+
     try {
         context.log(`Executing hunting query: ${query.substring(0, 100)}...`);
         
         // Note: Microsoft Graph runHuntingQuery requires specific licensing
         // We'll attempt to use it, but fallback to alert-based queries if needed
-        const result = await runHuntingQuery(query, timespan, token, context);
+        const result = await runHuntingQuery(graph, query, timespan);
         
         // Process and format the results
         const processedResult = processHuntingResults(result, query, context);
@@ -72,7 +75,7 @@ module.exports = async function (context, req) {
         // If it's a licensing error, provide fallback
         if (error.message?.includes('403') || error.message?.includes('Forbidden')) {
             context.log('Hunting API requires E5 license, falling back to alert-based query');
-            const fallbackResult = await getFallbackAlertData(query, token, context);
+            const fallbackResult = await getFallbackAlertData(graph, query, context);
             
             context.res = {
                 status: 200,
@@ -101,55 +104,10 @@ module.exports = async function (context, req) {
 };
 
 // Execute hunting query via Microsoft Graph API
-async function runHuntingQuery(query, timespan, token, context) {
-    return new Promise((resolve, reject) => {
-        const body = JSON.stringify({
-            query: query,
-            timespan: timespan // Optional timespan like 'PT12H' for 12 hours
-        });
-        
-        const options = {
-            hostname: 'graph.microsoft.com',
-            path: '/v1.0/security/runHuntingQuery',
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json',
-                'Content-Length': body.length
-            }
-        };
-        
-        context.log(`Calling Graph API: ${options.path}`);
-        
-        const req = https.request(options, (res) => {
-            let data = '';
-            
-            res.on('data', (chunk) => {
-                data += chunk;
-            });
-            
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) {
-                    try {
-                        const result = JSON.parse(data);
-                        resolve(result);
-                    } catch (e) {
-                        reject(new Error(`Failed to parse Graph API response: ${e.message}`));
-                    }
-                } else {
-                    const error = new Error(`Graph API returned ${res.statusCode}: ${data}`);
-                    error.statusCode = res.statusCode;
-                    reject(error);
-                }
-            });
-        });
-        
-        req.on('error', (error) => {
-            reject(error);
-        });
-        
-        req.write(body);
-        req.end();
+async function runHuntingQuery(graph, query, timespan) {
+    return graph.post('/security/runHuntingQuery', {
+        query: query,
+        timespan: timespan // Optional timespan like 'PT12H' for 12 hours
     });
 }
 
@@ -191,7 +149,7 @@ function generateInsights(results, schema, query) {
 }
 
 // Fallback to alert-based data when hunting API is not available
-async function getFallbackAlertData(query, token, context) {
+async function getFallbackAlertData(graph, query, context) {
     context.log('Using fallback alert-based query');
     
     // Parse the query to determine what kind of data is requested
@@ -206,84 +164,50 @@ async function getFallbackAlertData(query, token, context) {
         filter = "determination eq 'phishing'";
     }
     
-    return new Promise((resolve) => {
-        const path = filter 
-            ? `/v1.0/security/alerts_v2?$filter=${encodeURIComponent(filter)}&$top=100`
-            : '/v1.0/security/alerts_v2?$top=100';
+    const path = filter 
+        ? `/security/alerts_v2?$filter=${encodeURIComponent(filter)}&$top=100`
+        : '/security/alerts_v2?$top=100';
+    
+    try {
+        const result = await graph.get(path);
+        const alerts = result.value || [];
         
-        const options = {
-            hostname: 'graph.microsoft.com',
-            path: path,
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
+        // Transform alerts to hunting-like format
+        return {
+            query: query,
+            timestamp: new Date().toISOString(),
+            source: 'Microsoft Graph Alerts API (Fallback)',
+            rowCount: alerts.length,
+            schema: [
+                { name: 'Title', type: 'string' },
+                { name: 'Severity', type: 'string' },
+                { name: 'Category', type: 'string' },
+                { name: 'CreatedDateTime', type: 'datetime' },
+                { name: 'MitreTechniques', type: 'array' }
+            ],
+            results: alerts.map(a => [a.title, a.severity, a.category, a.createdDateTime, a.mitreTechniques]),
+            note: 'Using alerts API as fallback. Full hunting queries require Microsoft 365 E5 license.',
+            insights: {
+                summary: `Found ${alerts.length} security alerts matching criteria`,
+                recommendations: [
+                    'Upgrade to Microsoft 365 E5 for full hunting capabilities',
+                    'Use Microsoft Sentinel for advanced KQL queries'
+                ]
             }
         };
-        
-        const req = https.request(options, (res) => {
-            let data = '';
-            
-            res.on('data', (chunk) => {
-                data += chunk;
-            });
-            
-            res.on('end', () => {
-                try {
-                    const result = JSON.parse(data);
-                    const alerts = result.value || [];
-                    
-                    // Transform alerts to hunting-like format
-                    resolve({
-                        query: query,
-                        timestamp: new Date().toISOString(),
-                        source: 'Microsoft Graph Alerts API (Fallback)',
-                        rowCount: alerts.length,
-                        schema: [
-                            { name: 'Title', type: 'string' },
-                            { name: 'Severity', type: 'string' },
-                            { name: 'Category', type: 'string' },
-                            { name: 'CreatedDateTime', type: 'datetime' },
-                            { name: 'MitreTechniques', type: 'array' }
-                        ],
-                        results: alerts.map(a => [a.title, a.severity, a.category, a.createdDateTime, a.mitreTechniques]),
-                        note: 'Using alerts API as fallback. Full hunting queries require Microsoft 365 E5 license.',
-                        insights: {
-                            summary: `Found ${alerts.length} security alerts matching criteria`,
-                            recommendations: [
-                                'Upgrade to Microsoft 365 E5 for full hunting capabilities',
-                                'Use Microsoft Sentinel for advanced KQL queries'
-                            ]
-                        }
-                    });
-                } catch (e) {
-                    resolve({
-                        query: query,
-                        timestamp: new Date().toISOString(),
-                        source: 'Fallback',
-                        rowCount: 0,
-                        schema: [],
-                        results: [],
-                        error: 'Failed to fetch fallback data',
-                        note: 'Hunting API and fallback both unavailable'
-                    });
-                }
-            });
-        });
-        
-        req.on('error', () => {
-            resolve({
-                query: query,
-                timestamp: new Date().toISOString(),
-                source: 'Fallback',
-                rowCount: 0,
-                schema: [],
-                results: [],
-                error: 'Network error',
-                note: 'Unable to connect to Microsoft Graph API'
-            });
-        });
-        
-        req.end();
-    });
-};
\ No newline at end of file
+    } catch (error) {
+        context.log(`Fallback alert query failed: ${error.message}`);
+        return {
+            query: query,
+            timestamp: new Date().toISOString(),
+            source: 'Fallback',
+            rowCount: 0,
+            schema: [],
+            results: [],
+            error: error.statusCode ? 'Failed to fetch fallback data' : 'Network error',
+            note: error.statusCode
+                ? 'Hunting API and fallback both unavailable'
+                : 'Unable to connect to Microsoft Graph API'
+        };
+    }
+}
@@ -1,5 +1,27 @@
-const { DefaultAzureCredential } = require("@azure/identity");
-const { OpenAIClient, AzureKeyCredential } = require("@azure/openai");
+const { OpenAIClient } = require('../shared/openaiClient');
+const registry = require('../shared/endpointRegistry');
+const { getVerifiedIdentity } = require('../shared/clientPrincipal');
+const { usageRecorder } = require('../shared/usageLedger');
+const { renderTemplate } = require('../shared/promptTemplates');
+const { getDeploymentProfile } = require('../shared/modelProbe');
+const {
+    SECURITY_ANALYSIS_SCHEMA,
+    RECOMMENDATION_PRIORITIES,
+    completeStructured,
+    formatSecurityAnalysis
+} = require('../shared/structuredOutput');
+
+// json: SECURITY_ANALYSIS_SCHEMA answer; text: free-text answer
+const OUTPUT_FORMATS = ['json', 'text'];
+
+// analysisType -> prompt template
+const DATA_PROMPT_TEMPLATES = {
+    security: 'data-security',
+    performance: 'data-performance',
+    compliance: 'data-compliance',
+    summary: 'data-summary',
+    general: 'data-general'
+};
 
 module.exports = async function (context, req) {
     context.log('OpenAI analyze endpoint called');
@@ -30,6 +52,7 @@ module.exports = async function (context, req) {
             data, 
             analysisType, 
             systemPrompt,
+            outputFormat = 'json',
             temperature = 0.7,
             maxTokens = 1000
         } = req.body;
@@ -46,31 +69,26 @@ module.exports = async function (context, req) {
             return;
         }
 
-        // Use managed identity for authentication
-        const credential = new DefaultAzureCredential();
-        
-        // Create OpenAI client for Government cloud
-        const client = new OpenAIClient(endpoint, credential);
-        
-        // Prepare the analysis prompt based on type
-        let analysisPrompt = systemPrompt || "You are an AI assistant specialized in analyzing security and operational data.";
-        
-        switch (analysisType) {
-            case 'security':
-                analysisPrompt += "\nAnalyze the following data for security threats, anomalies, and provide recommendations.";
-                break;
-            case 'performance':
-                analysisPrompt += "\nAnalyze the following data for performance issues, bottlenecks, and optimization opportunities.";
-                break;
-            case 'compliance':
-                analysisPrompt += "\nAnalyze the following data for compliance issues and regulatory concerns.";
-                break;
-            case 'summary':
-                analysisPrompt += "\nProvide a concise summary of the following data, highlighting key insights.";
-                break;
-            default:
-                analysisPrompt += "\nAnalyze the following data and provide insights.";
+        if (!OUTPUT_FORMATS.includes(outputFormat)) {
+            context.res = {
+                status: 400,
+                headers: headers,
+                body: JSON.stringify({
+                    error: 'Invalid outputFormat',
+                    message: `outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`
+                })
+            };
+            return;
         }
+
+        const identity = await getVerifiedIdentity(req, context.log);
+
+        // Use managed identity for authentication
+        const client = new OpenAIClient({
+            endpoint,
+            log: context.log,
+            onUsage: usageRecorder(identity, 'openai-analyze', context.log)
+        });
         
         // Prepare the data for analysis
         let dataString = "";
@@ -92,41 +110,66 @@ module.exports = async function (context, req) {
             context.log('Data truncated for analysis');
         }
         
+        // Prompts come from the team's template for the analysis type; systemPrompt replaces its opening line
+        const prompt = await renderTemplate(
+            identity,
+            DATA_PROMPT_TEMPLATES[analysisType] || DATA_PROMPT_TEMPLATES.general,
+            { persona: systemPrompt, data: dataString },
+            { log: context.log }
+        );
+
         const messages = [
-            { role: "system", content: analysisPrompt },
-            { role: "user", content: `Please analyze this data:\n\n${dataString}` }
+            { role: "system", content: prompt.system },
+            { role: "user", content: prompt.user }
         ];
         
         context.log(`Sending data to OpenAI for ${analysisType || 'general'} analysis`);
         
         try {
-            // Call OpenAI for analysis
-            const completion = await client.getChatCompletions(
-                deploymentName,
+            const requestBody = {
                 messages,
-                {
-                    temperature: temperature,
-                    maxTokens: maxTokens,
-                    topP: 0.95,
-                    frequencyPenalty: 0,
-                    presencePenalty: 0
-                }
-            );
-            
-            const analysis = completion.choices[0]?.message?.content || "No analysis generated";
+                temperature: temperature,
+                max_tokens: maxTokens,
+                top_p: 0.95,
+                frequency_penalty: 0,
+                presence_penalty: 0
+            };
+
+            // Call OpenAI for analysis; json answers follow SECURITY_ANALYSIS_SCHEMA and are validated on receipt
+            let completion;
+            let analysis;
+            let structured;
+            if (outputFormat === 'json') {
+                const profile = await getDeploymentProfile({ hostname: client.hostname, deploymentName, log: context.log });
+                completion = await completeStructured(client, deploymentName, requestBody, {
+                    name: 'security_analysis',
+                    schema: SECURITY_ANALYSIS_SCHEMA,
+                    profile,
+                    label: 'OpenAI analyze',
+                    log: context.log
+                });
+                structured = completion.data;
+                analysis = formatSecurityAnalysis(structured);
+            } else {
+                completion = await client.chat(deploymentName, requestBody);
+                analysis = completion.content || "No analysis generated";
+            }
             
             // Structure the response
             const response = {
                 analysis: analysis,
                 metadata: {
                     analysisType: analysisType || 'general',
+                    outputFormat,
                     model: deploymentName,
                     timestamp: new Date().toISOString(),
                     dataLength: dataString.length,
                     truncated: dataString.length > maxDataLength,
-                    tokensUsed: completion.usage?.totalTokens || 0
+                    tokensUsed: completion.usage.total_tokens || 0,
+                    promptTemplate: { id: prompt.templateId, source: prompt.source, version: prompt.version }
                 },
-                insights: extractInsights(analysis, analysisType)
+                structured,
+                insights: structured ? structuredInsights(structured) : extractInsights(analysis, analysisType)
             };
             
             context.log('Analysis completed successfully');
@@ -160,6 +203,16 @@ module.exports = async function (context, req) {
                         details: openAIError.message
                     })
                 };
+            } else if (openAIError.code === 'SCHEMA_VIOLATION') {
+                context.res = {
+                    status: 502,
+                    headers: headers,
+                    body: JSON.stringify({
+                        error: 'Invalid structured analysis',
+                        message: openAIError.userMessage,
+                        details: openAIError.details.errors
+                    })
+                };
             } else {
                 throw openAIError;
             }
@@ -174,7 +227,7 @@ module.exports = async function (context, req) {
             body: JSON.stringify({
                 error: 'Failed to analyze data',
                 message: error.message,
-                environment: process.env.AZURE_ENVIRONMENT || 'AzureUSGovernment'
+                environment: registry.getEnvironmentName()
             })
         };
     }
@@ -207,7 +260,21 @@ function formatKQLResults(data) {
     return formatted;
 }
 
-// Helper function to extract key insights from analysis
+// Key insights from a structured analysis, in the shape extractInsights returns
+function structuredInsights(structured) {
+    const byPriority = (a, b) => RECOMMENDATION_PRIORITIES.indexOf(a.priority) - RECOMMENDATION_PRIORITIES.indexOf(b.priority);
+
+    return {
+        keyFindings: structured.findings.slice(0, 3).map(finding => `${finding.title}: ${finding.description}`),
+        recommendations: structured.recommendations.slice().sort(byPriority).slice(0, 3).map(recommendation => recommendation.action),
+        risks: structured.findings
+            .filter(finding => finding.severity === 'critical' || finding.severity === 'high')
+            .slice(0, 3)
+            .map(finding => finding.description)
+    };
+}
+
+// Helper function to extract key insights from free-text analysis
 function extractInsights(analysis, analysisType) {
     const insights = {
         keyFindings: [],
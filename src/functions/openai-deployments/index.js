@@ -1,10 +1,12 @@
 /**
  * Azure OpenAI Deployments Discovery Function
- * Fetches actual model deployments from Azure OpenAI resources
+ * Fetches actual model deployments from Azure OpenAI resources through the
+ * management endpoint, with the caller's ARM token or the managed identity
  */
 
-const { DefaultAzureCredential } = require('@azure/identity');
-const { CognitiveServicesManagementClient } = require('@azure/arm-cognitiveservices');
+const { getAzureCredential } = require('../shared/azureAuth');
+const { DISCOVERY_SOURCES, discoverDeployments, isTransient } = require('../shared/deploymentDiscovery');
+const { getModelProfile } = require('../shared/modelCatalog');
 
 module.exports = async function (context, req) {
     context.log('OpenAI Deployments function processing request');
@@ -23,209 +25,48 @@ module.exports = async function (context, req) {
         return;
     }
 
-    try {
-        // Get authentication from request
-        const authHeader = req.headers.authorization;
-        const { resourceId, resourceName, subscriptionId } = req.body || req.query || {};
+    const { resourceId, resourceName, resourceGroup, subscriptionId, refresh } = { ...req.query, ...req.body };
 
-        if (!resourceId && !resourceName) {
-            context.res = {
-                status: 400,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*'
-                },
-                body: {
-                    error: 'Bad Request',
-                    message: 'Resource ID or name is required',
-                    timestamp: new Date().toISOString()
-                }
-            };
-            return;
-        }
+    if (!resourceId && !resourceName) {
+        context.res = {
+            status: 400,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: {
+                error: 'Bad Request',
+                message: 'Resource ID or name is required',
+                timestamp: new Date().toISOString()
+            }
+        };
+        return;
+    }
 
-        // Use DefaultAzureCredential for authentication
-        const credential = new DefaultAzureCredential();
-        
-        // Parse subscription ID from resource ID if provided
-        let subId = subscriptionId;
-        let rgName = null;
-        let resName = resourceName;
-        
-        if (resourceId) {
-            // Parse resource ID: /subscriptions/{sub}/resourceGroups/{rg}/providers/Microsoft.CognitiveServices/accounts/{name}
-            const parts = resourceId.split('/');
-            subId = parts[2];
-            rgName = parts[4];
-            resName = parts[8];
-        }
+    // The caller's ARM token when present, otherwise the managed identity
+    const authHeader = req.headers.authorization;
+    const credential = authHeader && authHeader.startsWith('Bearer ')
+        ? authHeader.substring(7)
+        : getAzureCredential();
 
-        if (!subId) {
-            // Try to get subscription from environment or default
-            subId = process.env.AZURE_SUBSCRIPTION_ID || 'a30b4895-7840-4802-8694-7ad40d5d2551';
-        }
+    try {
+        const result = await discoverDeployments({
+            credential,
+            resourceId,
+            subscriptionId,
+            resourceGroup,
+            accountName: resourceName,
+            refresh: refresh === true || refresh === 'true',
+            log: context.log
+        });
 
-        // Create Cognitive Services client
-        const client = new CognitiveServicesManagementClient(credential, subId);
+        const deployments = result.deployments.map(deployment => ({
+            ...deployment,
+            capabilities: extractModelCapabilities(deployment.model, deployment.version)
+        }));
 
-        // Get deployments for the OpenAI resource
-        const deployments = [];
-        
-        // Skip SDK discovery and use hardcoded deployments for now
-        const skipSDK = true; // Temporarily use hardcoded deployments for reliability
-        
-        if (skipSDK) {
-            context.log('Using hardcoded deployments for resource:', resName);
-            
-            // Hardcoded deployments based on actual Azure resources
-            const hardcodedDeployments = {
-                'OpenAIGPTClone': [
-                    { name: 'AutomationBot', model: 'gpt-35-turbo', version: '0301', format: 'OpenAI', scaleType: 'Standard', capacity: 10, status: 'Succeeded' },
-                    { name: 'AutomationBot_16k', model: 'gpt-35-turbo-16k', version: '0613', format: 'OpenAI', scaleType: 'Standard', capacity: 10, status: 'Succeeded' },
-                    { name: 'gpt-4o-mini', model: 'gpt-4o-mini', version: '2024-07-18', format: 'OpenAI', scaleType: 'Standard', capacity: 10, status: 'Succeeded' }
-                ],
-                'OpenAISecurityEastUS2': [
-                    { name: 'GPT4-EastUS2', model: 'gpt-4', version: '0613', format: 'OpenAI', scaleType: 'Standard', capacity: 10, status: 'Succeeded' },
-                    { name: 'gpt-5-mini', model: 'gpt-4o-mini', version: '2024-07-18', format: 'OpenAI', scaleType: 'Standard', capacity: 30, status: 'Succeeded' },
-                    { name: 'gpt-5-nano-lion', model: 'gpt-4o', version: '2024-05-13', format: 'OpenAI', scaleType: 'Standard', capacity: 30, status: 'Succeeded' }
-                ],
-                'AOAI-GP4-EastUS2-TestLab2-June2024': [
-                    { name: 'AOAI-GP4O-EastUS2-TestLab2-June2024', model: 'gpt-4o', version: '2024-05-13', format: 'OpenAI', scaleType: 'Standard', capacity: 20, status: 'Succeeded' }
-                ],
-                'aoai-icarus-test': [
-                    { name: 'gpt-5-mini', model: 'gpt-4o-mini', version: '2024-07-18', format: 'OpenAI', scaleType: 'Standard', capacity: 30, status: 'Succeeded' },
-                    { name: 'gpt-4.1-mini-icarus', model: 'gpt-4o-mini', version: '2024-07-18', format: 'OpenAI', scaleType: 'Standard', capacity: 20, status: 'Succeeded' }
-                ]
-            };
-            
-            // Get deployments for the requested resource
-            const resourceDeployments = hardcodedDeployments[resName] || [];
-            
-            // Add capabilities to each deployment
-            resourceDeployments.forEach(deployment => {
-                deployment.capabilities = extractModelCapabilities(deployment.model);
-                deployment.createdAt = new Date('2024-06-01').toISOString();
-                deployment.updatedAt = new Date().toISOString();
-            });
-            
-            deployments.push(...resourceDeployments);
-            
-            context.log(`Returning ${deployments.length} hardcoded deployments for ${resName}`);
-            
-        } else {
-            try {
-                // If we have resource group and name, get deployments directly
-                if (rgName && resName) {
-                context.log(`Fetching deployments for ${resName} in ${rgName}`);
-                
-                // List deployments for the account
-                const deploymentsIterator = client.deployments.list(rgName, resName);
-                
-                for await (const deployment of deploymentsIterator) {
-                    const deploymentInfo = {
-                        name: deployment.name,
-                        model: deployment.properties?.model?.name || deployment.properties?.model,
-                        version: deployment.properties?.model?.version,
-                        format: deployment.properties?.model?.format,
-                        scaleType: deployment.properties?.scaleSettings?.scaleType,
-                        capacity: deployment.properties?.scaleSettings?.capacity,
-                        status: deployment.properties?.provisioningState,
-                        capabilities: extractModelCapabilities(deployment.properties?.model?.name),
-                        createdAt: deployment.properties?.createdAt,
-                        updatedAt: deployment.properties?.updatedAt
-                    };
-                    
-                    context.log(`Found deployment: ${deployment.name} (${deploymentInfo.model})`);
-                    deployments.push(deploymentInfo);
-                }
-            } else if (resName) {
-                // Try to find the resource by name across resource groups
-                context.log(`Searching for resource ${resName} across subscription`);
-                
-                const accountsIterator = client.accounts.list();
-                let foundAccount = null;
-                
-                for await (const account of accountsIterator) {
-                    if (account.name === resName) {
-                        foundAccount = account;
-                        break;
-                    }
-                }
-                
-                if (foundAccount) {
-                    // Extract resource group from account ID
-                    const accountParts = foundAccount.id.split('/');
-                    rgName = accountParts[4];
-                    
-                    // Now get deployments
-                    const deploymentsIterator = client.deployments.list(rgName, resName);
-                    
-                    for await (const deployment of deploymentsIterator) {
-                        const deploymentInfo = {
-                            name: deployment.name,
-                            model: deployment.properties?.model?.name || deployment.properties?.model,
-                            version: deployment.properties?.model?.version,
-                            format: deployment.properties?.model?.format,
-                            scaleType: deployment.properties?.scaleSettings?.scaleType,
-                            capacity: deployment.properties?.scaleSettings?.capacity,
-                            status: deployment.properties?.provisioningState,
-                            capabilities: extractModelCapabilities(deployment.properties?.model?.name),
-                            createdAt: deployment.properties?.createdAt,
-                            updatedAt: deployment.properties?.updatedAt
-                        };
-                        
-                        deployments.push(deploymentInfo);
-                    }
-                }
-            }
-            } catch (error) {
-                context.log.error('Error fetching deployments:', error);
-                
-                // Always return deployments when SDK fails
-                context.log('SDK failed, returning hardcoded deployment patterns for:', resName);
-                
-                // Get hardcoded deployments for the specific resource
-                const hardcodedDeployments = {
-                    'OpenAIGPTClone': [
-                        { name: 'AutomationBot', model: 'gpt-35-turbo', version: '0301', format: 'OpenAI', scaleType: 'Standard', capacity: 10, status: 'Succeeded' },
-                        { name: 'AutomationBot_16k', model: 'gpt-35-turbo-16k', version: '0613', format: 'OpenAI', scaleType: 'Standard', capacity: 10, status: 'Succeeded' },
-                        { name: 'gpt-4o-mini', model: 'gpt-4o-mini', version: '2024-07-18', format: 'OpenAI', scaleType: 'Standard', capacity: 10, status: 'Succeeded' }
-                    ],
-                    'OpenAISecurityEastUS2': [
-                        { name: 'GPT4-EastUS2', model: 'gpt-4', version: '0613', format: 'OpenAI', scaleType: 'Standard', capacity: 10, status: 'Succeeded' },
-                        { name: 'gpt-5-mini', model: 'gpt-4o-mini', version: '2024-07-18', format: 'OpenAI', scaleType: 'Standard', capacity: 30, status: 'Succeeded' },
-                        { name: 'gpt-5-nano-lion', model: 'gpt-4o', version: '2024-05-13', format: 'OpenAI', scaleType: 'Standard', capacity: 30, status: 'Succeeded' }
-                    ],
-                    'AOAI-GP4-EastUS2-TestLab2-June2024': [
-                        { name: 'AOAI-GP4O-EastUS2-TestLab2-June2024', model: 'gpt-4o', version: '2024-05-13', format: 'OpenAI', scaleType: 'Standard', capacity: 20, status: 'Succeeded' }
-                    ],
-                    'aoai-icarus-test': [
-                        { name: 'gpt-5-mini', model: 'gpt-4o-mini', version: '2024-07-18', format: 'OpenAI', scaleType: 'Standard', capacity: 30, status: 'Succeeded' },
-                        { name: 'gpt-4.1-mini-icarus', model: 'gpt-4o-mini', version: '2024-07-18', format: 'OpenAI', scaleType: 'Standard', capacity: 20, status: 'Succeeded' }
-                    ]
-                };
-                
-                const resourceDeployments = hardcodedDeployments[resName] || getCommonDeployments(resName);
-                
-                // Add capabilities to each deployment
-                resourceDeployments.forEach(deployment => {
-                    deployment.capabilities = extractModelCapabilities(deployment.model);
-                    deployment.createdAt = new Date('2024-06-01').toISOString();
-                    deployment.updatedAt = new Date().toISOString();
-                });
-                
-                deployments.push(...resourceDeployments);
-            }
-        }
-        
-        // Final fallback: If still no deployments, add common ones
-        if (deployments.length === 0) {
-            context.log('No deployments found, adding fallback deployments for:', resName);
-            const fallbackDeployments = getCommonDeployments(resName);
-            deployments.push(...fallbackDeployments);
-        }
+        context.log(`Returning ${deployments.length} deployments for ${result.accountName} (${result.source})`);
 
-        // Return response
         context.res = {
             status: 200,
             headers: {
@@ -233,26 +74,55 @@ module.exports = async function (context, req) {
                 'Access-Control-Allow-Origin': '*'
             },
             body: {
-                resourceName: resName,
-                resourceGroup: rgName,
-                subscriptionId: subId,
+                resourceName: result.accountName,
+                resourceGroup: result.resourceGroup,
+                subscriptionId: result.subscriptionId,
                 deployments: deployments,
                 count: deployments.length,
+                source: result.source,
+                stale: result.stale,
+                staleReason: result.staleReason,
+                refreshedAt: result.refreshedAt,
                 timestamp: new Date().toISOString()
             }
         };
 
     } catch (error) {
         context.log.error('Error in OpenAI Deployments function:', error);
-        
+
+        // Management API unreachable and nothing cached: common patterns, clearly marked
+        if (isTransient(error) && resourceName) {
+            const deployments = getCommonDeployments(resourceName);
+            context.res = {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*'
+                },
+                body: {
+                    resourceName: resourceName,
+                    resourceGroup: resourceGroup || null,
+                    subscriptionId: subscriptionId || null,
+                    deployments: deployments,
+                    count: deployments.length,
+                    source: DISCOVERY_SOURCES.FALLBACK,
+                    stale: true,
+                    staleReason: error.message,
+                    refreshedAt: null,
+                    timestamp: new Date().toISOString()
+                }
+            };
+            return;
+        }
+
         context.res = {
-            status: 500,
+            status: isTransient(error) ? 502 : error.statusCode,
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             },
             body: {
-                error: 'Internal server error',
+                error: error.statusCode === 403 ? 'Forbidden' : 'Failed to fetch deployments',
                 message: error.message || 'Failed to fetch deployments',
                 timestamp: new Date().toISOString()
             }
@@ -261,84 +131,25 @@ module.exports = async function (context, req) {
 };
 
 /**
- * Extract model capabilities based on model name
+ * Catalog capabilities for a deployed model and version
  */
-function extractModelCapabilities(modelName) {
+function extractModelCapabilities(modelName, version) {
     if (!modelName) return {};
-    
-    const modelLower = modelName.toLowerCase();
-    
-    const capabilities = {
-        contextWindow: 4096,
-        maxOutputTokens: 2048,
-        supportsVision: false,
-        supportsStreaming: true,
-        supportsFunctions: false,
-        isReasoningModel: false,
-        costTier: 'standard'
+
+    const profile = getModelProfile(modelName, { version });
+    return {
+        catalogModel: profile.model,
+        contextWindow: profile.contextWindow,
+        maxInputTokens: profile.maxInputTokens,
+        maxOutputTokens: profile.maxOutputTokens,
+        supportsVision: profile.supportsVision,
+        supportsStreaming: profile.supportsStreaming,
+        supportsFunctions: profile.supportsTools,
+        supportsJsonMode: profile.supportsJsonMode,
+        supportsStructuredOutput: profile.supportsStructuredOutput,
+        isReasoningModel: profile.isReasoningModel,
+        costTier: profile.costTier
     };
-    
-    // GPT-5 models
-    if (modelLower.includes('gpt-5')) {
-        capabilities.contextWindow = 400000;
-        capabilities.maxOutputTokens = 32000;
-        capabilities.supportsVision = true;
-        capabilities.supportsFunctions = true;
-        capabilities.costTier = 'premium';
-    }
-    // GPT-4o models
-    else if (modelLower.includes('gpt-4o')) {
-        capabilities.contextWindow = 128000;
-        capabilities.maxOutputTokens = modelLower.includes('mini') ? 16384 : 4096;
-        capabilities.supportsVision = true;
-        capabilities.supportsFunctions = true;
-        capabilities.costTier = modelLower.includes('mini') ? 'economy' : 'standard';
-    }
-    // GPT-4 Turbo
-    else if (modelLower.includes('gpt-4-turbo') || modelLower.includes('gpt-4-1106')) {
-        capabilities.contextWindow = 128000;
-        capabilities.maxOutputTokens = 4096;
-        capabilities.supportsVision = true;
-        capabilities.supportsFunctions = true;
-        capabilities.costTier = 'premium';
-    }
-    // GPT-4
-    else if (modelLower.includes('gpt-4')) {
-        capabilities.contextWindow = modelLower.includes('32k') ? 32768 : 8192;
-        capabilities.maxOutputTokens = 4096;
-        capabilities.supportsFunctions = true;
-        capabilities.costTier = 'premium';
-    }
-    // O1 reasoning models
-    else if (modelLower.includes('o1')) {
-        capabilities.contextWindow = 200000;
-        capabilities.maxOutputTokens = modelLower.includes('mini') ? 65536 : 100000;
-        capabilities.supportsStreaming = false;
-        capabilities.isReasoningModel = true;
-        capabilities.costTier = 'premium';
-    }
-    // GPT-3.5 Turbo
-    else if (modelLower.includes('gpt-35') || modelLower.includes('gpt-3.5')) {
-        capabilities.contextWindow = modelLower.includes('16k') ? 16385 : 4096;
-        capabilities.maxOutputTokens = 4096;
-        capabilities.supportsFunctions = true;
-        capabilities.costTier = 'economy';
-    }
-    // DALL-E models
-    else if (modelLower.includes('dall-e')) {
-        capabilities.supportsVision = true;
-        capabilities.supportsStreaming = false;
-        capabilities.costTier = 'premium';
-    }
-    // Embedding models
-    else if (modelLower.includes('embedding')) {
-        capabilities.contextWindow = 8191;
-        capabilities.maxOutputTokens = 0;
-        capabilities.supportsStreaming = false;
-        capabilities.costTier = 'economy';
-    }
-    
-    return capabilities;
 }
 
 /**
@@ -366,6 +177,7 @@ function getCommonDeployments(resourceName) {
         capacity: 10,
         status: 'Succeeded',
         capabilities: extractModelCapabilities(pattern.model),
-        note: 'Common deployment pattern (actual deployment may vary)'
+        note: 'Common deployment pattern (actual deployment may vary)',
+        stale: true
     }));
 }
\ No newline at end of file
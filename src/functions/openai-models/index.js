@@ -1,155 +1,10 @@
-// Model capability definitions based on latest Azure OpenAI offerings
-const MODEL_CAPABILITIES = {
-    // GPT-4 Turbo models
-    'gpt-4-turbo': {
-        contextWindow: 128000,
-        maxOutputTokens: 4096,
-        inputCostPer1K: 0.01,
-        outputCostPer1K: 0.03,
-        supportsVision: true,
-        supportsStreaming: true,
-        isReasoningModel: false,
-        tpmLimit: 150000
-    },
-    'gpt-4-turbo-2024-04-09': {
-        contextWindow: 128000,
-        maxOutputTokens: 4096,
-        inputCostPer1K: 0.01,
-        outputCostPer1K: 0.03,
-        supportsVision: true,
-        supportsStreaming: true,
-        isReasoningModel: false,
-        tpmLimit: 150000
-    },
-    
-    // GPT-4o models
-    'gpt-4o': {
-        contextWindow: 128000,
-        maxOutputTokens: 4096,
-        inputCostPer1K: 0.005,
-        outputCostPer1K: 0.015,
-        supportsVision: true,
-        supportsStreaming: true,
-        isReasoningModel: false,
-        tpmLimit: 300000
-    },
-    'gpt-4o-mini': {
-        contextWindow: 128000,
-        maxOutputTokens: 16384,
-        inputCostPer1K: 0.00015,
-        outputCostPer1K: 0.0006,
-        supportsVision: true,
-        supportsStreaming: true,
-        isReasoningModel: false,
-        tpmLimit: 200000
-    },
-    
-    // GPT-5 models (future-proofing)
-    'gpt-5': {
-        contextWindow: 400000,
-        maxOutputTokens: 32000,
-        inputCostPer1K: 0.02,
-        outputCostPer1K: 0.06,
-        supportsVision: true,
-        supportsStreaming: true,
-        isReasoningModel: false,
-        tpmLimit: 500000
-    },
-    'gpt-5-mini': {
-        contextWindow: 400000,
-        maxOutputTokens: 32000,
-        inputCostPer1K: 0.001,
-        outputCostPer1K: 0.004,
-        supportsVision: true,
-        supportsStreaming: true,
-        isReasoningModel: false,
-        tpmLimit: 400000
-    },
-    
-    // O1 Reasoning models
-    'o1-preview': {
-        contextWindow: 200000,
-        maxOutputTokens: 100000,
-        inputCostPer1K: 0.015,
-        outputCostPer1K: 0.06,
-        supportsVision: false,
-        supportsStreaming: false,
-        isReasoningModel: true,
-        reasoningOverhead: 0.1, // 10% additional tokens for reasoning
-        tpmLimit: 100000
-    },
-    'o1-mini': {
-        contextWindow: 200000,
-        maxOutputTokens: 65536,
-        inputCostPer1K: 0.003,
-        outputCostPer1K: 0.012,
-        supportsVision: false,
-        supportsStreaming: false,
-        isReasoningModel: true,
-        reasoningOverhead: 0.1,
-        tpmLimit: 150000
-    },
-    
-    // GPT-3.5 models
-    'gpt-35-turbo': {
-        contextWindow: 16385,
-        maxOutputTokens: 4096,
-        inputCostPer1K: 0.0005,
-        outputCostPer1K: 0.0015,
-        supportsVision: false,
-        supportsStreaming: true,
-        isReasoningModel: false,
-        tpmLimit: 90000
-    },
-    'gpt-35-turbo-16k': {
-        contextWindow: 16385,
-        maxOutputTokens: 4096,
-        inputCostPer1K: 0.0005,
-        outputCostPer1K: 0.0015,
-        supportsVision: false,
-        supportsStreaming: true,
-        isReasoningModel: false,
-        tpmLimit: 90000
-    },
-    
-    // Embedding models
-    'text-embedding-ada-002': {
-        contextWindow: 8191,
-        maxOutputTokens: 0,
-        inputCostPer1K: 0.0001,
-        outputCostPer1K: 0,
-        supportsVision: false,
-        supportsStreaming: false,
-        isReasoningModel: false,
-        isEmbedding: true,
-        dimensions: 1536,
-        tpmLimit: 350000
-    },
-    'text-embedding-3-small': {
-        contextWindow: 8191,
-        maxOutputTokens: 0,
-        inputCostPer1K: 0.00002,
-        outputCostPer1K: 0,
-        supportsVision: false,
-        supportsStreaming: false,
-        isReasoningModel: false,
-        isEmbedding: true,
-        dimensions: 1536,
-        tpmLimit: 350000
-    },
-    'text-embedding-3-large': {
-        contextWindow: 8191,
-        maxOutputTokens: 0,
-        inputCostPer1K: 0.00013,
-        outputCostPer1K: 0,
-        supportsVision: false,
-        supportsStreaming: false,
-        isReasoningModel: false,
-        isEmbedding: true,
-        dimensions: 3072,
-        tpmLimit: 350000
-    }
-};
+const { OpenAIClient } = require('../shared/openaiClient');
+const { listModels, getModelProfile, getCatalogVersion } = require('../shared/modelCatalog');
+const { getDeploymentProfile } = require('../shared/modelProbe');
+const { getVerifiedIdentity } = require('../shared/clientPrincipal');
+const { usageRecorder } = require('../shared/usageLedger');
+
+// Model capabilities live in shared/model-catalog.json
 
 module.exports = async function (context, req) {
     context.log('OpenAI Models function processing request');
@@ -169,20 +24,18 @@ module.exports = async function (context, req) {
             return;
         }
 
-        const { OpenAIClient } = require('@azure/openai');
-        const { DefaultAzureCredential, ManagedIdentityCredential } = require('@azure/identity');
-
         // Get resource endpoint and deployment info from request
         const { endpoint, apiKey, deploymentName, testQuota } = req.body || {};
 
         if (!endpoint && !deploymentName) {
             // Return model capabilities catalog
-            const models = Object.entries(MODEL_CAPABILITIES).map(([modelId, capabilities]) => ({
-                modelId,
+            const models = listModels().map(({ model, selection, ...capabilities }) => ({
+                modelId: model,
                 ...capabilities,
+                tpmLimit: capabilities.defaultTpm,
                 estimatedInputTokens: Math.floor(capabilities.contextWindow * 0.9), // 90% usable
                 safeChunkSize: Math.floor(capabilities.contextWindow * 0.85), // 85% for safety
-                concurrentRequests: Math.floor(capabilities.tpmLimit / (capabilities.contextWindow * 0.1)) // Estimate
+                concurrentRequests: Math.floor(capabilities.defaultTpm / (capabilities.contextWindow * 0.1)) // Estimate
             }));
 
             context.res = {
@@ -194,6 +47,7 @@ module.exports = async function (context, req) {
                 body: {
                     models: models,
                     count: models.length,
+                    catalog: getCatalogVersion(),
                     timestamp: new Date().toISOString()
                 }
             };
@@ -204,21 +58,29 @@ module.exports = async function (context, req) {
         if (endpoint && deploymentName) {
             context.log(`Testing deployment ${deploymentName} at ${endpoint}`);
 
-            let client;
             if (apiKey) {
-                // Use API key authentication
-                client = new OpenAIClient(endpoint, {
-                    apiKey: apiKey
-                });
-            } else {
-                // Use Azure AD authentication
-                const credential = process.env.AZURE_CLIENT_ID 
-                    ? new DefaultAzureCredential()
-                    : new ManagedIdentityCredential();
-                    
-                client = new OpenAIClient(endpoint, credential);
+                context.res = {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Access-Control-Allow-Origin': '*'
+                    },
+                    body: {
+                        error: 'API key authentication is not supported',
+                        message: 'Deployments are tested with the Function App managed identity (Microsoft Entra ID).',
+                        timestamp: new Date().toISOString()
+                    }
+                };
+                return;
             }
 
+            // Use Azure AD authentication (managed identity)
+            const client = new OpenAIClient({
+                endpoint,
+                log: context.log,
+                onUsage: usageRecorder(await getVerifiedIdentity(req, context.log), 'openai-models', context.log)
+            });
+
             // Detect model capabilities through test calls
             const capabilities = {
                 deploymentName: deploymentName,
@@ -228,43 +90,32 @@ module.exports = async function (context, req) {
             };
 
             try {
+                // Probe results for the deployment, else the catalog entry for its name
+                let profile = await getDeploymentProfile({ hostname: client.hostname, deploymentName, log: context.log });
+
                 // Test with a minimal completion request
                 if (testQuota) {
-                    const testPrompt = "Test";
-                    const result = await client.getCompletions(deploymentName, [testPrompt], {
-                        maxTokens: 1,
-                        temperature: 0
+                    const result = await client.chat(deploymentName, {
+                        messages: [{ role: 'user', content: 'Test' }],
+                        ...(profile.supportsMaxTokens ? { max_tokens: 1 } : { max_completion_tokens: 16 })
                     });
 
-                    // Extract rate limit headers from response
-                    if (result._response) {
-                        const headers = result._response.headers;
-                        capabilities.tpmLimit = parseInt(headers.get('x-ratelimit-remaining-tokens')) || null;
-                        capabilities.rpmLimit = parseInt(headers.get('x-ratelimit-remaining-requests')) || null;
+                    // Rate limit headers from the response
+                    capabilities.tpmLimit = result.rateLimit.remainingTokens;
+                    capabilities.rpmLimit = result.rateLimit.remainingRequests;
+
+                    // The response names the model behind the deployment
+                    if (!profile.probed && result.model) {
+                        profile = getModelProfile(result.model);
                     }
                 }
 
-                // Try to infer model type from deployment name
-                const modelKey = Object.keys(MODEL_CAPABILITIES).find(key => 
-                    deploymentName.toLowerCase().includes(key.toLowerCase().replace('-', ''))
-                );
-
-                if (modelKey) {
-                    capabilities.modelType = modelKey;
-                    capabilities.capabilities = MODEL_CAPABILITIES[modelKey];
-                    capabilities.detected = true;
-                } else {
-                    // Default capabilities for unknown models
-                    capabilities.modelType = 'unknown';
-                    capabilities.capabilities = {
-                        contextWindow: 4096,
-                        maxOutputTokens: 2048,
-                        supportsStreaming: true,
-                        isReasoningModel: false,
-                        tpmLimit: capabilities.tpmLimit || 60000
-                    };
-                    capabilities.detected = false;
-                }
+                capabilities.modelType = profile.model || 'unknown';
+                capabilities.capabilities = {
+                    ...profile,
+                    tpmLimit: capabilities.tpmLimit || profile.defaultTpm
+                };
+                capabilities.detected = profile.known;
 
             } catch (error) {
                 context.log.error('Error testing deployment:', error);
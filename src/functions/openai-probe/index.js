@@ -0,0 +1,146 @@
+// Model capability probe
+//
+// POST /openai/models/probe   { endpoint | customSubdomainName, deploymentName, checks? }
+//                             runs the probe with the caller's Cognitive Services token,
+//                             stores the result and returns it with the effective profile
+// GET  /openai/models/probe?endpoint=&deploymentName=
+//                             last stored probe and the effective profile
+//
+// checks defaults to every check: jsonMode, tools, streaming, contextWindow
+
+const { OpenAIClient, resolveEndpoint } = require('../shared/openaiClient');
+const { getModelProfile } = require('../shared/modelCatalog');
+const { PROBE_CHECKS, probeDeployment, saveProbe, getProbe, getDeploymentProfile } = require('../shared/modelProbe');
+const { getVerifiedIdentity } = require('../shared/clientPrincipal');
+const { usageRecorder } = require('../shared/usageLedger');
+
+const corsHeaders = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+};
+
+module.exports = async function (context, req) {
+    // Handle CORS
+    if (req.method === 'OPTIONS') {
+        context.res = {
+            status: 200,
+            headers: {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+            },
+            body: ''
+        };
+        return;
+    }
+
+    const method = req.method.toUpperCase();
+    const { endpoint, customSubdomainName, deploymentName, checks } = method === 'GET' ? (req.query || {}) : (req.body || {});
+
+    if (!deploymentName || (!endpoint && !customSubdomainName)) {
+        context.res = {
+            status: 400,
+            headers: corsHeaders,
+            body: {
+                error: 'Bad Request',
+                message: 'deploymentName and endpoint (or customSubdomainName) are required',
+                timestamp: new Date().toISOString()
+            }
+        };
+        return;
+    }
+
+    if (checks !== undefined && (!Array.isArray(checks) || checks.some(check => !PROBE_CHECKS.includes(check)))) {
+        context.res = {
+            status: 400,
+            headers: corsHeaders,
+            body: {
+                error: 'Bad Request',
+                message: `checks must be a list of: ${PROBE_CHECKS.join(', ')}`,
+                timestamp: new Date().toISOString()
+            }
+        };
+        return;
+    }
+
+    try {
+        const hostname = new URL(resolveEndpoint({ endpoint, customSubdomainName })).hostname;
+
+        if (method === 'GET') {
+            const probe = await getProbe(hostname, deploymentName);
+            if (!probe) {
+                context.res = {
+                    status: 404,
+                    headers: corsHeaders,
+                    body: {
+                        error: 'Not Found',
+                        message: `Deployment ${deploymentName} has not been probed`,
+                        catalog: getModelProfile(deploymentName),
+                        timestamp: new Date().toISOString()
+                    }
+                };
+                return;
+            }
+
+            context.res = {
+                status: 200,
+                headers: corsHeaders,
+                body: {
+                    probe,
+                    profile: await getDeploymentProfile({ hostname, deploymentName, log: context.log })
+                }
+            };
+            return;
+        }
+
+        // Probing spends tokens, so it runs as the caller rather than the managed identity
+        const authHeader = req.headers?.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            context.res = {
+                status: 401,
+                headers: corsHeaders,
+                body: {
+                    error: 'Authentication required',
+                    message: 'A Cognitive Services bearer token is required to probe a deployment.',
+                    timestamp: new Date().toISOString()
+                }
+            };
+            return;
+        }
+
+        const client = new OpenAIClient({
+            endpoint,
+            customSubdomainName,
+            userToken: authHeader.substring(7),
+            log: context.log,
+            onUsage: usageRecorder(await getVerifiedIdentity(req, context.log), 'openai-probe', context.log)
+        });
+
+        context.log(`Probing ${deploymentName} on ${hostname}`);
+        // Checks not run this time keep their stored results
+        const probe = await saveProbe(hostname, await probeDeployment(client, deploymentName, { checks, log: context.log }));
+
+        context.res = {
+            status: 200,
+            headers: corsHeaders,
+            body: {
+                probe,
+                catalog: getModelProfile(probe.model || deploymentName, { version: probe.modelVersion }),
+                profile: await getDeploymentProfile({ hostname, deploymentName, log: context.log })
+            }
+        };
+
+    } catch (error) {
+        context.log.error('Error in openai-probe function:', error);
+        context.res = {
+            status: error.statusCode && error.statusCode < 500 ? error.statusCode : 502,
+            headers: corsHeaders,
+            body: {
+                error: 'Probe failed',
+                message: error.userMessage || error.message,
+                code: error.code,
+                timestamp: new Date().toISOString()
+            }
+        };
+    }
+};
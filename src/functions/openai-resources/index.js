@@ -1,6 +1,7 @@
 const { DefaultAzureCredential } = require("@azure/identity");
 const { ResourceManagementClient } = require("@azure/arm-resources");
 const { CognitiveServicesManagementClient } = require("@azure/arm-cognitiveservices");
+const registry = require('../shared/endpointRegistry');
 
 module.exports = async function (context, req) {
     context.log('OpenAI resources discovery endpoint called');
@@ -43,16 +44,19 @@ module.exports = async function (context, req) {
         const credential = new DefaultAzureCredential();
         
         // Configure for Government cloud endpoints
-        const armEndpoint = process.env.ManagementEndpoint || 'https://management.usgovcloudapi.net';
-        const openAIDomain = process.env.OpenAIDomain || 'openai.azure.us';
+        const armEndpoint = registry.getEndpoint('management');
+        const armScopes = [registry.getScope('management')];
+        const openAIDomain = registry.getEndpoint('openAI');
         
         // Create clients
         const resourceClient = new ResourceManagementClient(credential, subscriptionId, {
-            endpoint: armEndpoint
+            endpoint: armEndpoint,
+            credentialScopes: armScopes
         });
         
         const cognitiveClient = new CognitiveServicesManagementClient(credential, subscriptionId, {
-            endpoint: armEndpoint
+            endpoint: armEndpoint,
+            credentialScopes: armScopes
         });
 
         const openAIResources = [];
@@ -125,7 +129,7 @@ module.exports = async function (context, req) {
                     resources: openAIResources,
                     count: openAIResources.length,
                     subscriptionId: subscriptionId,
-                    environment: process.env.AZURE_ENVIRONMENT || 'AzureUSGovernment',
+                    environment: registry.getEnvironmentName(),
                     openAIDomain: openAIDomain
                 })
             };
@@ -157,7 +161,7 @@ module.exports = async function (context, req) {
             body: JSON.stringify({
                 error: 'Failed to discover OpenAI resources',
                 message: error.message,
-                environment: process.env.AZURE_ENVIRONMENT || 'AzureUSGovernment'
+                environment: registry.getEnvironmentName()
             })
         };
     }
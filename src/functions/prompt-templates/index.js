@@ -0,0 +1,110 @@
+// Prompt template library: the prompts behind the analysis functions, with per-team wording and version history
+//
+// GET    /prompt-templates                      list (?category=)
+// GET    /prompt-templates/{id}                 active wording (?version= for a specific one, 0 = built-in)
+// PUT    /prompt-templates/{id}                 { system, user, changeNote } saves and activates a new team version
+// DELETE /prompt-templates/{id}                 back to the built-in wording (history is kept)
+// POST   /prompt-templates/{id}/preview         { variables, version?, system?, user?, model? } rendered prompts and token counts
+// POST   /prompt-templates/{id}/activate        { version } make an earlier version active
+// GET    /prompt-templates/{id}/versions        version history
+// GET    /prompt-templates/{id}/versions/{n}    a single version
+//
+// Saving and activating require the admin or prompt-editor role; the team and the roles
+// come from a validated token or the platform's client principal
+
+const { StoreError } = require('../shared/entityStore');
+const { getVerifiedIdentity } = require('../shared/clientPrincipal');
+const promptTemplates = require('../shared/promptTemplates');
+
+const corsHeaders = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+};
+
+module.exports = async function (context, req) {
+    // Handle CORS
+    if (req.method === 'OPTIONS') {
+        context.res = {
+            status: 200,
+            headers: {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+            },
+            body: ''
+        };
+        return;
+    }
+
+    const method = req.method.toUpperCase();
+    const { id, action, version } = req.params || {};
+    const identity = await getVerifiedIdentity(req, context.log);
+    const body = req.body || {};
+
+    context.log(`Prompt templates request: ${method} ${id || ''} ${action || ''} for user: ${identity.userId}`);
+
+    try {
+        let result;
+
+        if (!id) {
+            if (method === 'GET') {
+                const templates = await promptTemplates.listTemplates(identity, req.query || {});
+                result = { templates, count: templates.length };
+            }
+        } else if (!action) {
+            if (method === 'GET') {
+                result = await promptTemplates.getTemplate(identity, id, { version: req.query?.version });
+            } else if (method === 'PUT') {
+                result = await promptTemplates.saveTemplate(identity, id, body);
+            } else if (method === 'DELETE') {
+                result = await promptTemplates.activateVersion(identity, id, promptTemplates.BUILTIN_VERSION);
+            }
+        } else if (action === 'preview' && method === 'POST') {
+            result = await promptTemplates.previewTemplate(identity, id, body);
+        } else if (action === 'activate' && method === 'POST') {
+            if (body.version === undefined) {
+                throw new StoreError('version is required', 'INVALID_INPUT', 400);
+            }
+            result = await promptTemplates.activateVersion(identity, id, body.version);
+        } else if (action === 'versions' && method === 'GET') {
+            result = version
+                ? await promptTemplates.getTemplate(identity, id, { version })
+                : { id, versions: await promptTemplates.listVersions(identity, id) };
+        }
+
+        if (result === undefined) {
+            context.res = {
+                status: 405,
+                headers: corsHeaders,
+                body: { error: `${method} is not supported for this prompt-templates route` }
+            };
+            return;
+        }
+
+        context.res = {
+            status: 200,
+            headers: corsHeaders,
+            body: result
+        };
+
+    } catch (error) {
+        if (error instanceof StoreError) {
+            context.res = {
+                status: error.statusCode,
+                headers: corsHeaders,
+                body: { error: error.message, code: error.code }
+            };
+            return;
+        }
+
+        context.log.error('Error in prompt-templates function:', error);
+        context.res = {
+            status: 500,
+            headers: corsHeaders,
+            body: {
+                error: 'Failed to process prompt template request',
+                details: error.message
+            }
+        };
+    }
+};
@@ -0,0 +1,10 @@
+// Executes asynchronous KQL query jobs queued by the query-jobs function
+const { runJob } = require('../shared/queryJobs');
+
+module.exports = async function (context, jobMessage) {
+    const message = typeof jobMessage === 'string' ? JSON.parse(jobMessage) : jobMessage;
+
+    context.log(`Query job runner triggered for job: ${message.jobId}`);
+
+    await runJob(message, context);
+};
@@ -0,0 +1,162 @@
+// Asynchronous KQL query jobs with cursor-based result paging
+//
+// GET    /query-jobs                          the caller's jobs
+// POST   /query-jobs                          submit { workspaceId, query, timeRange?, timeoutSeconds? } -> 202 { jobId }
+// GET    /query-jobs/{jobId}                  status, row counts and statistics
+// GET    /query-jobs/{jobId}/results          ?cursor=&pageSize= (max 5000 rows per page)
+// POST   /query-jobs/{jobId}/cancel           cancel a queued or running job
+// DELETE /query-jobs/{jobId}                  delete the job and its stored results
+//
+// Jobs run later with the Function App identity, so a submission is only accepted
+// when the caller's own ARM token (validated, it also owns the job) can see the workspace
+
+const { StoreError } = require('../shared/entityStore');
+const { getBearerToken, getVerifiedIdentity } = require('../shared/clientPrincipal');
+const { formatDiagnostics } = require('../shared/kqlParser');
+const { analyzeQueryAccess, canAccessWorkspace } = require('../shared/workspaceAccess');
+const queryJobs = require('../shared/queryJobs');
+
+const corsHeaders = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+};
+
+module.exports = async function (context, req) {
+    // Handle CORS
+    if (req.method === 'OPTIONS') {
+        context.res = {
+            status: 200,
+            headers: {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+            },
+            body: ''
+        };
+        return;
+    }
+
+    const method = req.method.toUpperCase();
+    const { jobId, action } = req.params || {};
+    const { userId, verified } = await getVerifiedIdentity(req, context.log);
+
+    try {
+        let status = 200;
+        let result;
+
+        if (!jobId && method === 'GET') {
+            const jobs = await queryJobs.listJobs(userId);
+            result = { jobs, count: jobs.length };
+
+        } else if (!jobId && method === 'POST') {
+            const token = getBearerToken(req);
+            if (!token || !verified) {
+                context.res = {
+                    status: 401,
+                    headers: corsHeaders,
+                    body: { error: 'Authentication required. Please provide a valid ARM Bearer token.' }
+                };
+                return;
+            }
+
+            const request = req.body || {};
+            if (!request.workspaceId || !request.query) {
+                context.res = {
+                    status: 400,
+                    headers: corsHeaders,
+                    body: { error: 'workspaceId and query are required' }
+                };
+                return;
+            }
+
+            if (!await canAccessWorkspace(token, request.workspaceId, context.log)) {
+                context.res = {
+                    status: 403,
+                    headers: corsHeaders,
+                    body: { error: `Workspace ${request.workspaceId} is not accessible with your credentials` }
+                };
+                return;
+            }
+
+            const analysis = await analyzeQueryAccess(request.query, {
+                workspaceId: request.workspaceId,
+                token,
+                log: context.log
+            });
+            if (!analysis.valid) {
+                context.res = {
+                    status: 400,
+                    headers: corsHeaders,
+                    body: {
+                        error: 'Query failed validation',
+                        message: formatDiagnostics(analysis.diagnostics),
+                        diagnostics: analysis.diagnostics
+                    }
+                };
+                return;
+            }
+
+            const { job, message } = await queryJobs.createJob(userId, request);
+            context.bindings.jobQueue = message;
+            context.log(`Queued query job ${job.jobId} on workspace ${job.workspaceId} for user: ${userId}`);
+
+            status = 202;
+            result = {
+                jobId: job.jobId,
+                status: job.status,
+                statusUrl: `/api/query-jobs/${job.jobId}`,
+                resultsUrl: `/api/query-jobs/${job.jobId}/results`
+            };
+
+        } else if (jobId && !action && method === 'GET') {
+            result = await queryJobs.getJob(userId, jobId);
+
+        } else if (jobId && action === 'results' && method === 'GET') {
+            result = await queryJobs.getResultsPage(userId, jobId, {
+                cursor: req.query?.cursor,
+                pageSize: req.query?.pageSize
+            });
+
+        } else if (jobId && action === 'cancel' && method === 'POST') {
+            result = await queryJobs.cancelJob(userId, jobId);
+
+        } else if (jobId && !action && method === 'DELETE') {
+            await queryJobs.deleteJob(userId, jobId);
+            result = { message: 'Query job deleted', jobId };
+
+        } else {
+            context.res = {
+                status: 405,
+                headers: corsHeaders,
+                body: { error: `${method} is not supported for this route` }
+            };
+            return;
+        }
+
+        context.res = {
+            status,
+            headers: corsHeaders,
+            body: result
+        };
+
+    } catch (error) {
+        if (error instanceof StoreError) {
+            context.res = {
+                status: error.statusCode,
+                headers: corsHeaders,
+                body: { error: error.message, code: error.code }
+            };
+            return;
+        }
+
+        context.log.error('Error in query-jobs function:', error);
+        context.res = {
+            status: 500,
+            headers: corsHeaders,
+            body: {
+                error: 'Failed to process query job request',
+                details: error.message
+            }
+        };
+    }
+};
@@ -0,0 +1,134 @@
+// Saved query library: per-team KQL queries with sharing, tags and version history
+//
+// GET    /saved-queries                      list (?search=&tag=&workspaceId=&scope=mine|team|all)
+// POST   /saved-queries                      create
+// GET    /saved-queries/{id}                 get
+// PUT    /saved-queries/{id}                 update (If-Match for optimistic concurrency)
+// DELETE /saved-queries/{id}                 delete
+// POST   /saved-queries/{id}/tags            { tags } | { add, remove }
+// POST   /saved-queries/{id}/share           { visibility: 'private' | 'team' }
+// GET    /saved-queries/{id}/versions        version history
+// GET    /saved-queries/{id}/versions/{n}    a single version
+// GET    /saved-queries/{id}/diff            ?from=&to= (defaults to previous vs latest)
+
+const { StoreError } = require('../shared/entityStore');
+const { getVerifiedIdentity } = require('../shared/clientPrincipal');
+const savedQueries = require('../shared/savedQueryStore');
+
+const corsHeaders = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'ETag'
+};
+
+module.exports = async function (context, req) {
+    // Handle CORS
+    if (req.method === 'OPTIONS') {
+        context.res = {
+            status: 200,
+            headers: {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match'
+            },
+            body: ''
+        };
+        return;
+    }
+
+    const method = req.method.toUpperCase();
+    const { id, action, version } = req.params || {};
+    const identity = await getVerifiedIdentity(req, context.log);
+    const body = req.body || {};
+
+    context.log(`Saved queries request: ${method} ${id || ''} ${action || ''} for user: ${identity.userId}`);
+
+    if (method !== 'GET' && !identity.verified) {
+        context.res = {
+            status: 401,
+            headers: corsHeaders,
+            body: {
+                error: 'Invalid authorization token',
+                message: 'Saving queries needs a token that validates for this app (see TOKEN_AUDIENCES)'
+            }
+        };
+        return;
+    }
+
+    try {
+        let status = 200;
+        let result;
+
+        if (!id) {
+            if (method === 'GET') {
+                const queries = await savedQueries.listQueries(identity, req.query || {});
+                result = { queries, count: queries.length };
+            } else if (method === 'POST') {
+                // ids and timestamps are server-assigned
+                const { id: _id, createdAt, ...input } = body;
+                result = await savedQueries.createQuery(identity, input);
+                status = 201;
+            }
+        } else if (!action) {
+            const etag = req.headers['if-match'] || body.etag;
+
+            if (method === 'GET') {
+                result = await savedQueries.getQuery(identity, id);
+            } else if (method === 'PUT') {
+                const { etag: _etag, changeNote, ...changes } = body;
+                result = await savedQueries.updateQuery(identity, id, changes, { etag, changeNote });
+            } else if (method === 'DELETE') {
+                await savedQueries.deleteQuery(identity, id, { etag });
+                result = { message: 'Saved query deleted', id };
+            }
+        } else if (action === 'tags' && method === 'POST') {
+            result = await savedQueries.setTags(identity, id, body);
+        } else if (action === 'share' && method === 'POST') {
+            result = await savedQueries.shareQuery(identity, id, body.visibility);
+        } else if (action === 'versions' && method === 'GET') {
+            result = version
+                ? await savedQueries.getVersion(identity, id, parseInt(version))
+                : { id, versions: await savedQueries.listVersions(identity, id) };
+        } else if (action === 'diff' && method === 'GET') {
+            result = await savedQueries.diffVersions(identity, id, req.query?.from, req.query?.to);
+        }
+
+        if (result === undefined) {
+            context.res = {
+                status: 405,
+                headers: corsHeaders,
+                body: { error: `${method} is not supported for this saved-queries route` }
+            };
+            return;
+        }
+
+        context.res = {
+            status,
+            headers: {
+                ...corsHeaders,
+                ...(result.etag ? { 'ETag': result.etag } : {})
+            },
+            body: result
+        };
+
+    } catch (error) {
+        if (error instanceof StoreError) {
+            context.res = {
+                status: error.statusCode,
+                headers: corsHeaders,
+                body: { error: error.message, code: error.code }
+            };
+            return;
+        }
+
+        context.log.error('Error in saved-queries function:', error);
+        context.res = {
+            status: 500,
+            headers: corsHeaders,
+            body: {
+                error: "Failed to process saved query request",
+                details: error.message
+            }
+        };
+    }
+};
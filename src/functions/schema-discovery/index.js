@@ -1,5 +1,6 @@
 const { ManagedIdentityCredential } = require('@azure/identity');
 const { LogsQueryClient } = require('@azure/monitor-query');
+const registry = require('../shared/endpointRegistry');
 
 // Cache for workspace schemas (5-minute TTL)
 const schemaCache = new Map();
@@ -59,7 +60,7 @@ module.exports = async function (context, req) {
         // Initialize Log Analytics client with Managed Identity
         const credential = new ManagedIdentityCredential();
         const logsClient = new LogsQueryClient(credential, {
-            endpoint: process.env.LogAnalyticsEndpoint || 'https://api.loganalytics.io'
+            endpoint: registry.getEndpoint('logAnalytics')
         });
 
         // Query to get all tables in the workspace
@@ -0,0 +1,177 @@
+// Sentinel incident management through the Microsoft.SecurityInsights API on the management endpoint
+//
+// GET    /sentinel-incidents                           list (?filter=&orderby=&top=)
+// GET    /sentinel-incidents/{id}                      a single incident
+// PATCH  /sentinel-incidents/{id}                      { status, severity, owner, classification, classificationReason,
+//                                                        classificationComment, labels, title, description }
+// GET    /sentinel-incidents/{id}/comments             comment thread
+// POST   /sentinel-incidents/{id}/comments             { message }
+// GET    /sentinel-incidents/{id}/relations            linked bookmarks, alerts, entities and incidents
+// POST   /sentinel-incidents/{id}/relations            { relatedResourceId }
+// DELETE /sentinel-incidents/{id}/relations/{name}     unlink
+// GET    /sentinel-incidents/{id}/audit                 changes made from this app (?limit=)
+//
+// Every request names the workspace with workspaceResourceId, or subscriptionId,
+// resourceGroup and workspaceName (query string or body). Every request runs with
+// the caller's ARM token, so Sentinel applies the caller's own workspace roles.
+// Changes and the audit trail also need the token to validate locally: the audit
+// entries name the token's user and are kept per tenant
+
+const AzureRestClient = require('../shared/azureRestClient');
+const { StoreError } = require('../shared/entityStore');
+const { getBearerToken, getVerifiedIdentity } = require('../shared/clientPrincipal');
+const { getAuditTrail } = require('../shared/incidentTriage');
+const sentinel = require('../shared/sentinelIncidents');
+
+const corsHeaders = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+};
+
+// ARM errors come back as "HTTP <status>: <body>"; surface the ARM message
+function armErrorMessage(error) {
+    const body = String(error.message).replace(/^HTTP \d+: /, '');
+    try {
+        return JSON.parse(body).error?.message || error.message;
+    } catch {
+        return error.message;
+    }
+}
+
+module.exports = async function (context, req) {
+    // Handle CORS
+    if (req.method === 'OPTIONS') {
+        context.res = {
+            status: 200,
+            headers: {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+            },
+            body: ''
+        };
+        return;
+    }
+
+    const method = req.method.toUpperCase();
+    const { incidentId, resource, itemId } = req.params || {};
+    const query = req.query || {};
+    const body = req.body || {};
+    const userToken = getBearerToken(req);
+
+    if (!userToken) {
+        context.res = {
+            status: 401,
+            headers: corsHeaders,
+            body: {
+                error: 'No authorization token provided',
+                message: 'Sentinel incidents are read and changed with your ARM token (Microsoft Sentinel Reader, Responder or Contributor on the workspace)'
+            }
+        };
+        return;
+    }
+
+    const identity = await getVerifiedIdentity(req, context.log);
+    context.log(`Sentinel incidents request: ${method} ${incidentId || ''} ${resource || ''} for user: ${identity.userId}`);
+
+    if ((method !== 'GET' || resource === 'audit') && !identity.verified) {
+        context.res = {
+            status: 401,
+            headers: corsHeaders,
+            body: {
+                error: 'Invalid authorization token',
+                message: 'Changes and the audit trail need an ARM token that validates for this app (see TOKEN_AUDIENCES)'
+            }
+        };
+        return;
+    }
+
+    try {
+        const workspace = sentinel.resolveWorkspace({ ...query, ...body });
+        const client = new AzureRestClient(userToken, workspace.subscriptionId);
+        const options = { log: context.log };
+        let result;
+
+        if (!incidentId) {
+            if (method === 'GET') {
+                const incidents = await sentinel.listIncidents(client, workspace, query);
+                result = { incidents, count: incidents.length };
+            }
+        } else if (!resource) {
+            if (method === 'GET') {
+                result = await sentinel.getIncident(client, workspace, incidentId);
+            } else if (method === 'PATCH') {
+                result = await sentinel.updateIncident(client, identity, workspace, incidentId, body, options);
+            }
+        } else if (resource === 'comments') {
+            if (method === 'GET') {
+                const comments = await sentinel.listComments(client, workspace, incidentId);
+                result = { incidentId, comments, count: comments.length };
+            } else if (method === 'POST') {
+                result = await sentinel.addComment(client, identity, workspace, incidentId, body.message, options);
+            }
+        } else if (resource === 'relations') {
+            if (method === 'GET' && !itemId) {
+                const relations = await sentinel.listRelations(client, workspace, incidentId);
+                result = { incidentId, relations, count: relations.length };
+            } else if (method === 'POST' && !itemId) {
+                result = await sentinel.addRelation(client, identity, workspace, incidentId, body.relatedResourceId, options);
+            } else if (method === 'DELETE' && itemId) {
+                result = await sentinel.removeRelation(client, identity, workspace, incidentId, itemId, options);
+            }
+        } else if (resource === 'audit' && method === 'GET') {
+            // Only callers who can read the incident in Sentinel see its trail
+            await sentinel.getIncident(client, workspace, incidentId);
+            const entries = await getAuditTrail(identity, incidentId, { limit: query.limit });
+            result = { incidentId, entries: entries.filter(entry => entry.provider === 'sentinel') };
+        }
+
+        if (result === undefined) {
+            context.res = {
+                status: 405,
+                headers: corsHeaders,
+                body: { error: `${method} is not supported for this sentinel-incidents route` }
+            };
+            return;
+        }
+
+        context.res = {
+            status: 200,
+            headers: corsHeaders,
+            body: result
+        };
+
+    } catch (error) {
+        if (error instanceof StoreError) {
+            context.res = {
+                status: error.statusCode,
+                headers: corsHeaders,
+                body: { error: error.message, code: error.code }
+            };
+            return;
+        }
+
+        // ARM answers (403 without a Sentinel role, 404 unknown incident, 412 lost update) reach the caller as-is
+        if (error.statusCode >= 400 && error.statusCode < 500) {
+            context.res = {
+                status: error.statusCode,
+                headers: corsHeaders,
+                body: {
+                    error: error.statusCode === 403 ? 'Insufficient permissions on the Sentinel workspace' : 'Sentinel request rejected',
+                    message: armErrorMessage(error)
+                }
+            };
+            return;
+        }
+
+        context.log.error('Error in sentinel-incidents function:', error);
+        context.res = {
+            status: 500,
+            headers: corsHeaders,
+            body: {
+                error: 'Failed to process Sentinel incident request',
+                details: error.message
+            }
+        };
+    }
+};
@@ -0,0 +1,386 @@
+/**
+ * Analysis Event Streams
+ * Server-Sent Events for analyze-with-ai: token deltas and per-chunk progress
+ * are appended to an event log that clients read with Last-Event-ID
+ *
+ * HTTP functions on this programming model cannot flush a response body
+ * before the function returns, so the analysis request writes its events to
+ * the shared entity store as they happen and GET /analyze-with-ai/stream/{id}
+ * long-polls that log. Each poll returns the events after Last-Event-ID as
+ * text/event-stream; the client reconnects until the stream ends (204)
+ *
+ * Clients pick the stream ID so they can poll before the POST returns; IDs in
+ * use are rejected. Streams and their events expire after
+ * ANALYSIS_STREAM_RETENTION_HOURS and are purged as new streams start
+ *
+ * Cancellation mirrors kqlQueryRegistry: the running instance aborts at once
+ * when the cancel lands on the same worker and otherwise on its next poll
+ */
+
+const crypto = require('crypto');
+const { getEntityStore, StoreError } = require('./entityStore');
+
+const STREAMS_TABLE = 'AnalysisStreams';
+const STREAMS_PARTITION = 'streams';
+
+const FLUSH_INTERVAL_MS = 500;
+const CANCEL_POLL_INTERVAL_MS = 2000;
+const LONG_POLL_MS = 15000;
+const LONG_POLL_INTERVAL_MS = 500;
+const CLIENT_RETRY_MS = 1000;
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+// Table Storage caps string properties at 64KB (32K UTF-16 characters)
+const MAX_BATCH_CHARS = 30000;
+
+const STREAM_EVENTS = {
+    STARTED: 'started',
+    CHUNK_STARTED: 'chunk-started',
+    DELTA: 'delta',
+    CHUNK_DONE: 'chunk-done',
+    FAILOVER: 'failover',
+    AGGREGATING: 'aggregating',
+    DONE: 'done',
+    CANCELLED: 'cancelled',
+    ERROR: 'error'
+};
+
+const STREAM_STATUS = {
+    RUNNING: 'running',
+    CANCEL_REQUESTED: 'cancelRequested',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    FAILED: 'failed'
+};
+
+const getRetentionHours = () => parseInt(process.env.ANALYSIS_STREAM_RETENTION_HOURS) || 24;
+
+// Streams running on this instance: id -> { userId, events, status, abort }
+const localStreams = new Map();
+let lastPurge = 0;
+
+function normalizeStreamId(streamId) {
+    if (streamId === undefined || streamId === null || streamId === '') {
+        return crypto.randomUUID();
+    }
+    if (!/^[A-Za-z0-9-]{8,64}$/.test(streamId)) {
+        throw new StoreError('streamId must be 8-64 letters, digits or hyphens', 'INVALID_INPUT', 400);
+    }
+    return streamId;
+}
+
+const isExpired = (record) => Boolean(record.expiresAt) && record.expiresAt < new Date().toISOString();
+
+function eventRowKey(id) {
+    return String(id).padStart(10, '0');
+}
+
+/**
+ * Serialize events in text/event-stream format
+ */
+function formatSseEvents(events, { retryMs } = {}) {
+    const lines = retryMs ? [`retry: ${retryMs}`, ''] : [];
+    for (const event of events) {
+        lines.push(`id: ${event.id}`, `event: ${event.event}`, `data: ${JSON.stringify(event.data)}`, '');
+    }
+    return lines.join('\n') + (lines.length ? '\n' : '');
+}
+
+/**
+ * Incremental parser for an upstream text/event-stream body
+ * Feed it raw chunks; onEvent receives { event, data, id } per complete event
+ */
+function createSseParser(onEvent) {
+    let buffer = '';
+    let current = { data: [] };
+
+    const dispatch = () => {
+        if (current.data.length > 0) {
+            onEvent({ event: current.event || 'message', id: current.id, data: current.data.join('\n') });
+        }
+        current = { data: [] };
+    };
+
+    return {
+        push(text) {
+            buffer += text;
+            let newline;
+            while ((newline = buffer.search(/\r?\n/)) !== -1) {
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(buffer[newline] === '\r' ? newline + 2 : newline + 1);
+
+                if (line === '') {
+                    dispatch();
+                } else if (!line.startsWith(':')) {
+                    const colon = line.indexOf(':');
+                    const field = colon === -1 ? line : line.slice(0, colon);
+                    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+                    if (field === 'data') current.data.push(value);
+                    else if (field === 'event') current.event = value;
+                    else if (field === 'id') current.id = value;
+                }
+            }
+        },
+        end() {
+            if (buffer) {
+                this.push('\n');
+            }
+            dispatch();
+        }
+    };
+}
+
+async function deleteStream(store, id) {
+    for (const batch of await store.list(id)) {
+        await store.delete(id, batch.rowKey);
+    }
+    await store.delete(STREAMS_PARTITION, id);
+}
+
+/**
+ * Remove streams past their retention period along with their events
+ * Streams still running on this instance are kept
+ */
+async function purgeExpiredStreams(log = console.log) {
+    const store = getEntityStore(STREAMS_TABLE);
+    let purged = 0;
+
+    for (const record of await store.list(STREAMS_PARTITION)) {
+        if (!isExpired(record) || localStreams.has(record.rowKey)) continue;
+        try {
+            await deleteStream(store, record.rowKey);
+            purged++;
+        } catch (error) {
+            log(`[Stream] Could not purge stream ${record.rowKey}: ${error.message}`);
+        }
+    }
+
+    return purged;
+}
+
+/**
+ * Register a stream before analysis starts
+ * Returns a handle with emit(event, data), the abort signal and finish(status)
+ * Throws 400 for malformed IDs and 409 when the ID is already in use
+ */
+async function startStream({ streamId, userId, log = console.log }) {
+    const id = normalizeStreamId(streamId);
+    const store = getEntityStore(STREAMS_TABLE);
+
+    if (Date.now() - lastPurge > PURGE_INTERVAL_MS) {
+        lastPurge = Date.now();
+        purgeExpiredStreams(log).catch(error => log(`[Stream] Purge failed: ${error.message}`));
+    }
+
+    const inUse = () => new StoreError(`Stream ${id} already exists`, 'ALREADY_EXISTS', 409);
+    if (localStreams.has(id)) {
+        throw inUse();
+    }
+
+    const controller = new AbortController();
+    const local = { userId: String(userId), events: [], status: STREAM_STATUS.RUNNING };
+    let pending = [];
+    let flushing = Promise.resolve();
+
+    local.abort = () => controller.abort();
+    localStreams.set(id, local);
+
+    const startedAt = new Date();
+    try {
+        await store.create({
+            partitionKey: STREAMS_PARTITION,
+            rowKey: id,
+            userId: String(userId),
+            status: STREAM_STATUS.RUNNING,
+            startedAt: startedAt.toISOString(),
+            expiresAt: new Date(startedAt.getTime() + getRetentionHours() * 3600 * 1000).toISOString()
+        });
+    } catch (error) {
+        if (error.code === 'ALREADY_EXISTS') {
+            localStreams.delete(id);
+            throw inUse();
+        }
+        // Polling then only works against this instance; the analysis itself still runs
+        log(`[Stream] Could not record stream ${id}: ${error.message}`);
+    }
+
+    const writeBatch = async (batch) => {
+        try {
+            await store.upsert({
+                partitionKey: id,
+                rowKey: eventRowKey(batch[0].id),
+                events: JSON.stringify(batch)
+            });
+        } catch (error) {
+            log(`[Stream] Could not persist events for ${id}: ${error.message}`);
+        }
+    };
+
+    // Batches are written in order so readers never see a gap close later
+    const flush = () => {
+        if (pending.length === 0) return flushing;
+        const batches = [];
+        let batch = [];
+        let size = 0;
+        for (const event of pending) {
+            const length = JSON.stringify(event).length;
+            if (batch.length > 0 && size + length > MAX_BATCH_CHARS) {
+                batches.push(batch);
+                batch = [];
+                size = 0;
+            }
+            batch.push(event);
+            size += length;
+        }
+        batches.push(batch);
+        pending = [];
+        flushing = flushing.then(async () => {
+            for (const next of batches) {
+                await writeBatch(next);
+            }
+        });
+        return flushing;
+    };
+
+    const flushTimer = setInterval(flush, FLUSH_INTERVAL_MS);
+
+    const poller = setInterval(async () => {
+        try {
+            const record = await store.get(STREAMS_PARTITION, id);
+            if (record?.status === STREAM_STATUS.CANCEL_REQUESTED) {
+                controller.abort();
+            }
+        } catch (error) {
+            log(`[Stream] Cancellation poll failed for ${id}: ${error.message}`);
+        }
+    }, CANCEL_POLL_INTERVAL_MS);
+
+    return {
+        streamId: id,
+        signal: controller.signal,
+        get events() {
+            return local.events;
+        },
+        emit(event, data = {}) {
+            const entry = { id: local.events.length + 1, event, data };
+            local.events.push(entry);
+            pending.push(entry);
+            return entry;
+        },
+        async finish(status, details = {}) {
+            clearInterval(flushTimer);
+            clearInterval(poller);
+            await flush();
+            local.status = status;
+
+            try {
+                const record = await store.get(STREAMS_PARTITION, id);
+                await store.upsert({
+                    ...(record || { partitionKey: STREAMS_PARTITION, rowKey: id, userId: String(userId) }),
+                    status,
+                    eventCount: local.events.length,
+                    completedAt: new Date().toISOString(),
+                    ...details
+                });
+            } catch (error) {
+                log(`[Stream] Could not record final status for ${id}: ${error.message}`);
+            }
+
+            // Late pollers on this instance read from the store like everyone else
+            localStreams.delete(id);
+        }
+    };
+}
+
+async function loadStream(streamId, userId) {
+    const local = localStreams.get(streamId);
+    if (local) {
+        if (local.userId !== String(userId)) {
+            throw new StoreError(`Stream ${streamId} not found`, 'NOT_FOUND', 404);
+        }
+        return { status: local.status, events: local.events };
+    }
+
+    const store = getEntityStore(STREAMS_TABLE);
+    const record = await store.get(STREAMS_PARTITION, streamId);
+    if (!record || record.userId !== String(userId) || isExpired(record)) {
+        throw new StoreError(`Stream ${streamId} not found`, 'NOT_FOUND', 404);
+    }
+
+    const batches = await store.list(streamId);
+    const events = batches
+        .sort((a, b) => a.rowKey.localeCompare(b.rowKey))
+        .flatMap(batch => JSON.parse(batch.events));
+    return { status: record.status, events };
+}
+
+/**
+ * Events after lastEventId, waiting up to LONG_POLL_MS for new ones while the
+ * stream is running. done is true once the stream has ended and every event
+ * has been returned
+ */
+async function readStreamEvents(streamId, userId, { lastEventId = 0, waitMs = LONG_POLL_MS } = {}) {
+    const after = parseInt(lastEventId) || 0;
+    const deadline = Date.now() + waitMs;
+
+    for (;;) {
+        const { status, events } = await loadStream(streamId, userId);
+        const fresh = events.filter(event => event.id > after);
+        const finished = status !== STREAM_STATUS.RUNNING && status !== STREAM_STATUS.CANCEL_REQUESTED;
+
+        if (fresh.length > 0 || finished || Date.now() >= deadline) {
+            return { streamId, status, events: fresh, done: finished && fresh.length === 0 };
+        }
+        await new Promise(resolve => setTimeout(resolve, LONG_POLL_INTERVAL_MS));
+    }
+}
+
+/**
+ * Request cancellation of a running stream owned by userId
+ */
+async function cancelStream(streamId, userId) {
+    const store = getEntityStore(STREAMS_TABLE);
+    const record = await store.get(STREAMS_PARTITION, streamId);
+    const local = localStreams.get(streamId);
+
+    if (!record && !local) {
+        throw new StoreError(`Stream ${streamId} not found`, 'NOT_FOUND', 404);
+    }
+
+    const ownerId = String(record ? record.userId : local.userId);
+    if (ownerId !== String(userId)) {
+        throw new StoreError('Only the user who started an analysis can cancel it', 'FORBIDDEN', 403);
+    }
+
+    if (local) {
+        local.abort();
+    }
+
+    if (record && record.status === STREAM_STATUS.RUNNING) {
+        try {
+            await store.update(
+                { ...record, status: STREAM_STATUS.CANCEL_REQUESTED, cancelRequestedAt: new Date().toISOString() },
+                { etag: record.etag }
+            );
+            return { streamId, status: STREAM_STATUS.CANCEL_REQUESTED };
+        } catch (error) {
+            if (error.code !== 'PRECONDITION_FAILED') throw error;
+            const latest = await store.get(STREAMS_PARTITION, streamId);
+            return { streamId, status: latest ? latest.status : STREAM_STATUS.CANCELLED };
+        }
+    }
+
+    return { streamId, status: record ? record.status : STREAM_STATUS.CANCEL_REQUESTED };
+}
+
+module.exports = {
+    STREAM_EVENTS,
+    STREAM_STATUS,
+    CLIENT_RETRY_MS,
+    formatSseEvents,
+    createSseParser,
+    startStream,
+    readStreamEvents,
+    cancelStream,
+    purgeExpiredStreams
+};
@@ -5,6 +5,7 @@
  */
 
 const { DefaultAzureCredential, ManagedIdentityCredential, ClientSecretCredential } = require('@azure/identity');
+const registry = require('./endpointRegistry');
 
 /**
  * Gets the appropriate Azure credential based on environment
@@ -52,7 +53,7 @@ function getAzureCredential() {
 async function getAccessToken() {
     try {
         const credential = getAzureCredential();
-        const tokenResponse = await credential.getToken('https://cognitiveservices.azure.com/.default');
+        const tokenResponse = await credential.getToken(registry.getScope('cognitive'));
         
         return {
             token: tokenResponse.token,
@@ -96,7 +97,7 @@ class TokenCache {
         this.cache = new Map();
     }
     
-    async getToken(scope = 'https://cognitiveservices.azure.com/.default') {
+    async getToken(scope = registry.getScope('cognitive')) {
         const cached = this.cache.get(scope);
         
         // Check if cached token is still valid (with 5-minute buffer)
@@ -127,33 +128,15 @@ const tokenCache = new TokenCache();
 
 /**
  * Environment-specific endpoint configuration
- * Supports Azure Public, Government, and DoD environments
+ * Supports every environment known to the shared endpoint registry
  */
 function getEnvironmentConfig() {
-    const environment = process.env.AZURE_ENVIRONMENT || 'AzurePublicCloud';
-    
-    const configs = {
-        'AzurePublicCloud': {
-            managementEndpoint: 'https://management.azure.com',
-            openAIEndpointSuffix: '.openai.azure.com',
-            authority: 'https://login.microsoftonline.com',
-            cognitiveServicesScope: 'https://cognitiveservices.azure.com/.default'
-        },
-        'AzureUSGovernment': {
-            managementEndpoint: 'https://management.usgovcloudapi.net',
-            openAIEndpointSuffix: '.openai.azure.us',
-            authority: 'https://login.microsoftonline.us',
-            cognitiveServicesScope: 'https://cognitiveservices.azure.us/.default'
-        },
-        'AzureDoD': {
-            managementEndpoint: 'https://management.usgovcloudapi.net',
-            openAIEndpointSuffix: '.openai.azure.us',
-            authority: 'https://login.microsoftonline.us',
-            cognitiveServicesScope: 'https://cognitiveservices.azure.us/.default'
-        }
+    return {
+        managementEndpoint: registry.getEndpoint('management'),
+        openAIEndpointSuffix: `.${registry.getEndpoint('openAI')}`,
+        authority: registry.getEndpoint('authentication'),
+        cognitiveServicesScope: registry.getScope('cognitive')
     };
-    
-    return configs[environment] || configs['AzurePublicCloud'];
 }
 
 module.exports = {
@@ -1,72 +1,57 @@
 /**
  * Azure Environment Configuration for Function Apps
  * Provides environment-specific endpoints and configuration
+ * Values come from the shared endpoint registry (endpointRegistry.js)
  */
 
+const registry = require('./endpointRegistry');
+
 const getEnvironmentConfig = (environmentName) => {
-    const environments = {
-        AzureCloud: {
-            name: 'Azure Public Cloud',
-            management: 'https://management.azure.com',
-            authority: 'https://login.microsoftonline.com',
-            openaiSuffix: '.openai.azure.com',
-            graph: 'https://graph.microsoft.com',
-            resourceManager: 'https://management.azure.com/',
-            authentication: {
-                scope: 'https://management.azure.com/.default'
-            }
-        },
-        AzureUSGovernment: {
-            name: 'Azure US Government',
-            management: 'https://management.usgovcloudapi.net',
-            authority: 'https://login.microsoftonline.us',
-            openaiSuffix: '.openai.azure.us',
-            graph: 'https://graph.microsoft.us',
-            resourceManager: 'https://management.usgovcloudapi.net/',
-            authentication: {
-                scope: 'https://management.usgovcloudapi.net/.default'
-            }
-        },
-        AzureDoD: {
-            name: 'Azure DoD (IL4/IL5)',
-            management: 'https://management.usgovcloudapi.net',
-            authority: 'https://login.microsoftonline.us',
-            openaiSuffix: '.openai.azure.us',
-            graph: 'https://dod-graph.microsoft.us',
-            resourceManager: 'https://management.usgovcloudapi.net/',
-            authentication: {
-                scope: 'https://management.usgovcloudapi.net/.default'
-            }
+    const name = registry.getEnvironmentName(environmentName);
+    const endpoints = registry.getEndpoints(name);
+
+    return {
+        name: endpoints.name,
+        management: endpoints.management.replace(/\/+$/, ''),
+        authority: endpoints.authentication.replace(/\/+$/, ''),
+        openaiSuffix: `.${endpoints.openAI}`,
+        graph: endpoints.graph.replace(/\/+$/, ''),
+        logAnalytics: endpoints.logAnalytics?.replace(/\/+$/, ''),
+        storageSuffix: endpoints.storage,
+        keyVaultSuffix: endpoints.keyVault,
+        resourceManager: `${endpoints.management.replace(/\/+$/, '')}/`,
+        authentication: {
+            scope: registry.getScope('management', name)
         }
     };
-
-    return environments[environmentName] || environments.AzureCloud;
 };
 
 const getCredentialOptions = (environment) => {
-    const config = getEnvironmentConfig(environment);
-    
+    const name = registry.getEnvironmentName(environment);
+    const config = getEnvironmentConfig(name);
+
     // Configure the credential options based on environment
     const options = {
         authorityHost: config.authority
     };
-    
+
     // Add additional options for Government/DoD environments
-    if (environment !== 'AzureCloud') {
+    if (name !== 'AzureCloud') {
         options.loggingOptions = {
             allowLoggingAccountIdentifiers: false,
             enableUnsafeSupportLogging: false
         };
     }
-    
+
     return options;
 };
 
 const getClientOptions = (environment) => {
     const config = getEnvironmentConfig(environment);
-    
+
     return {
         endpoint: config.resourceManager,
+        credentialScopes: [config.authentication.scope],
         credential: {
             authorityHost: config.authority
         }
@@ -77,4 +62,4 @@ module.exports = {
     getEnvironmentConfig,
     getCredentialOptions,
     getClientOptions
-};
\ No newline at end of file
+};
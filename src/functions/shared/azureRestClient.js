@@ -1,6 +1,8 @@
 // Using built-in fetch (available in Node.js 18+)
 // const fetch = require('node-fetch');
 
+const registry = require('./endpointRegistry');
+
 /**
  * Azure REST API Client Helper
  * Provides direct REST API calls to Azure Resource Manager
@@ -11,10 +13,14 @@ class AzureRestClient {
     constructor(credential, subscriptionId) {
         this.credential = credential;
         this.subscriptionId = subscriptionId;
+        this.managementEndpoint = registry.getEndpoint('management');
+        this.managementScope = registry.getScope('management');
         this.apiVersion = {
             workspaces: '2021-06-01',
             cognitiveServices: '2023-05-01',
-            resources: '2021-04-01'
+            raiPolicies: '2023-10-01-preview',
+            resources: '2021-04-01',
+            securityInsights: process.env.SENTINEL_API_VERSION || '2024-03-01'
         };
     }
 
@@ -24,7 +30,7 @@ class AzureRestClient {
     async getAccessToken() {
         // For user token credential (simple object with getToken method)
         if (typeof this.credential.getToken === 'function') {
-            const tokenResponse = await this.credential.getToken(['https://management.azure.com/.default']);
+            const tokenResponse = await this.credential.getToken([this.managementScope]);
             return tokenResponse.token;
         }
         
@@ -75,13 +81,19 @@ class AzureRestClient {
             const data = await response.text();
             
             if (response.ok) {
+                // DELETE and some PUTs answer 200/204 without a body
+                if (!data) {
+                    return {};
+                }
                 const parsed = JSON.parse(data);
                 console.log(`[REST] Success - Found ${parsed.value ? parsed.value.length : 0} items`);
                 return parsed;
             } else {
                 console.error(`[REST] Error response status: ${response.status}`);
                 console.error(`[REST] Error response body: ${data.substring(0, 1000)}`);
-                throw new Error(`HTTP ${response.status}: ${data}`);
+                const error = new Error(`HTTP ${response.status}: ${data}`);
+                error.statusCode = response.status;
+                throw error;
             }
         } catch (error) {
             clearTimeout(timeout);
@@ -100,7 +112,7 @@ class AzureRestClient {
      * List Log Analytics workspaces using REST API
      */
     async listWorkspaces() {
-        const url = `https://management.azure.com/subscriptions/${this.subscriptionId}/providers/Microsoft.OperationalInsights/workspaces?api-version=${this.apiVersion.workspaces}`;
+        const url = `${this.managementEndpoint}/subscriptions/${this.subscriptionId}/providers/Microsoft.OperationalInsights/workspaces?api-version=${this.apiVersion.workspaces}`;
         
         try {
             const response = await this.makeRequest(url);
@@ -112,6 +124,7 @@ class AzureRestClient {
             return response.value.map(workspace => ({
                 workspaceId: workspace.properties?.customerId,
                 workspaceName: workspace.name,
+                resourceId: workspace.id,
                 resourceGroup: workspace.id ? workspace.id.split('/')[4] : '',
                 subscriptionId: this.subscriptionId,
                 location: workspace.location,
@@ -129,7 +142,7 @@ class AzureRestClient {
      * List Azure OpenAI/Cognitive Services accounts using REST API
      */
     async listCognitiveServicesAccounts() {
-        const url = `https://management.azure.com/subscriptions/${this.subscriptionId}/providers/Microsoft.CognitiveServices/accounts?api-version=${this.apiVersion.cognitiveServices}`;
+        const url = `${this.managementEndpoint}/subscriptions/${this.subscriptionId}/providers/Microsoft.CognitiveServices/accounts?api-version=${this.apiVersion.cognitiveServices}`;
         
         try {
             const response = await this.makeRequest(url);
@@ -163,38 +176,79 @@ class AzureRestClient {
 
     /**
      * Get deployments for a specific OpenAI resource using REST API
+     * Follows nextLink and throws on failure so callers can tell an empty
+     * resource from an unreachable one
      */
     async getOpenAIDeployments(resourceGroup, accountName) {
-        const url = `https://management.azure.com/subscriptions/${this.subscriptionId}/resourceGroups/${resourceGroup}/providers/Microsoft.CognitiveServices/accounts/${accountName}/deployments?api-version=${this.apiVersion.cognitiveServices}`;
-        
+        let nextLink = `${this.managementEndpoint}/subscriptions/${this.subscriptionId}/resourceGroups/${resourceGroup}/providers/Microsoft.CognitiveServices/accounts/${accountName}/deployments?api-version=${this.apiVersion.cognitiveServices}`;
+        const deployments = [];
+
         try {
-            const response = await this.makeRequest(url);
-            
-            if (!response.value) {
-                return [];
+            while (nextLink) {
+                const response = await this.makeRequest(nextLink);
+                deployments.push(...(response.value || []));
+                nextLink = response.nextLink || null;
             }
-            
-            return response.value.map(deployment => ({
-                id: deployment.id,
-                name: deployment.name,
-                model: deployment.properties?.model,
-                scaleSettings: deployment.properties?.scaleSettings,
-                provisioningState: deployment.properties?.provisioningState
-            }));
         } catch (error) {
             console.error(`Error getting deployments for ${accountName}:`, error.message);
-            return [];
+            throw error;
+        }
+
+        return deployments.map(deployment => ({
+            id: deployment.id,
+            name: deployment.name,
+            model: deployment.properties?.model,
+            sku: deployment.sku,
+            scaleSettings: deployment.properties?.scaleSettings,
+            rateLimits: deployment.properties?.rateLimits || [],
+            raiPolicyName: deployment.properties?.raiPolicyName,
+            versionUpgradeOption: deployment.properties?.versionUpgradeOption,
+            capabilities: deployment.properties?.capabilities || {},
+            provisioningState: deployment.properties?.provisioningState,
+            createdAt: deployment.systemData?.createdAt,
+            updatedAt: deployment.systemData?.lastModifiedAt
+        }));
+    }
+
+    /**
+     * Get the custom content filter (RAI) policies of an OpenAI resource
+     * Built-in policies such as Microsoft.DefaultV2 are not listed
+     */
+    async getRaiPolicies(resourceGroup, accountName) {
+        const url = `${this.managementEndpoint}/subscriptions/${this.subscriptionId}/resourceGroups/${resourceGroup}/providers/Microsoft.CognitiveServices/accounts/${accountName}/raiPolicies?api-version=${this.apiVersion.raiPolicies}`;
+
+        try {
+            const response = await this.makeRequest(url);
+
+            return (response.value || []).map(policy => ({
+                name: policy.name,
+                mode: policy.properties?.mode,
+                basePolicyName: policy.properties?.basePolicyName,
+                contentFilters: (policy.properties?.contentFilters || []).map(filter => ({
+                    name: filter.name,
+                    source: filter.source,
+                    enabled: filter.enabled,
+                    blocking: filter.blocking,
+                    severityThreshold: filter.severityThreshold
+                }))
+            }));
+        } catch (error) {
+            console.error(`Error getting content filter policies for ${accountName}:`, error.message);
+            throw error;
         }
     }
 
     /**
      * Handle paginated results
+     * options.maxItems stops paging once enough items are read; options.throwOnError
+     * propagates a failed page instead of returning the items read so far
      */
-    async getAllPages(initialUrl) {
+    async getAllPages(initialUrl, options = {}) {
+        const maxItems = options.maxItems || Infinity;
         const results = [];
         let nextLink = initialUrl;
         
-        while (nextLink) {
+        while (nextLink && results.length < maxItems) {
             try {
                 const response = await this.makeRequest(nextLink);
                 
@@ -204,12 +258,15 @@ class AzureRestClient {
                 
                 nextLink = response.nextLink || null;
             } catch (error) {
+                if (options.throwOnError) {
+                    throw error;
+                }
                 console.error('Error fetching page:', error.message);
                 break;
             }
         }
         
-        return results;
+        return results.slice(0, maxItems);
     }
 }
 
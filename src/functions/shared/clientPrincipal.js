@@ -0,0 +1,166 @@
+/**
+ * Client Principal Helper
+ * Resolves the calling user from the Static Web Apps client principal header
+ * or the claims of the delegated bearer token
+ *
+ * getUserIdentity reads both without checking them and only keys per-user
+ * state. Authorization decisions (roles, budgets, team partitions, shared
+ * caches) use getVerifiedIdentity, which trusts the client principal only
+ * when TRUST_CLIENT_PRINCIPAL says the platform sets it, and the token only
+ * once its signature, issuer and audience have been validated
+ */
+
+const { validateAccessToken, isAppAudience } = require('./tokenValidator');
+
+// Unverified callers share one identity, so they share one budget and cache scope
+const ANONYMOUS_IDENTITY = {
+    userId: 'anonymous',
+    userName: 'anonymous',
+    tenantId: null,
+    roles: [],
+    source: 'anonymous',
+    verified: false
+};
+
+/**
+ * Decode the x-ms-client-principal header injected by Static Web Apps
+ */
+function getClientPrincipal(req) {
+    const header = req.headers?.['x-ms-client-principal'];
+    if (!header) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(Buffer.from(header, 'base64').toString('utf-8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function getBearerToken(req) {
+    const authHeader = req.headers?.authorization;
+    return authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+}
+
+/**
+ * Read the claims of the bearer token without validating it
+ * Tokens are validated by the downstream Azure APIs they are forwarded to;
+ * the claims are only used to key per-user state
+ */
+function getTokenClaims(req) {
+    const token = getBearerToken(req);
+    if (!token) {
+        return null;
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Identify the calling user
+ * Priority: SWA client principal, token object id, legacy x-user-id header/query
+ * roles are the SWA user roles or the token's app roles
+ */
+function getUserIdentity(req) {
+    const principal = getClientPrincipal(req);
+    if (principal?.userId) {
+        return {
+            userId: principal.userId,
+            userName: principal.userDetails || principal.userId,
+            tenantId: null,
+            roles: principal.userRoles || [],
+            source: 'client-principal'
+        };
+    }
+
+    const claims = getTokenClaims(req);
+    if (claims?.oid) {
+        return {
+            userId: claims.oid,
+            userName: claims.preferred_username || claims.upn || claims.name || claims.oid,
+            tenantId: claims.tid || null,
+            roles: claims.roles || [],
+            source: 'token'
+        };
+    }
+
+    const legacyId = req.headers?.['x-user-id'] || req.query?.userId || req.body?.userId;
+    return {
+        userId: legacyId || 'default',
+        userName: legacyId || 'default',
+        tenantId: null,
+        roles: [],
+        source: legacyId ? 'header' : 'anonymous'
+    };
+}
+
+/**
+ * Identity from the claims of a token that has been proven genuine, either by
+ * validateAccessToken or by a downstream API (Microsoft Graph) accepting it
+ * App roles count only in tokens issued for this app's own registration
+ */
+function identityFromClaims(claims) {
+    return {
+        userId: claims.oid,
+        userName: claims.preferred_username || claims.upn || claims.name || claims.oid,
+        tenantId: claims.tid || null,
+        roles: isAppAudience(claims.aud) ? claims.roles || [] : [],
+        source: 'token',
+        verified: true
+    };
+}
+
+/**
+ * Identify the calling user for authorization
+ * Priority: the SWA client principal when TRUST_CLIENT_PRINCIPAL is 'true'
+ * (the Function App is only reachable through the Static Web App, which sets
+ * the header itself), then a validated bearer token; otherwise the shared
+ * anonymous identity
+ */
+async function getVerifiedIdentity(req, log = console.log) {
+    const principal = process.env.TRUST_CLIENT_PRINCIPAL === 'true' ? getClientPrincipal(req) : null;
+    if (principal?.userId) {
+        return {
+            userId: principal.userId,
+            userName: principal.userDetails || principal.userId,
+            tenantId: process.env.AZURE_TENANT_ID || null,
+            roles: principal.userRoles || [],
+            source: 'client-principal',
+            verified: true
+        };
+    }
+
+    const token = getBearerToken(req);
+    if (token) {
+        try {
+            const claims = await validateAccessToken(token);
+            if (claims.oid) {
+                return identityFromClaims(claims);
+            }
+        } catch (error) {
+            log(`[Identity] Bearer token not accepted for authorization: ${error.message}`);
+        }
+    }
+
+    return { ...ANONYMOUS_IDENTITY };
+}
+
+module.exports = {
+    ANONYMOUS_IDENTITY,
+    getClientPrincipal,
+    getBearerToken,
+    getTokenClaims,
+    getUserIdentity,
+    identityFromClaims,
+    getVerifiedIdentity
+};
@@ -3,6 +3,8 @@
  * Reduces the size of query results while preserving essential information
  */
 
+const { countTokens } = require('./tokenizer');
+
 /**
  * Reduce KQL query results to essential columns
  * @param {Object} queryResults - Raw query results from KQL
@@ -149,38 +151,38 @@ function smartSample(data, maxRows = 100) {
 
 /**
  * Estimate token count for data
- * @param {any} data - Data to estimate tokens for
+ * @param {any} data - Data to estimate tokens for (objects are counted as JSON)
+ * @param {string|Object} [model] - Model name or catalog profile; selects the encoding
  * @returns {number} Estimated token count
  */
-function estimateTokenCount(data) {
-    const jsonString = typeof data === 'string' ? data : JSON.stringify(data);
-    // Rough estimate: 4 characters per token on average
-    return Math.ceil(jsonString.length / 4);
+function estimateTokenCount(data, model) {
+    return countTokens(data, model);
 }
 
 /**
  * Prepare data for AI analysis with size optimization
  * @param {any} data - Raw data to prepare
  * @param {number} maxTokens - Maximum tokens to allow
+ * @param {string|Object} [model] - Model name or catalog profile the tokens are counted for
  * @returns {Object} Prepared data with metadata
  */
-function prepareDataForAnalysis(data, maxTokens = 50000) {
+function prepareDataForAnalysis(data, maxTokens = 50000, model) {
     let processedData = data;
     const steps = [];
     
     // Step 1: Estimate initial size
-    const initialTokens = estimateTokenCount(data);
+    const initialTokens = estimateTokenCount(data, model);
     steps.push({ step: 'initial', tokens: initialTokens });
     
     // Step 2: Reduce columns if it's KQL data
     if (data && data.tables && initialTokens > maxTokens) {
         processedData = reduceKQLData(processedData);
-        const reducedTokens = estimateTokenCount(processedData);
+        const reducedTokens = estimateTokenCount(processedData, model);
         steps.push({ step: 'column_reduction', tokens: reducedTokens });
     }
     
     // Step 3: Sample rows if still too large
-    const currentTokens = estimateTokenCount(processedData);
+    const currentTokens = estimateTokenCount(processedData, model);
     if (currentTokens > maxTokens && processedData.tables) {
         // Calculate how many rows we can afford
         const reductionRatio = maxTokens / currentTokens;
@@ -188,12 +190,12 @@ function prepareDataForAnalysis(data, maxTokens = 50000) {
         const targetRows = Math.max(10, Math.floor(currentRows * reductionRatio));
         
         processedData = smartSample(processedData, targetRows);
-        const sampledTokens = estimateTokenCount(processedData);
+        const sampledTokens = estimateTokenCount(processedData, model);
         steps.push({ step: 'row_sampling', tokens: sampledTokens });
     }
     
     // Step 4: Final check - if still too large, return summary only
-    const finalTokens = estimateTokenCount(processedData);
+    const finalTokens = estimateTokenCount(processedData, model);
     if (finalTokens > maxTokens * 1.5) {
         processedData = {
             summary: {
@@ -206,16 +208,17 @@ function prepareDataForAnalysis(data, maxTokens = 50000) {
             },
             sample: processedData.tables?.[0]?.rows.slice(0, 3)
         };
-        steps.push({ step: 'summary_only', tokens: estimateTokenCount(processedData) });
+        steps.push({ step: 'summary_only', tokens: estimateTokenCount(processedData, model) });
     }
     
+    const resultTokens = estimateTokenCount(processedData, model);
     return {
         data: processedData,
         metadata: {
             originalTokens: initialTokens,
-            finalTokens: estimateTokenCount(processedData),
+            finalTokens: resultTokens,
             reductionSteps: steps,
-            reduced: initialTokens !== estimateTokenCount(processedData)
+            reduced: initialTokens !== resultTokens
         }
     };
 }
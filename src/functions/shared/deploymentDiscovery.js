@@ -0,0 +1,224 @@
+/**
+ * OpenAI Deployment Discovery
+ * Lists the model deployments of an Azure OpenAI resource through the
+ * sovereign management endpoint (AzureRestClient), with model version, SKU,
+ * TPM capacity and content filter policy per deployment
+ *
+ * Results are cached per caller and resource. When ARM cannot be reached the
+ * last result seen for the resource is served with stale: true; authorization
+ * and not-found errors are never hidden behind the cache
+ */
+
+const crypto = require('crypto');
+const registry = require('./endpointRegistry');
+const AzureRestClient = require('./azureRestClient');
+
+const SUBSCRIPTIONS_API_VERSION = '2020-01-01';
+const DEFAULT_CACHE_TTL_SECONDS = 300;
+const MAX_CACHE_ENTRIES = 200;
+
+// Policy applied when a deployment does not name one
+const DEFAULT_RAI_POLICY = 'Microsoft.Default';
+
+const DISCOVERY_SOURCES = {
+    LIVE: 'live',
+    CACHE: 'cache',
+    LAST_KNOWN_GOOD: 'lastKnownGood',
+    FALLBACK: 'fallback'
+};
+
+// "caller|resource" -> { expiresAt, result }
+const discoveryCache = new Map();
+
+function cacheTtlMs() {
+    const seconds = parseInt(process.env.OPENAI_DEPLOYMENTS_CACHE_TTL_SECONDS);
+    return (Number.isNaN(seconds) ? DEFAULT_CACHE_TTL_SECONDS : seconds) * 1000;
+}
+
+// User tokens are cached per token; the managed identity shares one entry
+function callerKey(credential) {
+    return typeof credential === 'string'
+        ? crypto.createHash('sha256').update(credential).digest('hex')
+        : 'managedIdentity';
+}
+
+function resourceKey({ resourceId, subscriptionId, resourceGroup, accountName }) {
+    return (resourceId || [subscriptionId, resourceGroup, accountName].join('/')).toLowerCase();
+}
+
+function remember(key, result) {
+    // Oldest entries go first; Map preserves insertion order
+    discoveryCache.delete(key);
+    if (discoveryCache.size >= MAX_CACHE_ENTRIES) {
+        discoveryCache.delete(discoveryCache.keys().next().value);
+    }
+    discoveryCache.set(key, { expiresAt: Date.now() + cacheTtlMs(), result });
+}
+
+/**
+ * Timeouts, throttling and server errors; anything else (401, 403, 404)
+ * is a real answer and must reach the caller
+ */
+function isTransient(error) {
+    return !error.statusCode || error.statusCode === 429 || error.statusCode >= 500;
+}
+
+function notFound(message) {
+    const error = new Error(message);
+    error.statusCode = 404;
+    return error;
+}
+
+// Unlike AzureRestClient.getAllPages, failures propagate instead of ending the list early
+async function listSubscriptionIds(credential) {
+    const client = new AzureRestClient(credential);
+    const ids = [];
+    let nextLink = `${registry.getEndpoint('management')}/subscriptions?api-version=${SUBSCRIPTIONS_API_VERSION}`;
+    while (nextLink) {
+        const response = await client.makeRequest(nextLink);
+        ids.push(...(response.value || []).map(subscription => subscription.subscriptionId));
+        nextLink = response.nextLink || null;
+    }
+    return ids;
+}
+
+/**
+ * Parse /subscriptions/{sub}/resourceGroups/{rg}/providers/Microsoft.CognitiveServices/accounts/{name}
+ * and fill in the subscription and resource group of a bare account name
+ */
+async function resolveResource(credential, { resourceId, subscriptionId, resourceGroup, accountName }) {
+    if (resourceId) {
+        const match = resourceId.match(/\/subscriptions\/([^/]+)\/resourceGroups\/([^/]+)\/providers\/Microsoft\.CognitiveServices\/accounts\/([^/]+)/i);
+        if (!match) {
+            const error = new Error(`Not an Azure OpenAI resource ID: ${resourceId}`);
+            error.statusCode = 400;
+            throw error;
+        }
+        return { subscriptionId: match[1], resourceGroup: match[2], accountName: match[3] };
+    }
+
+    if (subscriptionId && resourceGroup) {
+        return { subscriptionId, resourceGroup, accountName };
+    }
+
+    const subscriptionIds = subscriptionId ? [subscriptionId] : await listSubscriptionIds(credential);
+
+    for (const id of subscriptionIds) {
+        const accounts = await new AzureRestClient(credential, id).listCognitiveServicesAccounts();
+        const account = accounts.find(candidate => candidate.name.toLowerCase() === accountName.toLowerCase());
+        if (account) {
+            return { subscriptionId: id, resourceGroup: account.resourceGroup, accountName: account.name };
+        }
+    }
+
+    throw notFound(`Azure OpenAI resource ${accountName} not found in the accessible subscriptions`);
+}
+
+/**
+ * Tokens per minute a deployment may use: the token rate limit ARM reports,
+ * or SKU capacity in units of 1000 TPM. Provisioned SKUs are sized in PTUs
+ */
+function tokensPerMinute(deployment) {
+    const tokenLimit = deployment.rateLimits.find(limit => limit.key === 'token');
+    if (tokenLimit && tokenLimit.count) {
+        return Math.round(tokenLimit.count * 60 / (tokenLimit.renewalPeriod || 60));
+    }
+    const sku = deployment.sku || {};
+    if (!sku.capacity || /provisioned/i.test(sku.name || '')) {
+        return null;
+    }
+    return sku.capacity * 1000;
+}
+
+function contentFilterFor(deployment, policies) {
+    const policyName = deployment.raiPolicyName || DEFAULT_RAI_POLICY;
+    const policy = policies && policies.find(candidate => candidate.name === policyName);
+
+    return {
+        policyName,
+        custom: Boolean(policy),
+        mode: policy ? policy.mode : null,
+        basePolicyName: policy ? policy.basePolicyName : null,
+        // null when the policies could not be read, [] for built-in policies
+        filters: policy ? policy.contentFilters : (policies ? [] : null)
+    };
+}
+
+function toDeploymentInfo(deployment, policies) {
+    const sku = deployment.sku || {};
+    return {
+        name: deployment.name,
+        model: deployment.model?.name,
+        version: deployment.model?.version,
+        format: deployment.model?.format,
+        sku: sku.name || deployment.scaleSettings?.scaleType,
+        scaleType: sku.name || deployment.scaleSettings?.scaleType,
+        capacity: sku.capacity ?? deployment.scaleSettings?.capacity,
+        capacityTpm: tokensPerMinute(deployment),
+        rateLimits: deployment.rateLimits,
+        contentFilter: contentFilterFor(deployment, policies),
+        versionUpgradeOption: deployment.versionUpgradeOption,
+        status: deployment.provisioningState,
+        createdAt: deployment.createdAt,
+        updatedAt: deployment.updatedAt
+    };
+}
+
+async function fetchDeployments(credential, options, log) {
+    const resource = await resolveResource(credential, options);
+    const client = new AzureRestClient(credential, resource.subscriptionId);
+
+    const [deployments, policies] = await Promise.all([
+        client.getOpenAIDeployments(resource.resourceGroup, resource.accountName),
+        client.getRaiPolicies(resource.resourceGroup, resource.accountName).catch(error => {
+            log(`[Deployments] Content filter policies unavailable for ${resource.accountName}: ${error.message}`);
+            return null;
+        })
+    ]);
+
+    return {
+        ...resource,
+        deployments: deployments.map(deployment => toDeploymentInfo(deployment, policies)),
+        refreshedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Deployments of one Azure OpenAI resource
+ * options: { credential (ARM token string or TokenCredential), resourceId |
+ *            { subscriptionId?, resourceGroup?, accountName }, refresh, log }
+ * Returns { subscriptionId, resourceGroup, accountName, deployments,
+ *           refreshedAt, source, stale, staleReason? }
+ */
+async function discoverDeployments(options) {
+    const { credential, refresh = false, log = console.log } = options;
+    const key = `${callerKey(credential)}|${resourceKey(options)}`;
+    const cached = discoveryCache.get(key);
+
+    if (cached && !refresh && cached.expiresAt > Date.now()) {
+        return { ...cached.result, source: DISCOVERY_SOURCES.CACHE, stale: false };
+    }
+
+    try {
+        const result = await fetchDeployments(credential, options, log);
+        remember(key, result);
+        return { ...result, source: DISCOVERY_SOURCES.LIVE, stale: false };
+    } catch (error) {
+        if (!cached || !isTransient(error)) {
+            throw error;
+        }
+        log(`[Deployments] Discovery failed, serving deployments from ${cached.result.refreshedAt}: ${error.message}`);
+        return {
+            ...cached.result,
+            source: DISCOVERY_SOURCES.LAST_KNOWN_GOOD,
+            stale: true,
+            staleReason: error.message
+        };
+    }
+}
+
+module.exports = {
+    DISCOVERY_SOURCES,
+    discoverDeployments,
+    isTransient
+};
@@ -0,0 +1,265 @@
+/**
+ * Distributed OpenAI Rate Limiter
+ * Token and request budget per Azure OpenAI deployment, shared by every
+ * Function instance through the entity store
+ *
+ * AzureOpenAIRateLimiter paces calls within one process. This limiter keeps
+ * the tokens and requests reserved in the current minute in one entity per
+ * deployment, updated with ETags, so scaled-out instances draw on the same
+ * TPM/RPM quota. Capacity starts from configuration and is then learned from
+ * the x-ratelimit-remaining-* headers (RateLimitInfo); a 429 blocks the
+ * deployment for every instance until its retry-after has passed
+ *
+ * The table backend shares state across instances; the memory backend is the
+ * single-process stand-in used locally and in tests. If the store cannot be
+ * reached, calls go ahead without the shared limit rather than fail
+ */
+
+const { getEntityStore } = require('./entityStore');
+const { RateLimitInfo } = require('./rateLimiter');
+const { AzureOpenAIError } = require('./errorHandler');
+
+const LIMITS_TABLE = 'OpenAIRateLimits';
+const LIMITS_PARTITION = 'deployments';
+
+const WINDOW_MS = 60000;
+const MAX_WAIT_MS = 90000;
+const MAX_WRITE_ATTEMPTS = 8;
+// Weight of each header observation in the learned capacity
+const LEARNING_RATE = 0.3;
+
+// Azure OpenAI grants 6 RPM per 1000 TPM
+const DEFAULT_TOKENS_PER_MINUTE = 90000;
+const DEFAULT_REQUESTS_PER_MINUTE = 540;
+
+// "host/deployment" -> DistributedRateLimiter
+const limiters = new Map();
+
+function windowStartOf(time) {
+    return Math.floor(time / WINDOW_MS) * WINDOW_MS;
+}
+
+// Table Storage keys cannot contain / \ # or ?
+function rowKeyFor(key) {
+    return key.replace(/[/\\#?]/g, '|');
+}
+
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
+
+function totalTokens(usage) {
+    if (!usage) return 0;
+    return usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+}
+
+class DistributedRateLimiter {
+    /**
+     * key is "host/deployment"
+     * options: { tokensPerMinute, requestsPerMinute, log } - the initial
+     * capacity, used until the service has reported its own
+     */
+    constructor(key, options = {}) {
+        this.key = key;
+        this.rowKey = rowKeyFor(key);
+        this.tokensPerMinute = options.tokensPerMinute
+            || parseInt(process.env.OPENAI_DEPLOYMENT_TPM) || DEFAULT_TOKENS_PER_MINUTE;
+        this.requestsPerMinute = options.requestsPerMinute
+            || parseInt(process.env.OPENAI_DEPLOYMENT_RPM) || DEFAULT_REQUESTS_PER_MINUTE;
+        this.log = options.log || console.log;
+        this.store = getEntityStore(LIMITS_TABLE);
+    }
+
+    initialState(now) {
+        return {
+            partitionKey: LIMITS_PARTITION,
+            rowKey: this.rowKey,
+            deployment: this.key,
+            windowStart: windowStartOf(now),
+            tokensUsed: 0,
+            requestsUsed: 0,
+            tokenLimit: this.tokensPerMinute,
+            requestLimit: this.requestsPerMinute,
+            blockedUntil: 0,
+            learnedAt: ''
+        };
+    }
+
+    /**
+     * Read-modify-write of the deployment entity with optimistic concurrency
+     * change(state, now) edits state in place and returns { write, ... };
+     * the outcome is returned once written (or straight away when write is false)
+     */
+    async mutate(change) {
+        for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+            const now = Date.now();
+            const existing = await this.store.get(LIMITS_PARTITION, this.rowKey);
+            const state = existing ? { ...existing } : this.initialState(now);
+
+            if (state.windowStart + WINDOW_MS <= now) {
+                state.windowStart = windowStartOf(now);
+                state.tokensUsed = 0;
+                state.requestsUsed = 0;
+            }
+
+            const outcome = change(state, now);
+            if (!outcome.write) {
+                return outcome;
+            }
+
+            try {
+                if (existing) {
+                    await this.store.update(state, { etag: existing.etag });
+                } else {
+                    await this.store.create(state);
+                }
+                return outcome;
+            } catch (error) {
+                if (error.code !== 'PRECONDITION_FAILED' && error.code !== 'ALREADY_EXISTS') throw error;
+                // Another instance wrote first; re-read after a short jittered pause
+                await sleep(Math.random() * 50 * attempt);
+            }
+        }
+        throw new Error(`Shared rate limit for ${this.key} is contended (${MAX_WRITE_ATTEMPTS} conflicting writes)`);
+    }
+
+    /**
+     * Reserve estimatedTokens and one request in the current window, waiting
+     * for the next window (or for a shared 429 block to lift) at capacity.
+     * Returns the reservation to pass to record(), or null when the store is
+     * unavailable or the signal was aborted while waiting
+     */
+    async acquire(estimatedTokens, { signal } = {}) {
+        const startedAt = Date.now();
+
+        for (;;) {
+            let outcome;
+            try {
+                outcome = await this.mutate((state, now) => {
+                    if (state.blockedUntil > now) {
+                        return { write: false, waitMs: state.blockedUntil - now };
+                    }
+                    // A request bigger than the whole budget still runs once the window is empty
+                    const tokensAvailable = state.tokensUsed === 0
+                        || state.tokensUsed + estimatedTokens <= state.tokenLimit;
+                    if (!tokensAvailable || state.requestsUsed >= state.requestLimit) {
+                        return { write: false, waitMs: state.windowStart + WINDOW_MS - now };
+                    }
+                    state.tokensUsed += estimatedTokens;
+                    state.requestsUsed += 1;
+                    return { write: true, reservation: { windowStart: state.windowStart, estimatedTokens } };
+                });
+            } catch (error) {
+                this.log(`[RateLimit] Shared limit for ${this.key} unavailable, continuing without it: ${error.message}`);
+                return null;
+            }
+
+            if (outcome.reservation) {
+                return outcome.reservation;
+            }
+
+            if (Date.now() - startedAt + outcome.waitMs > MAX_WAIT_MS) {
+                const error = new AzureOpenAIError(
+                    `Shared rate limit for ${this.key} is exhausted`,
+                    'RATE_LIMIT_EXCEEDED',
+                    { statusCode: 429, retryable: false, retryAfter: Math.ceil(outcome.waitMs / 1000) }
+                );
+                error.sharedLimit = true;
+                throw error;
+            }
+
+            this.log(`[RateLimit] ${this.key} at shared capacity, waiting ${outcome.waitMs}ms`);
+            // Jitter so instances do not all retry on the window boundary
+            await sleep(outcome.waitMs + Math.random() * 250, signal);
+            if (signal?.aborted) {
+                return null;
+            }
+        }
+    }
+
+    /**
+     * Settle a reservation with the tokens actually used and learn capacity
+     * from the response or error headers
+     * options: { usage, headers, rateLimited, retryAfter (seconds) }
+     */
+    async record(reservation, { usage, headers, rateLimited = false, retryAfter } = {}) {
+        const info = headers ? new RateLimitInfo(headers) : null;
+
+        try {
+            await this.mutate((state, now) => {
+                if (reservation && reservation.windowStart === state.windowStart) {
+                    // Failed calls consume no tokens; completed ones are charged what they used
+                    state.tokensUsed = Math.max(0, state.tokensUsed - reservation.estimatedTokens + totalTokens(usage));
+                }
+
+                if (info && (info.remainingTokens !== null || info.remainingRequests !== null)) {
+                    const first = !state.learnedAt;
+                    if (info.remainingTokens !== null) {
+                        learn(state, 'tokenLimit', 'tokensUsed', info.remainingTokens, first);
+                    }
+                    if (info.remainingRequests !== null) {
+                        learn(state, 'requestLimit', 'requestsUsed', info.remainingRequests, first);
+                    }
+                    state.learnedAt = new Date(now).toISOString();
+                }
+
+                if (rateLimited) {
+                    const waitSeconds = info?.retryAfter || parseInt(retryAfter) || 1;
+                    state.blockedUntil = Math.max(state.blockedUntil || 0, now + waitSeconds * 1000);
+                }
+
+                return { write: true };
+            });
+        } catch (error) {
+            this.log(`[RateLimit] Could not record usage for ${this.key}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Current shared window for diagnostics
+     */
+    async getState() {
+        const state = await this.store.get(LIMITS_PARTITION, this.rowKey);
+        if (!state) return null;
+        const { partitionKey, rowKey, etag, timestamp, ...window } = state;
+        return window;
+    }
+}
+
+/**
+ * The service reports what is left of the quota; what this deployment has
+ * used plus what is left approximates its per-minute capacity. Usage from
+ * outside the app shows up as less remaining than was accounted for here
+ */
+function learn(state, limitField, usedField, remaining, first) {
+    const observed = state[usedField] + remaining;
+    state[limitField] = first
+        ? observed
+        : Math.round(state[limitField] * (1 - LEARNING_RATE) + observed * LEARNING_RATE);
+    state[usedField] = Math.max(state[usedField], state[limitField] - remaining);
+}
+
+/**
+ * Shared limiter for a "host/deployment" key, or null when disabled
+ * with OPENAI_SHARED_RATE_LIMIT=false
+ */
+function getDistributedRateLimiter(key, options = {}) {
+    if (String(process.env.OPENAI_SHARED_RATE_LIMIT).toLowerCase() === 'false') {
+        return null;
+    }
+    if (!limiters.has(key)) {
+        limiters.set(key, new DistributedRateLimiter(key, options));
+    }
+    return limiters.get(key);
+}
+
+module.exports = {
+    DistributedRateLimiter,
+    getDistributedRateLimiter
+};
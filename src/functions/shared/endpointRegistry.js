@@ -0,0 +1,198 @@
+/**
+ * Azure Endpoint Registry
+ * Single source of truth for sovereign cloud endpoints, token scopes and API versions
+ * Loads il4-endpoints.json and merges an optional override file so that
+ * air-gapped/secret clouds with custom suffixes need no code changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ENVIRONMENT = 'AzureUSGovernment';
+const BASE_REGISTRY_PATH = path.join(__dirname, 'il4-endpoints.json');
+
+// Legacy names still found in older app settings
+const ENVIRONMENT_ALIASES = {
+    AzurePublicCloud: 'AzureCloud',
+    AzureGovernment: 'AzureUSGovernment',
+    AzureUSGov: 'AzureUSGovernment'
+};
+
+// Per-endpoint app settings written by the ARM template take precedence
+const APP_SETTING_OVERRIDES = {
+    management: 'ManagementEndpoint',
+    authentication: 'AuthenticationEndpoint',
+    graph: 'GraphEndpoint',
+    logAnalytics: 'LogAnalyticsEndpoint',
+    openAI: 'OpenAIDomain'
+};
+
+let registry = null;
+
+/**
+ * Deep merge plain objects; arrays and scalars in the override replace the base
+ */
+function mergeDeep(base, override) {
+    const result = { ...base };
+
+    for (const [key, value] of Object.entries(override || {})) {
+        if (value && typeof value === 'object' && !Array.isArray(value) &&
+            result[key] && typeof result[key] === 'object' && !Array.isArray(result[key])) {
+            result[key] = mergeDeep(result[key], value);
+        } else {
+            result[key] = value;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Load the base registry plus the override file named by ENDPOINT_OVERRIDES_PATH
+ */
+function loadRegistry() {
+    const base = JSON.parse(fs.readFileSync(BASE_REGISTRY_PATH, 'utf8'));
+    const overridePath = process.env.ENDPOINT_OVERRIDES_PATH;
+
+    if (!overridePath) {
+        return base;
+    }
+
+    try {
+        const overrides = JSON.parse(fs.readFileSync(path.resolve(overridePath), 'utf8'));
+        console.log(`[Endpoints] Applied endpoint overrides from ${overridePath}`);
+        return mergeDeep(base, overrides);
+    } catch (error) {
+        throw new Error(`Failed to load endpoint overrides from ${overridePath}: ${error.message}`);
+    }
+}
+
+function getRegistry() {
+    if (!registry) {
+        registry = loadRegistry();
+    }
+    return registry;
+}
+
+/**
+ * Re-read the registry files (used after changing override settings)
+ */
+function reload() {
+    registry = null;
+    return getRegistry();
+}
+
+/**
+ * Resolve the configured environment name, applying legacy aliases
+ */
+function getEnvironmentName(environmentName) {
+    const name = environmentName || process.env.AZURE_ENVIRONMENT || DEFAULT_ENVIRONMENT;
+    return ENVIRONMENT_ALIASES[name] || name;
+}
+
+function listEnvironments() {
+    return Object.keys(getRegistry().environments);
+}
+
+/**
+ * Get the endpoint table for an environment
+ * Unknown environments are an error rather than a silent fall back to the commercial cloud
+ */
+function getEndpoints(environmentName) {
+    const name = getEnvironmentName(environmentName);
+    const environment = getRegistry().environments[name];
+
+    if (!environment) {
+        throw new Error(`Unknown Azure environment '${name}'. Known environments: ${listEnvironments().join(', ')}`);
+    }
+
+    const endpoints = { ...environment };
+
+    // App settings only describe the environment the Function App is deployed to
+    if (name === getEnvironmentName()) {
+        for (const [service, setting] of Object.entries(APP_SETTING_OVERRIDES)) {
+            if (process.env[setting]) {
+                endpoints[service] = process.env[setting];
+            }
+        }
+    }
+
+    return endpoints;
+}
+
+/**
+ * Get a single service endpoint, e.g. getEndpoint('logAnalytics')
+ * URLs are returned without a trailing slash; suffix entries (openAI, storage, keyVault) as-is
+ */
+function getEndpoint(service, environmentName) {
+    const endpoint = getEndpoints(environmentName)[service];
+
+    if (!endpoint) {
+        throw new Error(`No '${service}' endpoint registered for ${getEnvironmentName(environmentName)}`);
+    }
+
+    return endpoint.replace(/\/+$/, '');
+}
+
+/**
+ * Get the token scope for a service, e.g. getScope('graph')
+ */
+function getScope(service, environmentName) {
+    const name = getEnvironmentName(environmentName);
+    const scopes = getRegistry().scopes[name] || {};
+
+    if (scopes[service]) {
+        return scopes[service];
+    }
+
+    // Derive from the endpoint when the override file only lists endpoints
+    const endpoint = getEndpoints(name)[service];
+    if (endpoint && /^https:\/\//.test(endpoint)) {
+        return `${endpoint.replace(/\/+$/, '')}/.default`;
+    }
+
+    throw new Error(`No '${service}' scope registered for ${name}`);
+}
+
+function getScopes(environmentName) {
+    const name = getEnvironmentName(environmentName);
+    return { ...(getRegistry().scopes[name] || {}) };
+}
+
+function getApiVersion(service) {
+    return getRegistry().apiVersions?.[service];
+}
+
+function getRegions(environmentName) {
+    return getRegistry().regions?.[getEnvironmentName(environmentName)] || [];
+}
+
+/**
+ * Build the data-plane endpoint for an Azure OpenAI resource
+ */
+function getOpenAIEndpoint(resourceName, environmentName) {
+    return `https://${resourceName}.${getEndpoint('openAI', environmentName)}`;
+}
+
+/**
+ * Build a storage service endpoint, e.g. getStorageEndpoint('acct', 'table')
+ */
+function getStorageEndpoint(accountName, service = 'blob', environmentName) {
+    return `https://${accountName}.${service}.${getEndpoint('storage', environmentName)}`;
+}
+
+module.exports = {
+    DEFAULT_ENVIRONMENT,
+    getEnvironmentName,
+    listEnvironments,
+    getEndpoints,
+    getEndpoint,
+    getScope,
+    getScopes,
+    getApiVersion,
+    getRegions,
+    getOpenAIEndpoint,
+    getStorageEndpoint,
+    mergeDeep,
+    reload
+};
@@ -0,0 +1,542 @@
+/**
+ * Entity Graph
+ * Turns the per-alert evidence that m365-defender-graph extracts for an
+ * incident into an entity-relationship graph: users, devices, IPs, URLs,
+ * files, processes and mailboxes as nodes next to the incident and its alerts,
+ * joined by the relationship the evidence shows
+ *
+ *   observed-in        entity -> alert it is evidence of
+ *   part-of            alert -> incident
+ *   communicated-with  device (or user) -> remote IP / URL, mail sender -> recipient
+ *   executed           device -> process, process -> image file, parent -> child process
+ *   logged-on-to       user -> device
+ *
+ * Nodes can be expanded: each entity type has pivots that issue follow-up
+ * advanced hunting (KQL) or Graph lookups and return the neighbours found
+ */
+
+const ENTITY_TYPES = ['incident', 'alert', 'user', 'device', 'ip', 'url', 'file', 'process', 'mailbox'];
+const EDGE_TYPES = ['observed-in', 'part-of', 'communicated-with', 'executed', 'logged-on-to'];
+
+// Evidence lists of processIncidentWithEvidence per alert -> node type
+const EVIDENCE_TYPES = {
+    users: 'user',
+    hosts: 'device',
+    ips: 'ip',
+    urls: 'url',
+    files: 'file',
+    processes: 'process',
+    mailboxes: 'mailbox'
+};
+
+const VERDICT_RANK = { malicious: 3, suspicious: 2, unknown: 1, noThreatsFound: 0 };
+
+const MAX_GRAPH_NODES = 300;
+const MAX_PIVOT_ROWS = 25;
+const DEFAULT_LOOKBACK_DAYS = 7;
+const MAX_LOOKBACK_DAYS = 30;
+const HUNTING_TIMEOUT_MS = 60000;
+
+// KQL string literal; control characters are dropped rather than escaped
+function kqlString(value) {
+    return `"${String(value).replace(/[\u0000-\u001f]/g, '').replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+function urlHost(url) {
+    try {
+        return new URL(url).hostname;
+    } catch {
+        return String(url).replace(/^[a-z]+:\/\//i, '').split(/[/?#:]/)[0];
+    }
+}
+
+/**
+ * Stable key and display label of an entity; null when the evidence has nothing to identify it by
+ */
+function describeEntity(type, entity) {
+    switch (type) {
+        case 'user': {
+            const account = entity.accountName && (entity.domainName ? `${entity.domainName}\\${entity.accountName}` : entity.accountName);
+            const key = entity.userPrincipalName || account || entity.azureAdUserId;
+            return key && { key, label: entity.userPrincipalName || account || entity.azureAdUserId };
+        }
+        case 'device': {
+            const key = entity.deviceId || entity.azureAdDeviceId || entity.hostName || entity.deviceName;
+            return key && { key, label: entity.hostName || entity.deviceName || key };
+        }
+        case 'ip': {
+            const key = entity.ipAddress || entity.address || entity.name;
+            return key && { key, label: key };
+        }
+        case 'url':
+            return entity.url && { key: entity.url, label: entity.url.length > 60 ? `${urlHost(entity.url)}/…` : entity.url };
+        case 'file': {
+            const key = entity.sha256 || entity.sha1 || (entity.fileName && `${entity.filePath || ''}\\${entity.fileName}`);
+            return key && { key, label: entity.fileName || key };
+        }
+        case 'process': {
+            if (entity.processId === undefined && !entity.fileName) return null;
+            return {
+                key: `${entity.deviceId || ''}|${entity.processId ?? ''}|${entity.creationTime || ''}|${entity.fileName || ''}`,
+                label: entity.processId !== undefined ? `${entity.fileName || 'process'} (${entity.processId})` : entity.fileName
+            };
+        }
+        case 'mailbox': {
+            const key = entity.mailboxPrimaryAddress;
+            return key && { key, label: entity.displayName ? `${entity.displayName} <${key}>` : key };
+        }
+        default:
+            return null;
+    }
+}
+
+class EntityGraphBuilder {
+    constructor(maxNodes = MAX_GRAPH_NODES) {
+        this.nodes = new Map();
+        this.edges = new Map();
+        this.maxNodes = maxNodes;
+        this.truncated = false;
+    }
+
+    /**
+     * Add a node or merge into the existing one; returns the node ID, or null
+     * when the entity cannot be identified or the graph is full
+     */
+    addNode(type, properties, { alertId } = {}) {
+        const identity = ['incident', 'alert'].includes(type)
+            ? properties.id && { key: properties.id, label: properties.title || properties.displayName || properties.id }
+            : describeEntity(type, properties);
+        if (!identity) return null;
+
+        const id = `${type}:${String(identity.key).toLowerCase()}`;
+        let node = this.nodes.get(id);
+        if (!node) {
+            if (this.nodes.size >= this.maxNodes) {
+                this.truncated = true;
+                return null;
+            }
+            node = { id, type, label: identity.label, properties: {}, verdict: undefined, alertIds: [], expandable: Boolean(PIVOTS[type]) };
+            this.nodes.set(id, node);
+        }
+
+        const { verdict, ...rest } = properties;
+        node.properties = { ...node.properties, ...compact(rest) };
+        if (verdict && (VERDICT_RANK[verdict] ?? 1) > (VERDICT_RANK[node.verdict] ?? -1)) {
+            node.verdict = verdict;
+        }
+        if (alertId && !node.alertIds.includes(alertId)) {
+            node.alertIds.push(alertId);
+        }
+        return id;
+    }
+
+    addEdge(source, target, type, { alertId, ...properties } = {}) {
+        if (!source || !target || source === target) return;
+
+        const id = `${source}|${type}|${target}`;
+        let edge = this.edges.get(id);
+        if (!edge) {
+            edge = { id, source, target, type, alertIds: [], properties: {} };
+            this.edges.set(id, edge);
+        }
+        edge.properties = { ...edge.properties, ...compact(properties) };
+        if (alertId && !edge.alertIds.includes(alertId)) {
+            edge.alertIds.push(alertId);
+        }
+    }
+
+    toJSON() {
+        const nodes = [...this.nodes.values()];
+        const edges = [...this.edges.values()];
+        const byType = {};
+        for (const node of nodes) {
+            byType[node.type] = (byType[node.type] || 0) + 1;
+        }
+        return { nodes, edges, stats: { nodeCount: nodes.length, edgeCount: edges.length, byType }, truncated: this.truncated };
+    }
+}
+
+function interfaceAddresses(device) {
+    return (device.ipAddresses || device.networkInterfaces || [])
+        .map(entry => (typeof entry === 'string' ? entry : entry?.ipAddress || entry?.address))
+        .filter(Boolean);
+}
+
+function sameImage(process, file) {
+    const name = (value) => String(value || '').toLowerCase();
+    return Boolean(process.fileName) && name(process.fileName) === name(file.fileName) &&
+        (!process.filePath || !file.filePath || name(process.filePath) === name(file.filePath));
+}
+
+/**
+ * Add one alert and its evidence; evidence lists follow processIncidentWithEvidence
+ */
+function addAlert(builder, alert, incidentNodeId) {
+    const alertId = alert.alertId || alert.id;
+    const alertNode = builder.addNode('alert', compact({
+        id: alertId,
+        title: alert.title,
+        severity: alert.severity,
+        createdDateTime: alert.timestamp || alert.createdDateTime,
+        attackStage: alert.attackStage,
+        mitreTechniques: alert.mitreTechniques?.length ? alert.mitreTechniques : undefined,
+        webUrl: alert.webUrl
+    }));
+    builder.addEdge(alertNode, incidentNodeId, 'part-of');
+
+    const ids = {};
+    for (const [list, type] of Object.entries(EVIDENCE_TYPES)) {
+        ids[type] = (alert.entities?.[list] || []).map(entity => ({ entity, id: builder.addNode(type, entity, { alertId }) }))
+            .filter(({ id }) => id);
+        for (const { id } of ids[type]) {
+            builder.addEdge(id, alertNode, 'observed-in', { alertId });
+        }
+    }
+
+    // Without a device in the alert, network and process activity is attributed to its users
+    const actors = ids.device.length ? ids.device : ids.user;
+    for (const actor of actors) {
+        const ownAddresses = interfaceAddresses(actor.entity);
+        for (const ip of ids.ip) {
+            if (!ownAddresses.includes(ip.entity.ipAddress)) {
+                builder.addEdge(actor.id, ip.id, 'communicated-with', { alertId });
+            }
+        }
+        for (const url of ids.url) {
+            builder.addEdge(actor.id, url.id, 'communicated-with', { alertId });
+        }
+        for (const process of ids.process) {
+            // Parents in the same alert are linked below
+            if (!ids.process.some(parent => parent.entity.processId !== undefined && parent.entity.processId === process.entity.parentProcessId)) {
+                builder.addEdge(actor.id, process.id, 'executed', { alertId });
+            }
+        }
+    }
+    if (ids.device.length) {
+        for (const user of ids.user) {
+            for (const device of ids.device) {
+                builder.addEdge(user.id, device.id, 'logged-on-to', { alertId });
+            }
+        }
+    }
+
+    for (const process of ids.process) {
+        for (const file of ids.file.filter(candidate => sameImage(process.entity, candidate.entity))) {
+            builder.addEdge(process.id, file.id, 'executed', { alertId });
+        }
+        for (const parent of ids.process.filter(candidate => candidate.entity.processId !== undefined && candidate.entity.processId === process.entity.parentProcessId)) {
+            builder.addEdge(parent.id, process.id, 'executed', { alertId });
+        }
+    }
+}
+
+/**
+ * Graph of an incident from the output of processIncidentWithEvidence
+ * Returns { nodes, edges, stats, truncated }
+ */
+function buildEntityGraph(processed, options = {}) {
+    const builder = new EntityGraphBuilder(options.maxNodes);
+    const incident = processed.incident || {};
+
+    const incidentNode = builder.addNode('incident', compact({
+        id: incident.id,
+        title: incident.displayName,
+        severity: incident.severity,
+        status: incident.status,
+        classification: incident.classification,
+        createdDateTime: incident.createdDateTime,
+        webUrl: incident.incidentWebUrl
+    }));
+
+    for (const alert of (processed.timeline || []).filter(event => event.type === 'alert')) {
+        addAlert(builder, alert, incidentNode);
+    }
+
+    return builder.toJSON();
+}
+
+// Pivots per node type. Hunting pivots return a KQL query (null when the node lacks the
+// fields it needs) and add a row's entities; Graph pivots return a path and add the response
+const PIVOTS = {
+    user: [
+        {
+            name: 'directory-profile',
+            source: 'graph',
+            description: 'Directory profile',
+            path: ({ properties }) => (properties.userPrincipalName || properties.azureAdUserId) &&
+                `/users/${encodeURIComponent(properties.userPrincipalName || properties.azureAdUserId)}?$select=id,displayName,userPrincipalName,jobTitle,department,officeLocation,accountEnabled`,
+            apply: (builder, node, user) => {
+                builder.addNode('user', {
+                    ...node.properties,
+                    azureAdUserId: user.id,
+                    displayName: user.displayName,
+                    jobTitle: user.jobTitle,
+                    department: user.department,
+                    officeLocation: user.officeLocation,
+                    accountEnabled: user.accountEnabled
+                });
+            }
+        },
+        {
+            name: 'device-logons',
+            source: 'hunting',
+            description: 'Devices the account signed in to',
+            query: ({ properties }, days) => {
+                const account = properties.accountName || properties.userPrincipalName?.split('@')[0];
+                return account && `DeviceLogonEvents
+| where Timestamp > ago(${days}d) and AccountName =~ ${kqlString(account)} and ActionType == "LogonSuccess"
+| summarize Logons = count(), LastSeen = max(Timestamp) by DeviceId, DeviceName
+| top ${MAX_PIVOT_ROWS} by Logons`;
+            },
+            apply: (builder, node, row) => {
+                const device = builder.addNode('device', { deviceId: row.DeviceId, hostName: row.DeviceName });
+                builder.addEdge(node.id, device, 'logged-on-to', { count: row.Logons, lastSeen: row.LastSeen });
+            }
+        },
+        {
+            name: 'sign-in-addresses',
+            source: 'hunting',
+            description: 'Addresses the account signed in from',
+            query: ({ properties }, days) => properties.userPrincipalName && `IdentityLogonEvents
+| where Timestamp > ago(${days}d) and AccountUpn =~ ${kqlString(properties.userPrincipalName)} and isnotempty(IPAddress)
+| summarize Logons = count(), LastSeen = max(Timestamp), Country = take_any(Location) by IPAddress
+| top ${MAX_PIVOT_ROWS} by Logons`,
+            apply: (builder, node, row) => {
+                const ip = builder.addNode('ip', { ipAddress: row.IPAddress, countryCode: row.Country });
+                builder.addEdge(node.id, ip, 'communicated-with', { count: row.Logons, lastSeen: row.LastSeen });
+            }
+        }
+    ],
+    device: [
+        {
+            name: 'network-connections',
+            source: 'hunting',
+            description: 'Public addresses and URLs the device connected to',
+            query: ({ properties }, days) => {
+                const device = properties.deviceId
+                    ? `DeviceId == ${kqlString(properties.deviceId)}`
+                    : properties.hostName && `DeviceName =~ ${kqlString(properties.hostName)}`;
+                return device && `DeviceNetworkEvents
+| where Timestamp > ago(${days}d) and ${device} and RemoteIPType == "Public"
+| summarize Connections = count(), LastSeen = max(Timestamp) by RemoteIP, RemoteUrl
+| top ${MAX_PIVOT_ROWS} by Connections`;
+            },
+            apply: (builder, node, row) => {
+                const target = row.RemoteUrl
+                    ? builder.addNode('url', { url: row.RemoteUrl })
+                    : builder.addNode('ip', { ipAddress: row.RemoteIP });
+                builder.addEdge(node.id, target, 'communicated-with', { count: row.Connections, lastSeen: row.LastSeen, remoteIp: row.RemoteIP });
+            }
+        },
+        {
+            name: 'logged-on-users',
+            source: 'hunting',
+            description: 'Accounts that signed in to the device',
+            query: ({ properties }, days) => {
+                const device = properties.deviceId
+                    ? `DeviceId == ${kqlString(properties.deviceId)}`
+                    : properties.hostName && `DeviceName =~ ${kqlString(properties.hostName)}`;
+                return device && `DeviceLogonEvents
+| where Timestamp > ago(${days}d) and ${device} and ActionType == "LogonSuccess"
+| summarize Logons = count(), LastSeen = max(Timestamp) by AccountDomain, AccountName
+| top ${MAX_PIVOT_ROWS} by Logons`;
+            },
+            apply: (builder, node, row) => {
+                const user = builder.addNode('user', { accountName: row.AccountName, domainName: row.AccountDomain });
+                builder.addEdge(user, node.id, 'logged-on-to', { count: row.Logons, lastSeen: row.LastSeen });
+            }
+        }
+    ],
+    ip: [
+        {
+            name: 'connecting-devices',
+            source: 'hunting',
+            description: 'Devices that connected to the address',
+            query: ({ properties }, days) => properties.ipAddress && `DeviceNetworkEvents
+| where Timestamp > ago(${days}d) and RemoteIP == ${kqlString(properties.ipAddress)}
+| summarize Connections = count(), LastSeen = max(Timestamp) by DeviceId, DeviceName
+| top ${MAX_PIVOT_ROWS} by Connections`,
+            apply: (builder, node, row) => {
+                const device = builder.addNode('device', { deviceId: row.DeviceId, hostName: row.DeviceName });
+                builder.addEdge(device, node.id, 'communicated-with', { count: row.Connections, lastSeen: row.LastSeen });
+            }
+        },
+        {
+            name: 'sign-ins',
+            source: 'hunting',
+            description: 'Accounts that signed in from the address',
+            query: ({ properties }, days) => properties.ipAddress && `IdentityLogonEvents
+| where Timestamp > ago(${days}d) and IPAddress == ${kqlString(properties.ipAddress)} and isnotempty(AccountUpn)
+| summarize Logons = count(), LastSeen = max(Timestamp) by AccountUpn
+| top ${MAX_PIVOT_ROWS} by Logons`,
+            apply: (builder, node, row) => {
+                const user = builder.addNode('user', { userPrincipalName: row.AccountUpn });
+                builder.addEdge(user, node.id, 'communicated-with', { count: row.Logons, lastSeen: row.LastSeen });
+            }
+        }
+    ],
+    url: [
+        {
+            name: 'connecting-devices',
+            source: 'hunting',
+            description: 'Devices that connected to the host',
+            query: ({ properties }, days) => properties.url && `DeviceNetworkEvents
+| where Timestamp > ago(${days}d) and RemoteUrl has ${kqlString(urlHost(properties.url))}
+| summarize Connections = count(), LastSeen = max(Timestamp) by DeviceId, DeviceName
+| top ${MAX_PIVOT_ROWS} by Connections`,
+            apply: (builder, node, row) => {
+                const device = builder.addNode('device', { deviceId: row.DeviceId, hostName: row.DeviceName });
+                builder.addEdge(device, node.id, 'communicated-with', { count: row.Connections, lastSeen: row.LastSeen });
+            }
+        }
+    ],
+    file: [
+        {
+            name: 'executing-devices',
+            source: 'hunting',
+            description: 'Devices that ran the file',
+            query: ({ properties }, days) => {
+                const file = properties.sha256 ? `SHA256 == ${kqlString(properties.sha256)}`
+                    : properties.sha1 ? `SHA1 == ${kqlString(properties.sha1)}`
+                        : properties.fileName && `FileName =~ ${kqlString(properties.fileName)}`;
+                return file && `DeviceProcessEvents
+| where Timestamp > ago(${days}d) and ${file}
+| summarize Executions = count(), LastSeen = max(Timestamp) by DeviceId, DeviceName
+| top ${MAX_PIVOT_ROWS} by Executions`;
+            },
+            apply: (builder, node, row) => {
+                const device = builder.addNode('device', { deviceId: row.DeviceId, hostName: row.DeviceName });
+                builder.addEdge(device, node.id, 'executed', { count: row.Executions, lastSeen: row.LastSeen });
+            }
+        }
+    ],
+    process: [
+        {
+            name: 'child-processes',
+            source: 'hunting',
+            description: 'Processes the process started',
+            query: ({ properties }, days) => {
+                // Process IDs are only unique per device; without one the pivot would match every host
+                const processId = parseInt(properties.processId);
+                if (Number.isNaN(processId) || !properties.fileName || !properties.deviceId) return null;
+                return `DeviceProcessEvents
+| where Timestamp > ago(${days}d) and DeviceId == ${kqlString(properties.deviceId)} and InitiatingProcessId == ${processId} and InitiatingProcessFileName =~ ${kqlString(properties.fileName)}
+| summarize CreationTime = min(Timestamp) by DeviceId, ProcessId, FileName, FolderPath, ProcessCommandLine, SHA256
+| top ${MAX_PIVOT_ROWS} by CreationTime asc`;
+            },
+            apply: (builder, node, row) => {
+                const child = builder.addNode('process', {
+                    deviceId: row.DeviceId,
+                    processId: row.ProcessId,
+                    fileName: row.FileName,
+                    filePath: row.FolderPath,
+                    commandLine: row.ProcessCommandLine,
+                    sha256: row.SHA256,
+                    creationTime: row.CreationTime,
+                    parentProcessId: node.properties.processId
+                });
+                builder.addEdge(node.id, child, 'executed', { firstSeen: row.CreationTime });
+            }
+        }
+    ],
+    mailbox: [
+        {
+            name: 'senders',
+            source: 'hunting',
+            description: 'Senders that mailed the mailbox',
+            query: ({ properties }, days) => properties.mailboxPrimaryAddress && `EmailEvents
+| where Timestamp > ago(${days}d) and RecipientEmailAddress =~ ${kqlString(properties.mailboxPrimaryAddress)}
+| summarize Messages = count(), LastSeen = max(Timestamp) by SenderFromAddress
+| top ${MAX_PIVOT_ROWS} by Messages`,
+            apply: (builder, node, row) => {
+                const sender = builder.addNode('mailbox', { mailboxPrimaryAddress: row.SenderFromAddress });
+                builder.addEdge(sender, node.id, 'communicated-with', { count: row.Messages, lastSeen: row.LastSeen });
+            }
+        }
+    ],
+    alert: [
+        {
+            name: 'alert-evidence',
+            source: 'graph',
+            description: 'Evidence of the alert',
+            path: ({ properties }) => properties.id && `/security/alerts_v2/${encodeURIComponent(properties.id)}`,
+            // Needs the evidence extraction of the caller (options.processIncident)
+            apply: (builder, node, alert, options) => {
+                const processed = options.processIncident({ id: alert.incidentId, alerts: [alert] });
+                const incidentNode = alert.incidentId ? builder.addNode('incident', { id: alert.incidentId }) : null;
+                for (const event of (processed.timeline || []).filter(item => item.type === 'alert')) {
+                    addAlert(builder, event, incidentNode);
+                }
+            }
+        }
+    ]
+};
+
+/**
+ * Expand a node of the graph through its pivots
+ * node: a node as returned by buildEntityGraph (id, type, properties)
+ * options: { lookbackDays, pivots (names to run, default all), processIncident, log }
+ *
+ * Returns { nodeId, nodes, edges, pivots: [{ name, source, description, query|path, rowCount, error }] };
+ * a pivot that fails (no licence for advanced hunting, unknown user) reports its
+ * error without failing the others
+ */
+async function expandNode(graph, node, options = {}) {
+    const log = options.log || console.log;
+    const pivots = (PIVOTS[node?.type] || []).filter(pivot => !options.pivots || options.pivots.includes(pivot.name));
+    const days = Math.min(Math.max(parseInt(options.lookbackDays) || DEFAULT_LOOKBACK_DAYS, 1), MAX_LOOKBACK_DAYS);
+
+    const builder = new EntityGraphBuilder();
+    builder.nodes.set(node.id, { ...node, properties: { ...node.properties }, alertIds: [...(node.alertIds || [])] });
+
+    const results = await Promise.all(pivots.map(async pivot => {
+        const report = { name: pivot.name, source: pivot.source, description: pivot.description };
+        try {
+            if (pivot.source === 'hunting') {
+                report.query = pivot.query(node, days);
+                if (!report.query) {
+                    return { ...report, skipped: 'The node lacks the fields this pivot needs' };
+                }
+                const result = await graph.post('/security/runHuntingQuery', { query: report.query }, { timeoutMs: HUNTING_TIMEOUT_MS });
+                const rows = result.results || [];
+                rows.forEach(row => pivot.apply(builder, node, row, options));
+                return { ...report, rowCount: rows.length };
+            }
+
+            report.path = pivot.path(node);
+            if (!report.path) {
+                return { ...report, skipped: 'The node lacks the fields this pivot needs' };
+            }
+            pivot.apply(builder, node, await graph.get(report.path), options);
+            return { ...report, rowCount: 1 };
+        } catch (error) {
+            log(`[EntityGraph] Pivot ${pivot.name} on ${node.id} failed: ${error.message}`);
+            return { ...report, error: error.message, statusCode: error.statusCode };
+        }
+    }));
+
+    return { nodeId: node.id, lookbackDays: days, ...builder.toJSON(), pivots: results };
+}
+
+/**
+ * Pivot names and descriptions per node type, for the UI
+ */
+function listPivots() {
+    return Object.fromEntries(Object.entries(PIVOTS).map(([type, pivots]) => [
+        type,
+        pivots.map(({ name, source, description }) => ({ name, source, description }))
+    ]));
+}
+
+module.exports = {
+    ENTITY_TYPES,
+    EDGE_TYPES,
+    buildEntityGraph,
+    expandNode,
+    listPivots,
+    kqlString
+};
@@ -0,0 +1,328 @@
+/**
+ * Entity Storage Module
+ * Pluggable key/value entity store used by functions that need to persist state
+ * Backends: Azure Table Storage (sovereign suffix from the endpoint registry or a
+ * connection string, including Azurite), a JSON file store for local development
+ * and an in-memory store for tests
+ * All backends support optimistic concurrency through ETags
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const registry = require('./endpointRegistry');
+
+/**
+ * Storage error with an HTTP-style status code so callers can map it to a response
+ */
+class StoreError extends Error {
+    constructor(message, code, statusCode) {
+        super(message);
+        this.name = 'StoreError';
+        this.code = code;
+        this.statusCode = statusCode;
+    }
+}
+
+const notFound = (pk, rk) => new StoreError(`Entity ${pk}/${rk} not found`, 'NOT_FOUND', 404);
+const alreadyExists = (pk, rk) => new StoreError(`Entity ${pk}/${rk} already exists`, 'ALREADY_EXISTS', 409);
+const etagMismatch = (pk, rk) => new StoreError(
+    `Entity ${pk}/${rk} was modified by another request`,
+    'PRECONDITION_FAILED',
+    412
+);
+
+function newEtag() {
+    return `W/"${Date.now().toString(36)}-${crypto.randomBytes(6).toString('hex')}"`;
+}
+
+/**
+ * In-memory backend (tests and single-process fallback)
+ */
+class MemoryEntityStore {
+    constructor(tableName) {
+        this.tableName = tableName;
+        this.entities = new Map();
+    }
+
+    key(partitionKey, rowKey) {
+        return `${partitionKey}\u0000${rowKey}`;
+    }
+
+    async get(partitionKey, rowKey) {
+        const entity = this.entities.get(this.key(partitionKey, rowKey));
+        return entity ? { ...entity } : null;
+    }
+
+    async list(partitionKey) {
+        return Array.from(this.entities.values())
+            .filter(entity => partitionKey === undefined || entity.partitionKey === partitionKey)
+            .map(entity => ({ ...entity }));
+    }
+
+    async create(entity) {
+        const key = this.key(entity.partitionKey, entity.rowKey);
+        if (this.entities.has(key)) {
+            throw alreadyExists(entity.partitionKey, entity.rowKey);
+        }
+        return this.write(key, entity);
+    }
+
+    async update(entity, options = {}) {
+        const key = this.key(entity.partitionKey, entity.rowKey);
+        const existing = this.entities.get(key);
+
+        if (!existing) {
+            throw notFound(entity.partitionKey, entity.rowKey);
+        }
+        if (options.etag && options.etag !== '*' && options.etag !== existing.etag) {
+            throw etagMismatch(entity.partitionKey, entity.rowKey);
+        }
+        return this.write(key, entity);
+    }
+
+    async upsert(entity) {
+        return this.write(this.key(entity.partitionKey, entity.rowKey), entity);
+    }
+
+    async delete(partitionKey, rowKey, options = {}) {
+        const key = this.key(partitionKey, rowKey);
+        const existing = this.entities.get(key);
+
+        if (!existing) {
+            throw notFound(partitionKey, rowKey);
+        }
+        if (options.etag && options.etag !== '*' && options.etag !== existing.etag) {
+            throw etagMismatch(partitionKey, rowKey);
+        }
+        this.entities.delete(key);
+        await this.persist();
+    }
+
+    async write(key, entity) {
+        const { etag, timestamp, ...properties } = entity;
+        const stored = { ...properties, etag: newEtag(), timestamp: new Date().toISOString() };
+        this.entities.set(key, stored);
+        await this.persist();
+        return { ...stored };
+    }
+
+    async persist() {
+        // Nothing to do for the in-memory backend
+    }
+}
+
+/**
+ * JSON file backend for local development without Azurite
+ * One file per table under LOCAL_STORAGE_PATH (default ./.local-data)
+ */
+class FileEntityStore extends MemoryEntityStore {
+    constructor(tableName, directory) {
+        super(tableName);
+        this.filePath = path.join(directory, `${tableName}.json`);
+        this.loaded = false;
+    }
+
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        if (fs.existsSync(this.filePath)) {
+            const records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const record of records) {
+                this.entities.set(this.key(record.partitionKey, record.rowKey), record);
+            }
+        }
+    }
+
+    async get(partitionKey, rowKey) { this.load(); return super.get(partitionKey, rowKey); }
+    async list(partitionKey) { this.load(); return super.list(partitionKey); }
+    async create(entity) { this.load(); return super.create(entity); }
+    async update(entity, options) { this.load(); return super.update(entity, options); }
+    async upsert(entity) { this.load(); return super.upsert(entity); }
+    async delete(partitionKey, rowKey, options) { this.load(); return super.delete(partitionKey, rowKey, options); }
+
+    async persist() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(Array.from(this.entities.values()), null, 2));
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+}
+
+/**
+ * Azure Table Storage backend
+ * Uses managed identity against <account>.table.<storage suffix> when
+ * STORAGE_ACCOUNT_NAME is set, otherwise a connection string (Azurite included)
+ */
+class TableEntityStore {
+    constructor(tableName, options = {}) {
+        const { TableClient } = require('@azure/data-tables');
+
+        this.tableName = tableName;
+
+        if (options.accountName) {
+            const { getAzureCredential } = require('./azureAuth');
+            const endpoint = registry.getStorageEndpoint(options.accountName, 'table');
+            this.client = new TableClient(endpoint, tableName, getAzureCredential());
+        } else {
+            const connectionString = options.connectionString;
+            this.client = TableClient.fromConnectionString(connectionString, tableName, {
+                allowInsecureConnection: /UseDevelopmentStorage=true|http:\/\//i.test(connectionString)
+            });
+        }
+
+        this.ready = null;
+    }
+
+    async ensureTable() {
+        if (!this.ready) {
+            this.ready = this.client.createTable().catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    // Translate SDK RestErrors into StoreErrors
+    async call(fn, partitionKey, rowKey) {
+        await this.ensureTable();
+        try {
+            return await fn();
+        } catch (error) {
+            if (error.statusCode === 404) throw notFound(partitionKey, rowKey);
+            if (error.statusCode === 409) throw alreadyExists(partitionKey, rowKey);
+            if (error.statusCode === 412) throw etagMismatch(partitionKey, rowKey);
+            throw error;
+        }
+    }
+
+    toEntity(raw) {
+        const { 'odata.metadata': metadata, ...entity } = raw;
+        return entity;
+    }
+
+    async get(partitionKey, rowKey) {
+        try {
+            return await this.call(async () => this.toEntity(await this.client.getEntity(partitionKey, rowKey)), partitionKey, rowKey);
+        } catch (error) {
+            if (error.code === 'NOT_FOUND') return null;
+            throw error;
+        }
+    }
+
+    async list(partitionKey) {
+        await this.ensureTable();
+        const { odata } = require('@azure/data-tables');
+        const queryOptions = partitionKey !== undefined
+            ? { filter: odata`PartitionKey eq ${partitionKey}` }
+            : undefined;
+
+        const entities = [];
+        for await (const entity of this.client.listEntities({ queryOptions })) {
+            entities.push(this.toEntity(entity));
+        }
+        return entities;
+    }
+
+    async create(entity) {
+        const { etag, timestamp, ...properties } = entity;
+        const response = await this.call(() => this.client.createEntity(properties), entity.partitionKey, entity.rowKey);
+        return { ...properties, etag: response.etag };
+    }
+
+    async update(entity, options = {}) {
+        const { etag, timestamp, ...properties } = entity;
+        const response = await this.call(
+            () => this.client.updateEntity(properties, 'Replace', { etag: options.etag || '*' }),
+            entity.partitionKey,
+            entity.rowKey
+        );
+        return { ...properties, etag: response.etag };
+    }
+
+    async upsert(entity) {
+        const { etag, timestamp, ...properties } = entity;
+        const response = await this.call(() => this.client.upsertEntity(properties, 'Replace'), entity.partitionKey, entity.rowKey);
+        return { ...properties, etag: response.etag };
+    }
+
+    async delete(partitionKey, rowKey, options = {}) {
+        await this.call(
+            () => this.client.deleteEntity(partitionKey, rowKey, { etag: options.etag || '*' }),
+            partitionKey,
+            rowKey
+        );
+    }
+}
+
+const stores = new Map();
+
+/**
+ * Pick the backend from configuration
+ * STORAGE_BACKEND=table|file|memory overrides the automatic choice
+ */
+function resolveBackend() {
+    if (process.env.STORAGE_BACKEND) {
+        return process.env.STORAGE_BACKEND.toLowerCase();
+    }
+    if (process.env.STORAGE_ACCOUNT_NAME || process.env.STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage) {
+        return 'table';
+    }
+    return 'file';
+}
+
+/**
+ * Get (or create) the store for a logical table
+ * Table names must be alphanumeric to satisfy Azure Table Storage rules
+ */
+function getEntityStore(tableName) {
+    if (!/^[A-Za-z][A-Za-z0-9]{2,62}$/.test(tableName)) {
+        throw new Error(`Invalid table name: ${tableName}`);
+    }
+
+    if (stores.has(tableName)) {
+        return stores.get(tableName);
+    }
+
+    const backend = resolveBackend();
+    let store;
+
+    switch (backend) {
+        case 'table':
+            store = new TableEntityStore(tableName, {
+                accountName: process.env.STORAGE_ACCOUNT_NAME,
+                connectionString: process.env.STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage
+            });
+            break;
+        case 'file':
+            store = new FileEntityStore(tableName, process.env.LOCAL_STORAGE_PATH || path.join(process.cwd(), '.local-data'));
+            break;
+        case 'memory':
+            store = new MemoryEntityStore(tableName);
+            break;
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND '${backend}'. Use table, file or memory.`);
+    }
+
+    stores.set(tableName, store);
+    return store;
+}
+
+/**
+ * Drop cached store instances (used after changing backend settings)
+ */
+function resetEntityStores() {
+    stores.clear();
+}
+
+module.exports = {
+    StoreError,
+    MemoryEntityStore,
+    FileEntityStore,
+    TableEntityStore,
+    getEntityStore,
+    resetEntityStores,
+    resolveBackend
+};
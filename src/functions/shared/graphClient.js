@@ -0,0 +1,186 @@
+/**
+ * Microsoft Graph Client
+ * Cloud-aware Graph helper shared by the M365 Defender functions
+ * Resolves the Graph host for the configured sovereign cloud, follows
+ * @odata.nextLink paging and honours 429/Retry-After throttling
+ */
+
+const registry = require('./endpointRegistry');
+
+const GRAPH_API_VERSIONS = ['v1.0', 'beta'];
+
+// Status codes Graph documents as transient; 429 and 503 carry Retry-After
+const RETRYABLE_STATUS_CODES = [429, 503, 504];
+
+/**
+ * Resolve the Graph base URL for the current environment
+ * Priority: explicit GraphEndpoint app setting, then the endpoint registry
+ */
+function getGraphEndpoint(environmentName) {
+    return registry.getEndpoint('graph', environmentName);
+}
+
+class GraphClient {
+    constructor(token, options = {}) {
+        if (!token) {
+            throw new Error('A delegated access token is required for Microsoft Graph');
+        }
+
+        this.token = token;
+        this.baseUrl = (options.baseUrl || getGraphEndpoint(options.environment)).replace(/\/+$/, '');
+        this.version = options.version || 'v1.0';
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.maxRetryDelayMs = options.maxRetryDelayMs || 30000;
+        this.log = options.log || console.log;
+
+        if (!GRAPH_API_VERSIONS.includes(this.version)) {
+            throw new Error(`Unsupported Graph API version: ${this.version}`);
+        }
+    }
+
+    /**
+     * Build an absolute Graph URL from a relative path such as /security/incidents
+     * Absolute URLs (e.g. @odata.nextLink values) are returned unchanged
+     */
+    buildUrl(path, version = this.version) {
+        if (/^https?:\/\//i.test(path)) {
+            return path;
+        }
+
+        if (!GRAPH_API_VERSIONS.includes(version)) {
+            throw new Error(`Unsupported Graph API version: ${version}`);
+        }
+
+        const normalizedPath = path.startsWith('/') ? path : `/${path}`;
+        return `${this.baseUrl}/${version}${normalizedPath}`;
+    }
+
+    /**
+     * Execute a Graph request with timeout protection and throttling retries
+     */
+    async request(path, options = {}) {
+        const url = this.buildUrl(path, options.version);
+        const method = options.method || 'GET';
+
+        for (let attempt = 0; ; attempt++) {
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), options.timeoutMs || this.timeoutMs);
+
+            let response;
+            try {
+                this.log(`[Graph] ${method} ${url.replace(this.baseUrl, '')}`);
+
+                response = await fetch(url, {
+                    method,
+                    headers: {
+                        'Authorization': `Bearer ${this.token}`,
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json',
+                        ...options.headers
+                    },
+                    body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+                    signal: controller.signal
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw new Error(`Graph API request timed out after ${options.timeoutMs || this.timeoutMs}ms`);
+                }
+                throw error;
+            } finally {
+                clearTimeout(timeout);
+            }
+
+            const data = await response.text();
+
+            if (response.ok) {
+                if (!data) {
+                    return {};
+                }
+                try {
+                    return JSON.parse(data);
+                } catch (e) {
+                    throw new Error(`Failed to parse Graph API response: ${e.message}`);
+                }
+            }
+
+            if (RETRYABLE_STATUS_CODES.includes(response.status) && attempt < this.maxRetries) {
+                const delay = this.getRetryDelay(response.headers.get('retry-after'), attempt);
+                this.log(`[Graph] Throttled with ${response.status}, retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                continue;
+            }
+
+            const error = new Error(`Graph API returned ${response.status}: ${data}`);
+            error.statusCode = response.status;
+            error.retryAfter = response.headers.get('retry-after') || undefined;
+            error.requestId = response.headers.get('request-id') || undefined;
+            throw error;
+        }
+    }
+
+    /**
+     * Retry-After is expressed in seconds or as an HTTP date; fall back to
+     * exponential backoff when Graph does not send one
+     */
+    getRetryDelay(retryAfter, attempt) {
+        let delay;
+
+        if (retryAfter && /^\d+$/.test(retryAfter)) {
+            delay = parseInt(retryAfter) * 1000;
+        } else if (retryAfter && !isNaN(Date.parse(retryAfter))) {
+            delay = Math.max(0, Date.parse(retryAfter) - Date.now());
+        } else {
+            delay = 1000 * Math.pow(2, attempt) + Math.random() * 500;
+        }
+
+        return Math.min(delay, this.maxRetryDelayMs);
+    }
+
+    async get(path, options = {}) {
+        return this.request(path, { ...options, method: 'GET' });
+    }
+
+    async post(path, body, options = {}) {
+        return this.request(path, { ...options, method: 'POST', body });
+    }
+
+    async patch(path, body, options = {}) {
+        return this.request(path, { ...options, method: 'PATCH', body });
+    }
+
+    /**
+     * Follow @odata.nextLink until the collection is exhausted or a limit is hit
+     * Returns a Graph-shaped collection so callers can keep reading `.value`
+     */
+    async getAllPages(path, options = {}) {
+        const maxItems = options.maxItems || Infinity;
+        const maxPages = options.maxPages || 20;
+        const value = [];
+        let nextLink = path;
+        let pages = 0;
+
+        while (nextLink && pages < maxPages && value.length < maxItems) {
+            const page = await this.get(nextLink, options);
+            pages++;
+
+            if (Array.isArray(page.value)) {
+                value.push(...page.value);
+            }
+
+            nextLink = page['@odata.nextLink'] || null;
+        }
+
+        return {
+            value: value.slice(0, maxItems),
+            '@odata.nextLink': nextLink || undefined,
+            pageCount: pages
+        };
+    }
+}
+
+module.exports = {
+    GraphClient,
+    getGraphEndpoint,
+    GRAPH_API_VERSIONS
+};
@@ -0,0 +1,279 @@
+/**
+ * Incident Triage
+ * Changes to Defender incidents made from this app through the Graph security
+ * API: status, assignment, classification and determination, comments and
+ * custom tags. Needs SecurityIncident.ReadWrite.All on the caller's token
+ *
+ * Every change attempt is written to an audit trail per incident (who, when,
+ * each field's value before and after, and whether Graph accepted it). The
+ * trail records what was done from this app only; changes made in the
+ * Defender portal appear in the portal's own history
+ *
+ * The identity passed in must be that of the token the GraphClient uses, read
+ * once Graph has accepted the token, so entries name who really made the change
+ * and the trail is partitioned by the tenant that token belongs to
+ */
+
+const crypto = require('crypto');
+const { getEntityStore, StoreError } = require('./entityStore');
+
+const AUDIT_TABLE = 'IncidentAudit';
+
+// Graph security incident enums (microsoft.graph.security.incident)
+const INCIDENT_STATUSES = ['active', 'inProgress', 'resolved', 'awaitingAction'];
+const CLASSIFICATIONS = ['unknown', 'falsePositive', 'truePositive', 'informationalExpectedActivity'];
+
+// Determinations Graph accepts for each classification
+const DETERMINATIONS_BY_CLASSIFICATION = {
+    unknown: ['unknown'],
+    truePositive: [
+        'multiStagedAttack', 'maliciousUserActivity', 'compromisedAccount', 'malware', 'phishing',
+        'unwantedSoftware', 'apt', 'securityPersonnel', 'securityTesting', 'other'
+    ],
+    falsePositive: ['notMalicious', 'notEnoughDataToValidate', 'other'],
+    informationalExpectedActivity: ['securityTesting', 'lineOfBusinessApplication', 'confirmedUserActivity', 'other']
+};
+
+// Fields an update may change, in audit order
+const TRIAGE_FIELDS = ['status', 'assignedTo', 'classification', 'determination'];
+
+const MAX_COMMENT_LENGTH = 10000;
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 100;
+const DEFAULT_AUDIT_LIMIT = 100;
+
+const invalid = (message) => new StoreError(message, 'INVALID_INPUT', 400);
+
+// Table Storage keys cannot contain / \ # or ?
+function safeKey(value) {
+    return String(value).replace(/[/\\#?]/g, '|');
+}
+
+function auditPartition(identity, incidentId) {
+    return safeKey(`${identity.tenantId || 'default'}|${incidentId}`);
+}
+
+function incidentPath(incidentId) {
+    return `/security/incidents/${encodeURIComponent(incidentId)}`;
+}
+
+// The UI lower-cases enum values ("inprogress"); Graph wants them as documented
+function normalizeEnum(value, allowed, field) {
+    const match = allowed.find(option => option.toLowerCase() === String(value).toLowerCase());
+    if (!match) {
+        throw invalid(`${field} must be one of: ${allowed.join(', ')}`);
+    }
+    return match;
+}
+
+/**
+ * Validate an update; returns the Graph PATCH body
+ * changes: { status, assignedTo, classification, determination }
+ * current: the incident before the change, used to check classification and
+ * determination together when only one of them is given
+ */
+function buildIncidentPatch(changes, current = {}) {
+    const patch = {};
+
+    if (changes.status !== undefined) {
+        patch.status = normalizeEnum(changes.status, INCIDENT_STATUSES, 'status');
+    }
+    if (changes.assignedTo !== undefined) {
+        // An empty string unassigns the incident
+        const assignedTo = changes.assignedTo === null ? '' : String(changes.assignedTo).trim();
+        if (assignedTo.length > 256) {
+            throw invalid('assignedTo exceeds 256 characters');
+        }
+        patch.assignedTo = assignedTo;
+    }
+    if (changes.classification !== undefined) {
+        patch.classification = normalizeEnum(changes.classification, CLASSIFICATIONS, 'classification');
+    }
+    if (changes.determination !== undefined) {
+        const allDeterminations = Array.from(new Set(Object.values(DETERMINATIONS_BY_CLASSIFICATION).flat()));
+        patch.determination = normalizeEnum(changes.determination, allDeterminations, 'determination');
+    }
+
+    if (!Object.keys(patch).length) {
+        throw invalid(`At least one of ${TRIAGE_FIELDS.join(', ')} is required`);
+    }
+
+    if (patch.classification !== undefined || patch.determination !== undefined) {
+        const classification = patch.classification || current.classification || 'unknown';
+        const allowed = DETERMINATIONS_BY_CLASSIFICATION[classification] || [];
+        // Changing the classification alone resets a determination that no longer fits
+        if (patch.determination === undefined && current.determination && !allowed.includes(current.determination)) {
+            patch.determination = classification === 'unknown' ? 'unknown' : 'other';
+        }
+        const determination = patch.determination || current.determination || 'unknown';
+        if (!allowed.includes(determination)) {
+            throw invalid(`determination ${determination} does not fit classification ${classification}; use one of: ${allowed.join(', ')}`);
+        }
+    }
+
+    return patch;
+}
+
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return list.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+/**
+ * Append an audit entry for an incident change
+ * entry: { incidentId, provider, action, changes: [{ field, from, to }], comment, outcome, error }
+ */
+async function recordAudit(identity, entry) {
+    const timestamp = new Date().toISOString();
+    await getEntityStore(AUDIT_TABLE).create({
+        partitionKey: auditPartition(identity, entry.incidentId),
+        rowKey: `${timestamp}_${crypto.randomBytes(4).toString('hex')}`,
+        incidentId: String(entry.incidentId),
+        provider: entry.provider || 'graph',
+        action: entry.action,
+        changes: JSON.stringify(entry.changes || []),
+        comment: entry.comment || '',
+        outcome: entry.outcome,
+        error: entry.error || '',
+        userId: identity.userId,
+        userName: identity.userName,
+        timestamp
+    });
+}
+
+/**
+ * Run a change and audit it whatever the outcome; an audit write that fails
+ * is logged but does not undo or hide a change Graph already made
+ */
+async function audited(identity, entry, log, change) {
+    try {
+        const result = await change();
+        await recordAudit(identity, { ...entry, outcome: 'success' })
+            .catch(error => log(`[Triage] Could not audit ${entry.action} on incident ${entry.incidentId}: ${error.message}`));
+        return result;
+    } catch (error) {
+        await recordAudit(identity, { ...entry, outcome: 'failed', error: error.message })
+            .catch(auditError => log(`[Triage] Could not audit failed ${entry.action} on incident ${entry.incidentId}: ${auditError.message}`));
+        throw error;
+    }
+}
+
+/**
+ * Change status, assignedTo, classification and/or determination
+ * Returns the incident as Graph reports it after the change
+ */
+async function updateIncident(graph, identity, incidentId, changes, options = {}) {
+    const log = options.log || console.log;
+    const current = await graph.get(incidentPath(incidentId));
+    const patch = buildIncidentPatch(changes, current);
+    const audit = TRIAGE_FIELDS
+        .filter(field => patch[field] !== undefined)
+        .map(field => ({ field, from: current[field] ?? null, to: patch[field] }));
+
+    return audited(identity, { incidentId, action: 'update', changes: audit }, log, async () => {
+        const updated = await graph.patch(incidentPath(incidentId), patch);
+        return { ...current, ...patch, ...updated };
+    });
+}
+
+/**
+ * Add a comment to the incident's comment thread
+ * Returns the incident's comments
+ */
+async function addComment(graph, identity, incidentId, comment, options = {}) {
+    const log = options.log || console.log;
+    const text = typeof comment === 'string' ? comment.trim() : '';
+    if (!text) {
+        throw invalid('comment is required');
+    }
+    if (text.length > MAX_COMMENT_LENGTH) {
+        throw invalid(`comment exceeds ${MAX_COMMENT_LENGTH} characters`);
+    }
+
+    return audited(identity, { incidentId, action: 'comment', comment: text }, log, async () => {
+        const result = await graph.post(`${incidentPath(incidentId)}/comments`, {
+            '@odata.type': 'microsoft.graph.security.alertComment',
+            comment: text
+        });
+        return result.value || [];
+    });
+}
+
+/**
+ * Replace the incident's custom tags ({ tags }) or add and remove some ({ add, remove })
+ * Returns the resulting tags
+ */
+async function setTags(graph, identity, incidentId, { tags, add, remove } = {}, options = {}) {
+    const log = options.log || console.log;
+    if (tags === undefined && add === undefined && remove === undefined) {
+        throw invalid('tags, add or remove is required');
+    }
+
+    const current = await graph.get(incidentPath(incidentId));
+    const before = current.customTags || [];
+
+    let after;
+    if (tags !== undefined) {
+        after = normalizeTags(tags);
+    } else {
+        const removed = new Set(normalizeTags(remove).map(tag => tag.toLowerCase()));
+        after = before.filter(tag => !removed.has(tag.toLowerCase())).concat(normalizeTags(add));
+    }
+    // Tags compare case-insensitively, the first spelling wins
+    const seen = new Set();
+    after = after.filter(tag => {
+        const key = tag.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    if (after.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        throw invalid(`Tags are limited to ${MAX_TAG_LENGTH} characters`);
+    }
+    if (after.length > MAX_TAGS) {
+        throw invalid(`An incident can have at most ${MAX_TAGS} custom tags`);
+    }
+
+    return audited(identity, { incidentId, action: 'tags', changes: [{ field: 'customTags', from: before, to: after }] }, log, async () => {
+        const updated = await graph.patch(incidentPath(incidentId), { customTags: after });
+        return updated.customTags || after;
+    });
+}
+
+/**
+ * Changes made to an incident from this app, newest first
+ */
+async function getAuditTrail(identity, incidentId, options = {}) {
+    const limit = Math.min(parseInt(options.limit) || DEFAULT_AUDIT_LIMIT, 1000);
+    const entries = await getEntityStore(AUDIT_TABLE).list(auditPartition(identity, incidentId));
+
+    return entries
+        .sort((a, b) => b.rowKey.localeCompare(a.rowKey))
+        .slice(0, limit)
+        .map(entry => ({
+            incidentId: entry.incidentId,
+            provider: entry.provider,
+            action: entry.action,
+            changes: JSON.parse(entry.changes || '[]'),
+            comment: entry.comment || undefined,
+            outcome: entry.outcome,
+            error: entry.error || undefined,
+            userId: entry.userId,
+            userName: entry.userName,
+            timestamp: entry.timestamp
+        }));
+}
+
+module.exports = {
+    INCIDENT_STATUSES,
+    CLASSIFICATIONS,
+    DETERMINATIONS_BY_CLASSIFICATION,
+    buildIncidentPatch,
+    updateIncident,
+    addComment,
+    setTags,
+    recordAudit,
+    audited,
+    getAuditTrail
+};
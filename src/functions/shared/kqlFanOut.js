@@ -0,0 +1,110 @@
+/**
+ * KQL Fan-Out
+ * Helpers for running one query across several Log Analytics workspaces:
+ * a bounded-concurrency runner and a merger that unions the per-workspace
+ * tables into a single schema with a SourceWorkspace column
+ */
+
+const SOURCE_COLUMN = 'SourceWorkspace';
+const MAX_FANOUT_WORKSPACES = 50;
+const DEFAULT_CONCURRENCY = 5;
+
+function getFanOutConcurrency() {
+    const configured = parseInt(process.env.KQL_FANOUT_CONCURRENCY);
+    return configured > 0 ? configured : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight
+ * Items not yet started when `signal` aborts are passed to onSkipped instead
+ * Results keep the order of items
+ */
+async function mapWithConcurrency(items, limit, fn, { signal, onSkipped } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            if (signal?.aborted && onSkipped) {
+                results[index] = onSkipped(items[index]);
+                continue;
+            }
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Merge the tables returned by each workspace
+ * Tables are matched by position; columns are unioned by name (first type
+ * wins, conflicting types become dynamic) and every row is prefixed with the
+ * workspace it came from. maxRows caps each merged table
+ */
+function mergeWorkspaceTables(outcomes, { maxRows = 1000 } = {}) {
+    const merged = [];
+    let truncated = false;
+
+    for (const outcome of outcomes) {
+        const tables = outcome.result?.tables || [];
+
+        tables.forEach((table, tableIndex) => {
+            if (!merged[tableIndex]) {
+                merged[tableIndex] = {
+                    name: table.name,
+                    columns: [{ name: SOURCE_COLUMN, type: 'string' }],
+                    columnIndex: new Map([[SOURCE_COLUMN, 0]]),
+                    rows: []
+                };
+            }
+            const target = merged[tableIndex];
+
+            // Position of each source column in the merged schema
+            const mapping = table.columns.map(column => {
+                if (!target.columnIndex.has(column.name)) {
+                    target.columnIndex.set(column.name, target.columns.length);
+                    target.columns.push({ name: column.name, type: column.type });
+                } else {
+                    const existing = target.columns[target.columnIndex.get(column.name)];
+                    if (existing.type !== column.type) {
+                        existing.type = 'dynamic';
+                    }
+                }
+                return target.columnIndex.get(column.name);
+            });
+
+            for (const row of table.rows) {
+                if (target.rows.length >= maxRows) {
+                    truncated = true;
+                    break;
+                }
+                const mergedRow = [outcome.workspaceId];
+                mapping.forEach((position, i) => {
+                    mergedRow[position] = row[i];
+                });
+                target.rows.push(mergedRow);
+            }
+        });
+    }
+
+    // Rows from workspaces that lacked a column were left sparse
+    return {
+        truncated,
+        tables: merged.filter(Boolean).map(({ name, columns, rows }) => ({
+            name,
+            columns,
+            rows: rows.map(row => Array.from({ length: columns.length }, (_, i) => row[i] === undefined ? null : row[i]))
+        }))
+    };
+}
+
+module.exports = {
+    SOURCE_COLUMN,
+    MAX_FANOUT_WORKSPACES,
+    getFanOutConcurrency,
+    mapWithConcurrency,
+    mergeWorkspaceTables
+};
@@ -0,0 +1,704 @@
+/**
+ * KQL Parser and Static Analyzer
+ * Tokenizes and parses Kusto queries into a lightweight AST (statements,
+ * pipelines, operators, calls and bracketed groups) and runs safety rules over
+ * it: control commands, external data access and cross-resource references
+ * Diagnostics carry 1-based line/column ranges so the editor can underline them
+ */
+
+const SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning'
+};
+
+// Tabular operators accepted after a pipe (lowercase)
+const KNOWN_OPERATORS = new Set([
+    'as', 'consume', 'count', 'distinct', 'evaluate', 'extend', 'facet', 'filter', 'find', 'fork',
+    'getschema', 'invoke', 'join', 'limit', 'lookup', 'make-series', 'mv-apply', 'mv-expand',
+    'order', 'parse', 'parse-kv', 'parse-where', 'partition', 'project', 'project-away',
+    'project-keep', 'project-rename', 'project-reorder', 'range', 'reduce', 'render', 'sample',
+    'sample-distinct', 'scan', 'search', 'serialize', 'sort', 'summarize', 'take', 'top',
+    'top-hitters', 'top-nested', 'union', 'where', 'graph-match', 'make-graph', 'graph-to-table',
+    'project-smart', 'assert-schema', 'macro-expand', 'mvexpand', 'mvapply'
+]);
+
+// Calls that reach outside the target workspace
+const CROSS_RESOURCE_FUNCTIONS = new Set(['workspace', 'app', 'resource']);
+const CROSS_CLUSTER_FUNCTIONS = new Set(['cluster', 'database', 'adx', 'arg', 'external_table']);
+
+// evaluate plugins that call out to external services or run arbitrary code
+const BLOCKED_PLUGINS = new Set([
+    'sql_request', 'mysql_request', 'postgresql_request', 'cosmosdb_sql_request',
+    'http_request', 'http_request_post', 'azure_digital_twins_query_request',
+    'python', 'r', 'ai_embed_text', 'ai_chat_completion', 'ai_chat_completion_prompt'
+]);
+
+// Literal functions whose argument is not a regular expression, e.g. datetime(2024-01-01T00:00:00Z)
+const RAW_LITERAL_FUNCTIONS = new Set(['datetime', 'timespan', 'time', 'guid']);
+
+const TIMESPAN_UNITS = new Set([
+    'd', 'day', 'days', 'h', 'hr', 'hrs', 'hour', 'hours', 'm', 'min', 'minute', 'minutes',
+    's', 'sec', 'second', 'seconds', 'ms', 'milli', 'millis', 'millisecond', 'milliseconds',
+    'microsecond', 'microseconds', 'tick', 'ticks'
+]);
+
+// Longest operators first so that '==' wins over '='
+const PUNCTUATION = [
+    '..', '==', '!=', '=~', '!~', '<=', '>=', '=>', '<>',
+    '|', ',', ';', '(', ')', '[', ']', '{', '}', ':', '.', '=', '<', '>', '+', '-', '*', '/', '%', '!', '~', '?', '@'
+];
+
+const CLOSING = { '(': ')', '[': ']', '{': '}' };
+
+function diagnostic(severity, code, message, startToken, endToken = startToken) {
+    return {
+        severity,
+        code,
+        message,
+        line: startToken.line,
+        column: startToken.column,
+        endLine: endToken.endLine,
+        endColumn: endToken.endColumn,
+        start: startToken.start,
+        end: endToken.end
+    };
+}
+
+/**
+ * Split query text into tokens with source positions
+ */
+function tokenize(text) {
+    const tokens = [];
+    const diagnostics = [];
+    let pos = 0;
+    let line = 1;
+    let column = 1;
+
+    const advance = (count) => {
+        for (let i = 0; i < count; i++) {
+            if (text[pos] === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+            pos++;
+        }
+    };
+
+    const push = (type, start, startLine, startColumn, value) => {
+        tokens.push({
+            type,
+            text: text.substring(start, pos),
+            value: value !== undefined ? value : text.substring(start, pos),
+            start,
+            end: pos,
+            line: startLine,
+            column: startColumn,
+            endLine: line,
+            endColumn: column
+        });
+    };
+
+    while (pos < text.length) {
+        const ch = text[pos];
+        const start = pos;
+        const startLine = line;
+        const startColumn = column;
+
+        // Whitespace
+        if (/\s/.test(ch)) {
+            advance(1);
+            continue;
+        }
+
+        // Line comments
+        if (ch === '/' && text[pos + 1] === '/') {
+            while (pos < text.length && text[pos] !== '\n') advance(1);
+            continue;
+        }
+
+        // Multi-line strings ``` ... ``` and ~~~ ... ~~~
+        if ((ch === '`' || ch === '~') && text.startsWith(ch.repeat(3), pos)) {
+            const fence = ch.repeat(3);
+            const close = text.indexOf(fence, pos + 3);
+            if (close === -1) {
+                advance(text.length - pos);
+                push('string', start, startLine, startColumn, text.substring(start + 3));
+                diagnostics.push(diagnostic(SEVERITY.ERROR, 'UNTERMINATED_STRING', 'Unterminated multi-line string literal', tokens[tokens.length - 1]));
+            } else {
+                advance(close + 3 - pos);
+                push('string', start, startLine, startColumn, text.substring(start + 3, close));
+            }
+            continue;
+        }
+
+        // String literals with optional h (obfuscated) and @ (verbatim) prefixes
+        const stringMatch = /^([hH]?@?)(['"])/.exec(text.substring(pos, pos + 3));
+        if (stringMatch) {
+            const prefix = stringMatch[1];
+            const quote = stringMatch[2];
+            const verbatim = prefix.includes('@');
+            advance(prefix.length + 1);
+            let value = '';
+            let terminated = false;
+
+            while (pos < text.length && text[pos] !== '\n') {
+                const c = text[pos];
+                if (verbatim) {
+                    if (c === quote && text[pos + 1] === quote) {
+                        value += quote;
+                        advance(2);
+                        continue;
+                    }
+                } else if (c === '\\' && pos + 1 < text.length) {
+                    value += text[pos + 1];
+                    advance(2);
+                    continue;
+                }
+                if (c === quote) {
+                    advance(1);
+                    terminated = true;
+                    break;
+                }
+                value += c;
+                advance(1);
+            }
+
+            push('string', start, startLine, startColumn, value);
+            if (!terminated) {
+                diagnostics.push(diagnostic(SEVERITY.ERROR, 'UNTERMINATED_STRING', 'Unterminated string literal', tokens[tokens.length - 1]));
+            }
+            continue;
+        }
+
+        // Numbers, optionally followed by a timespan unit (1d, 30m, 100ms)
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(text[pos + 1] || '') && text[pos - 1] !== '.')) {
+            const numberMatch = /^(0[xX][0-9a-fA-F]+|[0-9]*\.?[0-9]+(?:[eE][+-]?[0-9]+)?)([A-Za-z_][A-Za-z0-9_]*)?/.exec(text.substring(pos));
+            advance(numberMatch[0].length);
+            const unit = numberMatch[2];
+            if (unit && !TIMESPAN_UNITS.has(unit.toLowerCase())) {
+                push('number', start, startLine, startColumn);
+                diagnostics.push(diagnostic(SEVERITY.ERROR, 'INVALID_LITERAL', `Invalid numeric literal '${numberMatch[0]}'`, tokens[tokens.length - 1]));
+            } else {
+                push(unit ? 'timespan' : 'number', start, startLine, startColumn);
+            }
+            continue;
+        }
+
+        // Identifiers ($left / $right are valid in join conditions)
+        if (/[A-Za-z_$]/.test(ch)) {
+            const identifier = /^[A-Za-z_$][A-Za-z0-9_]*/.exec(text.substring(pos))[0];
+            advance(identifier.length);
+            push('identifier', start, startLine, startColumn);
+
+            // datetime(...), timespan(...), guid(...) contain raw literal text
+            if (RAW_LITERAL_FUNCTIONS.has(identifier.toLowerCase())) {
+                let lookahead = pos;
+                while (lookahead < text.length && /[ \t]/.test(text[lookahead])) lookahead++;
+                if (text[lookahead] === '(') {
+                    const close = text.indexOf(')', lookahead);
+                    if (close !== -1 && !text.substring(lookahead, close).includes('\n')) {
+                        advance(lookahead - pos);
+                        const openStart = pos;
+                        const openLine = line;
+                        const openColumn = column;
+                        advance(1);
+                        push('punctuation', openStart, openLine, openColumn);
+                        const literalStart = pos;
+                        const literalLine = line;
+                        const literalColumn = column;
+                        advance(close - pos);
+                        if (pos > literalStart) {
+                            push('literal', literalStart, literalLine, literalColumn, text.substring(literalStart, pos).trim());
+                        }
+                    }
+                }
+            }
+            continue;
+        }
+
+        const punctuation = PUNCTUATION.find(p => text.startsWith(p, pos));
+        if (punctuation) {
+            advance(punctuation.length);
+            push('punctuation', start, startLine, startColumn);
+            continue;
+        }
+
+        advance(1);
+        push('invalid', start, startLine, startColumn);
+        diagnostics.push(diagnostic(SEVERITY.ERROR, 'UNEXPECTED_CHARACTER', `Unexpected character '${ch}'`, tokens[tokens.length - 1]));
+    }
+
+    tokens.push({
+        type: 'eof', text: '', value: '', start: pos, end: pos,
+        line, column, endLine: line, endColumn: column
+    });
+
+    return { tokens, diagnostics };
+}
+
+/**
+ * Recursive-descent parser over the token stream
+ * The grammar is deliberately shallow: it models statement, pipeline and
+ * bracket structure exactly and keeps operator arguments as element lists
+ */
+class Parser {
+    constructor(tokens, diagnostics) {
+        this.tokens = tokens;
+        this.diagnostics = diagnostics;
+        this.index = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type !== 'eof') this.index++;
+        return token;
+    }
+
+    is(value, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'punctuation' && token.value === value;
+    }
+
+    isKeyword(word, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'identifier' && token.value.toLowerCase() === word;
+    }
+
+    error(code, message, startToken, endToken) {
+        this.diagnostics.push(diagnostic(SEVERITY.ERROR, code, message, startToken, endToken));
+    }
+
+    // Query := Statement (';' Statement)*
+    parseQuery(closing = null) {
+        const statements = [];
+
+        while (this.peek().type !== 'eof' && !(closing && this.is(closing))) {
+            if (this.is(';')) {
+                this.next();
+                continue;
+            }
+            if (this.is(')') || this.is(']') || this.is('}')) {
+                const stray = this.next();
+                this.error('UNBALANCED_BRACKET', `Unexpected '${stray.value}'`, stray);
+                continue;
+            }
+            statements.push(this.parseStatement(closing));
+        }
+
+        return { type: 'Query', statements };
+    }
+
+    parseStatement(closing) {
+        const first = this.peek();
+
+        // Control commands (.show, .drop, .set-or-append, ...)
+        if (this.is('.') && this.peek(1).type === 'identifier' && this.peek(1).start === first.end) {
+            const nameParts = [this.next(), this.next()];
+            while (this.is('-') && this.peek(1).type === 'identifier' && this.peek().start === nameParts[nameParts.length - 1].end) {
+                nameParts.push(this.next(), this.next());
+            }
+            const elements = this.parseElements([';'], closing);
+            return {
+                type: 'ControlCommand',
+                name: nameParts.map(t => t.value).join(''),
+                token: first,
+                endToken: nameParts[nameParts.length - 1],
+                elements
+            };
+        }
+
+        if (this.isKeyword('let') && this.peek(1).type === 'identifier') {
+            const letToken = this.next();
+            const nameToken = this.next();
+            if (!this.is('=')) {
+                this.error('EXPECTED_TOKEN', `Expected '=' after let ${nameToken.value}`, nameToken);
+            } else {
+                this.next();
+            }
+            return {
+                type: 'LetStatement',
+                name: nameToken.value,
+                token: letToken,
+                nameToken,
+                value: this.parsePipeline([';'], closing)
+            };
+        }
+
+        if ((this.isKeyword('set') || this.isKeyword('declare') || this.isKeyword('alias')) && this.peek(1).type === 'identifier') {
+            const keyword = this.next();
+            return {
+                type: keyword.value.toLowerCase() === 'set' ? 'SetStatement' : 'DeclareStatement',
+                token: keyword,
+                elements: this.parseElements([';'], closing)
+            };
+        }
+
+        return {
+            type: 'ExpressionStatement',
+            token: first,
+            expression: this.parsePipeline([';'], closing)
+        };
+    }
+
+    // Pipeline := Elements ('|' Operator)*
+    parsePipeline(terminators, closing) {
+        const startToken = this.peek();
+        const source = this.parseElements(['|', ...terminators], closing);
+        const operators = [];
+
+        if (this.is('|') && source.elements.length === 0) {
+            this.error('EXPECTED_SOURCE', "Expected a table or expression before '|'", this.peek());
+        }
+
+        while (this.is('|')) {
+            const pipe = this.next();
+            operators.push(this.parseOperator(pipe, terminators, closing));
+        }
+
+        return { type: 'Pipeline', token: startToken, source, operators };
+    }
+
+    parseOperator(pipe, terminators, closing) {
+        const first = this.peek();
+
+        if (this.is('.') && this.peek(1).type === 'identifier') {
+            const command = this.peek(1);
+            this.error('CONTROL_COMMAND', `Control commands are not allowed (.${command.value})`, first, command);
+            return { type: 'Operator', name: '', token: first, args: this.parseElements(['|', ...terminators], closing) };
+        }
+
+        if (first.type !== 'identifier') {
+            this.error('EXPECTED_OPERATOR', "Expected an operator after '|'", pipe, first.type === 'eof' ? pipe : first);
+            return { type: 'Operator', name: '', token: pipe, args: this.parseElements(['|', ...terminators], closing) };
+        }
+
+        // Hyphenated operator names: mv-expand, project-away, make-series, ...
+        const nameTokens = [this.next()];
+        while (this.is('-') && this.peek(1).type === 'identifier' &&
+               this.peek().start === nameTokens[nameTokens.length - 1].end &&
+               this.peek(1).start === this.peek().end) {
+            const candidate = nameTokens.map(t => t.value).join('-') + '-' + this.peek(1).value;
+            if (![...KNOWN_OPERATORS].some(op => op === candidate.toLowerCase() || op.startsWith(candidate.toLowerCase() + '-'))) {
+                break;
+            }
+            this.next();
+            nameTokens.push(this.next());
+        }
+
+        const name = nameTokens.map(t => t.value).join('-').toLowerCase();
+        const lastNameToken = nameTokens[nameTokens.length - 1];
+
+        // 'order by' / 'sort by' / 'top-nested' etc. keep their keywords in args
+        if (!KNOWN_OPERATORS.has(name)) {
+            this.diagnostics.push(diagnostic(SEVERITY.WARNING, 'UNKNOWN_OPERATOR', `Unknown query operator '${name}'`, nameTokens[0], lastNameToken));
+        }
+
+        return {
+            type: 'Operator',
+            name,
+            token: nameTokens[0],
+            endToken: lastNameToken,
+            args: this.parseElements(['|', ...terminators], closing)
+        };
+    }
+
+    // Elements until a terminator or the enclosing bracket at this nesting level
+    parseElements(terminators, closing) {
+        const elements = [];
+
+        while (true) {
+            const token = this.peek();
+            if (token.type === 'eof') break;
+            if (token.type === 'punctuation' && (terminators.includes(token.value) || token.value === closing)) break;
+
+            if (token.type === 'punctuation' && CLOSING[token.value]) {
+                elements.push(this.parseGroup());
+                continue;
+            }
+
+            if (token.type === 'punctuation' && [')', ']', '}'].includes(token.value)) {
+                // A closer that does not belong to this level
+                if (closing) break;
+                this.next();
+                this.error('UNBALANCED_BRACKET', `Unexpected '${token.value}'`, token);
+                continue;
+            }
+
+            if (token.type === 'identifier' && this.is('(', 1)) {
+                elements.push(this.parseCall());
+                continue;
+            }
+
+            elements.push({ type: 'Token', token: this.next() });
+        }
+
+        return { type: 'Elements', elements };
+    }
+
+    parseGroup() {
+        const open = this.next();
+        const close = CLOSING[open.value];
+        let body;
+
+        if (open.value === '{') {
+            body = this.parseQuery('}');
+        } else {
+            // Comma-separated items, each of which may be a nested pipeline
+            body = this.parseList(close);
+        }
+
+        const end = this.peek();
+        if (this.is(close)) {
+            this.next();
+        } else {
+            this.error('UNBALANCED_BRACKET', `'${open.value}' is never closed`, open);
+        }
+
+        return { type: open.value === '(' ? 'Group' : open.value === '[' ? 'Brackets' : 'Block', token: open, endToken: end, body };
+    }
+
+    parseCall() {
+        const nameToken = this.next();
+        const group = this.parseGroup();
+        return {
+            type: 'Call',
+            name: nameToken.value.toLowerCase(),
+            token: nameToken,
+            endToken: group.endToken,
+            args: group.body.items
+        };
+    }
+
+    parseList(closing) {
+        const items = [];
+        while (!this.is(closing) && this.peek().type !== 'eof') {
+            items.push(this.parsePipeline([',', ';'], closing));
+            if (this.is(',') || this.is(';')) {
+                this.next();
+            } else if (!this.is(closing)) {
+                break;
+            }
+        }
+        return { type: 'List', items };
+    }
+}
+
+/**
+ * Parse query text into an AST with syntax diagnostics
+ */
+function parseQuery(text) {
+    const { tokens, diagnostics } = tokenize(text || '');
+    const parser = new Parser(tokens, diagnostics);
+    const ast = parser.parseQuery();
+
+    if (ast.statements.length === 0) {
+        diagnostics.push(diagnostic(SEVERITY.ERROR, 'EMPTY_QUERY', 'Query is empty', tokens[tokens.length - 1]));
+    }
+
+    return { ast, tokens, diagnostics };
+}
+
+/**
+ * Depth-first walk over AST nodes
+ */
+function walk(node, visit, parent = null) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+        node.forEach(child => walk(child, visit, parent));
+        return;
+    }
+    if (node.type) {
+        visit(node, parent);
+    }
+    for (const key of ['statements', 'expression', 'value', 'source', 'operators', 'args', 'elements', 'body', 'items']) {
+        if (node[key]) {
+            walk(node[key], visit, node);
+        }
+    }
+}
+
+function normalizeWorkspace(value) {
+    return String(value || '').trim().replace(/\/+$/, '').toLowerCase();
+}
+
+/**
+ * Match a workspace()/app()/resource() argument against the allowed list
+ * Entries may be workspace IDs (GUIDs), names or full resource IDs
+ */
+function isReferenceAllowed(reference, allowed) {
+    const target = normalizeWorkspace(reference);
+    const targetName = target.split('/').pop();
+
+    return allowed.some(entry => {
+        const candidate = normalizeWorkspace(entry);
+        return candidate === target ||
+            (target.includes('/') && candidate === targetName) ||
+            (candidate.includes('/') && candidate.split('/').pop() === target);
+    });
+}
+
+// The single string literal argument of a call, or null
+function literalArgument(call) {
+    if (call.args.length !== 1) return null;
+    const arg = call.args[0];
+    if (arg.operators.length > 0 || arg.source.elements.length !== 1) return null;
+    const element = arg.source.elements[0];
+    return element.type === 'Token' && element.token.type === 'string' ? element.token.value : null;
+}
+
+/**
+ * Parse and analyze a query
+ * options.allowedWorkspaces: workspace IDs/names/resource IDs that workspace(),
+ *   app() and resource() may reference (the target workspace is always implied)
+ * Returns { valid, ast, diagnostics, tables, workspaceReferences }
+ */
+function analyzeQuery(text, options = {}) {
+    const allowed = options.allowedWorkspaces || [];
+    const { ast, diagnostics } = parseQuery(text);
+    const letNames = new Set();
+    const tables = new Set();
+    const workspaceReferences = [];
+
+    walk(ast, (node) => {
+        if (node.type === 'LetStatement') {
+            letNames.add(node.name.toLowerCase());
+        }
+    });
+
+    // union A, B, C: bare identifiers that are not option names or values (kind=outer)
+    const addUnionTables = (elements) => {
+        elements.forEach((element, i) => {
+            const isOption = [elements[i - 1], elements[i + 1]]
+                .some(adjacent => adjacent && adjacent.type === 'Token' && adjacent.token.value === '=');
+            if (element.type === 'Token' && element.token.type === 'identifier' && !isOption &&
+                !letNames.has(element.token.value.toLowerCase())) {
+                tables.add(element.token.value);
+            }
+        });
+    };
+
+    // evaluate runs the first call after its hint.* options
+    const checkPlugin = (elements) => {
+        const plugin = elements.find(e => e.type === 'Call');
+        if (plugin && BLOCKED_PLUGINS.has(plugin.name)) {
+            diagnostics.push(diagnostic(SEVERITY.ERROR, 'BLOCKED_PLUGIN',
+                `The ${plugin.name} plugin is not allowed`, plugin.token, plugin.endToken));
+        }
+    };
+
+    walk(ast, (node, parent) => {
+        switch (node.type) {
+            case 'ControlCommand':
+                diagnostics.push(diagnostic(SEVERITY.ERROR, 'CONTROL_COMMAND',
+                    `Control commands are not allowed (${node.name})`, node.token, node.endToken));
+                break;
+
+            case 'Call': {
+                if (CROSS_CLUSTER_FUNCTIONS.has(node.name)) {
+                    diagnostics.push(diagnostic(SEVERITY.ERROR, 'CROSS_CLUSTER',
+                        `${node.name}() references are not allowed`, node.token, node.endToken));
+                } else if (CROSS_RESOURCE_FUNCTIONS.has(node.name)) {
+                    const reference = literalArgument(node);
+                    if (reference === null) {
+                        diagnostics.push(diagnostic(SEVERITY.ERROR, 'CROSS_WORKSPACE',
+                            `${node.name}() must be called with a single string literal`, node.token, node.endToken));
+                    } else {
+                        const isAllowed = isReferenceAllowed(reference, allowed);
+                        workspaceReferences.push({ kind: node.name, reference, allowed: isAllowed, line: node.token.line, column: node.token.column });
+                        if (!isAllowed) {
+                            diagnostics.push(diagnostic(SEVERITY.ERROR, 'CROSS_WORKSPACE',
+                                `You do not have access to ${node.name} '${reference}'`, node.token, node.endToken));
+                        }
+                    }
+                } else if (node.name === 'externaldata') {
+                    diagnostics.push(diagnostic(SEVERITY.ERROR, 'EXTERNAL_DATA',
+                        'externaldata is not allowed', node.token, node.endToken));
+                }
+                break;
+            }
+
+            case 'Operator':
+                if (node.name === 'union') {
+                    addUnionTables(node.args.elements);
+                } else if (node.name === 'evaluate') {
+                    checkPlugin(node.args.elements);
+                }
+                break;
+
+            case 'Elements':
+                // evaluate as a tabular source rather than a piped operator: a statement or
+                // let body, or a union/join/fork subquery ('evaluate' is then a plain token)
+                node.elements.forEach((element, i) => {
+                    if (element.type === 'Token' && element.token.type === 'identifier' &&
+                        element.token.value.toLowerCase() === 'evaluate') {
+                        checkPlugin(node.elements.slice(i + 1));
+                    }
+                });
+                break;
+
+            case 'Pipeline': {
+                // Table references: a bare identifier that starts a statement or a piped subquery
+                // (function arguments and parenthesised scalar expressions are skipped)
+                const first = node.source.elements[0];
+                const isSubquery = !parent || parent.type === 'LetStatement' || parent.type === 'ExpressionStatement' ||
+                    (parent.type === 'List' && node.operators.length > 0);
+                if (first && first.type === 'Token' && first.token.value.toLowerCase() === 'union') {
+                    addUnionTables(node.source.elements.slice(1));
+                } else if (isSubquery && first && first.type === 'Token' && first.token.type === 'identifier' &&
+                    node.source.elements.length === 1 && !letNames.has(first.token.value.toLowerCase())) {
+                    tables.add(first.token.value);
+                }
+                break;
+            }
+        }
+    });
+
+    // externaldata without parentheses directly after the keyword
+    walk(ast, (node) => {
+        if (node.type === 'Elements') {
+            node.elements.forEach((element, i) => {
+                if (element.type === 'Token' && element.token.type === 'identifier' &&
+                    element.token.value.toLowerCase() === 'externaldata' &&
+                    !(node.elements[i + 1] && node.elements[i + 1].type === 'Call')) {
+                    diagnostics.push(diagnostic(SEVERITY.ERROR, 'EXTERNAL_DATA', 'externaldata is not allowed', element.token));
+                }
+            });
+        }
+    });
+
+    diagnostics.sort((a, b) => a.start - b.start);
+
+    return {
+        valid: !diagnostics.some(d => d.severity === SEVERITY.ERROR),
+        ast,
+        diagnostics,
+        tables: Array.from(tables),
+        workspaceReferences
+    };
+}
+
+/**
+ * One-line summary of the error diagnostics for API error messages
+ */
+function formatDiagnostics(diagnostics) {
+    return diagnostics
+        .filter(d => d.severity === SEVERITY.ERROR)
+        .map(d => `Line ${d.line}, column ${d.column}: ${d.message}`)
+        .join('; ');
+}
+
+module.exports = {
+    SEVERITY,
+    KNOWN_OPERATORS,
+    tokenize,
+    parseQuery,
+    analyzeQuery,
+    formatDiagnostics,
+    walk
+};
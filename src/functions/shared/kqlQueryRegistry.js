@@ -0,0 +1,215 @@
+/**
+ * KQL Query Registry
+ * Tracks in-flight Log Analytics queries so they can be cancelled by ID
+ * The running instance aborts immediately when the cancel request lands on the
+ * same worker; otherwise it picks the request up from the shared entity store
+ * on its next poll, so cancellation works across scaled-out instances
+ *
+ * Clients may pick the query ID so they can cancel before the query returns;
+ * IDs in use are rejected so a query can never change owner
+ */
+
+const crypto = require('crypto');
+const { getEntityStore, StoreError } = require('./entityStore');
+
+const QUERIES_TABLE = 'KqlQueries';
+const QUERIES_PARTITION = 'queries';
+
+// host.json functionTimeout is 5 minutes; leave headroom to write the response
+const MIN_TIMEOUT_SECONDS = 10;
+const MAX_TIMEOUT_SECONDS = 270;
+const DEFAULT_TIMEOUT_SECONDS = 60;
+
+// Extra time the client-side abort waits beyond the Log Analytics server timeout
+const TIMEOUT_GRACE_MS = 5000;
+const CANCEL_POLL_INTERVAL_MS = 2000;
+
+const QUERY_STATUS = {
+    RUNNING: 'running',
+    CANCEL_REQUESTED: 'cancelRequested',
+    COMPLETED: 'completed',
+    PARTIAL: 'partial',
+    CANCELLED: 'cancelled',
+    TIMED_OUT: 'timedOut',
+    FAILED: 'failed'
+};
+
+// AbortControllers for queries running on this instance
+const localQueries = new Map();
+
+function normalizeQueryId(queryId) {
+    if (queryId === undefined || queryId === null || queryId === '') {
+        return crypto.randomUUID();
+    }
+    if (!/^[A-Za-z0-9-]{8,64}$/.test(queryId)) {
+        throw new StoreError('queryId must be 8-64 letters, digits or hyphens', 'INVALID_INPUT', 400);
+    }
+    return queryId;
+}
+
+function clampTimeout(timeoutSeconds) {
+    const parsed = parseInt(timeoutSeconds);
+    if (!parsed) return DEFAULT_TIMEOUT_SECONDS;
+    return Math.min(Math.max(parsed, MIN_TIMEOUT_SECONDS), MAX_TIMEOUT_SECONDS);
+}
+
+/**
+ * Register a query before it is sent to Log Analytics
+ * Returns a handle exposing the abort signal, why it fired, and finish()
+ * Throws 400 for malformed IDs and 409 when the ID is already in use
+ */
+async function startQuery({ queryId, userId, workspaceId, timeoutSeconds, log = console.log }) {
+    const id = normalizeQueryId(queryId);
+    const timeout = clampTimeout(timeoutSeconds);
+    const controller = new AbortController();
+    const store = getEntityStore(QUERIES_TABLE);
+    let abortReason = null;
+
+    const abort = (reason) => {
+        if (!abortReason) {
+            abortReason = reason;
+            controller.abort();
+        }
+    };
+
+    const inUse = () => new StoreError(`Query ${id} already exists`, 'ALREADY_EXISTS', 409);
+    if (localQueries.has(id)) {
+        throw inUse();
+    }
+    localQueries.set(id, { abort, userId });
+
+    try {
+        await store.create({
+            partitionKey: QUERIES_PARTITION,
+            rowKey: id,
+            userId: String(userId),
+            workspaceId,
+            status: QUERY_STATUS.RUNNING,
+            timeoutSeconds: timeout,
+            startedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        if (error.code === 'ALREADY_EXISTS') {
+            localQueries.delete(id);
+            throw inUse();
+        }
+        // Cancellation then only works on this instance; the query itself still runs
+        log(`[KQL] Could not record query ${id}: ${error.message}`);
+    }
+
+    const timer = setTimeout(() => abort(QUERY_STATUS.TIMED_OUT), timeout * 1000 + TIMEOUT_GRACE_MS);
+
+    const poller = setInterval(async () => {
+        try {
+            const record = await store.get(QUERIES_PARTITION, id);
+            if (record?.status === QUERY_STATUS.CANCEL_REQUESTED) {
+                abort(QUERY_STATUS.CANCELLED);
+            }
+        } catch (error) {
+            log(`[KQL] Cancellation poll failed for ${id}: ${error.message}`);
+        }
+    }, CANCEL_POLL_INTERVAL_MS);
+
+    return {
+        queryId: id,
+        timeoutSeconds: timeout,
+        signal: controller.signal,
+        get abortReason() {
+            return abortReason;
+        },
+        async finish(status, details = {}) {
+            clearTimeout(timer);
+            clearInterval(poller);
+            localQueries.delete(id);
+
+            try {
+                const record = await store.get(QUERIES_PARTITION, id);
+                if (record) {
+                    await store.upsert({
+                        ...record,
+                        status,
+                        completedAt: new Date().toISOString(),
+                        ...details
+                    });
+                }
+            } catch (error) {
+                log(`[KQL] Could not record final status for ${id}: ${error.message}`);
+            }
+        }
+    };
+}
+
+/**
+ * Request cancellation of a running query owned by userId
+ * Returns the query state after the request
+ */
+async function cancelQuery(queryId, userId) {
+    const store = getEntityStore(QUERIES_TABLE);
+    const record = await store.get(QUERIES_PARTITION, queryId);
+    const local = localQueries.get(queryId);
+
+    if (!record && !local) {
+        throw new StoreError(`Query ${queryId} not found`, 'NOT_FOUND', 404);
+    }
+
+    const ownerId = String(record ? record.userId : local.userId);
+    if (ownerId !== String(userId)) {
+        throw new StoreError('Only the user who started a query can cancel it', 'FORBIDDEN', 403);
+    }
+
+    if (local) {
+        local.abort(QUERY_STATUS.CANCELLED);
+    }
+
+    if (record && record.status === QUERY_STATUS.RUNNING) {
+        try {
+            await store.update(
+                { ...record, status: QUERY_STATUS.CANCEL_REQUESTED, cancelRequestedAt: new Date().toISOString() },
+                { etag: record.etag }
+            );
+            return { queryId, status: QUERY_STATUS.CANCEL_REQUESTED };
+        } catch (error) {
+            if (error.code !== 'PRECONDITION_FAILED') throw error;
+            // The query finished while we were cancelling it; report where it ended up
+            const latest = await store.get(QUERIES_PARTITION, queryId);
+            return { queryId, status: latest ? latest.status : QUERY_STATUS.CANCELLED };
+        }
+    }
+
+    return { queryId, status: record ? record.status : QUERY_STATUS.CANCEL_REQUESTED };
+}
+
+/**
+ * Look up the state of a query owned by userId
+ */
+async function getQueryStatus(queryId, userId) {
+    const record = await getEntityStore(QUERIES_TABLE).get(QUERIES_PARTITION, queryId);
+
+    if (!record || record.userId !== String(userId)) {
+        throw new StoreError(`Query ${queryId} not found`, 'NOT_FOUND', 404);
+    }
+
+    const { partitionKey, rowKey, etag, timestamp, ...fields } = record;
+    return { queryId, ...fields };
+}
+
+/**
+ * Classify a Log Analytics failure as a server-side timeout
+ */
+function isTimeoutError(error) {
+    return error?.statusCode === 504 ||
+        error?.code === 'GatewayTimeout' ||
+        /timed? ?out|timeout/i.test(error?.message || '');
+}
+
+module.exports = {
+    QUERY_STATUS,
+    MIN_TIMEOUT_SECONDS,
+    MAX_TIMEOUT_SECONDS,
+    DEFAULT_TIMEOUT_SECONDS,
+    clampTimeout,
+    startQuery,
+    cancelQuery,
+    getQueryStatus,
+    isTimeoutError
+};
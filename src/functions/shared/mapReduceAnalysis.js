@@ -0,0 +1,335 @@
+/**
+ * Map-Reduce Analysis
+ * Structured pipeline for analyzing data that spans several model calls:
+ *   map     each chunk of rows yields findings that follow FINDINGS_SCHEMA
+ *   reduce  findings are deduplicated across chunks and ranked
+ *   synth   a final call turns the ranked findings into conclusions
+ * Every row sent to the model carries a _rowId, and findings keep the chunk
+ * and row IDs they came from, so each conclusion traces back to source rows
+ */
+
+const { createJsonAwareChunks } = require('./tokenUtils');
+const { SEVERITIES, parseJsonContent } = require('./structuredOutput');
+
+const ROW_ID_FIELD = '_rowId';
+
+const SEVERITY_WEIGHTS = { critical: 5, high: 4, medium: 3, low: 2, informational: 1 };
+
+// Findings reported by the map pass (strict structured-output compatible)
+const FINDINGS_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['findings'],
+    properties: {
+        findings: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['title', 'description', 'severity', 'category', 'entities', 'rowIds', 'confidence'],
+                properties: {
+                    title: { type: 'string', description: 'Short name of the finding' },
+                    description: { type: 'string', description: 'What was observed and why it matters' },
+                    severity: { type: 'string', enum: SEVERITIES },
+                    category: { type: 'string', description: 'e.g. credential access, lateral movement, misconfiguration' },
+                    entities: { type: 'array', items: { type: 'string' }, description: 'Users, hosts, IPs, files involved' },
+                    rowIds: { type: 'array', items: { type: 'integer' }, description: 'The _rowId values that support the finding' },
+                    confidence: { type: 'number', description: 'Confidence between 0 and 1' }
+                }
+            }
+        }
+    }
+};
+
+// Conclusions produced by the synthesis pass
+const SYNTHESIS_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['summary', 'conclusions', 'recommendations'],
+    properties: {
+        summary: { type: 'string' },
+        conclusions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['statement', 'severity', 'findingIds'],
+                properties: {
+                    statement: { type: 'string' },
+                    severity: { type: 'string', enum: SEVERITIES },
+                    findingIds: { type: 'array', items: { type: 'string' }, description: 'IDs of the findings (F1, F2, ...) that support the conclusion' }
+                }
+            }
+        },
+        recommendations: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+/**
+ * Turn request data into a list of row objects plus a metadata header
+ * Accepts Log Analytics results ({ tables: [{ columns, rows }] }), arrays,
+ * "metadata\nData (JSON Format):\n[...]" text, JSON text or plain text (one row per line)
+ */
+function prepareRows(data) {
+    let metadata = '';
+    let value = data;
+
+    if (typeof value === 'string') {
+        const marker = value.indexOf('Data (JSON Format):');
+        const jsonText = marker === -1 ? value.trim() : value.substring(marker + 'Data (JSON Format):'.length).trim();
+        if (marker !== -1) {
+            metadata = value.substring(0, marker).trim();
+        }
+        try {
+            value = JSON.parse(jsonText);
+        } catch (error) {
+            return {
+                metadata,
+                rows: jsonText.split('\n').filter(line => line.trim()).map(line => ({ text: line }))
+            };
+        }
+    }
+
+    if (value && Array.isArray(value.tables)) {
+        const table = value.tables[0] || { columns: [], rows: [] };
+        return {
+            metadata: metadata || `Table ${table.name || 'PrimaryResult'} with columns: ${table.columns.map(c => c.name).join(', ')}`,
+            rows: table.rows.map(row => Object.fromEntries(table.columns.map((column, i) => [column.name, row[i]])))
+        };
+    }
+
+    if (Array.isArray(value)) {
+        return { metadata, rows: value.map(row => (row && typeof row === 'object' ? row : { value: row })) };
+    }
+
+    return { metadata, rows: [value && typeof value === 'object' ? value : { value }] };
+}
+
+/**
+ * Chunk rows for the map pass, tagging each with its _rowId
+ * Chunks keep the range of row IDs they contain; model (name or catalog
+ * profile) selects the encoding they are sized in
+ */
+function createMapChunks(data, maxChunkTokens, model) {
+    const { metadata, rows } = prepareRows(data);
+    const tagged = rows.map((row, index) => ({ [ROW_ID_FIELD]: index, ...row }));
+    const header = `${metadata ? metadata + '\n' : ''}Each row has a ${ROW_ID_FIELD}; cite it in rowIds.\n`;
+
+    const chunks = createJsonAwareChunks(`${header}Data (JSON Format):\n${JSON.stringify(tagged)}`, maxChunkTokens, 0, model);
+    return {
+        totalRows: rows.length,
+        chunks: chunks.map(chunk => ({
+            ...chunk,
+            rowRange: [chunk.startIndex ?? 0, chunk.endIndex ?? rows.length - 1]
+        }))
+    };
+}
+
+/**
+ * User message for one map call
+ */
+function buildMapPrompt(userPrompt, chunk, totalChunks) {
+    return [
+        userPrompt,
+        '',
+        `Report the distinct findings in this data as JSON. Only report what the rows support, cite the ${ROW_ID_FIELD} of every supporting row in rowIds, and return an empty findings array if nothing is notable.`,
+        totalChunks > 1 ? `[Chunk ${chunk.index + 1} of ${totalChunks}, rows ${chunk.rowRange[0]}-${chunk.rowRange[1]}]` : '',
+        '',
+        chunk.text
+    ].join('\n');
+}
+
+/**
+ * Validate the findings returned for a chunk and attach provenance
+ * Row IDs outside the chunk are dropped; unknown severities become informational
+ */
+function parseChunkFindings(content, chunk) {
+    const parsed = parseJsonContent(content);
+    const findings = Array.isArray(parsed?.findings) ? parsed.findings : [];
+    const [firstRow, lastRow] = chunk.rowRange;
+
+    return findings
+        .filter(finding => finding && typeof finding.title === 'string' && finding.title.trim())
+        .map((finding, i) => ({
+            id: `c${chunk.index}-f${i}`,
+            title: finding.title.trim(),
+            description: String(finding.description || ''),
+            severity: SEVERITIES.includes(String(finding.severity).toLowerCase()) ? String(finding.severity).toLowerCase() : 'informational',
+            category: String(finding.category || 'uncategorized').trim(),
+            entities: Array.isArray(finding.entities) ? finding.entities.map(String) : [],
+            rowIds: (Array.isArray(finding.rowIds) ? finding.rowIds : [])
+                .map(Number)
+                .filter(id => Number.isInteger(id) && id >= firstRow && id <= lastRow),
+            confidence: Math.min(Math.max(Number(finding.confidence) || 0.5, 0), 1),
+            chunkIndex: chunk.index
+        }));
+}
+
+function titleTokens(title) {
+    return new Set(title.toLowerCase().replace(/[^a-z0-9 ]/g, ' ').split(/\s+/).filter(word => word.length > 2));
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    let shared = 0;
+    a.forEach(item => { if (b.has(item)) shared++; });
+    return shared / (a.size + b.size - shared);
+}
+
+// Two chunk findings describe the same thing when the categories match and
+// the titles are close, or the titles overlap and they share an entity
+function isSameFinding(merged, finding) {
+    if (merged.category.toLowerCase() !== finding.category.toLowerCase()) return false;
+    const similarity = jaccard(merged.titleTokens, titleTokens(finding.title));
+    if (similarity >= 0.6) return true;
+    const sharedEntity = finding.entities.some(entity => merged.entitySet.has(entity.toLowerCase()));
+    return sharedEntity && similarity >= 0.3;
+}
+
+/**
+ * Deduplicate chunk findings and rank them
+ * Score = severity weight x max confidence x (1 + log2 of the number of chunks reporting it)
+ * Returns merged findings with IDs F1..Fn in rank order
+ */
+function reduceFindings(chunkFindings) {
+    const merged = [];
+
+    for (const finding of chunkFindings) {
+        const match = merged.find(candidate => isSameFinding(candidate, finding));
+        if (match) {
+            if (SEVERITY_WEIGHTS[finding.severity] > SEVERITY_WEIGHTS[match.severity]) {
+                match.severity = finding.severity;
+            }
+            if (finding.description.length > match.description.length) {
+                match.description = finding.description;
+            }
+            match.confidence = Math.max(match.confidence, finding.confidence);
+            finding.entities.forEach(entity => {
+                if (!match.entitySet.has(entity.toLowerCase())) {
+                    match.entitySet.add(entity.toLowerCase());
+                    match.entities.push(entity);
+                }
+            });
+            finding.rowIds.forEach(id => match.rowIdSet.add(id));
+            match.sources.push({ findingId: finding.id, chunkIndex: finding.chunkIndex, rowIds: finding.rowIds });
+        } else {
+            merged.push({
+                title: finding.title,
+                description: finding.description,
+                severity: finding.severity,
+                category: finding.category,
+                entities: [...finding.entities],
+                confidence: finding.confidence,
+                titleTokens: titleTokens(finding.title),
+                entitySet: new Set(finding.entities.map(entity => entity.toLowerCase())),
+                rowIdSet: new Set(finding.rowIds),
+                sources: [{ findingId: finding.id, chunkIndex: finding.chunkIndex, rowIds: finding.rowIds }]
+            });
+        }
+    }
+
+    return merged
+        .map(({ titleTokens: _tokens, entitySet, rowIdSet, ...finding }) => {
+            const chunkCount = new Set(finding.sources.map(source => source.chunkIndex)).size;
+            return {
+                ...finding,
+                rowIds: Array.from(rowIdSet).sort((a, b) => a - b),
+                chunkIndexes: Array.from(new Set(finding.sources.map(source => source.chunkIndex))).sort((a, b) => a - b),
+                occurrences: finding.sources.length,
+                score: Number((SEVERITY_WEIGHTS[finding.severity] * finding.confidence * (1 + Math.log2(chunkCount))).toFixed(3))
+            };
+        })
+        .sort((a, b) => b.score - a.score)
+        .map((finding, i) => ({ id: `F${i + 1}`, rank: i + 1, ...finding }));
+}
+
+/**
+ * User message for the synthesis call over the ranked findings
+ */
+function buildSynthesisPrompt(userPrompt, findings, { totalRows, totalChunks, failedChunks }) {
+    const compact = findings.map(finding => ({
+        id: finding.id,
+        title: finding.title,
+        description: finding.description,
+        severity: finding.severity,
+        category: finding.category,
+        entities: finding.entities.slice(0, 10),
+        occurrences: finding.occurrences,
+        supportingRows: finding.rowIds.length
+    }));
+
+    return [
+        userPrompt,
+        '',
+        `The data (${totalRows} rows) was analyzed in ${totalChunks} chunks${failedChunks ? `, ${failedChunks} of which failed` : ''}.`,
+        'Below are the deduplicated findings ranked by severity, confidence and how many chunks reported them.',
+        'Write an overall summary, the key conclusions (each citing the finding IDs that support it) and recommendations.',
+        'Do not introduce facts that are not in the findings.',
+        '',
+        JSON.stringify(compact, null, 2)
+    ].join('\n');
+}
+
+/**
+ * Parse the synthesis output and resolve each conclusion to chunks and rows
+ */
+function resolveSynthesis(content, findings) {
+    const parsed = parseJsonContent(content);
+    const byId = new Map(findings.map(finding => [finding.id, finding]));
+
+    return {
+        summary: String(parsed.summary || ''),
+        recommendations: Array.isArray(parsed.recommendations) ? parsed.recommendations.map(String) : [],
+        conclusions: (Array.isArray(parsed.conclusions) ? parsed.conclusions : []).map(conclusion => {
+            const supporting = (conclusion.findingIds || []).map(String).filter(id => byId.has(id));
+            const rowIds = new Set();
+            const chunkIndexes = new Set();
+            supporting.forEach(id => {
+                byId.get(id).rowIds.forEach(row => rowIds.add(row));
+                byId.get(id).chunkIndexes.forEach(chunk => chunkIndexes.add(chunk));
+            });
+            return {
+                statement: String(conclusion.statement || ''),
+                severity: SEVERITIES.includes(conclusion.severity) ? conclusion.severity : 'informational',
+                findingIds: supporting,
+                provenance: {
+                    chunkIndexes: Array.from(chunkIndexes).sort((a, b) => a - b),
+                    rowIds: Array.from(rowIds).sort((a, b) => a - b)
+                }
+            };
+        })
+    };
+}
+
+/**
+ * Summary used when the synthesis call fails: the ranked findings themselves
+ */
+function fallbackSynthesis(findings) {
+    return {
+        summary: findings.length
+            ? `${findings.length} distinct findings; the highest ranked is "${findings[0].title}" (${findings[0].severity}).`
+            : 'No findings were reported.',
+        recommendations: [],
+        conclusions: findings.slice(0, 10).map(finding => ({
+            statement: `${finding.title}: ${finding.description}`,
+            severity: finding.severity,
+            findingIds: [finding.id],
+            provenance: { chunkIndexes: finding.chunkIndexes, rowIds: finding.rowIds }
+        }))
+    };
+}
+
+module.exports = {
+    ROW_ID_FIELD,
+    SEVERITIES,
+    FINDINGS_SCHEMA,
+    SYNTHESIS_SCHEMA,
+    prepareRows,
+    createMapChunks,
+    buildMapPrompt,
+    parseChunkFindings,
+    reduceFindings,
+    buildSynthesisPrompt,
+    resolveSynthesis,
+    fallbackSynthesis
+};
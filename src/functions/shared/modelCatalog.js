@@ -0,0 +1,150 @@
+/**
+ * Model Capability Catalog
+ * Single source of truth for Azure OpenAI model limits, pricing, feature
+ * support and selection traits. Loads model-catalog.json, which is versioned
+ * with the code, and merges an optional file named by MODEL_CATALOG_PATH the
+ * same way the endpoint registry applies ENDPOINT_OVERRIDES_PATH
+ *
+ * Names are matched to catalog models on word boundaries, ignoring
+ * separators, and the longest match wins: "GPT4o-mini-prod" is gpt-4o-mini,
+ * "gpt-4-1106" is gpt-4-turbo. A trailing YYYY-MM-DD is read as the model
+ * version, so "gpt-4o-2024-05-13" picks up that version's overrides
+ *
+ * Per-deployment results of a live probe are layered on top by
+ * modelProbe.getDeploymentProfile
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { mergeDeep } = require('./endpointRegistry');
+
+const BASE_CATALOG_PATH = path.join(__dirname, 'model-catalog.json');
+
+let catalog = null;
+// [{ id, pattern, length }] longest first
+let matchers = null;
+
+/**
+ * Load the base catalog plus the override file named by MODEL_CATALOG_PATH
+ */
+function loadCatalog() {
+    const base = JSON.parse(fs.readFileSync(BASE_CATALOG_PATH, 'utf8'));
+    const overridePath = process.env.MODEL_CATALOG_PATH;
+
+    if (!overridePath) {
+        return base;
+    }
+
+    try {
+        const overrides = JSON.parse(fs.readFileSync(path.resolve(overridePath), 'utf8'));
+        console.log(`[ModelCatalog] Applied catalog overrides from ${overridePath}`);
+        return mergeDeep(base, overrides);
+    } catch (error) {
+        throw new Error(`Failed to load model catalog overrides from ${overridePath}: ${error.message}`);
+    }
+}
+
+function getCatalog() {
+    if (!catalog) {
+        catalog = loadCatalog();
+        matchers = buildMatchers(catalog.models);
+    }
+    return catalog;
+}
+
+/**
+ * Re-read the catalog files (used after changing MODEL_CATALOG_PATH)
+ */
+function reload() {
+    catalog = null;
+    return getCatalog();
+}
+
+function compact(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// "gpt-4o" matches gpt4o, GPT-4o and gpt_4_o but not gpt-4o1 or xgpt-4o
+function buildMatchers(models) {
+    const entries = [];
+    for (const [id, model] of Object.entries(models)) {
+        for (const name of [id, ...(model.aliases || [])]) {
+            const letters = compact(name).split('');
+            entries.push({
+                id,
+                length: letters.length,
+                pattern: new RegExp(`(^|[^a-z0-9])${letters.join('[-._ ]?')}(?![0-9])`)
+            });
+        }
+    }
+    return entries.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Catalog ID for a model or deployment name, or null when none matches
+ */
+function resolveModelId(name) {
+    if (!name) return null;
+    getCatalog();
+    const lower = String(name).toLowerCase();
+    const match = matchers.find(matcher => matcher.pattern.test(lower));
+    return match ? match.id : null;
+}
+
+function parseModelVersion(name) {
+    const match = String(name || '').match(/(\d{4}-\d{2}-\d{2})$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Capabilities for a model or deployment name
+ * options.version selects version-specific overrides (e.g. "2024-05-13")
+ * Unknown names get the catalog defaults with known: false
+ */
+function getModelProfile(name, options = {}) {
+    const { version: catalogVersion, defaults, models } = getCatalog();
+    const id = resolveModelId(name);
+    const { aliases, versions, selection, ...capabilities } = id ? models[id] : {};
+    const version = options.version || parseModelVersion(name);
+
+    return {
+        ...defaults,
+        ...capabilities,
+        ...((version && versions && versions[version]) || {}),
+        model: id,
+        version: version || null,
+        known: Boolean(id),
+        selection: selection || null,
+        catalogVersion
+    };
+}
+
+/**
+ * Tokens of input a model accepts once its output budget is set aside
+ */
+function getInputLimit(profile, outputReserved = profile.maxOutputTokens) {
+    const byWindow = profile.contextWindow - outputReserved;
+    return profile.maxInputTokens ? Math.min(profile.maxInputTokens, byWindow) : byWindow;
+}
+
+/**
+ * Every catalog model with its base capabilities
+ */
+function listModels() {
+    return Object.keys(getCatalog().models).map(id => getModelProfile(id));
+}
+
+function getCatalogVersion() {
+    const { version, updated } = getCatalog();
+    return { version, updated };
+}
+
+module.exports = {
+    getModelProfile,
+    getInputLimit,
+    resolveModelId,
+    parseModelVersion,
+    listModels,
+    getCatalogVersion,
+    reload
+};
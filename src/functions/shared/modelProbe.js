@@ -0,0 +1,276 @@
+/**
+ * Model Capability Probe
+ * Confirms against a live deployment what the catalog says about it: which
+ * model backs the deployment, its context window, JSON mode, tool calling and
+ * streaming support
+ *
+ * Each check is one small request. The context window check sends a short
+ * prompt with a completion budget one token over the catalog window and reads
+ * the limit from the 400 the service returns, so it costs nothing when the
+ * catalog is right. Models whose completion cap is below the window report
+ * that cap (maxOutputTokens) instead; their window would need a prompt of
+ * nearly its full size, so it is left unconfirmed
+ *
+ * Results are kept per deployment in the entity store and merged with the
+ * earlier checks of the same model; getDeploymentProfile layers them over the
+ * catalog profile for chunking and model selection
+ */
+
+const { getEntityStore } = require('./entityStore');
+const { getModelProfile, parseModelVersion } = require('./modelCatalog');
+
+const PROBES_TABLE = 'ModelProbes';
+const PROBES_PARTITION = 'deployments';
+
+const PROBE_CHECKS = ['jsonMode', 'tools', 'streaming', 'contextWindow'];
+
+// Check outcome -> catalog field it confirms
+const CHECK_FIELDS = {
+    jsonMode: 'supportsJsonMode',
+    tools: 'supportsTools',
+    streaming: 'supportsStreaming'
+};
+
+// Table Storage keys cannot contain / \ # or ?
+function probeRowKey(hostname, deploymentName) {
+    return `${hostname}|${deploymentName}`.replace(/[/\\#?]/g, '|');
+}
+
+// Reasoning models reject max_tokens and need room to think before answering
+function completionLimit(profile, tokens) {
+    return profile.supportsMaxTokens
+        ? { max_tokens: tokens }
+        : { max_completion_tokens: Math.max(tokens, 256) };
+}
+
+/**
+ * A 400 means the deployment rejected the feature; throttling, timeouts and
+ * server errors leave the answer open
+ */
+function checkOutcome(error) {
+    if (error.statusCode === 400 || error.statusCode === 422) {
+        return { supported: false, detail: error.message };
+    }
+    return { supported: null, detail: error.message };
+}
+
+// "This model's maximum context length is 128000 tokens" /
+// "max_tokens is too large: 128001. This model supports at most 16384 completion tokens"
+function parseReportedLimits(message) {
+    const window = String(message).match(/maximum context length is\s+(\d+)/i);
+    const output = String(message).match(/supports at most\s+(\d+)\s+completion tokens/i);
+    return {
+        contextWindow: window ? parseInt(window[1]) : null,
+        maxOutputTokens: output ? parseInt(output[1]) : null
+    };
+}
+
+function limitResult(field, expected, reported, detail) {
+    return {
+        supported: reported !== null ? true : null,
+        field,
+        expected,
+        reported,
+        confirmed: reported === expected,
+        detail
+    };
+}
+
+async function runCheck(fn) {
+    try {
+        return await fn();
+    } catch (error) {
+        return checkOutcome(error);
+    }
+}
+
+/**
+ * Probe one deployment with an OpenAIClient
+ * options: { checks (subset of PROBE_CHECKS), log }
+ * Returns { deploymentName, model, modelVersion, checks, probedAt }
+ */
+async function probeDeployment(client, deploymentName, options = {}) {
+    const checks = (options.checks && options.checks.length ? options.checks : PROBE_CHECKS)
+        .filter(check => PROBE_CHECKS.includes(check));
+    const log = options.log || console.log;
+    const send = (body, label) => client.chat(deploymentName, body, { label: `Probe ${label}`, retry: false, timeoutMs: 60000 });
+
+    // The first call fails the probe outright when the deployment is unreachable
+    let profile = getModelProfile(deploymentName);
+    const basic = await send({
+        messages: [{ role: 'user', content: 'Reply with OK.' }],
+        ...completionLimit(profile, 1)
+    }, 'model');
+
+    const model = basic.model || null;
+    const modelVersion = parseModelVersion(model);
+    if (model) {
+        profile = getModelProfile(model, { version: modelVersion });
+    }
+    log(`[Probe] ${deploymentName} is served by ${model || 'an unreported model'} (catalog: ${profile.model || 'unknown'})`);
+
+    const results = {};
+
+    if (checks.includes('jsonMode')) {
+        results.jsonMode = await runCheck(async () => {
+            const response = await send({
+                messages: [
+                    { role: 'system', content: 'Answer in JSON with a single boolean property "ok".' },
+                    { role: 'user', content: 'Return the JSON object.' }
+                ],
+                response_format: { type: 'json_object' },
+                ...completionLimit(profile, 20)
+            }, 'JSON mode');
+            return { supported: true, detail: response.finishReason };
+        });
+    }
+
+    if (checks.includes('tools')) {
+        results.tools = await runCheck(async () => {
+            const response = await send({
+                messages: [{ role: 'user', content: 'Report that you are ok.' }],
+                tools: [{
+                    type: 'function',
+                    function: {
+                        name: 'report_status',
+                        description: 'Report the assistant status',
+                        parameters: {
+                            type: 'object',
+                            properties: { ok: { type: 'boolean' } },
+                            required: ['ok']
+                        }
+                    }
+                }],
+                tool_choice: { type: 'function', function: { name: 'report_status' } },
+                ...completionLimit(profile, 30)
+            }, 'tool calling');
+            return { supported: true, detail: `${response.toolCalls.length} tool call(s)` };
+        });
+    }
+
+    if (checks.includes('streaming')) {
+        results.streaming = await runCheck(async () => {
+            const response = await send({
+                messages: [{ role: 'user', content: 'Reply with OK.' }],
+                stream: true,
+                ...completionLimit(profile, 1)
+            }, 'streaming');
+            return { supported: true, detail: response.finishReason };
+        });
+    }
+
+    if (checks.includes('contextWindow') && profile.supportsChat) {
+        const outcome = await runCheck(async () => {
+            // Prompt plus completion budget cannot fit a window of the catalog size
+            await send({
+                messages: [{ role: 'user', content: 'Reply with OK.' }],
+                ...completionLimit(profile, profile.contextWindow + 1)
+            }, 'context window');
+            return { supported: null, detail: 'Accepted a completion budget larger than the catalog window' };
+        });
+        const limits = outcome.supported === false
+            ? parseReportedLimits(outcome.detail)
+            : { contextWindow: null, maxOutputTokens: null };
+
+        results.contextWindow = limitResult('contextWindow', profile.contextWindow, limits.contextWindow,
+            limits.maxOutputTokens !== null && limits.contextWindow === null
+                ? `The completion cap (${limits.maxOutputTokens}) is checked before the window, so the window was not measured`
+                : outcome.detail);
+        results.maxOutputTokens = limitResult('maxOutputTokens', profile.maxOutputTokens, limits.maxOutputTokens, outcome.detail);
+    }
+
+    return {
+        deploymentName,
+        model,
+        modelVersion,
+        catalogModel: profile.model,
+        checks: results,
+        probedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Store a probe result for the deployment on hostname
+ * Checks left out of this probe keep their earlier results unless the
+ * deployment now serves a different model. Returns the stored probe
+ */
+async function saveProbe(hostname, probe) {
+    const previous = await getProbe(hostname, probe.deploymentName);
+    const sameModel = previous && previous.model === (probe.model || null) && previous.modelVersion === (probe.modelVersion || null);
+    const checks = sameModel ? { ...previous.checks, ...probe.checks } : probe.checks;
+
+    await getEntityStore(PROBES_TABLE).upsert({
+        partitionKey: PROBES_PARTITION,
+        rowKey: probeRowKey(hostname, probe.deploymentName),
+        hostname,
+        deploymentName: probe.deploymentName,
+        model: probe.model || '',
+        modelVersion: probe.modelVersion || '',
+        checks: JSON.stringify(checks),
+        probedAt: probe.probedAt
+    });
+
+    return { ...probe, checks };
+}
+
+/**
+ * Last stored probe for a deployment, or null
+ */
+async function getProbe(hostname, deploymentName) {
+    const record = await getEntityStore(PROBES_TABLE).get(PROBES_PARTITION, probeRowKey(hostname, deploymentName));
+    if (!record) return null;
+
+    return {
+        deploymentName: record.deploymentName,
+        model: record.model || null,
+        modelVersion: record.modelVersion || null,
+        checks: JSON.parse(record.checks || '{}'),
+        probedAt: record.probedAt
+    };
+}
+
+/**
+ * Catalog profile for a deployment with its probe results applied
+ * The catalog is matched on the probed model name when there is one,
+ * otherwise on model (if known) or the deployment name
+ */
+async function getDeploymentProfile({ hostname, deploymentName, model, version, log = console.log }) {
+    let probe = null;
+    if (hostname) {
+        try {
+            probe = await getProbe(hostname, deploymentName);
+        } catch (error) {
+            log(`[Probe] Could not read probe results for ${deploymentName}: ${error.message}`);
+        }
+    }
+
+    const profile = getModelProfile(probe?.model || model || deploymentName, {
+        version: probe?.modelVersion || version
+    });
+    if (!probe) {
+        return { ...profile, probed: false };
+    }
+
+    for (const [check, field] of Object.entries(CHECK_FIELDS)) {
+        const result = probe.checks[check];
+        if (result && typeof result.supported === 'boolean') {
+            profile[field] = result.supported;
+        }
+    }
+
+    for (const limit of [probe.checks.contextWindow, probe.checks.maxOutputTokens]) {
+        if (limit && limit.reported) {
+            profile[limit.field] = limit.reported;
+        }
+    }
+
+    return { ...profile, probed: true, probedAt: probe.probedAt };
+}
+
+module.exports = {
+    PROBE_CHECKS,
+    probeDeployment,
+    saveProbe,
+    getProbe,
+    getDeploymentProfile
+};
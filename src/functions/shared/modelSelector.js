@@ -5,111 +5,26 @@
  */
 
 const { countTokens } = require('./tokenUtils');
+const { listModels, resolveModelId, getInputLimit } = require('./modelCatalog');
 
 /**
  * Model capabilities and performance characteristics
- * Based on Microsoft's official Azure OpenAI documentation
+ * Built from the model catalog entries that carry selection traits
  */
-const MODEL_PROFILES = {
-    'gpt-5-nano': {
-        contextWindow: 272000,
-        maxOutputTokens: 32000,
-        performance: 'ultra-fast',
-        costTier: 'low',
-        strengths: ['speed', 'efficiency', 'large-context'],
-        weaknesses: ['complex-reasoning'],
-        bestFor: ['summarization', 'translation', 'simple-analysis'],
-        tpmLimit: 400000,
-        rpmLimit: 100,
-        latencyMs: 500
-    },
-    'gpt-5-mini': {
-        contextWindow: 400000,
-        maxOutputTokens: 32000,
-        performance: 'very-fast',
-        costTier: 'low',
-        strengths: ['speed', 'large-context', 'cost-effective'],
-        weaknesses: ['advanced-reasoning'],
-        bestFor: ['bulk-processing', 'data-extraction', 'classification'],
-        tpmLimit: 400000,
-        rpmLimit: 100,
-        latencyMs: 800
-    },
-    'gpt-5': {
-        contextWindow: 400000,
-        maxOutputTokens: 32000,
-        performance: 'fast',
-        costTier: 'medium',
-        strengths: ['large-context', 'reasoning', 'multimodal'],
-        weaknesses: ['cost'],
-        bestFor: ['complex-analysis', 'code-generation', 'creative-tasks'],
-        tpmLimit: 500000,
-        rpmLimit: 60,
-        latencyMs: 1500
-    },
-    'gpt-4o-mini': {
-        contextWindow: 128000,
-        maxOutputTokens: 16384,
-        performance: 'very-fast',
-        costTier: 'very-low',
-        strengths: ['speed', 'cost', 'efficiency'],
-        weaknesses: ['context-size', 'complex-tasks'],
-        bestFor: ['quick-tasks', 'chatbots', 'simple-queries'],
-        tpmLimit: 200000,
-        rpmLimit: 100,
-        latencyMs: 400
-    },
-    'gpt-4o': {
-        contextWindow: 128000,
-        maxOutputTokens: 4096,
-        performance: 'fast',
-        costTier: 'low',
-        strengths: ['balanced', 'multimodal', 'reliable'],
-        weaknesses: ['output-limit'],
-        bestFor: ['general-purpose', 'vision-tasks', 'moderate-complexity'],
-        tpmLimit: 300000,
-        rpmLimit: 60,
-        latencyMs: 1000
-    },
-    'gpt-4-turbo': {
-        contextWindow: 128000,
-        maxOutputTokens: 4096,
-        performance: 'moderate',
-        costTier: 'medium',
-        strengths: ['accuracy', 'reasoning', 'consistency'],
-        weaknesses: ['speed', 'cost'],
-        bestFor: ['high-accuracy', 'complex-reasoning', 'technical-content'],
-        tpmLimit: 150000,
-        rpmLimit: 30,
-        latencyMs: 2000
-    },
-    'o1-preview': {
-        contextWindow: 200000,
-        maxOutputTokens: 100000,
-        performance: 'slow',
-        costTier: 'high',
-        strengths: ['deep-reasoning', 'math', 'coding', 'science'],
-        weaknesses: ['speed', 'cost', 'no-streaming'],
-        bestFor: ['complex-problems', 'mathematical-proofs', 'algorithm-design'],
-        tpmLimit: 100000,
-        rpmLimit: 10,
-        latencyMs: 5000,
-        isReasoningModel: true
-    },
-    'o1-mini': {
-        contextWindow: 200000,
-        maxOutputTokens: 65536,
-        performance: 'moderate',
-        costTier: 'medium-high',
-        strengths: ['reasoning', 'cost-vs-o1', 'efficiency'],
-        weaknesses: ['speed', 'no-streaming'],
-        bestFor: ['moderate-reasoning', 'code-review', 'logic-problems'],
-        tpmLimit: 150000,
-        rpmLimit: 20,
-        latencyMs: 3000,
-        isReasoningModel: true
-    }
-};
+const MODEL_PROFILES = Object.fromEntries(
+    listModels()
+        .filter(profile => profile.selection)
+        .map(profile => [profile.model, {
+            contextWindow: profile.contextWindow,
+            maxInputTokens: profile.maxInputTokens,
+            maxOutputTokens: profile.maxOutputTokens,
+            costTier: profile.costTier,
+            supportsStreaming: profile.supportsStreaming,
+            supportsVision: profile.supportsVision,
+            isReasoningModel: profile.isReasoningModel,
+            ...profile.selection
+        }])
+);
 
 /**
  * Task type definitions for model selection
@@ -224,12 +139,9 @@ class ModelSelector {
             return Object.keys(this.modelProfiles);
         }
         
-        // Match available models to profiles
-        return Object.keys(this.modelProfiles).filter(model => {
-            return availableList.some(available => 
-                available.toLowerCase().includes(model.replace('-', ''))
-            );
-        });
+        // Match available models or deployment names to profiles
+        const available = new Set(availableList.map(name => resolveModelId(name)));
+        return Object.keys(this.modelProfiles).filter(model => available.has(model));
     }
     
     /**
@@ -242,7 +154,7 @@ class ModelSelector {
             
             // Check token requirements
             if (constraints.requiredTokens > 0) {
-                const availableTokens = profile.contextWindow - profile.maxOutputTokens;
+                const availableTokens = getInputLimit(profile);
                 if (availableTokens < constraints.requiredTokens) {
                     return false;
                 }
@@ -268,12 +180,12 @@ class ModelSelector {
             }
             
             // Check streaming requirement
-            if (constraints.requiresStreaming && profile.isReasoningModel) {
-                return false; // Reasoning models don't support streaming
+            if (constraints.requiresStreaming && !profile.supportsStreaming) {
+                return false;
             }
             
             // Check vision requirement
-            if (constraints.requiresVision && !profile.strengths.includes('multimodal')) {
+            if (constraints.requiresVision && !profile.supportsVision) {
                 return false;
             }
             
@@ -388,6 +300,9 @@ class ModelSelector {
             'gpt-4o': ['gpt-4o-mini', 'gpt-5-mini', 'gpt-4-turbo'],
             'gpt-4o-mini': ['gpt-5-nano', 'gpt-4o', 'gpt-5-mini'],
             'gpt-4-turbo': ['gpt-4o', 'gpt-5', 'gpt-4o-mini'],
+            'gpt-4.1': ['gpt-4.1-mini', 'gpt-5', 'gpt-4o'],
+            'gpt-4.1-mini': ['gpt-4.1-nano', 'gpt-5-mini', 'gpt-4o-mini'],
+            'gpt-4.1-nano': ['gpt-4.1-mini', 'gpt-5-nano', 'gpt-4o-mini'],
             'o1-preview': ['o1-mini', 'gpt-5', 'gpt-4-turbo'],
             'o1-mini': ['gpt-5', 'gpt-4-turbo', 'gpt-4o']
         };
@@ -516,7 +431,8 @@ class ModelSelector {
         const selection = this.selectModel({
             taskType,
             dataSize,
-            requiredTokens: dataSize,
+            // Callers that chunk their data pass a smaller requirement
+            requiredTokens: context.requiredTokens ?? dataSize,
             maxLatencyMs: context.maxLatencyMs,
             maxCostPer1K: context.maxCostPer1K,
             requiresStreaming: context.requiresStreaming,
@@ -533,6 +449,44 @@ class ModelSelector {
         };
     }
     
+    /**
+     * Pick among deployments that actually exist
+     * deployments: [{ name, model }] (model defaults to the deployment name)
+     * Returns the recommendation plus route: the deployments to try in order,
+     * those of the selected model first and then its fallback chain.
+     * Returns null when no deployment maps to a model with selection traits
+     */
+    recommendDeployment(deployments, context = {}) {
+        // catalog model -> deployment names serving it
+        const byModel = new Map();
+        for (const deployment of deployments) {
+            const model = resolveModelId(deployment.model || deployment.name) || resolveModelId(deployment.name);
+            if (!model || !this.modelProfiles[model]) continue;
+            byModel.set(model, [...(byModel.get(model) || []), deployment.name]);
+        }
+
+        if (byModel.size === 0) {
+            return null;
+        }
+
+        const recommendation = new ModelSelector([...byModel.keys()]).recommend(context);
+        if (!byModel.has(recommendation.primary)) {
+            // Every deployed model failed the hard constraints
+            return null;
+        }
+
+        const order = new Set([
+            recommendation.primary,
+            ...this.getModelFallbackChain(recommendation.primary),
+            ...recommendation.fallbacks
+        ]);
+        const route = [...order]
+            .filter(model => byModel.has(model))
+            .flatMap(model => byModel.get(model).map(deploymentName => ({ deploymentName, model })));
+
+        return { ...recommendation, route };
+    }
+    
     /**
      * Generate human-readable explanation for model selection
      */
@@ -0,0 +1,444 @@
+/**
+ * Azure OpenAI Client
+ * Shared client for chat completions and embeddings
+ *
+ * Every call goes through the same pipeline:
+ *   RetryStrategy -> CircuitBreaker -> AzureOpenAIRateLimiter
+ *     -> DistributedRateLimiter -> HTTPS request
+ * Breakers and limiters are shared per resource and deployment across the
+ * instance, so concurrent requests from different functions pace each other;
+ * the distributed limiter shares the deployment's TPM/RPM budget across
+ * instances
+ *
+ * Authentication is either the caller's delegated token (userToken) or the
+ * Function App's managed identity (see azureAuth.getAzureCredential).
+ * API keys are not supported
+ *
+ * Token usage is accumulated per deployment (getUsageStats) and reported to
+ * the optional onUsage callback after every successful call
+ */
+
+const https = require('https');
+const registry = require('./endpointRegistry');
+const { tokenCache } = require('./azureAuth');
+const { AzureOpenAIRateLimiter, RateLimitInfo } = require('./rateLimiter');
+const {
+    AzureOpenAIError,
+    parseAzureOpenAIError,
+    RetryStrategy,
+    CircuitBreaker
+} = require('./errorHandler');
+const { createSseParser } = require('./analysisStream');
+const { getDistributedRateLimiter } = require('./distributedRateLimiter');
+const { countTokens } = require('./tokenUtils');
+
+const DEFAULT_API_VERSION = '2024-10-01-preview';
+const DEFAULT_TIMEOUT_MS = 120000;
+
+const AUTH_MODES = {
+    USER: 'user',
+    MANAGED_IDENTITY: 'managedIdentity'
+};
+
+// "host/deployment" -> { breaker, limiter }
+const deploymentGuards = new Map();
+// "host/deployment" -> usage totals
+const usageTotals = new Map();
+
+function getGuards(key) {
+    if (!deploymentGuards.has(key)) {
+        deploymentGuards.set(key, {
+            breaker: new CircuitBreaker({ failureThreshold: 5, resetTimeout: 60000 }),
+            limiter: new AzureOpenAIRateLimiter({
+                maxConcurrent: parseInt(process.env.OPENAI_MAX_CONCURRENT) || 5,
+                maxRequestsPerMinute: parseInt(process.env.OPENAI_MAX_REQUESTS_PER_MINUTE) || 60,
+                // RetryStrategy owns retries so 429s are not retried twice
+                retryOnRateLimit: false
+            })
+        });
+    }
+    return deploymentGuards.get(key);
+}
+
+/**
+ * Resolve an endpoint URL, bare hostname or custom subdomain to https://host
+ */
+function resolveEndpoint({ endpoint, customSubdomainName } = {}) {
+    const value = (endpoint || customSubdomainName || '').trim();
+    if (!value) {
+        throw new AzureOpenAIError('OpenAI endpoint or customSubdomainName is required', 'MISSING_ENDPOINT', { statusCode: 400 });
+    }
+    if (/^https?:\/\//i.test(value)) {
+        return `https://${new URL(value).hostname}`;
+    }
+    if (value.includes('.')) {
+        return `https://${value.replace(/\/.*$/, '')}`;
+    }
+    return registry.getOpenAIEndpoint(value).replace(/\/+$/, '');
+}
+
+/**
+ * Errors that say something about the health of the deployment and
+ * therefore count towards opening its circuit breaker. Waiting out the
+ * shared budget is not one of them
+ */
+function isServiceFailure(error) {
+    if (error.sharedLimit) return false;
+    return error.timedOut || error.statusCode === 429 || error.statusCode >= 500;
+}
+
+/**
+ * Tokens the service will count against the TPM limit before the call runs:
+ * the prompt plus the completion budget, in the encoding of the deployment's model
+ */
+function estimateRequestTokens(operation, body, deploymentName) {
+    if (operation === 'embeddings') {
+        const input = Array.isArray(body.input) ? body.input.join('\n') : String(body.input || '');
+        return countTokens(input, deploymentName);
+    }
+    const prompt = (body.messages || [])
+        .map(message => typeof message.content === 'string' ? message.content : JSON.stringify(message.content))
+        .join('\n');
+    return countTokens(prompt, deploymentName) + (body.max_tokens || body.max_completion_tokens || 0);
+}
+
+function recordUsage(key, usage, failed) {
+    const totals = usageTotals.get(key) || {
+        requests: 0,
+        failures: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0
+    };
+    totals.requests++;
+    if (failed) {
+        totals.failures++;
+    } else if (usage) {
+        totals.promptTokens += usage.prompt_tokens || 0;
+        totals.completionTokens += usage.completion_tokens || 0;
+        totals.totalTokens += usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+    }
+    usageTotals.set(key, totals);
+}
+
+class OpenAIClient {
+    /**
+     * options: { endpoint | customSubdomainName, userToken, apiVersion, log, onUsage }
+     * Without userToken the managed identity is used
+     */
+    constructor(options = {}) {
+        this.endpoint = resolveEndpoint(options);
+        this.hostname = new URL(this.endpoint).hostname;
+        this.userToken = options.userToken || null;
+        this.authMode = this.userToken ? AUTH_MODES.USER : AUTH_MODES.MANAGED_IDENTITY;
+        this.apiVersion = options.apiVersion || DEFAULT_API_VERSION;
+        this.log = options.log || console.log;
+        this.onUsage = options.onUsage;
+        this.retryStrategy = new RetryStrategy({ maxRetries: 3, baseDelay: 2000, maxDelay: 32000 });
+    }
+
+    async getAuthorization() {
+        if (this.userToken) {
+            return `Bearer ${this.userToken}`;
+        }
+        try {
+            return `Bearer ${await tokenCache.getToken(registry.getScope('cognitive'))}`;
+        } catch (error) {
+            throw new AzureOpenAIError(
+                `Managed identity could not acquire a Cognitive Services token: ${error.message}`,
+                'UNAUTHORIZED',
+                {
+                    statusCode: 401,
+                    userMessage: "Ensure the Function App's managed identity has the 'Cognitive Services OpenAI User' role on the Azure OpenAI resource."
+                }
+            );
+        }
+    }
+
+    /**
+     * Chat completion
+     * body is the REST request body (messages, temperature, max_tokens, response_format, ...)
+     * Setting body.stream streams the response and passes each content delta to onDelta
+     * Returns { content, toolCalls, usage, model, finishReason, rateLimit }
+     */
+    async chat(deploymentName, body, options = {}) {
+        const requestBody = { ...body };
+        if (requestBody.stream) {
+            requestBody.stream_options = { include_usage: true, ...requestBody.stream_options };
+        }
+
+        const response = await this.call(deploymentName, 'chat/completions', requestBody, options);
+        const choice = response.body.choices && response.body.choices[0];
+        return {
+            content: choice?.message?.content ?? null,
+            toolCalls: choice?.message?.tool_calls || [],
+            usage: response.body.usage || {},
+            model: response.body.model,
+            finishReason: choice?.finish_reason,
+            rateLimit: response.rateLimit
+        };
+    }
+
+    /**
+     * Embeddings for a string or array of strings
+     * Returns { embeddings: number[][], usage, model }
+     */
+    async embeddings(deploymentName, input, options = {}) {
+        const body = { input, ...(options.dimensions ? { dimensions: options.dimensions } : {}) };
+        const response = await this.call(deploymentName, 'embeddings', body, options);
+        return {
+            embeddings: (response.body.data || []).sort((a, b) => a.index - b.index).map(item => item.embedding),
+            usage: response.body.usage || {},
+            model: response.body.model
+        };
+    }
+
+    /**
+     * Run one operation through retry, circuit breaker and rate limiter
+     * options: { timeoutMs, signal, onDelta, label, priority, retry }
+     * retry: false makes a single attempt (probes that expect an error)
+     */
+    async call(deploymentName, operation, body, options = {}) {
+        const key = `${this.hostname}/${deploymentName}`;
+        const { breaker, limiter } = getGuards(key);
+        const sharedLimiter = getDistributedRateLimiter(key, { log: this.log });
+        const estimatedTokens = sharedLimiter ? estimateRequestTokens(operation, body, deploymentName) : 0;
+        const label = options.label || `${deploymentName} ${operation}`;
+        let deltasSent = false;
+
+        const attempt = async () => {
+            if (options.signal?.aborted) {
+                throw cancelledError(label);
+            }
+
+            // Client errors and cancellations pass through the breaker without tripping it
+            const outcome = await breaker.execute(async () => {
+                try {
+                    return {
+                        response: await limiter.executeRequest(() => this.sendWithinBudget(sharedLimiter, estimatedTokens, () => this.send(deploymentName, operation, body, {
+                            ...options,
+                            label,
+                            onDelta: options.onDelta && ((delta) => {
+                                deltasSent = true;
+                                options.onDelta(delta);
+                            })
+                        }), options.signal), { priority: options.priority })
+                    };
+                } catch (error) {
+                    // A stream that already delivered deltas cannot be replayed
+                    if (deltasSent) error.retryable = false;
+                    if (isServiceFailure(error)) throw error;
+                    return { error };
+                }
+            });
+
+            if (outcome.error) throw outcome.error;
+            return outcome.response;
+        };
+
+        try {
+            const response = options.retry === false ? await attempt() : await this.retryStrategy.execute(attempt);
+            recordUsage(key, response.body.usage);
+            if (this.onUsage) {
+                try {
+                    await this.onUsage({
+                        endpoint: this.endpoint,
+                        deploymentName,
+                        operation,
+                        authMode: this.authMode,
+                        model: response.body.model,
+                        usage: response.body.usage || {}
+                    });
+                } catch (error) {
+                    this.log(`[OpenAI] Usage callback failed: ${error.message}`);
+                }
+            }
+            return response;
+        } catch (error) {
+            recordUsage(key, null, true);
+            throw error;
+        }
+    }
+
+    /**
+     * Reserve the estimated tokens in the deployment's shared budget, run the
+     * request and settle the reservation with what it actually used
+     */
+    async sendWithinBudget(sharedLimiter, estimatedTokens, sendFn, signal) {
+        if (!sharedLimiter) {
+            return sendFn();
+        }
+
+        const reservation = await sharedLimiter.acquire(estimatedTokens, { signal });
+        try {
+            const response = await sendFn();
+            await sharedLimiter.record(reservation, { usage: response.body.usage, headers: response.headers });
+            return response;
+        } catch (error) {
+            await sharedLimiter.record(reservation, {
+                headers: error.headers,
+                rateLimited: error.statusCode === 429,
+                retryAfter: error.retryAfter
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Single HTTPS request with a hard timeout
+     * Resolves { body, headers, rateLimit }; rejects with AzureOpenAIError
+     */
+    async send(deploymentName, operation, body, { timeoutMs = DEFAULT_TIMEOUT_MS, signal, onDelta, label }) {
+        const authorization = await this.getAuthorization();
+        const payload = JSON.stringify(body);
+        const path = `/openai/deployments/${encodeURIComponent(deploymentName)}/${operation}?api-version=${this.apiVersion}`;
+        const log = this.log;
+        let timer;
+
+        return Promise.race([
+            new Promise((resolve, reject) => {
+                const startTime = Date.now();
+                const req = https.request({
+                    hostname: this.hostname,
+                    port: 443,
+                    path,
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': authorization,
+                        'Content-Length': Buffer.byteLength(payload)
+                    },
+                    timeout: timeoutMs,
+                    signal
+                }, (res) => {
+                    const done = (result) => {
+                        log(`[${label}] Response ${res.statusCode} in ${Date.now() - startTime}ms`);
+                        resolve({ ...result, headers: res.headers, rateLimit: new RateLimitInfo(res.headers) });
+                    };
+
+                    if (res.statusCode === 200 && body.stream) {
+                        const streamed = { content: '', usage: null, model: null, finishReason: null };
+                        const parser = createSseParser(({ data }) => {
+                            if (data === '[DONE]') return;
+                            try {
+                                const event = JSON.parse(data);
+                                const choice = event.choices && event.choices[0];
+                                streamed.model = event.model || streamed.model;
+                                streamed.usage = event.usage || streamed.usage;
+                                if (choice?.finish_reason) streamed.finishReason = choice.finish_reason;
+                                const delta = choice?.delta?.content;
+                                if (delta) {
+                                    streamed.content += delta;
+                                    if (onDelta) onDelta(delta);
+                                }
+                            } catch (e) {
+                                log(`[${label}] Ignoring malformed stream event: ${data.substring(0, 200)}`);
+                            }
+                        });
+
+                        res.setEncoding('utf8');
+                        res.on('data', (chunk) => parser.push(chunk));
+                        res.on('end', () => {
+                            parser.end();
+                            done({
+                                body: {
+                                    model: streamed.model,
+                                    choices: [{ message: { content: streamed.content }, finish_reason: streamed.finishReason }],
+                                    usage: streamed.usage || {}
+                                }
+                            });
+                        });
+                        // Aborting mid-stream closes the response without an end event
+                        res.on('close', () => {
+                            if (signal?.aborted) reject(cancelledError(label));
+                        });
+                        res.on('error', reject);
+                        return;
+                    }
+
+                    let data = '';
+                    res.on('data', (chunk) => {
+                        data += chunk;
+                    });
+                    res.on('end', () => {
+                        if (res.statusCode === 200) {
+                            try {
+                                done({ body: JSON.parse(data) });
+                            } catch (e) {
+                                reject(new AzureOpenAIError('Failed to parse OpenAI response', 'INVALID_RESPONSE', { statusCode: 502, retryable: true }));
+                            }
+                            return;
+                        }
+
+                        log(`[${label}] API error ${res.statusCode}: ${data.substring(0, 500)}`);
+                        if (res.statusCode === 401 || res.statusCode === 403) {
+                            log(`[${label}] Ensure the caller has the 'Cognitive Services OpenAI User' role on the OpenAI resource`);
+                        }
+                        const error = parseAzureOpenAIError({ statusCode: res.statusCode, headers: res.headers }, data);
+                        // Keep the status in the message for callers that match on it
+                        error.message = `OpenAI API error: ${res.statusCode} - ${error.message}`;
+                        error.headers = res.headers;
+                        reject(error);
+                    });
+                });
+
+                req.on('error', (error) => {
+                    if (signal?.aborted) {
+                        reject(cancelledError(label));
+                        return;
+                    }
+                    reject(new AzureOpenAIError(error.message, 'NETWORK_ERROR', { statusCode: 503, retryable: true }));
+                });
+
+                req.on('timeout', () => {
+                    req.destroy();
+                    reject(timeoutError(label, timeoutMs));
+                });
+
+                req.write(payload);
+                req.end();
+            }),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(timeoutError(label, timeoutMs)), timeoutMs);
+            })
+        ]).finally(() => clearTimeout(timer));
+    }
+}
+
+function timeoutError(label, timeoutMs) {
+    const error = new AzureOpenAIError(`${label} timed out after ${timeoutMs}ms`, 'TIMEOUT', { statusCode: 504, retryable: false });
+    error.timedOut = true;
+    return error;
+}
+
+function cancelledError(label) {
+    const error = new AzureOpenAIError(`${label} was cancelled`, 'CANCELLED', { retryable: false });
+    error.cancelled = true;
+    return error;
+}
+
+/**
+ * Token usage and failure counts per "host/deployment" since the instance started
+ */
+function getUsageStats() {
+    return Object.fromEntries(usageTotals);
+}
+
+/**
+ * Circuit breaker state and rate limiter statistics per "host/deployment"
+ */
+function getDeploymentHealth() {
+    return Object.fromEntries(Array.from(deploymentGuards, ([key, { breaker, limiter }]) => [
+        key,
+        { circuitBreaker: breaker.getState(), rateLimiter: limiter.getStats() }
+    ]));
+}
+
+module.exports = {
+    AUTH_MODES,
+    DEFAULT_API_VERSION,
+    OpenAIClient,
+    resolveEndpoint,
+    getUsageStats,
+    getDeploymentHealth
+};
@@ -0,0 +1,396 @@
+/**
+ * Prompt Template Registry
+ * System and user prompts for the analysis functions, with {{variable}}
+ * placeholders. The built-in templates in prompt-templates.json are versioned
+ * with the code; each team (tenant) can save its own wording for a template
+ * without a redeploy
+ *
+ * Team edits are kept as an immutable version history. One version is active
+ * at a time; activating version 0 goes back to the built-in wording. The
+ * variables a template accepts are fixed by the code that renders it, so an
+ * edit can rearrange or drop placeholders but not introduce new ones
+ *
+ * Editing needs the admin or prompt-editor role; everyone can list, read and
+ * preview. Both the team and the roles come from the verified identity
+ * (clientPrincipal.getVerifiedIdentity); unverified callers get the built-in
+ * wording and cannot edit
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getEntityStore, StoreError } = require('./entityStore');
+const { countTokens } = require('./tokenizer');
+
+const BUILTIN_TEMPLATES_PATH = path.join(__dirname, 'prompt-templates.json');
+
+const TEMPLATES_TABLE = 'PromptTemplates';
+const VERSIONS_TABLE = 'PromptTemplateVersions';
+
+// SWA roles or app roles allowed to change a team's templates
+const EDITOR_ROLES = ['admin', 'prompt-editor'];
+
+// Version number that stands for the built-in wording
+const BUILTIN_VERSION = 0;
+
+const MAX_PROMPT_LENGTH = 30000; // Table Storage string properties are limited to 64KB (UTF-16)
+const MAX_WRITE_ATTEMPTS = 8;
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+const invalid = (message) => new StoreError(message, 'INVALID_INPUT', 400);
+const forbidden = (message) => new StoreError(message, 'FORBIDDEN', 403);
+const notFound = (message) => new StoreError(message, 'NOT_FOUND', 404);
+
+let builtins = null;
+
+function getBuiltins() {
+    if (!builtins) {
+        builtins = JSON.parse(fs.readFileSync(BUILTIN_TEMPLATES_PATH, 'utf8'));
+    }
+    return builtins;
+}
+
+function getBuiltin(id) {
+    const template = getBuiltins().templates[id];
+    if (!template) {
+        throw notFound(`Prompt template ${id} not found`);
+    }
+    return template;
+}
+
+// null when the caller's team is not known for certain
+function teamPartition(identity) {
+    return identity.verified === true && identity.tenantId ? `team_${identity.tenantId}` : null;
+}
+
+function versionPartition(identity, id) {
+    return `${teamPartition(identity)}|${id}`;
+}
+
+async function readPointer(identity, id) {
+    const partitionKey = teamPartition(identity);
+    return partitionKey ? getEntityStore(TEMPLATES_TABLE).get(partitionKey, id) : null;
+}
+
+function versionKey(version) {
+    return String(version).padStart(6, '0');
+}
+
+function canEdit(identity) {
+    return teamPartition(identity) !== null && (identity.roles || []).some(role => EDITOR_ROLES.includes(role));
+}
+
+function placeholders(text) {
+    return Array.from(new Set(Array.from(String(text || '').matchAll(PLACEHOLDER), match => match[1])));
+}
+
+// Objects are rendered as indented JSON; missing values take the declared default
+function formatValue(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+}
+
+/**
+ * Fill a template's placeholders
+ * Values that are undefined, null or '' take the variable's default. Returns
+ * { system, user, missing } where missing lists required variables without a value
+ */
+function render(template, variables = {}) {
+    const declared = template.variables || {};
+    const missing = new Set();
+
+    const valueOf = (name) => {
+        const value = variables[name];
+        if (value !== undefined && value !== null && value !== '') return value;
+        if (declared[name] && declared[name].default !== undefined) return declared[name].default;
+        if (declared[name] && declared[name].required) missing.add(name);
+        return '';
+    };
+    const fill = (text) => String(text || '').replace(PLACEHOLDER, (match, name) => formatValue(valueOf(name)));
+
+    return {
+        system: fill(template.system),
+        user: fill(template.user),
+        missing: Array.from(missing)
+    };
+}
+
+function describe(id, builtin, pointer) {
+    return {
+        id,
+        name: builtin.name,
+        description: builtin.description,
+        category: builtin.category,
+        variables: builtin.variables || {},
+        builtinVersion: builtin.version,
+        source: pointer && pointer.activeVersion !== BUILTIN_VERSION ? 'team' : 'builtin',
+        version: pointer ? pointer.activeVersion : BUILTIN_VERSION,
+        latestVersion: pointer ? pointer.latestVersion : BUILTIN_VERSION,
+        updatedAt: pointer ? pointer.updatedAt : null,
+        updatedBy: pointer ? pointer.updatedBy : null
+    };
+}
+
+async function readVersion(identity, id, version) {
+    const entity = teamPartition(identity)
+        ? await getEntityStore(VERSIONS_TABLE).get(versionPartition(identity, id), versionKey(version))
+        : null;
+    if (!entity) {
+        throw notFound(`Version ${version} of prompt template ${id} not found`);
+    }
+    return entity;
+}
+
+/**
+ * Templates the caller's team uses, built-in or edited
+ * filters: category
+ */
+async function listTemplates(identity, filters = {}) {
+    const partitionKey = teamPartition(identity);
+    const pointers = new Map(
+        (partitionKey ? await getEntityStore(TEMPLATES_TABLE).list(partitionKey) : []).map(entity => [entity.rowKey, entity])
+    );
+
+    return Object.entries(getBuiltins().templates)
+        .filter(([, builtin]) => !filters.category || builtin.category === filters.category)
+        .map(([id, builtin]) => describe(id, builtin, pointers.get(id)));
+}
+
+/**
+ * The team's template with its prompt text
+ * options.version picks a specific version (0 = built-in) instead of the active one
+ */
+async function getTemplate(identity, id, options = {}) {
+    const builtin = getBuiltin(id);
+    const pointer = await readPointer(identity, id);
+    const template = describe(id, builtin, pointer);
+
+    const version = options.version !== undefined && options.version !== null && options.version !== ''
+        ? parseInt(options.version)
+        : template.version;
+    if (!Number.isInteger(version) || version < 0) {
+        throw invalid('version must be a non-negative integer');
+    }
+
+    if (version === BUILTIN_VERSION) {
+        return { ...template, source: 'builtin', version, system: builtin.system, user: builtin.user };
+    }
+
+    const stored = await readVersion(identity, id, version);
+    return {
+        ...template,
+        source: 'team',
+        version,
+        active: version === template.version,
+        system: stored.system,
+        user: stored.user,
+        changeNote: stored.changeNote,
+        author: stored.author,
+        createdAt: stored.createdAt
+    };
+}
+
+/**
+ * Render the team's active version of a template for a call to OpenAI
+ * A team version that cannot be read falls back to the built-in wording, so
+ * a storage outage never blocks an analysis
+ * Returns { templateId, source, version, system, user, missing }
+ */
+async function renderTemplate(identity, id, variables = {}, options = {}) {
+    const log = options.log || console.log;
+    let template;
+    try {
+        template = await getTemplate(identity, id);
+    } catch (error) {
+        if (error.code === 'NOT_FOUND' && !getBuiltins().templates[id]) throw error;
+        log(`[PromptTemplates] Using built-in ${id}: ${error.message}`);
+        template = { ...getBuiltin(id), source: 'builtin', version: BUILTIN_VERSION };
+    }
+
+    return {
+        templateId: id,
+        source: template.source,
+        version: template.version,
+        ...render(template, variables)
+    };
+}
+
+/**
+ * Render a template without calling OpenAI
+ * input: { variables, version, system, user } - system/user try out unsaved wording
+ * Returns the rendered prompts with their token counts for the given model
+ */
+async function previewTemplate(identity, id, input = {}) {
+    const template = await getTemplate(identity, id, { version: input.version });
+    const draft = {
+        ...template,
+        system: input.system !== undefined ? input.system : template.system,
+        user: input.user !== undefined ? input.user : template.user
+    };
+    if (input.system !== undefined || input.user !== undefined) {
+        validatePrompts(template.variables, draft);
+    }
+
+    const rendered = render(draft, input.variables || {});
+    const systemTokens = countTokens(rendered.system, input.model);
+    const userTokens = countTokens(rendered.user, input.model);
+
+    return {
+        templateId: id,
+        source: input.system !== undefined || input.user !== undefined ? 'draft' : template.source,
+        version: template.version,
+        ...rendered,
+        tokens: { system: systemTokens, user: userTokens, total: systemTokens + userTokens }
+    };
+}
+
+function validatePrompts(variables, prompts) {
+    for (const field of ['system', 'user']) {
+        if (typeof prompts[field] !== 'string' || !prompts[field].trim()) {
+            throw invalid(`${field} is required`);
+        }
+        if (prompts[field].length > MAX_PROMPT_LENGTH) {
+            throw invalid(`${field} exceeds ${MAX_PROMPT_LENGTH} characters`);
+        }
+    }
+
+    const unknown = placeholders(`${prompts.system}\n${prompts.user}`).filter(name => !(variables || {})[name]);
+    if (unknown.length) {
+        throw invalid(`Unknown variables: ${unknown.join(', ')}. Available: ${Object.keys(variables || {}).join(', ')}`);
+    }
+}
+
+/**
+ * Point the team at a version; the version row must already exist unless it is the built-in
+ */
+async function setActiveVersion(identity, id, version, latestVersion = BUILTIN_VERSION) {
+    const store = getEntityStore(TEMPLATES_TABLE);
+    const partitionKey = teamPartition(identity);
+
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+        const existing = await store.get(partitionKey, id);
+        const entity = {
+            partitionKey,
+            rowKey: id,
+            activeVersion: version,
+            latestVersion: Math.max(existing ? existing.latestVersion : BUILTIN_VERSION, latestVersion),
+            updatedBy: identity.userName,
+            updatedAt: new Date().toISOString()
+        };
+
+        try {
+            if (existing) {
+                await store.update(entity, { etag: existing.etag });
+            } else {
+                await store.create(entity);
+            }
+            return;
+        } catch (error) {
+            if (error.code !== 'PRECONDITION_FAILED' && error.code !== 'ALREADY_EXISTS') throw error;
+        }
+    }
+    throw new Error(`Prompt template ${id} is contended (${MAX_WRITE_ATTEMPTS} conflicting writes)`);
+}
+
+/**
+ * Save new wording for the team as the next version and make it active
+ * input: { system, user, changeNote }
+ */
+async function saveTemplate(identity, id, input = {}) {
+    if (!canEdit(identity)) {
+        throw forbidden(`Editing prompt templates requires one of the roles: ${EDITOR_ROLES.join(', ')}`);
+    }
+    const builtin = getBuiltin(id);
+    validatePrompts(builtin.variables, input);
+
+    const versions = getEntityStore(VERSIONS_TABLE);
+    const pointer = await readPointer(identity, id);
+    let version = (pointer ? pointer.latestVersion : BUILTIN_VERSION) + 1;
+
+    // Version numbers are claimed by creating the immutable version row
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await versions.create({
+                partitionKey: versionPartition(identity, id),
+                rowKey: versionKey(version),
+                version,
+                system: input.system,
+                user: input.user,
+                builtinVersion: builtin.version,
+                changeNote: String(input.changeNote || '').substring(0, 500),
+                author: identity.userName,
+                createdAt: new Date().toISOString()
+            });
+            break;
+        } catch (error) {
+            if (error.code !== 'ALREADY_EXISTS' || attempt >= MAX_WRITE_ATTEMPTS) throw error;
+            version++;
+        }
+    }
+
+    await setActiveVersion(identity, id, version, version);
+    return getTemplate(identity, id);
+}
+
+/**
+ * Make an earlier version active again; version 0 restores the built-in wording
+ */
+async function activateVersion(identity, id, version) {
+    if (!canEdit(identity)) {
+        throw forbidden(`Editing prompt templates requires one of the roles: ${EDITOR_ROLES.join(', ')}`);
+    }
+    getBuiltin(id);
+
+    const target = parseInt(version);
+    if (!Number.isInteger(target) || target < 0) {
+        throw invalid('version must be a non-negative integer');
+    }
+    if (target !== BUILTIN_VERSION) {
+        await readVersion(identity, id, target);
+    }
+
+    await setActiveVersion(identity, id, target);
+    return getTemplate(identity, id);
+}
+
+/**
+ * The team's saved versions of a template, newest first
+ */
+async function listVersions(identity, id) {
+    const builtin = getBuiltin(id);
+    const pointer = await readPointer(identity, id);
+    const activeVersion = pointer ? pointer.activeVersion : BUILTIN_VERSION;
+    const versions = teamPartition(identity) ? await getEntityStore(VERSIONS_TABLE).list(versionPartition(identity, id)) : [];
+
+    return versions
+        .map(version => ({
+            version: version.version,
+            builtinVersion: version.builtinVersion,
+            author: version.author,
+            changeNote: version.changeNote,
+            createdAt: version.createdAt,
+            active: version.version === activeVersion
+        }))
+        .sort((a, b) => b.version - a.version)
+        .concat([{
+            version: BUILTIN_VERSION,
+            builtinVersion: builtin.version,
+            author: 'built-in',
+            changeNote: '',
+            createdAt: null,
+            active: activeVersion === BUILTIN_VERSION
+        }]);
+}
+
+module.exports = {
+    BUILTIN_VERSION,
+    EDITOR_ROLES,
+    render,
+    renderTemplate,
+    listTemplates,
+    getTemplate,
+    previewTemplate,
+    saveTemplate,
+    activateVersion,
+    listVersions
+};
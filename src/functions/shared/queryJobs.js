@@ -0,0 +1,388 @@
+/**
+ * Asynchronous KQL Query Jobs
+ * Long-running hunts are submitted as jobs, executed by the query-job-runner
+ * queue trigger and their results written in fixed-size chunks to the result
+ * store so clients can page through them with an opaque cursor
+ */
+
+const crypto = require('crypto');
+const registry = require('./endpointRegistry');
+const { getEntityStore, StoreError } = require('./entityStore');
+const { getResultStore } = require('./resultStore');
+const { QUERY_STATUS, startQuery, cancelQuery, isTimeoutError } = require('./kqlQueryRegistry');
+
+const JOBS_TABLE = 'QueryJobs';
+
+// Rows per stored chunk; also the largest page a client can request
+const CHUNK_SIZE = 5000;
+const DEFAULT_PAGE_SIZE = 1000;
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    ...QUERY_STATUS
+};
+
+const TERMINAL_STATUSES = [
+    JOB_STATUS.COMPLETED,
+    JOB_STATUS.PARTIAL,
+    JOB_STATUS.CANCELLED,
+    JOB_STATUS.TIMED_OUT,
+    JOB_STATUS.FAILED
+];
+
+const getRetentionHours = () => parseInt(process.env.QUERY_JOB_RETENTION_HOURS) || 24;
+
+// Table Storage keys may not contain / \ # ? or control characters
+function ownerKey(userId) {
+    return String(userId).replace(/[\/\\#?\u0000-\u001F\u007F-\u009F]/g, '_');
+}
+
+const notFound = (jobId) => new StoreError(`Query job ${jobId} not found`, 'NOT_FOUND', 404);
+
+function encodeCursor(tableIndex, rowOffset) {
+    return Buffer.from(JSON.stringify({ t: tableIndex, r: rowOffset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    if (!cursor) {
+        return { t: 0, r: 0 };
+    }
+    try {
+        const { t, r } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Number.isInteger(t) && Number.isInteger(r) && t >= 0 && r >= 0) {
+            return { t, r };
+        }
+    } catch (error) {
+        // fall through
+    }
+    throw new StoreError('Invalid cursor', 'INVALID_INPUT', 400);
+}
+
+function toJob(entity) {
+    return {
+        jobId: entity.rowKey,
+        status: entity.status,
+        workspaceId: entity.workspaceId,
+        query: entity.query,
+        timeRange: JSON.parse(entity.timeRange || 'null'),
+        timeoutSeconds: entity.timeoutSeconds,
+        submittedAt: entity.submittedAt,
+        startedAt: entity.startedAt || null,
+        completedAt: entity.completedAt || null,
+        expiresAt: entity.expiresAt,
+        elapsedSeconds: entity.startedAt
+            ? ((entity.completedAt ? Date.parse(entity.completedAt) : Date.now()) - Date.parse(entity.startedAt)) / 1000
+            : 0,
+        totalRows: entity.totalRows || 0,
+        tables: JSON.parse(entity.tables || '[]'),
+        error: entity.error || undefined,
+        partialError: entity.partialError || undefined
+    };
+}
+
+async function loadJobEntity(userId, jobId) {
+    const entity = await getEntityStore(JOBS_TABLE).get(ownerKey(userId), jobId);
+    if (!entity) {
+        throw notFound(jobId);
+    }
+    return entity;
+}
+
+// Merge fields into a job record, re-reading it so concurrent writers are not clobbered
+async function updateJob(partitionKey, jobId, fields) {
+    const store = getEntityStore(JOBS_TABLE);
+    const entity = await store.get(partitionKey, jobId);
+    if (!entity) {
+        throw notFound(jobId);
+    }
+    return store.update({ ...entity, ...fields }, { etag: entity.etag });
+}
+
+/**
+ * Create a job record; the caller enqueues the returned message for the runner
+ */
+async function createJob(userId, request) {
+    const jobId = crypto.randomUUID();
+    const submittedAt = new Date();
+
+    const entity = await getEntityStore(JOBS_TABLE).create({
+        partitionKey: ownerKey(userId),
+        rowKey: jobId,
+        userId: String(userId),
+        status: JOB_STATUS.QUEUED,
+        workspaceId: request.workspaceId,
+        query: request.query,
+        timeRange: JSON.stringify(request.timeRange || null),
+        timeoutSeconds: request.timeoutSeconds || null,
+        submittedAt: submittedAt.toISOString(),
+        expiresAt: new Date(submittedAt.getTime() + getRetentionHours() * 3600 * 1000).toISOString(),
+        totalRows: 0
+    });
+
+    return {
+        job: toJob(entity),
+        message: { jobId, partitionKey: entity.partitionKey }
+    };
+}
+
+async function getJob(userId, jobId) {
+    const entity = await loadJobEntity(userId, jobId);
+    const job = toJob(entity);
+
+    // Statistics are only known once Log Analytics returns
+    if (TERMINAL_STATUSES.includes(job.status) && entity.hasStatistics) {
+        job.statistics = await getResultStore().read(`${jobId}/statistics.json`);
+    }
+
+    return job;
+}
+
+/**
+ * List the caller's jobs, removing any past their retention period
+ */
+async function listJobs(userId) {
+    const entities = await getEntityStore(JOBS_TABLE).list(ownerKey(userId));
+    const now = new Date().toISOString();
+    const jobs = [];
+
+    for (const entity of entities) {
+        if (entity.expiresAt && entity.expiresAt < now && TERMINAL_STATUSES.includes(entity.status)) {
+            await deleteJob(userId, entity.rowKey);
+            continue;
+        }
+        const { query, ...summary } = toJob(entity);
+        jobs.push(summary);
+    }
+
+    return jobs.sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+}
+
+/**
+ * Cancel a queued or running job
+ */
+async function cancelJob(userId, jobId) {
+    const entity = await loadJobEntity(userId, jobId);
+
+    if (entity.status === JOB_STATUS.QUEUED) {
+        const updated = await updateJob(entity.partitionKey, jobId, {
+            status: JOB_STATUS.CANCELLED,
+            completedAt: new Date().toISOString()
+        });
+        return toJob(updated);
+    }
+
+    if (entity.status === JOB_STATUS.RUNNING) {
+        // The runner registered the Log Analytics request under the job ID
+        await cancelQuery(jobId, userId);
+        return { ...toJob(entity), status: JOB_STATUS.CANCEL_REQUESTED };
+    }
+
+    return toJob(entity);
+}
+
+async function deleteJob(userId, jobId) {
+    const entity = await loadJobEntity(userId, jobId);
+
+    if (entity.status === JOB_STATUS.RUNNING) {
+        await cancelJob(userId, jobId);
+    }
+
+    await getResultStore().deletePrefix(`${jobId}/`);
+    await getEntityStore(JOBS_TABLE).delete(entity.partitionKey, jobId);
+}
+
+/**
+ * Read one page of results starting at the cursor position
+ * Pages never span stored chunks, so a page may be shorter than pageSize
+ */
+async function getResultsPage(userId, jobId, { cursor, pageSize } = {}) {
+    const job = toJob(await loadJobEntity(userId, jobId));
+
+    if (!TERMINAL_STATUSES.includes(job.status)) {
+        throw new StoreError(`Query job ${jobId} is ${job.status}; results are not available yet`, 'NOT_READY', 409);
+    }
+    if (job.tables.length === 0) {
+        throw new StoreError(`Query job ${jobId} has no results (${job.status})`, 'NO_RESULTS', 409);
+    }
+
+    const size = Math.min(Math.max(parseInt(pageSize) || DEFAULT_PAGE_SIZE, 1), CHUNK_SIZE);
+    const position = decodeCursor(cursor);
+    const table = job.tables[position.t];
+
+    if (!table || position.r > table.rowCount) {
+        throw new StoreError('Cursor is past the end of the results', 'INVALID_INPUT', 400);
+    }
+
+    const chunkIndex = Math.floor(position.r / CHUNK_SIZE);
+    const chunkOffset = position.r % CHUNK_SIZE;
+    const chunk = table.rowCount > 0
+        ? await getResultStore().read(`${jobId}/${position.t}/${chunkIndex}.json`) || []
+        : [];
+    const rows = chunk.slice(chunkOffset, chunkOffset + size);
+
+    const nextRow = position.r + rows.length;
+    let nextCursor = null;
+    if (nextRow < table.rowCount) {
+        nextCursor = encodeCursor(position.t, nextRow);
+    } else if (position.t + 1 < job.tables.length) {
+        nextCursor = encodeCursor(position.t + 1, 0);
+    }
+
+    return {
+        jobId,
+        status: job.status,
+        table: {
+            index: position.t,
+            name: table.name,
+            columns: table.columns,
+            rowCount: table.rowCount
+        },
+        tableCount: job.tables.length,
+        offset: position.r,
+        rows,
+        pageRowCount: rows.length,
+        totalRows: job.totalRows,
+        nextCursor
+    };
+}
+
+/**
+ * Execute a queued job (called by the query-job-runner queue trigger)
+ * Uses the function app identity because the submitting user's token may
+ * have expired by the time the job is dequeued; query-jobs only queues jobs
+ * for workspaces the submitter's own token can reach
+ */
+async function runJob(message, context) {
+    const { jobId, partitionKey } = message;
+    const store = getEntityStore(JOBS_TABLE);
+    const entity = await store.get(partitionKey, jobId);
+
+    if (!entity) {
+        context.log.warn(`Query job ${jobId} no longer exists`);
+        return;
+    }
+    if (entity.status !== JOB_STATUS.QUEUED) {
+        context.log(`Query job ${jobId} is ${entity.status}; skipping`);
+        return;
+    }
+
+    const handle = await startQuery({
+        queryId: jobId,
+        userId: entity.userId,
+        workspaceId: entity.workspaceId,
+        timeoutSeconds: entity.timeoutSeconds,
+        log: context.log
+    });
+
+    await updateJob(partitionKey, jobId, {
+        status: JOB_STATUS.RUNNING,
+        timeoutSeconds: handle.timeoutSeconds,
+        startedAt: new Date().toISOString()
+    });
+
+    const timeRange = JSON.parse(entity.timeRange || 'null');
+    const timeInterval = timeRange ? {
+        startTime: new Date(timeRange.startTime),
+        endTime: new Date(timeRange.endTime)
+    } : {
+        startTime: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+        endTime: new Date()
+    };
+
+    try {
+        const { LogsQueryClient, LogsQueryResultStatus } = require('@azure/monitor-query');
+        const { getAzureCredential } = require('./azureAuth');
+
+        const logsClient = new LogsQueryClient(getAzureCredential(), {
+            endpoint: registry.getEndpoint('logAnalytics')
+        });
+
+        context.log(`Running query job ${jobId} on workspace ${entity.workspaceId}`);
+
+        const queryResult = await logsClient.queryWorkspace(
+            entity.workspaceId,
+            entity.query,
+            timeInterval,
+            {
+                serverTimeoutInSeconds: handle.timeoutSeconds,
+                includeStatistics: true,
+                abortSignal: handle.signal
+            }
+        );
+
+        let status = JOB_STATUS.COMPLETED;
+        let partialError;
+        if (queryResult.status === LogsQueryResultStatus.PartialFailure) {
+            partialError = queryResult.partialError?.message;
+            status = isTimeoutError(queryResult.partialError) ? JOB_STATUS.TIMED_OUT : JOB_STATUS.PARTIAL;
+        }
+
+        const tables = queryResult.tables || queryResult.partialTables || [];
+        const results = getResultStore();
+        const tableSummaries = [];
+        let totalRows = 0;
+
+        for (const [tableIndex, table] of tables.entries()) {
+            for (let offset = 0; offset < table.rows.length; offset += CHUNK_SIZE) {
+                await results.write(
+                    `${jobId}/${tableIndex}/${offset / CHUNK_SIZE}.json`,
+                    table.rows.slice(offset, offset + CHUNK_SIZE)
+                );
+                totalRows += Math.min(CHUNK_SIZE, table.rows.length - offset);
+
+                // Expose progress while large results are still being written
+                await updateJob(partitionKey, jobId, { totalRows });
+            }
+
+            tableSummaries.push({
+                name: table.name,
+                columns: table.columns.map(col => ({ name: col.name, type: col.type })),
+                rowCount: table.rows.length
+            });
+        }
+
+        if (queryResult.statistics) {
+            await results.write(`${jobId}/statistics.json`, queryResult.statistics);
+        }
+
+        await handle.finish(status, { rowCount: totalRows });
+        await updateJob(partitionKey, jobId, {
+            status,
+            totalRows,
+            tables: JSON.stringify(tableSummaries),
+            hasStatistics: Boolean(queryResult.statistics),
+            partialError: partialError || '',
+            completedAt: new Date().toISOString()
+        });
+
+        context.log(`Query job ${jobId} ${status} with ${totalRows} rows`);
+
+    } catch (error) {
+        let status = JOB_STATUS.FAILED;
+        if (handle.abortReason === QUERY_STATUS.CANCELLED) {
+            status = JOB_STATUS.CANCELLED;
+        } else if (handle.abortReason === QUERY_STATUS.TIMED_OUT || isTimeoutError(error)) {
+            status = JOB_STATUS.TIMED_OUT;
+        }
+
+        context.log.warn(`Query job ${jobId} ${status}: ${error.message}`);
+        await handle.finish(status, { error: error.message });
+        await updateJob(partitionKey, jobId, {
+            status,
+            error: status === JOB_STATUS.CANCELLED ? '' : error.message,
+            completedAt: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = {
+    JOB_STATUS,
+    CHUNK_SIZE,
+    createJob,
+    getJob,
+    listJobs,
+    cancelJob,
+    deleteJob,
+    getResultsPage,
+    runJob
+};
@@ -0,0 +1,271 @@
+/**
+ * KQL Query Result Cache
+ * In-process cache for Log Analytics results shared by the query endpoints
+ * Entries are keyed on the normalized query text, workspace, absolute time
+ * bounds and caller identity, so results never leak between users with
+ * different workspace permissions. TTLs depend on the query class
+ *
+ * Callers honour Cache-Control request headers:
+ *   no-cache     skip the lookup but store the fresh result
+ *   no-store     neither read nor write the cache
+ *   max-age=N    only accept entries younger than N seconds
+ */
+
+const crypto = require('crypto');
+const { tokenize } = require('./kqlParser');
+const { getBearerToken, getClientPrincipal } = require('./clientPrincipal');
+
+// Time bounds are aligned to this granularity so refreshes of a relative range share entries
+const TIME_BUCKET_SECONDS = 60;
+
+// Default TTL per query class; override with KQL_CACHE_TTL_<CLASS> (seconds, 0 disables)
+const QUERY_CLASS_TTLS = {
+    dashboard: 120,   // fixed queries behind dashboards and incident lists
+    lookup: 600,      // point lookups of immutable records (alerts by ID)
+    adhoc: 60,        // editor queries over a window that includes recent data
+    historical: 3600  // windows that ended more than an hour ago
+};
+
+const DEFAULT_MAX_ENTRIES = 200;
+const MAX_ENTRY_BYTES = 5 * 1024 * 1024;
+
+const CACHE_STATUS = {
+    HIT: 'hit',
+    MISS: 'miss',
+    BYPASS: 'bypass'
+};
+
+// key -> { value (serialized), storedAt, expiresAt }; Map order doubles as LRU order
+const entries = new Map();
+// key -> Promise for executions in flight, so concurrent refreshes run the query once
+const inFlight = new Map();
+
+function getTtlSeconds(queryClass) {
+    const configured = process.env[`KQL_CACHE_TTL_${queryClass.toUpperCase()}`];
+    if (configured !== undefined && configured !== '') {
+        const parsed = parseInt(configured);
+        return parsed >= 0 ? parsed : 0;
+    }
+    return QUERY_CLASS_TTLS[queryClass] ?? QUERY_CLASS_TTLS.adhoc;
+}
+
+function getMaxEntries() {
+    const configured = parseInt(process.env.KQL_CACHE_MAX_ENTRIES);
+    return configured >= 0 ? configured : DEFAULT_MAX_ENTRIES;
+}
+
+/**
+ * Canonical query text: comments dropped and whitespace collapsed between
+ * tokens. String literals and identifier casing are preserved
+ */
+function normalizeQuery(query) {
+    const { tokens } = tokenize(query || '');
+    return tokens.filter(token => token.type !== 'eof').map(token => token.text).join(' ');
+}
+
+/**
+ * Align a { startTime, endTime } window to TIME_BUCKET_SECONDS
+ * The aligned window is what should be sent to Log Analytics so the cached
+ * result matches its key exactly
+ */
+function alignTimeWindow({ startTime, endTime }) {
+    const bucket = TIME_BUCKET_SECONDS * 1000;
+    const end = Math.floor(new Date(endTime).getTime() / bucket) * bucket;
+    const start = Math.floor(new Date(startTime).getTime() / bucket) * bucket;
+    return { startTime: new Date(start), endTime: new Date(end) };
+}
+
+/**
+ * Parse the cache directives the endpoints support from a Cache-Control header
+ */
+function parseCacheControl(header) {
+    const directives = String(header || '').toLowerCase().split(',').map(d => d.trim());
+    const maxAge = directives.find(d => d.startsWith('max-age='));
+    return {
+        noCache: directives.includes('no-cache'),
+        noStore: directives.includes('no-store'),
+        maxAgeSeconds: maxAge ? parseInt(maxAge.split('=')[1]) : null
+    };
+}
+
+/**
+ * Identity segment of the cache key
+ * A hash of the bearer token the query runs with: only the holder of that exact
+ * token can hit its entries, and unverified claims never take part. Without a
+ * token, the platform-set client principal (TRUST_CLIENT_PRINCIPAL) keys the
+ * entry; callers without either share the 'anonymous' scope
+ */
+function getCallerKey(req) {
+    const token = getBearerToken(req);
+    if (token) {
+        return `token:${crypto.createHash('sha256').update(token).digest('hex')}`;
+    }
+    const principal = process.env.TRUST_CLIENT_PRINCIPAL === 'true' ? getClientPrincipal(req) : null;
+    return principal?.userId ? `principal:${principal.userId}` : 'anonymous';
+}
+
+/**
+ * Query class used for the TTL: explicit classes win, windows that ended
+ * more than an hour ago are historical, everything else is ad hoc
+ */
+function classifyQuery({ queryClass, timeWindow }) {
+    if (queryClass) return queryClass;
+    if (timeWindow && new Date(timeWindow.endTime).getTime() < Date.now() - 60 * 60 * 1000) {
+        return 'historical';
+    }
+    return 'adhoc';
+}
+
+function buildKey({ query, workspaceId, timeWindow, caller, variant }) {
+    const material = JSON.stringify({
+        query: normalizeQuery(query),
+        variant: variant ?? null,
+        workspaceId: String(workspaceId || '').toLowerCase(),
+        startTime: timeWindow ? new Date(timeWindow.startTime).toISOString() : null,
+        endTime: timeWindow ? new Date(timeWindow.endTime).toISOString() : null,
+        caller
+    });
+    return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+function store(key, value, ttlSeconds) {
+    const serialized = JSON.stringify(value);
+    if (serialized.length > MAX_ENTRY_BYTES) {
+        return false;
+    }
+
+    const now = Date.now();
+    entries.delete(key);
+    entries.set(key, { value: serialized, storedAt: now, expiresAt: now + ttlSeconds * 1000 });
+
+    const maxEntries = getMaxEntries();
+    while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+    }
+    return true;
+}
+
+function lookup(key, maxAgeSeconds) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    const now = Date.now();
+    if (entry.expiresAt <= now) {
+        entries.delete(key);
+        return null;
+    }
+    if (maxAgeSeconds !== null && maxAgeSeconds !== undefined && now - entry.storedAt > maxAgeSeconds * 1000) {
+        return null;
+    }
+
+    // Refresh LRU position
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+}
+
+/**
+ * Return a cached result or run execute() and cache what it returns
+ *
+ * options: { query, workspaceId, timeWindow, caller, queryClass, cacheControl,
+ *            variant, isCacheable(value) }
+ * variant covers request options that change the result shape, e.g. row limits
+ * Returns { value, cache } where cache is the hit/miss metadata for the response
+ */
+async function cachedQuery(options, execute) {
+    const queryClass = classifyQuery(options);
+    const ttlSeconds = getTtlSeconds(queryClass);
+    const cacheControl = options.cacheControl || {};
+    const key = buildKey(options);
+    const isCacheable = options.isCacheable || (() => true);
+
+    if (ttlSeconds === 0 || cacheControl.noStore) {
+        return {
+            value: await execute(),
+            cache: { status: CACHE_STATUS.BYPASS, queryClass, ttlSeconds }
+        };
+    }
+
+    if (!cacheControl.noCache) {
+        const entry = lookup(key, cacheControl.maxAgeSeconds);
+        if (entry) {
+            return {
+                value: JSON.parse(entry.value),
+                cache: {
+                    status: CACHE_STATUS.HIT,
+                    key,
+                    queryClass,
+                    ttlSeconds,
+                    ageSeconds: Math.round((Date.now() - entry.storedAt) / 1000),
+                    cachedAt: new Date(entry.storedAt).toISOString(),
+                    expiresAt: new Date(entry.expiresAt).toISOString()
+                }
+            };
+        }
+
+        // Share an identical execution already in flight unless it ends up uncacheable
+        // (cancelled, failed), in which case this caller runs its own
+        if (inFlight.has(key)) {
+            const value = await inFlight.get(key).catch(() => undefined);
+            if (value !== undefined && isCacheable(value)) {
+                return {
+                    value,
+                    cache: { status: CACHE_STATUS.HIT, key, queryClass, ttlSeconds, ageSeconds: 0, coalesced: true }
+                };
+            }
+        }
+    }
+
+    const execution = execute();
+    inFlight.set(key, execution);
+
+    let value;
+    try {
+        value = await execution;
+    } finally {
+        if (inFlight.get(key) === execution) {
+            inFlight.delete(key);
+        }
+    }
+
+    const stored = isCacheable(value) && store(key, value, ttlSeconds);
+    return {
+        value,
+        cache: {
+            status: cacheControl.noCache ? CACHE_STATUS.BYPASS : CACHE_STATUS.MISS,
+            key,
+            queryClass,
+            ttlSeconds,
+            stored,
+            expiresAt: stored ? new Date(Date.now() + ttlSeconds * 1000).toISOString() : undefined
+        }
+    };
+}
+
+/**
+ * Response headers describing the cache outcome
+ */
+function cacheHeaders(cache) {
+    return {
+        'X-Cache': cache.status.toUpperCase(),
+        ...(cache.ageSeconds !== undefined ? { 'Age': String(cache.ageSeconds) } : {})
+    };
+}
+
+function clearCache() {
+    entries.clear();
+    inFlight.clear();
+}
+
+module.exports = {
+    CACHE_STATUS,
+    QUERY_CLASS_TTLS,
+    TIME_BUCKET_SECONDS,
+    normalizeQuery,
+    alignTimeWindow,
+    parseCacheControl,
+    getCallerKey,
+    cachedQuery,
+    cacheHeaders,
+    clearCache
+};
@@ -4,14 +4,20 @@
  * Handles x-ratelimit headers, token bucket algorithm, and request pacing
  */
 
+function parseCount(value) {
+    const count = parseInt(value);
+    return Number.isNaN(count) ? null : count;
+}
+
 /**
  * Rate limit information extracted from Azure OpenAI response headers
  */
 class RateLimitInfo {
     constructor(headers) {
         // Extract rate limit headers
-        this.remainingTokens = parseInt(headers['x-ratelimit-remaining-tokens']) || null;
-        this.remainingRequests = parseInt(headers['x-ratelimit-remaining-requests']) || null;
+        // 0 remaining is meaningful, so only a missing header means unknown
+        this.remainingTokens = parseCount(headers['x-ratelimit-remaining-tokens']);
+        this.remainingRequests = parseCount(headers['x-ratelimit-remaining-requests']);
         this.resetTokens = headers['x-ratelimit-reset-tokens'] || null;
         this.resetRequests = headers['x-ratelimit-reset-requests'] || null;
         
@@ -74,8 +80,11 @@ class TokenBucket {
         this.refillInterval = refillInterval;
         this.lastRefill = Date.now();
         
-        // Start refill timer
+        // Start refill timer (consume() refills too, so it must not keep the process alive)
         this.refillTimer = setInterval(() => this.refill(), refillInterval);
+        if (this.refillTimer.unref) {
+            this.refillTimer.unref();
+        }
     }
     
     refill() {
@@ -158,6 +167,8 @@ class AzureOpenAIRateLimiter {
         this.maxTokensPerMinute = options.maxTokensPerMinute || 90000;
         this.maxConcurrent = options.maxConcurrent || 3;
         this.enablePriorityQueue = options.enablePriorityQueue !== false;
+        // Disable when the caller retries 429s itself (e.g. with RetryStrategy)
+        this.retryOnRateLimit = options.retryOnRateLimit !== false;
         
         // Token buckets for request pacing
         this.requestBucket = new TokenBucket(
@@ -224,8 +235,13 @@ class AzureOpenAIRateLimiter {
         } catch (error) {
             this.stats.failedRequests++;
             
+            // Pace later requests on the limits reported with the failure
+            if (error.headers) {
+                this.lastRateLimitInfo = new RateLimitInfo(error.headers);
+            }
+            
             // Handle rate limit errors (429)
-            if (error.status === 429 || error.message?.includes('429')) {
+            if (this.retryOnRateLimit && (error.status === 429 || error.message?.includes('429'))) {
                 const retryAfter = this.extractRetryAfter(error);
                 const waitTime = retryAfter || this.calculateBackoffTime();
                 
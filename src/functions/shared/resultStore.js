@@ -0,0 +1,172 @@
+/**
+ * Query Result Storage
+ * Stores large query results as JSON chunks so they can be paged without
+ * holding the full result set in a function response
+ * Backends mirror entityStore.js: Azure Blob Storage (managed identity or
+ * connection string, including Azurite), local files and memory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const registry = require('./endpointRegistry');
+const { resolveBackend } = require('./entityStore');
+
+const RESULTS_CONTAINER = 'query-results';
+
+/**
+ * In-memory backend (tests and single-process fallback)
+ */
+class MemoryResultStore {
+    constructor() {
+        this.blobs = new Map();
+    }
+
+    async write(key, data) {
+        this.blobs.set(key, JSON.stringify(data));
+    }
+
+    async read(key) {
+        const content = this.blobs.get(key);
+        return content === undefined ? null : JSON.parse(content);
+    }
+
+    async deletePrefix(prefix) {
+        for (const key of Array.from(this.blobs.keys())) {
+            if (key.startsWith(prefix)) {
+                this.blobs.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * Local disk stand-in for Blob Storage under LOCAL_STORAGE_PATH/query-results
+ */
+class FileResultStore {
+    constructor(directory) {
+        this.root = path.join(directory, RESULTS_CONTAINER);
+    }
+
+    resolve(key) {
+        const resolved = path.resolve(this.root, key);
+        if (!resolved.startsWith(path.resolve(this.root) + path.sep)) {
+            throw new Error(`Invalid result key: ${key}`);
+        }
+        return resolved;
+    }
+
+    async write(key, data) {
+        const filePath = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, JSON.stringify(data));
+    }
+
+    async read(key) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.resolve(key), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async deletePrefix(prefix) {
+        await fs.promises.rm(this.resolve(prefix), { recursive: true, force: true });
+    }
+}
+
+/**
+ * Azure Blob Storage backend
+ * Uses managed identity against <account>.blob.<storage suffix> when
+ * STORAGE_ACCOUNT_NAME is set, otherwise a connection string (Azurite included)
+ */
+class BlobResultStore {
+    constructor(options = {}) {
+        const { BlobServiceClient } = require('@azure/storage-blob');
+
+        const serviceClient = options.accountName
+            ? new BlobServiceClient(
+                registry.getStorageEndpoint(options.accountName, 'blob'),
+                require('./azureAuth').getAzureCredential()
+            )
+            : BlobServiceClient.fromConnectionString(options.connectionString);
+
+        this.container = serviceClient.getContainerClient(RESULTS_CONTAINER);
+        this.ready = null;
+    }
+
+    async ensureContainer() {
+        if (!this.ready) {
+            this.ready = this.container.createIfNotExists().catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    async write(key, data) {
+        await this.ensureContainer();
+        const content = JSON.stringify(data);
+        await this.container.getBlockBlobClient(key).upload(content, Buffer.byteLength(content), {
+            blobHTTPHeaders: { blobContentType: 'application/json' }
+        });
+    }
+
+    async read(key) {
+        await this.ensureContainer();
+        try {
+            const buffer = await this.container.getBlockBlobClient(key).downloadToBuffer();
+            return JSON.parse(buffer.toString('utf8'));
+        } catch (error) {
+            if (error.statusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    async deletePrefix(prefix) {
+        await this.ensureContainer();
+        for await (const blob of this.container.listBlobsFlat({ prefix })) {
+            await this.container.deleteBlob(blob.name);
+        }
+    }
+}
+
+let store = null;
+
+/**
+ * Get the result store for the configured storage backend
+ */
+function getResultStore() {
+    if (store) {
+        return store;
+    }
+
+    const backend = resolveBackend();
+
+    switch (backend) {
+        case 'table':
+            store = new BlobResultStore({
+                accountName: process.env.STORAGE_ACCOUNT_NAME,
+                connectionString: process.env.STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage
+            });
+            break;
+        case 'file':
+            store = new FileResultStore(process.env.LOCAL_STORAGE_PATH || path.join(process.cwd(), '.local-data'));
+            break;
+        case 'memory':
+            store = new MemoryResultStore();
+            break;
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND '${backend}'. Use table, file or memory.`);
+    }
+
+    return store;
+}
+
+module.exports = {
+    MemoryResultStore,
+    FileResultStore,
+    BlobResultStore,
+    getResultStore
+};
@@ -0,0 +1,413 @@
+/**
+ * Saved Query Library
+ * Stores KQL queries per team (tenant) with private/team visibility, tags and
+ * an immutable version history that can be diffed
+ * The team and owner come from the verified identity
+ * (clientPrincipal.getVerifiedIdentity); unverified callers see no queries
+ * Built on the shared entity store so it works with Table Storage, Azurite or local files
+ */
+
+const crypto = require('crypto');
+const { getEntityStore, StoreError } = require('./entityStore');
+
+const QUERIES_TABLE = 'SavedQueries';
+const VERSIONS_TABLE = 'SavedQueryVersions';
+
+const VISIBILITY = ['private', 'team'];
+const MAX_QUERY_LENGTH = 30000; // Table Storage string properties are limited to 64KB (UTF-16)
+const MAX_TAGS = 20;
+// Larger versions are reported as too large to diff; the LCS table is lines x lines
+const MAX_DIFF_LINES = 2000;
+
+// Fields that produce a new version when changed
+const VERSIONED_FIELDS = ['name', 'description', 'query', 'workspaceId', 'timeRange'];
+
+const invalid = (message) => new StoreError(message, 'INVALID_INPUT', 400);
+const forbidden = (message) => new StoreError(message, 'FORBIDDEN', 403);
+
+// null when the caller's team is not known for certain
+function teamPartition(identity) {
+    return identity.verified === true && identity.tenantId ? `team_${identity.tenantId}` : null;
+}
+
+const notFound = (id) => new StoreError(`Saved query ${id} not found`, 'NOT_FOUND', 404);
+
+function versionKey(version) {
+    return String(version).padStart(6, '0');
+}
+
+function normalizeTags(tags) {
+    if (!tags) return [];
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+
+    return Array.from(new Set(
+        list.map(tag => String(tag).trim().toLowerCase())
+            .filter(tag => tag && tag.length <= 40)
+    )).slice(0, MAX_TAGS);
+}
+
+/**
+ * Validate caller-supplied fields; `partial` allows omitted fields on update
+ */
+function validateQueryInput(input, partial = false) {
+    const fields = {};
+
+    if (!partial || input.name !== undefined) {
+        if (!input.name || typeof input.name !== 'string' || !input.name.trim()) {
+            throw invalid('name is required');
+        }
+        fields.name = input.name.trim().substring(0, 200);
+    }
+
+    if (!partial || input.query !== undefined) {
+        if (!input.query || typeof input.query !== 'string' || !input.query.trim()) {
+            throw invalid('query is required');
+        }
+        if (input.query.length > MAX_QUERY_LENGTH) {
+            throw invalid(`query exceeds ${MAX_QUERY_LENGTH} characters`);
+        }
+        fields.query = input.query;
+    }
+
+    if (input.description !== undefined) {
+        fields.description = String(input.description || '').substring(0, 2000);
+    }
+    if (input.workspaceId !== undefined) {
+        fields.workspaceId = input.workspaceId || '';
+    }
+    if (input.timeRange !== undefined) {
+        fields.timeRange = input.timeRange || '';
+    }
+    if (input.tags !== undefined) {
+        fields.tags = normalizeTags(input.tags);
+    }
+    if (input.visibility !== undefined) {
+        if (!VISIBILITY.includes(input.visibility)) {
+            throw invalid(`visibility must be one of: ${VISIBILITY.join(', ')}`);
+        }
+        fields.visibility = input.visibility;
+    }
+
+    return fields;
+}
+
+function toSavedQuery(entity) {
+    return {
+        id: entity.rowKey,
+        name: entity.name,
+        description: entity.description || '',
+        query: entity.query,
+        workspaceId: entity.workspaceId || '',
+        timeRange: entity.timeRange || '',
+        tags: JSON.parse(entity.tags || '[]'),
+        visibility: entity.visibility,
+        ownerId: entity.ownerId,
+        ownerName: entity.ownerName,
+        version: entity.version,
+        createdAt: entity.createdAt,
+        updatedAt: entity.updatedAt,
+        updatedBy: entity.updatedBy,
+        etag: entity.etag
+    };
+}
+
+function toEntity(identity, query) {
+    return {
+        partitionKey: teamPartition(identity),
+        rowKey: query.id,
+        name: query.name,
+        description: query.description || '',
+        query: query.query,
+        workspaceId: query.workspaceId || '',
+        timeRange: query.timeRange || '',
+        tags: JSON.stringify(query.tags || []),
+        visibility: query.visibility,
+        ownerId: query.ownerId,
+        ownerName: query.ownerName,
+        version: query.version,
+        createdAt: query.createdAt,
+        updatedAt: query.updatedAt,
+        updatedBy: query.updatedBy
+    };
+}
+
+function canRead(identity, query) {
+    return query.visibility === 'team' || query.ownerId === identity.userId;
+}
+
+function assertOwner(identity, query) {
+    if (query.ownerId !== identity.userId) {
+        throw forbidden('Only the owner can modify this saved query');
+    }
+}
+
+async function writeVersion(query, changeNote) {
+    await getEntityStore(VERSIONS_TABLE).upsert({
+        partitionKey: query.id,
+        rowKey: versionKey(query.version),
+        version: query.version,
+        name: query.name,
+        description: query.description || '',
+        query: query.query,
+        workspaceId: query.workspaceId || '',
+        timeRange: query.timeRange || '',
+        author: query.updatedBy,
+        changeNote: changeNote || '',
+        createdAt: query.updatedAt
+    });
+}
+
+/**
+ * List queries visible to the caller
+ * filters: search (name/description/query text), tag, workspaceId, scope (mine|team|all)
+ */
+async function listQueries(identity, filters = {}) {
+    const partitionKey = teamPartition(identity);
+    if (!partitionKey) {
+        return [];
+    }
+
+    const entities = await getEntityStore(QUERIES_TABLE).list(partitionKey);
+    const search = filters.search ? String(filters.search).toLowerCase() : null;
+    const tag = filters.tag ? String(filters.tag).toLowerCase() : null;
+
+    return entities
+        .map(toSavedQuery)
+        .filter(query => canRead(identity, query))
+        .filter(query => filters.scope !== 'mine' || query.ownerId === identity.userId)
+        .filter(query => filters.scope !== 'team' || query.visibility === 'team')
+        .filter(query => !tag || query.tags.includes(tag))
+        .filter(query => !filters.workspaceId || query.workspaceId === filters.workspaceId)
+        .filter(query => !search ||
+            query.name.toLowerCase().includes(search) ||
+            query.description.toLowerCase().includes(search) ||
+            query.query.toLowerCase().includes(search))
+        .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+async function getQuery(identity, id) {
+    const partitionKey = teamPartition(identity);
+    const entity = partitionKey && await getEntityStore(QUERIES_TABLE).get(partitionKey, id);
+
+    if (!entity || !canRead(identity, toSavedQuery(entity))) {
+        throw notFound(id);
+    }
+
+    return toSavedQuery(entity);
+}
+
+async function createQuery(identity, input) {
+    if (!teamPartition(identity)) {
+        throw forbidden('Saving queries needs a verified identity with a tenant');
+    }
+    const fields = validateQueryInput(input);
+    const now = new Date().toISOString();
+
+    const query = {
+        description: '',
+        workspaceId: '',
+        timeRange: '',
+        tags: [],
+        visibility: 'private',
+        ...fields,
+        id: input.id || crypto.randomUUID(),
+        ownerId: identity.userId,
+        ownerName: identity.userName,
+        version: 1,
+        createdAt: input.createdAt || now,
+        updatedAt: now,
+        updatedBy: identity.userName
+    };
+
+    const saved = await getEntityStore(QUERIES_TABLE).create(toEntity(identity, query));
+    await writeVersion(query, input.changeNote || 'Created');
+
+    return toSavedQuery(saved);
+}
+
+/**
+ * Update a query; a new version is recorded when versioned fields change
+ * options.etag enables optimistic concurrency (412 when stale)
+ */
+async function updateQuery(identity, id, changes, options = {}) {
+    const current = await getQuery(identity, id);
+    assertOwner(identity, current);
+
+    if (options.etag && options.etag !== current.etag) {
+        throw new StoreError('Saved query was modified by another session', 'PRECONDITION_FAILED', 412);
+    }
+
+    const fields = validateQueryInput(changes, true);
+    const contentChanged = VERSIONED_FIELDS.some(field =>
+        fields[field] !== undefined && fields[field] !== current[field]
+    );
+
+    const updated = {
+        ...current,
+        ...fields,
+        version: contentChanged ? current.version + 1 : current.version,
+        updatedAt: new Date().toISOString(),
+        updatedBy: identity.userName
+    };
+
+    const saved = await getEntityStore(QUERIES_TABLE).update(toEntity(identity, updated), { etag: current.etag });
+
+    if (contentChanged) {
+        await writeVersion(updated, options.changeNote);
+    }
+
+    return toSavedQuery(saved);
+}
+
+async function deleteQuery(identity, id, options = {}) {
+    const current = await getQuery(identity, id);
+    assertOwner(identity, current);
+
+    await getEntityStore(QUERIES_TABLE).delete(teamPartition(identity), id, { etag: options.etag || current.etag });
+
+    const versionStore = getEntityStore(VERSIONS_TABLE);
+    for (const version of await versionStore.list(id)) {
+        await versionStore.delete(id, version.rowKey);
+    }
+}
+
+/**
+ * Replace the tag set, or add/remove individual tags
+ */
+async function setTags(identity, id, { tags, add, remove } = {}) {
+    const current = await getQuery(identity, id);
+    let next = tags !== undefined ? normalizeTags(tags) : current.tags;
+
+    next = normalizeTags([...next, ...normalizeTags(add)]);
+    const removals = normalizeTags(remove);
+    next = next.filter(tag => !removals.includes(tag));
+
+    return updateQuery(identity, id, { tags: next });
+}
+
+async function shareQuery(identity, id, visibility) {
+    return updateQuery(identity, id, { visibility });
+}
+
+async function listVersions(identity, id) {
+    await getQuery(identity, id);
+    const versions = await getEntityStore(VERSIONS_TABLE).list(id);
+
+    return versions
+        .map(version => ({
+            version: version.version,
+            name: version.name,
+            author: version.author,
+            changeNote: version.changeNote,
+            createdAt: version.createdAt
+        }))
+        .sort((a, b) => b.version - a.version);
+}
+
+async function getVersion(identity, id, version) {
+    await getQuery(identity, id);
+    const entity = await getEntityStore(VERSIONS_TABLE).get(id, versionKey(version));
+
+    if (!entity) {
+        throw new StoreError(`Version ${version} of saved query ${id} not found`, 'NOT_FOUND', 404);
+    }
+
+    const { partitionKey, rowKey, etag, timestamp, ...fields } = entity;
+    return fields;
+}
+
+/**
+ * Line-based diff using the longest common subsequence
+ * Returns null when either side has more than MAX_DIFF_LINES lines
+ */
+function diffLines(before, after) {
+    const a = (before || '').split('\n');
+    const b = (after || '').split('\n');
+    if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+        return null;
+    }
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            lines.push({ type: 'equal', text: a[i] });
+            i++; j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            lines.push({ type: 'removed', text: a[i++] });
+        } else {
+            lines.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+    return lines;
+}
+
+function diffFields(before, after) {
+    return VERSIONED_FIELDS
+        .filter(field => field !== 'query' && (before[field] || '') !== (after[field] || ''))
+        .map(field => ({ field, from: before[field] || '', to: after[field] || '' }));
+}
+
+/**
+ * Diff two versions of a query (defaults: previous version vs latest)
+ */
+async function diffVersions(identity, id, fromVersion, toVersion) {
+    const current = await getQuery(identity, id);
+    const to = parseInt(toVersion) || current.version;
+    const from = parseInt(fromVersion) || Math.max(1, to - 1);
+
+    const [before, after] = await Promise.all([
+        getVersion(identity, id, from),
+        getVersion(identity, id, to)
+    ]);
+
+    const lines = diffLines(before.query, after.query);
+    if (!lines) {
+        return {
+            id,
+            from,
+            to,
+            tooLarge: true,
+            message: `Versions longer than ${MAX_DIFF_LINES} lines are too large to diff`,
+            fieldChanges: diffFields(before, after)
+        };
+    }
+    return {
+        id,
+        from,
+        to,
+        fieldChanges: diffFields(before, after),
+        lines,
+        stats: {
+            added: lines.filter(line => line.type === 'added').length,
+            removed: lines.filter(line => line.type === 'removed').length
+        }
+    };
+}
+
+module.exports = {
+    VISIBILITY,
+    normalizeTags,
+    listQueries,
+    getQuery,
+    createQuery,
+    updateQuery,
+    deleteQuery,
+    setTags,
+    shareQuery,
+    listVersions,
+    getVersion,
+    diffVersions,
+    diffLines
+};
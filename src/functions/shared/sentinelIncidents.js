@@ -0,0 +1,398 @@
+/**
+ * Sentinel Incidents
+ * Incident management for Microsoft Sentinel through the Microsoft.SecurityInsights
+ * resource provider on the cloud's management endpoint, for workspaces where
+ * the Graph security API is not available
+ *
+ * Updates are read-modify-write against the incident's ETag and retried when
+ * someone else changed the incident in between. Changes, comments and relation
+ * edits go into the same audit trail as the Defender triage actions
+ * (provider "sentinel")
+ */
+
+const crypto = require('crypto');
+const { StoreError } = require('./entityStore');
+const { recordAudit, audited } = require('./incidentTriage');
+
+const SEVERITIES = ['High', 'Medium', 'Low', 'Informational'];
+const STATUSES = ['New', 'Active', 'Closed'];
+
+// Classification reasons ARM accepts for each closing classification
+const REASONS_BY_CLASSIFICATION = {
+    Undetermined: [],
+    TruePositive: ['SuspiciousActivity'],
+    BenignPositive: ['SuspiciousButExpected'],
+    FalsePositive: ['IncorrectAlertLogic', 'InaccurateData']
+};
+const CLASSIFICATIONS = Object.keys(REASONS_BY_CLASSIFICATION);
+
+// Incident properties sent back on update; the rest are read-only
+const WRITABLE_PROPERTIES = [
+    'title', 'description', 'severity', 'status', 'owner', 'labels',
+    'classification', 'classificationReason', 'classificationComment',
+    'firstActivityTimeUtc', 'lastActivityTimeUtc'
+];
+
+// Audited fields in the order they are reported
+const AUDIT_FIELDS = ['status', 'severity', 'owner', 'classification', 'classificationReason', 'classificationComment', 'labels', 'title', 'description'];
+
+const MAX_UPDATE_ATTEMPTS = 3;
+const MAX_COMMENT_LENGTH = 30000;
+const DEFAULT_TOP = 50;
+const MAX_TOP = 1000;
+
+const invalid = (message) => new StoreError(message, 'INVALID_INPUT', 400);
+
+const GUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Workspace from { workspaceResourceId } or { subscriptionId, resourceGroup, workspaceName }
+ */
+function resolveWorkspace({ workspaceResourceId, subscriptionId, resourceGroup, workspaceName } = {}) {
+    if (workspaceResourceId) {
+        const match = String(workspaceResourceId).match(/\/subscriptions\/([^/]+)\/resourceGroups\/([^/]+)\/providers\/Microsoft\.OperationalInsights\/workspaces\/([^/]+)/i);
+        if (!match) {
+            throw invalid(`Not a Log Analytics workspace resource ID: ${workspaceResourceId}`);
+        }
+        return { subscriptionId: match[1], resourceGroup: match[2], workspaceName: match[3] };
+    }
+    if (!subscriptionId || !resourceGroup || !workspaceName) {
+        throw invalid('workspaceResourceId or subscriptionId, resourceGroup and workspaceName are required');
+    }
+    return { subscriptionId, resourceGroup, workspaceName };
+}
+
+function incidentsUrl(client, workspace, path = '') {
+    const { subscriptionId, resourceGroup, workspaceName } = workspace;
+    return `${client.managementEndpoint}/subscriptions/${subscriptionId}/resourceGroups/${resourceGroup}` +
+        `/providers/Microsoft.OperationalInsights/workspaces/${workspaceName}` +
+        `/providers/Microsoft.SecurityInsights/incidents${path}`;
+}
+
+function withApiVersion(client, url, query = {}) {
+    const params = new URLSearchParams({ 'api-version': client.apiVersion.securityInsights });
+    for (const [name, value] of Object.entries(query)) {
+        if (value !== undefined && value !== null && value !== '') params.append(name, value);
+    }
+    return `${url}?${params.toString()}`;
+}
+
+function incidentUrl(client, workspace, incidentId, path = '', query) {
+    return withApiVersion(client, incidentsUrl(client, workspace, `/${encodeURIComponent(incidentId)}${path}`), query);
+}
+
+function normalizeEnum(value, allowed, field) {
+    const match = allowed.find(option => option.toLowerCase() === String(value).toLowerCase());
+    if (!match) {
+        throw invalid(`${field} must be one of: ${allowed.join(', ')}`);
+    }
+    return match;
+}
+
+/**
+ * Owner from an object ID, a UPN or email address, or an owner object; null or '' unassigns
+ */
+function normalizeOwner(owner) {
+    if (owner === null || owner === '') {
+        return { objectId: null, email: null, assignedTo: null, userPrincipalName: null };
+    }
+    if (typeof owner === 'object') {
+        const { objectId, email, assignedTo, userPrincipalName } = owner;
+        if (!objectId && !userPrincipalName && !email) {
+            throw invalid('owner needs an objectId, userPrincipalName or email');
+        }
+        return { objectId: objectId || null, email: email || null, assignedTo: assignedTo || null, userPrincipalName: userPrincipalName || null };
+    }
+
+    const value = String(owner).trim();
+    if (GUID.test(value)) {
+        return { objectId: value };
+    }
+    if (value.includes('@')) {
+        return { userPrincipalName: value, email: value, assignedTo: value };
+    }
+    throw invalid('owner must be an object ID, a user principal name or an owner object');
+}
+
+function normalizeLabels(labels) {
+    const list = Array.isArray(labels) ? labels : String(labels || '').split(',');
+    const seen = new Set();
+    return list
+        .map(label => (typeof label === 'object' && label !== null ? label.labelName : String(label)).trim())
+        .filter(label => {
+            const key = label.toLowerCase();
+            if (!label || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .map(labelName => ({ labelName, labelType: 'User' }));
+}
+
+/**
+ * Apply caller changes to the incident's properties
+ * changes: { status, severity, owner, classification, classificationReason,
+ *            classificationComment, labels, title, description }
+ * Closing needs a classification; a single possible reason is filled in
+ */
+function applyChanges(properties, changes) {
+    if (!AUDIT_FIELDS.some(field => changes[field] !== undefined)) {
+        throw invalid(`At least one of ${AUDIT_FIELDS.join(', ')} is required`);
+    }
+
+    const next = {};
+    for (const name of WRITABLE_PROPERTIES) {
+        if (properties[name] !== undefined) next[name] = properties[name];
+    }
+
+    if (changes.status !== undefined) next.status = normalizeEnum(changes.status, STATUSES, 'status');
+    if (changes.severity !== undefined) next.severity = normalizeEnum(changes.severity, SEVERITIES, 'severity');
+    if (changes.owner !== undefined) next.owner = normalizeOwner(changes.owner);
+    if (changes.labels !== undefined) next.labels = normalizeLabels(changes.labels);
+    if (changes.title !== undefined) {
+        if (!String(changes.title).trim()) throw invalid('title cannot be empty');
+        next.title = String(changes.title).trim();
+    }
+    if (changes.description !== undefined) next.description = String(changes.description || '');
+    if (changes.classificationComment !== undefined) next.classificationComment = String(changes.classificationComment || '');
+    if (changes.classification !== undefined) {
+        next.classification = normalizeEnum(changes.classification, CLASSIFICATIONS, 'classification');
+        next.classificationReason = undefined;
+    }
+    if (changes.classificationReason !== undefined) {
+        const allReasons = Object.values(REASONS_BY_CLASSIFICATION).flat();
+        next.classificationReason = normalizeEnum(changes.classificationReason, allReasons, 'classificationReason');
+    }
+
+    if (next.status === 'Closed') {
+        if (!next.classification) {
+            throw invalid(`Closing an incident requires a classification: ${CLASSIFICATIONS.join(', ')}`);
+        }
+        const reasons = REASONS_BY_CLASSIFICATION[next.classification];
+        if (!next.classificationReason && reasons.length === 1) {
+            next.classificationReason = reasons[0];
+        }
+        if (reasons.length && !reasons.includes(next.classificationReason)) {
+            throw invalid(`classification ${next.classification} needs classificationReason ${reasons.join(' or ')}`);
+        }
+        if (!reasons.length) {
+            delete next.classificationReason;
+        }
+    } else if (changes.classification !== undefined || changes.classificationReason !== undefined) {
+        throw invalid('classification and classificationReason can only be set when the incident is Closed');
+    }
+
+    return next;
+}
+
+function auditChanges(before, after) {
+    return AUDIT_FIELDS
+        .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+        .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+}
+
+/**
+ * ARM incident -> the field names the incident views use (see m365-defender-graph transformIncidents)
+ */
+function transformIncident(incident) {
+    const properties = incident.properties || {};
+    const additional = properties.additionalData || {};
+
+    return {
+        id: incident.name,
+        resourceId: incident.id,
+        etag: incident.etag,
+        incidentNumber: properties.incidentNumber,
+        title: properties.title || 'Untitled Incident',
+        description: properties.description || '',
+        severity: (properties.severity || 'Medium').toLowerCase(),
+        status: (properties.status || 'New').toLowerCase(),
+        classification: properties.classification || '',
+        classificationReason: properties.classificationReason || '',
+        classificationComment: properties.classificationComment || '',
+        owner: properties.owner?.userPrincipalName || properties.owner?.assignedTo || properties.owner?.email || '',
+        ownerObjectId: properties.owner?.objectId || '',
+        labels: (properties.labels || []).map(label => label.labelName),
+        createdTime: properties.createdTimeUtc,
+        lastModifiedTime: properties.lastModifiedTimeUtc,
+        firstActivityTime: properties.firstActivityTimeUtc,
+        lastActivityTime: properties.lastActivityTimeUtc,
+        alerts: additional.alertsCount || 0,
+        comments: additional.commentsCount || 0,
+        tactics: additional.tactics || [],
+        techniques: additional.techniques || [],
+        productNames: additional.alertProductNames || [],
+        providerName: properties.providerName,
+        incidentUrl: properties.incidentUrl,
+        relatedAnalyticRuleIds: properties.relatedAnalyticRuleIds || []
+    };
+}
+
+/**
+ * Incidents of a workspace
+ * options: { filter, orderby (default newest first), top }
+ */
+async function listIncidents(client, workspace, options = {}) {
+    const top = Math.min(parseInt(options.top) || DEFAULT_TOP, MAX_TOP);
+    const url = withApiVersion(client, incidentsUrl(client, workspace), {
+        $filter: options.filter,
+        $orderby: options.orderby || 'properties/createdTimeUtc desc',
+        $top: Math.min(top, DEFAULT_TOP)
+    });
+
+    const incidents = await client.getAllPages(url, { maxItems: top, throwOnError: true });
+    return incidents.map(transformIncident);
+}
+
+async function getIncident(client, workspace, incidentId) {
+    return transformIncident(await client.makeRequest(incidentUrl(client, workspace, incidentId)));
+}
+
+/**
+ * Change an incident; owner assignment and closing with a classification are updates too
+ * Returns the incident as ARM reports it after the change
+ */
+async function updateIncident(client, identity, workspace, incidentId, changes, options = {}) {
+    const log = options.log || console.log;
+    let before;
+    let after;
+
+    for (let attempt = 1; ; attempt++) {
+        const current = await client.makeRequest(incidentUrl(client, workspace, incidentId));
+        before = current.properties || {};
+        after = applyChanges(before, changes);
+
+        try {
+            const updated = await client.makeRequest(incidentUrl(client, workspace, incidentId), {
+                method: 'PUT',
+                body: { etag: current.etag, properties: after }
+            });
+
+            await recordAudit(identity, { incidentId, provider: 'sentinel', action: 'update', changes: auditChanges(before, after), outcome: 'success' })
+                .catch(error => log(`[Sentinel] Could not audit update of incident ${incidentId}: ${error.message}`));
+            return transformIncident(updated);
+        } catch (error) {
+            // 412: the incident changed since it was read
+            if (error.statusCode === 412 && attempt < MAX_UPDATE_ATTEMPTS) {
+                log(`[Sentinel] Incident ${incidentId} changed during update, retrying (${attempt}/${MAX_UPDATE_ATTEMPTS})`);
+                continue;
+            }
+            await recordAudit(identity, {
+                incidentId,
+                provider: 'sentinel',
+                action: 'update',
+                changes: auditChanges(before, after),
+                outcome: 'failed',
+                error: error.message
+            }).catch(auditError => log(`[Sentinel] Could not audit failed update of incident ${incidentId}: ${auditError.message}`));
+            throw error;
+        }
+    }
+}
+
+async function listComments(client, workspace, incidentId) {
+    const comments = await client.getAllPages(incidentUrl(client, workspace, incidentId, '/comments'), { throwOnError: true });
+    return comments
+        .map(comment => ({
+            id: comment.name,
+            message: comment.properties?.message,
+            author: comment.properties?.author?.userPrincipalName || comment.properties?.author?.name || '',
+            createdTime: comment.properties?.createdTimeUtc
+        }))
+        .sort((a, b) => String(a.createdTime).localeCompare(String(b.createdTime)));
+}
+
+async function addComment(client, identity, workspace, incidentId, message, options = {}) {
+    const text = typeof message === 'string' ? message.trim() : '';
+    if (!text) {
+        throw invalid('message is required');
+    }
+    if (text.length > MAX_COMMENT_LENGTH) {
+        throw invalid(`message exceeds ${MAX_COMMENT_LENGTH} characters`);
+    }
+
+    const entry = { incidentId, provider: 'sentinel', action: 'comment', comment: text };
+    return audited(identity, entry, options.log || console.log, async () => {
+        const comment = await client.makeRequest(incidentUrl(client, workspace, incidentId, `/comments/${crypto.randomUUID()}`), {
+            method: 'PUT',
+            body: { properties: { message: text } }
+        });
+        return {
+            id: comment.name,
+            message: comment.properties?.message,
+            author: comment.properties?.author?.userPrincipalName || comment.properties?.author?.name || '',
+            createdTime: comment.properties?.createdTimeUtc
+        };
+    });
+}
+
+/**
+ * Resources linked to the incident (bookmarks, alerts, entities, other incidents)
+ */
+async function listRelations(client, workspace, incidentId) {
+    const relations = await client.getAllPages(incidentUrl(client, workspace, incidentId, '/relations'), { throwOnError: true });
+    return relations.map(relation => ({
+        name: relation.name,
+        relatedResourceId: relation.properties?.relatedResourceId,
+        relatedResourceName: relation.properties?.relatedResourceName,
+        relatedResourceType: relation.properties?.relatedResourceType,
+        relatedResourceKind: relation.properties?.relatedResourceKind
+    }));
+}
+
+async function addRelation(client, identity, workspace, incidentId, relatedResourceId, options = {}) {
+    if (!relatedResourceId || typeof relatedResourceId !== 'string') {
+        throw invalid('relatedResourceId is required');
+    }
+
+    const relationName = crypto.randomUUID();
+    const entry = {
+        incidentId,
+        provider: 'sentinel',
+        action: 'relation-add',
+        changes: [{ field: 'relations', from: null, to: relatedResourceId }]
+    };
+    return audited(identity, entry, options.log || console.log, async () => {
+        const relation = await client.makeRequest(incidentUrl(client, workspace, incidentId, `/relations/${relationName}`), {
+            method: 'PUT',
+            body: { properties: { relatedResourceId } }
+        });
+        return {
+            name: relation.name || relationName,
+            relatedResourceId: relation.properties?.relatedResourceId || relatedResourceId,
+            relatedResourceName: relation.properties?.relatedResourceName,
+            relatedResourceType: relation.properties?.relatedResourceType,
+            relatedResourceKind: relation.properties?.relatedResourceKind
+        };
+    });
+}
+
+async function removeRelation(client, identity, workspace, incidentId, relationName, options = {}) {
+    const entry = {
+        incidentId,
+        provider: 'sentinel',
+        action: 'relation-remove',
+        changes: [{ field: 'relations', from: relationName, to: null }]
+    };
+    return audited(identity, entry, options.log || console.log, async () => {
+        await client.makeRequest(incidentUrl(client, workspace, incidentId, `/relations/${encodeURIComponent(relationName)}`), { method: 'DELETE' });
+        return { name: relationName, removed: true };
+    });
+}
+
+module.exports = {
+    SEVERITIES,
+    STATUSES,
+    CLASSIFICATIONS,
+    REASONS_BY_CLASSIFICATION,
+    resolveWorkspace,
+    applyChanges,
+    transformIncident,
+    listIncidents,
+    getIncident,
+    updateIncident,
+    listComments,
+    addComment,
+    listRelations,
+    addRelation,
+    removeRelation
+};
@@ -0,0 +1,351 @@
+/**
+ * Structured Output
+ * Analyses returned as JSON that follows a schema instead of free text that
+ * has to be scraped. Deployments with structured output support get the
+ * schema as a strict json_schema response format; the rest get JSON mode
+ * with the schema spelled out in the prompt
+ *
+ * Structured answers are parsed as a whole, so they are never streamed.
+ * Every response is validated on receipt. A response that is not JSON or
+ * breaks the schema is sent back to the model with the list of violations
+ * and a request to correct it, up to maxRepairs times
+ *
+ * The validator covers the JSON Schema subset that strict structured output
+ * accepts: type, enum, properties, required, additionalProperties: false and
+ * items. It also checks minimum and maximum, which strict mode rejects, so the
+ * schemas here state ranges in descriptions and callers clamp
+ */
+
+const { AzureOpenAIError } = require('./errorHandler');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'informational'];
+const RECOMMENDATION_PRIORITIES = ['immediate', 'short-term', 'long-term'];
+const IOC_TYPES = ['ip', 'domain', 'url', 'file-hash', 'file-name', 'email', 'account', 'host', 'process', 'registry', 'other'];
+
+const DEFAULT_MAX_REPAIRS = 2;
+// Violations listed in a repair request; the rest are summarized
+const MAX_REPORTED_ERRORS = 20;
+
+// Security analysis of an incident or a data set (strict structured-output compatible)
+const SECURITY_ANALYSIS_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['summary', 'severity', 'findings', 'recommendations', 'iocs', 'mitre'],
+    properties: {
+        summary: { type: 'string', description: 'Executive summary in 2-3 sentences' },
+        severity: { type: 'string', enum: SEVERITIES, description: 'Overall severity' },
+        findings: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['title', 'description', 'severity', 'evidence', 'confidence'],
+                properties: {
+                    title: { type: 'string', description: 'Short name of the finding' },
+                    description: { type: 'string', description: 'What was observed and why it matters' },
+                    severity: { type: 'string', enum: SEVERITIES },
+                    evidence: { type: 'array', items: { type: 'string' }, description: 'Alerts, events or data points that support the finding' },
+                    confidence: { type: 'number', description: 'Confidence between 0 and 1' }
+                }
+            }
+        },
+        recommendations: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['action', 'priority', 'rationale'],
+                properties: {
+                    action: { type: 'string', description: 'What to do' },
+                    priority: { type: 'string', enum: RECOMMENDATION_PRIORITIES },
+                    rationale: { type: 'string', description: 'Why it matters' }
+                }
+            }
+        },
+        iocs: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['type', 'value', 'context'],
+                properties: {
+                    type: { type: 'string', enum: IOC_TYPES },
+                    value: { type: 'string' },
+                    context: { type: 'string', description: 'Where the indicator was seen' }
+                }
+            }
+        },
+        mitre: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['tactic', 'techniqueId', 'technique'],
+                properties: {
+                    tactic: { type: 'string', description: 'ATT&CK tactic, e.g. Initial Access' },
+                    techniqueId: { type: 'string', description: 'ATT&CK technique ID, e.g. T1566 or T1566.001' },
+                    technique: { type: 'string', description: 'ATT&CK technique name' }
+                }
+            }
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check a value against a schema
+ * Returns a list of violations as "$.path: problem"; empty when valid
+ */
+function validateSchema(value, schema, path = '$') {
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (!(name in value)) {
+                errors.push(`${path}.${name}: is required`);
+            }
+        }
+        for (const [name, property] of Object.entries(value)) {
+            if (properties[name]) {
+                errors.push(...validateSchema(property, properties[name], `${path}.${name}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${name}: is not allowed`);
+            }
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+
+    return errors;
+}
+
+// Model output sometimes wraps JSON in a code fence
+function parseJsonContent(content) {
+    const trimmed = String(content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, '').trim();
+    return JSON.parse(trimmed);
+}
+
+/**
+ * Append the schema to the last message, for JSON mode without a schema
+ */
+function withSchemaPrompt(messages, schema) {
+    const last = messages[messages.length - 1];
+    return [
+        ...messages.slice(0, -1),
+        { ...last, content: `${last.content}\n\nRespond only with JSON matching this schema:\n${JSON.stringify(schema)}` }
+    ];
+}
+
+// A 400 that names the response format means the deployment does not take json_schema
+function isResponseFormatRejection(error) {
+    return (error.statusCode === 400 || /\b400\b/.test(error.message)) && /response_format|json_schema/i.test(error.message);
+}
+
+function addUsage(total, usage) {
+    if (!usage) return total;
+    return {
+        prompt_tokens: (total.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+        completion_tokens: (total.completion_tokens || 0) + (usage.completion_tokens || 0),
+        total_tokens: (total.total_tokens || 0) + (usage.total_tokens || 0)
+    };
+}
+
+/**
+ * Parse and validate one response; returns { data, errors }
+ */
+function checkResponse(response, schema) {
+    if (response.finishReason === 'length') {
+        return { data: null, errors: ['$: the response was cut off at the token limit; return a shorter JSON object'] };
+    }
+
+    let data;
+    try {
+        data = parseJsonContent(response.content);
+    } catch (error) {
+        return { data: null, errors: [`$: not valid JSON (${error.message})`] };
+    }
+    return { data, errors: validateSchema(data, schema) };
+}
+
+function repairMessage(errors) {
+    const listed = errors.slice(0, MAX_REPORTED_ERRORS).map(error => `- ${error}`);
+    if (errors.length > MAX_REPORTED_ERRORS) {
+        listed.push(`- ...and ${errors.length - MAX_REPORTED_ERRORS} more`);
+    }
+    return `Your response does not match the required JSON schema:\n${listed.join('\n')}\n\nReturn the corrected JSON object only.`;
+}
+
+/**
+ * Chat completion whose answer must follow a schema
+ *
+ * body is the chat request body without response_format. options:
+ *   name        schema name sent with json_schema (letters, digits, _ and -)
+ *   schema      JSON schema the answer must follow
+ *   profile     deployment profile (supportsStructuredOutput, supportsJsonMode)
+ *   maxRepairs  correction round trips after an invalid answer (default 2)
+ *   label, timeoutMs, signal   passed to client.chat
+ *   log
+ *
+ * Returns { data, content, usage, model, attempts, responseFormat }; usage is
+ * summed over every attempt. Throws AzureOpenAIError SCHEMA_VIOLATION (502)
+ * with details.errors and details.content when no attempt is valid
+ */
+async function completeStructured(client, deploymentName, body, options) {
+    const { name, schema, profile = {}, label = 'Structured output', timeoutMs, signal } = options;
+    const maxRepairs = options.maxRepairs ?? DEFAULT_MAX_REPAIRS;
+    const log = options.log || console.log;
+    const chatOptions = { label, timeoutMs, signal };
+
+    let responseFormat = profile.supportsStructuredOutput ? 'json_schema' : 'json_object';
+    let messages = body.messages;
+    let usage = {};
+    let lastErrors = [];
+    let lastContent = '';
+
+    const send = async () => {
+        if (responseFormat === 'json_schema') {
+            try {
+                return await client.chat(deploymentName, {
+                    ...body,
+                    messages,
+                    stream: false,
+                    response_format: { type: 'json_schema', json_schema: { name, strict: true, schema } }
+                }, chatOptions);
+            } catch (error) {
+                if (!isResponseFormatRejection(error)) throw error;
+                log(`[${label}] ${deploymentName} does not support json_schema output, falling back to JSON mode`);
+                responseFormat = 'json_object';
+            }
+        }
+        // Deployments without JSON mode still follow the schema in the prompt most of the time
+        return client.chat(deploymentName, {
+            ...body,
+            messages: withSchemaPrompt(messages, schema),
+            stream: false,
+            ...(profile.supportsJsonMode === false ? {} : { response_format: { type: 'json_object' } })
+        }, chatOptions);
+    };
+
+    for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+        const response = await send();
+        usage = addUsage(usage, response.usage);
+
+        const { data, errors } = checkResponse(response, schema);
+        if (!errors.length) {
+            return {
+                data,
+                content: response.content,
+                usage,
+                model: response.model,
+                attempts: attempt,
+                responseFormat
+            };
+        }
+
+        lastErrors = errors;
+        lastContent = response.content;
+        log(`[${label}] Attempt ${attempt} returned invalid JSON (${errors.length} violation(s): ${errors[0]})`);
+
+        messages = [
+            ...messages,
+            { role: 'assistant', content: response.content || '' },
+            { role: 'user', content: repairMessage(errors) }
+        ];
+    }
+
+    throw new AzureOpenAIError(
+        `${label} did not match the schema after ${maxRepairs + 1} attempts: ${lastErrors.slice(0, 3).join('; ')}`,
+        'SCHEMA_VIOLATION',
+        {
+            statusCode: 502,
+            retryable: false,
+            userMessage: 'The model did not return a valid structured analysis. Try again or use text output.',
+            errors: lastErrors,
+            content: lastContent
+        }
+    );
+}
+
+/**
+ * Markdown rendering of a SECURITY_ANALYSIS_SCHEMA result for text displays and exports
+ */
+function formatSecurityAnalysis(analysis) {
+    const lines = [`**Severity:** ${analysis.severity}`, '', analysis.summary];
+
+    if (analysis.findings.length) {
+        lines.push('', '### Findings');
+        for (const finding of analysis.findings) {
+            const confidence = Math.min(Math.max(Number(finding.confidence) || 0, 0), 1);
+            lines.push(`- **${finding.title}** (${finding.severity}, confidence ${Math.round(confidence * 100)}%): ${finding.description}`);
+        }
+    }
+    if (analysis.recommendations.length) {
+        lines.push('', '### Recommendations');
+        for (const priority of RECOMMENDATION_PRIORITIES) {
+            for (const recommendation of analysis.recommendations.filter(r => r.priority === priority)) {
+                lines.push(`- [${priority}] ${recommendation.action}${recommendation.rationale ? ` - ${recommendation.rationale}` : ''}`);
+            }
+        }
+    }
+    if (analysis.iocs.length) {
+        lines.push('', '### Indicators of Compromise');
+        for (const ioc of analysis.iocs) {
+            lines.push(`- ${ioc.type}: ${ioc.value}${ioc.context ? ` (${ioc.context})` : ''}`);
+        }
+    }
+    if (analysis.mitre.length) {
+        lines.push('', '### MITRE ATT&CK');
+        for (const technique of analysis.mitre) {
+            lines.push(`- ${technique.tactic}: ${technique.techniqueId} ${technique.technique}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    SEVERITIES,
+    RECOMMENDATION_PRIORITIES,
+    IOC_TYPES,
+    SECURITY_ANALYSIS_SCHEMA,
+    validateSchema,
+    parseJsonContent,
+    withSchemaPrompt,
+    isResponseFormatRejection,
+    completeStructured,
+    formatSecurityAnalysis
+};
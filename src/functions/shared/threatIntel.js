@@ -0,0 +1,320 @@
+/**
+ * Threat Intelligence Enrichment
+ * Reputation for the IPs, domains, URLs and file hashes of an incident, looked
+ * up in every available provider (see threatIntelProviders) and merged into one
+ * verdict per indicator: malicious, suspicious, benign or unknown (no provider
+ * knows it). The strongest verdict wins, so a single malicious match is enough
+ *
+ * Results are cached per provider and indicator, misses included, for
+ * THREAT_INTEL_CACHE_TTL_SECONDS. A provider that fails is reported in the
+ * result and the others still count
+ *
+ * Callers pass the tenant of a token that has been proven genuine. Tenant
+ * providers keep their cache per tenant; providers that read with the app's
+ * own credentials (scope 'global') only answer callers of the app's tenant
+ * (AZURE_TENANT_ID)
+ */
+
+const net = require('net');
+const { HASH_TYPES, sentinelProvider, graphProvider, stixProvider } = require('./threatIntelProviders');
+
+const INDICATOR_TYPES = ['ip', 'domain', 'url', 'file-hash'];
+const VERDICTS = ['malicious', 'suspicious', 'benign', 'unknown'];
+
+const DEFAULT_CACHE_TTL_SECONDS = 3600;
+const MAX_CACHE_ENTRIES = 5000;
+const MAX_INDICATORS = 200;
+// Matched indicators included in an AI prompt
+const MAX_PROMPT_INDICATORS = 20;
+
+// name -> provider, in lookup order
+const providers = new Map();
+
+// key -> { matches, expiresAt }; Map order doubles as LRU order
+const cache = new Map();
+
+/**
+ * Add an indicator source; a provider with the same name is replaced
+ */
+function registerProvider(provider) {
+    if (!provider?.name || typeof provider.lookup !== 'function') {
+        throw new Error('A threat intelligence provider needs a name and a lookup function');
+    }
+    providers.set(provider.name, {
+        scope: 'global',
+        cacheable: true,
+        isAvailable: () => true,
+        ...provider
+    });
+}
+
+[sentinelProvider, graphProvider, stixProvider].forEach(registerProvider);
+
+// THREAT_INTEL_PROVIDERS limits and orders the providers used (comma-separated names)
+function getProviders() {
+    const configured = (process.env.THREAT_INTEL_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean);
+    return configured.length
+        ? configured.map(name => providers.get(name)).filter(Boolean)
+        : [...providers.values()];
+}
+
+function getCacheTtlMs() {
+    const configured = parseInt(process.env.THREAT_INTEL_CACHE_TTL_SECONDS);
+    return (configured >= 0 ? configured : DEFAULT_CACHE_TTL_SECONDS) * 1000;
+}
+
+// RFC 1918, loopback, link-local and CGNAT addresses never appear in threat feeds
+function isPrivateAddress(ip) {
+    if (net.isIPv6(ip)) {
+        return /^(::1$|fe80:|fc|fd)/i.test(ip);
+    }
+    const [a, b] = ip.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168) ||
+        (a === 169 && b === 254) ||
+        (a === 100 && b >= 64 && b <= 127);
+}
+
+/**
+ * Canonical form of an indicator, or null when it cannot be looked up
+ */
+function normalizeIndicator({ type, value } = {}) {
+    const text = String(value || '').trim();
+    if (!text || !INDICATOR_TYPES.includes(type)) return null;
+
+    switch (type) {
+        case 'ip':
+            return net.isIP(text) && !isPrivateAddress(text) ? { type, value: text.toLowerCase() } : null;
+        case 'domain': {
+            const domain = text.toLowerCase().replace(/\.$/, '');
+            return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? { type, value: domain } : null;
+        }
+        case 'url':
+            return /^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? { type, value: text.toLowerCase() } : null;
+        case 'file-hash':
+            return Object.values(HASH_TYPES).includes(text.length) && /^[0-9a-f]+$/i.test(text)
+                ? { type, value: text.toLowerCase() }
+                : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Indicators of processIncidentWithEvidence entities: public IPs, URLs and their
+ * domains, and file hashes
+ */
+function indicatorsFromEntities(entities = {}) {
+    return [
+        ...(entities.ips || []).map(ip => ({ type: 'ip', value: ip.ipAddress || ip.address || ip.name })),
+        ...(entities.urls || []).flatMap(entity => {
+            if (!entity.url) return [];
+            try {
+                return [{ type: 'url', value: entity.url }, { type: 'domain', value: new URL(entity.url).hostname }];
+            } catch {
+                return [{ type: 'domain', value: entity.url }];
+            }
+        }),
+        ...(entities.files || []).flatMap(file => [file.sha256, file.sha1].filter(Boolean).map(value => ({ type: 'file-hash', value })))
+    ];
+}
+
+function dedupe(indicators) {
+    const seen = new Map();
+    for (const indicator of indicators.map(normalizeIndicator).filter(Boolean)) {
+        seen.set(`${indicator.type}|${indicator.value}`, indicator);
+    }
+    return [...seen.values()];
+}
+
+function cacheKey(provider, tenantId, indicator) {
+    return `${provider.name}|${provider.scope === 'tenant' ? tenantId : '*'}|${indicator.type}|${indicator.value}`;
+}
+
+function isAllowed(provider, tenantId) {
+    if (!tenantId) return false;
+    return provider.scope === 'tenant' || tenantId === process.env.AZURE_TENANT_ID;
+}
+
+function readCache(key) {
+    const entry = cache.get(key);
+    if (!entry) return null;
+    cache.delete(key);
+    if (entry.expiresAt <= Date.now()) return null;
+    cache.set(key, entry);
+    return entry.matches;
+}
+
+function writeCache(key, matches) {
+    const ttlMs = getCacheTtlMs();
+    if (!ttlMs) return;
+    cache.delete(key);
+    cache.set(key, { matches, expiresAt: Date.now() + ttlMs });
+    while (cache.size > MAX_CACHE_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+    }
+}
+
+/**
+ * Look the indicators up in one provider, serving what the cache holds
+ * Returns { matches, cached (indicators answered from the cache) }
+ */
+async function lookupProvider(provider, indicators, options) {
+    const matches = [];
+    let pending = indicators;
+    let cached = 0;
+
+    if (provider.cacheable) {
+        pending = [];
+        for (const indicator of indicators) {
+            const hit = readCache(cacheKey(provider, options.tenantId, indicator));
+            if (hit) {
+                matches.push(...hit);
+                cached++;
+            } else {
+                pending.push(indicator);
+            }
+        }
+    }
+
+    if (pending.length) {
+        const found = await provider.lookup(pending, options);
+        matches.push(...found);
+        if (provider.cacheable) {
+            for (const indicator of pending) {
+                writeCache(cacheKey(provider, options.tenantId, indicator),
+                    found.filter(match => match.type === indicator.type && match.value === indicator.value));
+            }
+        }
+    }
+
+    return { matches, cached };
+}
+
+function mergeVerdicts(indicator, matches) {
+    const verdict = VERDICTS.find(candidate => matches.some(match => match.verdict === candidate)) || 'unknown';
+    const deciding = matches.filter(match => match.verdict === verdict);
+    return {
+        ...indicator,
+        verdict,
+        confidence: deciding.length ? Math.max(...deciding.map(match => match.confidence || 0)) : null,
+        threatTypes: [...new Set(matches.flatMap(match => match.threatTypes || []))],
+        sources: [...new Set(matches.map(match => match.source))],
+        matches
+    };
+}
+
+/**
+ * Reputation of a list of { type, value } indicators
+ * options: { graph (GraphClient with the caller's token, enables the graph provider),
+ *            tenantId (validated tenant of the caller; no provider answers without one),
+ *            providers (names), log }
+ *
+ * Returns { indicators: [{ type, value, verdict, confidence, threatTypes, sources, matches }],
+ *           providers: [{ name, status: ok|failed|unavailable, matched, cached, error }],
+ *           summary: { total, malicious, suspicious, benign, unknown } }
+ */
+async function enrichIndicators(indicators, options = {}) {
+    const log = options.log || console.log;
+    const normalized = dedupe(indicators || []).slice(0, MAX_INDICATORS);
+    const selected = getProviders().filter(provider => !options.providers || options.providers.includes(provider.name));
+
+    const reports = await Promise.all(selected.map(async provider => {
+        if (!isAllowed(provider, options.tenantId) || !provider.isAvailable(options)) {
+            return { name: provider.name, status: 'unavailable', matches: [] };
+        }
+        if (!normalized.length) {
+            return { name: provider.name, status: 'ok', matches: [], matched: 0, cached: 0 };
+        }
+        try {
+            const { matches, cached } = await lookupProvider(provider, normalized, options);
+            return { name: provider.name, status: 'ok', matches, matched: new Set(matches.map(match => `${match.type}|${match.value}`)).size, cached };
+        } catch (error) {
+            log(`[ThreatIntel] Provider ${provider.name} failed: ${error.message}`);
+            return { name: provider.name, status: 'failed', matches: [], error: error.message };
+        }
+    }));
+
+    const allMatches = reports.flatMap(report => report.matches);
+    const results = normalized.map(indicator => mergeVerdicts(indicator,
+        allMatches.filter(match => match.type === indicator.type && match.value === indicator.value)));
+
+    const summary = { total: results.length };
+    for (const verdict of VERDICTS) {
+        summary[verdict] = results.filter(result => result.verdict === verdict).length;
+    }
+
+    return {
+        indicators: results,
+        providers: reports.map(({ matches, ...report }) => report),
+        summary,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Set threatIntel ({ verdict, confidence, sources, threatTypes }) on the IP, URL
+ * and file entities that have a known reputation; entities are changed in place
+ * so the per-alert evidence lists that share them see the verdicts too
+ */
+function annotateEntities(entities = {}, enrichment) {
+    const known = new Map(enrichment.indicators
+        .filter(result => result.verdict !== 'unknown')
+        .map(result => [`${result.type}|${result.value}`, result]));
+    const lookup = (type, value) => {
+        const indicator = value && normalizeIndicator({ type, value });
+        return indicator && known.get(`${indicator.type}|${indicator.value}`);
+    };
+    const annotate = (entity, result) => {
+        if (result) {
+            entity.threatIntel = { verdict: result.verdict, confidence: result.confidence, sources: result.sources, threatTypes: result.threatTypes };
+        }
+    };
+
+    (entities.ips || []).forEach(ip => annotate(ip, lookup('ip', ip.ipAddress || ip.address || ip.name)));
+    (entities.urls || []).forEach(entity => {
+        let domain;
+        try {
+            domain = new URL(entity.url).hostname;
+        } catch {
+            domain = entity.url;
+        }
+        annotate(entity, lookup('url', entity.url) || lookup('domain', domain));
+    });
+    (entities.files || []).forEach(file => annotate(file, lookup('file-hash', file.sha256) || lookup('file-hash', file.sha1)));
+    return entities;
+}
+
+/**
+ * Compact form for AI prompts: the counts and the indicators some provider knows
+ */
+function summarizeForPrompt(enrichment) {
+    if (!enrichment) return undefined;
+    return {
+        checked: enrichment.summary.total,
+        providers: enrichment.providers.filter(provider => provider.status === 'ok').map(provider => provider.name),
+        malicious: enrichment.summary.malicious,
+        suspicious: enrichment.summary.suspicious,
+        known: enrichment.indicators
+            .filter(result => result.verdict !== 'unknown')
+            .slice(0, MAX_PROMPT_INDICATORS)
+            .map(({ type, value, verdict, confidence, threatTypes, sources }) => ({ type, value, verdict, confidence, threatTypes, sources }))
+    };
+}
+
+function clearCache() {
+    cache.clear();
+}
+
+module.exports = {
+    INDICATOR_TYPES,
+    VERDICTS,
+    registerProvider,
+    normalizeIndicator,
+    indicatorsFromEntities,
+    enrichIndicators,
+    annotateEntities,
+    summarizeForPrompt,
+    clearCache
+};
@@ -0,0 +1,247 @@
+/**
+ * Threat Intelligence Providers
+ * Built-in indicator sources for threatIntel.enrichIndicators
+ *
+ *   sentinel  ThreatIntelligenceIndicator table of the Sentinel workspace in
+ *             THREAT_INTEL_WORKSPACE_ID, read with the managed identity
+ *   graph     Microsoft Graph tiIndicators (beta) with the caller's Graph token;
+ *             needs ThreatIndicators.Read.All
+ *   stix      a local STIX 2.1 bundle (THREAT_INTEL_STIX_PATH) for offline use
+ *
+ * A provider is { name, scope, cacheable, isAvailable(options), lookup(indicators, options) }.
+ * lookup receives normalized { type, value } indicators and resolves to matches:
+ * { type, value, verdict, confidence (0-100), threatTypes, description, source,
+ *   lastSeen, expiration, reference }. scope 'tenant' keeps cached results apart
+ * per tenant; cacheable: false skips the cache for sources that are cheap to read
+ */
+
+const fs = require('fs');
+const registry = require('./endpointRegistry');
+const { kqlString } = require('./entityGraph');
+
+// Confidence at or above which a match counts as malicious rather than suspicious
+const MALICIOUS_CONFIDENCE = 75;
+const DEFAULT_LOOKBACK_DAYS = 90;
+const MAX_SENTINEL_ROWS = 1000;
+const GRAPH_FILTER_BATCH = 10;
+
+const HASH_TYPES = { md5: 32, sha1: 40, sha256: 64 };
+
+function confidenceVerdict(confidence) {
+    return confidence >= MALICIOUS_CONFIDENCE ? 'malicious' : 'suspicious';
+}
+
+function isExpired(expiration) {
+    return Boolean(expiration) && new Date(expiration).getTime() < Date.now();
+}
+
+// Which requested indicators a record matches, from candidate fields per type
+function matchIndicators(indicators, candidates) {
+    return indicators.filter(({ type, value }) =>
+        (candidates[type] || []).some(candidate => candidate && String(candidate).toLowerCase() === value));
+}
+
+const sentinelProvider = {
+    name: 'sentinel',
+    scope: 'global',
+    cacheable: true,
+
+    isAvailable() {
+        return Boolean(process.env.THREAT_INTEL_WORKSPACE_ID);
+    },
+
+    async lookup(indicators) {
+        const values = (type) => indicators.filter(indicator => indicator.type === type).map(indicator => kqlString(indicator.value));
+        const list = (items) => `(${items.join(', ')})`;
+        const ips = values('ip');
+        const clauses = [
+            ips.length && `NetworkIP in ${list(ips)} or NetworkSourceIP in ${list(ips)} or NetworkDestinationIP in ${list(ips)}`,
+            values('domain').length && `DomainName in~ ${list(values('domain'))}`,
+            values('url').length && `Url in~ ${list(values('url'))}`,
+            values('file-hash').length && `FileHashValue in~ ${list(values('file-hash'))}`
+        ].filter(Boolean);
+        if (!clauses.length) return [];
+
+        const query = `ThreatIntelligenceIndicator
+| summarize arg_max(TimeGenerated, *) by IndicatorId
+| where Active == true and ExpirationDateTime > now()
+| where ${clauses.join('\n    or ')}
+| project IndicatorId, NetworkIP, NetworkSourceIP, NetworkDestinationIP, DomainName, Url, FileHashValue,
+    ConfidenceScore, ThreatType, Description, SourceSystem, Action, TimeGenerated, ExpirationDateTime, ExternalIndicatorId
+| take ${MAX_SENTINEL_ROWS}`;
+
+        const { LogsQueryClient, LogsQueryResultStatus } = require('@azure/monitor-query');
+        const { getAzureCredential } = require('./azureAuth');
+        const logsClient = new LogsQueryClient(getAzureCredential(), {
+            endpoint: registry.getEndpoint('logAnalytics')
+        });
+
+        const days = parseInt(process.env.THREAT_INTEL_LOOKBACK_DAYS) || DEFAULT_LOOKBACK_DAYS;
+        const result = await logsClient.queryWorkspace(process.env.THREAT_INTEL_WORKSPACE_ID, query, { duration: `P${days}D` });
+        // A partial result still holds the matches read before the failure
+        const tables = result.status === LogsQueryResultStatus.PartialFailure ? result.partialTables : result.tables;
+        const table = (tables || [])[0];
+        if (!table) return [];
+        const columns = table.columnDescriptors.map(column => column.name);
+
+        return table.rows.flatMap(values => {
+            const row = Object.fromEntries(columns.map((name, i) => [name, values[i]]));
+            const confidence = Number(row.ConfidenceScore) || 0;
+            return matchIndicators(indicators, {
+                ip: [row.NetworkIP, row.NetworkSourceIP, row.NetworkDestinationIP],
+                domain: [row.DomainName],
+                url: [row.Url],
+                'file-hash': [row.FileHashValue]
+            }).map(({ type, value }) => ({
+                type,
+                value,
+                verdict: /allow/i.test(row.Action || '') ? 'benign' : confidenceVerdict(confidence),
+                confidence,
+                threatTypes: row.ThreatType ? [row.ThreatType] : [],
+                description: row.Description,
+                source: `Sentinel${row.SourceSystem ? ` (${row.SourceSystem})` : ''}`,
+                lastSeen: row.TimeGenerated,
+                expiration: row.ExpirationDateTime,
+                reference: row.ExternalIndicatorId || row.IndicatorId
+            }));
+        });
+    }
+};
+
+// tiIndicators fields compared per indicator type
+const GRAPH_FIELDS = {
+    ip: ['networkIPv4', 'networkIPv6', 'networkDestinationIPv4', 'networkSourceIPv4'],
+    domain: ['domainName'],
+    url: ['url'],
+    'file-hash': ['fileHashValue']
+};
+
+const graphProvider = {
+    name: 'graph',
+    scope: 'tenant',
+    cacheable: true,
+
+    isAvailable(options = {}) {
+        return Boolean(options.graph) && process.env.THREAT_INTEL_GRAPH !== 'false';
+    },
+
+    async lookup(indicators, { graph }) {
+        const matches = [];
+
+        for (let i = 0; i < indicators.length; i += GRAPH_FILTER_BATCH) {
+            const batch = indicators.slice(i, i + GRAPH_FILTER_BATCH);
+            const filter = batch
+                .flatMap(({ type, value }) => GRAPH_FIELDS[type].map(field => `${field} eq '${value.replace(/'/g, "''")}'`))
+                .join(' or ');
+            const response = await graph.getAllPages(`/security/tiIndicators?$filter=${encodeURIComponent(filter)}`, { version: 'beta', maxItems: 200 });
+
+            for (const record of response.value || []) {
+                if (record.isActive === false || isExpired(record.expirationDateTime)) continue;
+
+                const confidence = Number(record.confidence) || 0;
+                const candidates = Object.fromEntries(Object.entries(GRAPH_FIELDS).map(([type, fields]) => [type, fields.map(field => record[field])]));
+                for (const { type, value } of matchIndicators(batch, candidates)) {
+                    matches.push({
+                        type,
+                        value,
+                        verdict: record.action === 'allow' ? 'benign' : confidenceVerdict(confidence),
+                        confidence,
+                        threatTypes: record.threatType ? [record.threatType] : [],
+                        description: record.description,
+                        source: `Graph tiIndicators${record.sourceProduct ? ` (${record.sourceProduct})` : ''}`,
+                        lastSeen: record.lastReportedDateTime,
+                        expiration: record.expirationDateTime,
+                        reference: record.externalId || record.id
+                    });
+                }
+            }
+        }
+
+        return matches;
+    }
+};
+
+// STIX object paths -> indicator type
+const STIX_PATHS = [
+    { pattern: /^(ipv4-addr|ipv6-addr):value$/i, type: 'ip' },
+    { pattern: /^domain-name:value$/i, type: 'domain' },
+    { pattern: /^url:value$/i, type: 'url' },
+    { pattern: /^file:hashes\.'?(md5|sha-?1|sha-?256)'?$/i, type: 'file-hash' }
+];
+
+// path = 'value' comparisons of a STIX pattern; OR-ed and AND-ed terms are all indexed
+function parseStixPattern(pattern) {
+    const terms = [];
+    const comparison = /([a-z0-9-]+:[a-z0-9_.'-]+)\s*=\s*'((?:[^'\\]|\\.)*)'/gi;
+    let match;
+    while ((match = comparison.exec(pattern || '')) !== null) {
+        const path = STIX_PATHS.find(candidate => candidate.pattern.test(match[1]));
+        if (path) {
+            terms.push({ type: path.type, value: match[2].replace(/\\(.)/g, '$1').toLowerCase() });
+        }
+    }
+    return terms;
+}
+
+// path -> { mtimeMs, index: Map("type|value" -> [match]) }
+const stixBundles = new Map();
+
+function loadStixBundle(path) {
+    const { mtimeMs } = fs.statSync(path);
+    const cached = stixBundles.get(path);
+    if (cached && cached.mtimeMs === mtimeMs) {
+        return cached.index;
+    }
+
+    const bundle = JSON.parse(fs.readFileSync(path, 'utf8'));
+    const index = new Map();
+    for (const object of bundle.objects || []) {
+        if (object.type !== 'indicator' || object.revoked || object.pattern_type && object.pattern_type !== 'stix') continue;
+
+        const indicatorTypes = object.indicator_types || object.labels || [];
+        const confidence = object.confidence ?? (indicatorTypes.some(type => /malicious|compromised|attribution/.test(type)) ? 80 : 50);
+        for (const term of parseStixPattern(object.pattern)) {
+            const key = `${term.type}|${term.value}`;
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push({
+                verdict: indicatorTypes.includes('benign') ? 'benign' : confidenceVerdict(confidence),
+                confidence,
+                threatTypes: indicatorTypes,
+                description: object.description || object.name,
+                lastSeen: object.modified || object.created,
+                expiration: object.valid_until,
+                reference: object.id
+            });
+        }
+    }
+
+    stixBundles.set(path, { mtimeMs, index });
+    return index;
+}
+
+const stixProvider = {
+    name: 'stix',
+    scope: 'global',
+    cacheable: false,
+
+    isAvailable() {
+        return Boolean(process.env.THREAT_INTEL_STIX_PATH);
+    },
+
+    async lookup(indicators) {
+        const index = loadStixBundle(process.env.THREAT_INTEL_STIX_PATH);
+        return indicators.flatMap(({ type, value }) => (index.get(`${type}|${value}`) || [])
+            .filter(match => !isExpired(match.expiration))
+            .map(match => ({ type, value, ...match, source: 'STIX bundle' })));
+    }
+};
+
+module.exports = {
+    MALICIOUS_CONFIDENCE,
+    HASH_TYPES,
+    confidenceVerdict,
+    parseStixPattern,
+    sentinelProvider,
+    graphProvider,
+    stixProvider
+};
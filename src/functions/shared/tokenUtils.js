@@ -1,65 +1,52 @@
-const { encode } = require('gpt-tokenizer');
+const tokenizer = require('./tokenizer');
+const { getModelProfile, getInputLimit } = require('./modelCatalog');
 
 /**
  * Token calculation utilities ported from C# AIIcarus application
  * Provides accurate token counting and chunking strategies
  */
 
-// Model-specific token limits and configurations
-const MODEL_CONFIGS = {
-    'gpt-4-turbo': { contextWindow: 128000, outputReserved: 4096 },
-    'gpt-4o': { contextWindow: 128000, outputReserved: 4096 },
-    'gpt-4o-mini': { contextWindow: 128000, outputReserved: 16384 },
-    'gpt-5': { contextWindow: 400000, outputReserved: 32000 },
-    'gpt-5-mini': { contextWindow: 400000, outputReserved: 32000 },
-    'gpt-5-nano': { contextWindow: 272000, outputReserved: 32000 }, // Based on Azure error message
-    'o1-preview': { contextWindow: 200000, outputReserved: 100000, reasoningOverhead: 0.1 },
-    'o1-mini': { contextWindow: 200000, outputReserved: 65536, reasoningOverhead: 0.1 },
-    'gpt-35-turbo': { contextWindow: 16385, outputReserved: 4096 },
-    'gpt-35-turbo-16k': { contextWindow: 16385, outputReserved: 4096 }
-};
+// Model limits and pricing come from the model catalog (model-catalog.json)
 
 /**
  * Count tokens in a text string
  * @param {string} text - The text to count tokens for
+ * @param {string|Object} [model] - Model or deployment name, or catalog profile; selects the encoding
  * @returns {number} Number of tokens
  */
-function countTokens(text) {
-    if (!text) return 0;
-    
-    try {
-        // Use gpt-tokenizer for accurate counting
-        const tokens = encode(text);
-        return tokens.length;
-    } catch (error) {
-        // Fallback to approximation if encoding fails
-        console.warn('Token encoding failed, using approximation:', error.message);
-        return Math.ceil(text.length / 4); // Approximate 4 characters per token
-    }
+function countTokens(text, model) {
+    return tokenizer.countTokens(text, model);
+}
+
+/**
+ * The last overlapTokens tokens of the last lines of a chunk
+ */
+function tailOverlap(chunkText, overlapTokens, model) {
+    if (overlapTokens <= 0) return '';
+    const lastLines = chunkText.split('\n').slice(-3).join('\n');
+    const tokens = tokenizer.encode(lastLines, model);
+    return tokens.length <= overlapTokens ? lastLines : tokenizer.decode(tokens.slice(-overlapTokens), model);
 }
 
 /**
  * Calculate optimal chunk size based on model and prompts
  * @param {string} modelName - The model deployment name
- * @param {number} maxTokens - Maximum context window
+ * @param {number} maxTokens - Completion tokens requested (max_tokens); the model's full output limit when omitted
  * @param {string} systemPrompt - System prompt text
  * @param {string} userPrompt - User prompt text
+ * @param {Object} [profile] - Catalog profile (e.g. from modelProbe.getDeploymentProfile); looked up by name when omitted
  * @returns {Object} Chunking strategy with sizes and estimates
  */
-function calculateOptimalChunkSize(modelName, maxTokens, systemPrompt, userPrompt) {
-    // Get model configuration
-    const modelKey = Object.keys(MODEL_CONFIGS).find(key => 
-        modelName.toLowerCase().includes(key.toLowerCase())
-    );
-    
-    const config = MODEL_CONFIGS[modelKey] || {
-        contextWindow: maxTokens || 4096,
-        outputReserved: Math.min(4096, Math.floor((maxTokens || 4096) * 0.25))
-    };
+function calculateOptimalChunkSize(modelName, maxTokens, systemPrompt, userPrompt, profile) {
+    const config = profile || getModelProfile(modelName);
+    // Models that ignore max_tokens may use their whole output budget
+    const outputReserved = maxTokens && config.supportsMaxTokens
+        ? Math.min(maxTokens, config.maxOutputTokens)
+        : config.maxOutputTokens;
     
     // Count tokens in prompts
-    const systemTokens = countTokens(systemPrompt);
-    const userTokens = countTokens(userPrompt);
+    const systemTokens = countTokens(systemPrompt, config);
+    const userTokens = countTokens(userPrompt, config);
     
     // Calculate overhead
     const messageOverhead = 100; // JSON structure, role labels, etc.
@@ -73,10 +60,11 @@ function calculateOptimalChunkSize(modelName, maxTokens, systemPrompt, userPromp
     }
     
     // Calculate available tokens for content
-    const totalOverhead = systemTokens + userTokens + config.outputReserved + 
+    const totalOverhead = systemTokens + userTokens + outputReserved + 
                          messageOverhead + reasoningOverhead;
     
-    const availableTokens = config.contextWindow - totalOverhead;
+    // Some models cap input below context window minus output
+    const availableTokens = getInputLimit(config, outputReserved) - (totalOverhead - outputReserved);
     // Apply 60% quota utilization first, then safety margin
     const quotaLimitedTokens = Math.floor(availableTokens * quotaUtilization);
     const safeTokens = Math.floor(quotaLimitedTokens * (1 - safetyMargin));
@@ -89,7 +77,7 @@ function calculateOptimalChunkSize(modelName, maxTokens, systemPrompt, userPromp
         contextWindow: config.contextWindow,
         systemTokens: systemTokens,
         userTokens: userTokens,
-        outputReserved: config.outputReserved,
+        outputReserved: outputReserved,
         reasoningOverhead: reasoningOverhead,
         messageOverhead: messageOverhead,
         totalOverhead: totalOverhead,
@@ -98,7 +86,8 @@ function calculateOptimalChunkSize(modelName, maxTokens, systemPrompt, userPromp
         quotaLimitedTokens: quotaLimitedTokens,
         optimalChunkSize: optimalChunkSize,
         safetyMargin: Math.floor(config.contextWindow * safetyMargin),
-        isReasoningModel: !!config.reasoningOverhead
+        isReasoningModel: config.isReasoningModel,
+        catalogModel: config.model
     };
 }
 
@@ -107,9 +96,10 @@ function calculateOptimalChunkSize(modelName, maxTokens, systemPrompt, userPromp
  * @param {string} text - The text to chunk
  * @param {number} maxChunkTokens - Maximum tokens per chunk
  * @param {number} overlapTokens - Overlap between chunks for context
+ * @param {string|Object} [model] - Model name or catalog profile whose encoding sizes the chunks
  * @returns {Array} Array of text chunks
  */
-function createChunks(text, maxChunkTokens, overlapTokens = 50) {
+function createChunks(text, maxChunkTokens, overlapTokens = 50, model) {
     if (!text || maxChunkTokens <= 0) {
         return [];
     }
@@ -121,7 +111,7 @@ function createChunks(text, maxChunkTokens, overlapTokens = 50) {
     
     if (isJsonData) {
         // Use JSON-aware chunking to preserve object integrity
-        return createJsonAwareChunks(text, maxChunkTokens, overlapTokens);
+        return createJsonAwareChunks(text, maxChunkTokens, overlapTokens, model);
     }
     
     // Original line-based chunking for non-JSON data
@@ -132,7 +122,7 @@ function createChunks(text, maxChunkTokens, overlapTokens = 50) {
     let overlap = '';
     
     for (const line of lines) {
-        const lineTokens = countTokens(line);
+        const lineTokens = countTokens(line, model);
         
         // If single line exceeds max, split it
         if (lineTokens > maxChunkTokens) {
@@ -145,16 +135,15 @@ function createChunks(text, maxChunkTokens, overlapTokens = 50) {
                 });
                 
                 // Keep last part for overlap
-                const overlapLines = currentChunk.split('\n').slice(-3).join('\n');
-                overlap = overlapLines.substring(0, overlapTokens * 4); // Approximate
+                overlap = tailOverlap(currentChunk, overlapTokens, model);
                 currentChunk = overlap;
-                currentTokens = countTokens(overlap);
+                currentTokens = countTokens(overlap, model);
             }
             
             // Split long line by sentences or words
             const sentences = line.match(/[^.!?]+[.!?]+/g) || [line];
             for (const sentence of sentences) {
-                const sentenceTokens = countTokens(sentence);
+                const sentenceTokens = countTokens(sentence, model);
                 
                 if (currentTokens + sentenceTokens <= maxChunkTokens) {
                     currentChunk += (currentChunk ? '\n' : '') + sentence;
@@ -168,7 +157,7 @@ function createChunks(text, maxChunkTokens, overlapTokens = 50) {
                     });
                     
                     currentChunk = overlap + '\n' + sentence;
-                    currentTokens = countTokens(currentChunk);
+                    currentTokens = countTokens(currentChunk, model);
                 }
             }
         } else {
@@ -185,10 +174,9 @@ function createChunks(text, maxChunkTokens, overlapTokens = 50) {
                 });
                 
                 // Start new chunk with overlap
-                const overlapLines = currentChunk.split('\n').slice(-3).join('\n');
-                overlap = overlapLines.substring(0, overlapTokens * 4);
+                overlap = tailOverlap(currentChunk, overlapTokens, model);
                 currentChunk = overlap + '\n' + line;
-                currentTokens = countTokens(currentChunk);
+                currentTokens = countTokens(currentChunk, model);
             }
         }
     }
@@ -210,9 +198,10 @@ function createChunks(text, maxChunkTokens, overlapTokens = 50) {
  * @param {string} text - The text containing JSON data
  * @param {number} maxChunkTokens - Maximum tokens per chunk
  * @param {number} overlapTokens - Number of objects to overlap between chunks
+ * @param {string|Object} [model] - Model name or catalog profile whose encoding sizes the chunks
  * @returns {Array} Array of text chunks with complete JSON objects
  */
-function createJsonAwareChunks(text, maxChunkTokens, overlapTokens = 2) {
+function createJsonAwareChunks(text, maxChunkTokens, overlapTokens = 2, model) {
     const chunks = [];
     
     // Extract metadata and JSON data
@@ -238,22 +227,22 @@ function createJsonAwareChunks(text, maxChunkTokens, overlapTokens = 2) {
         } else {
             // Not valid JSON, fall back to line-based chunking
             console.warn('Invalid JSON format, using line-based chunking');
-            return createChunks(text, maxChunkTokens, 50);
+            return createChunks(text, maxChunkTokens, 50, model);
         }
     } catch (error) {
         console.warn('Failed to parse JSON, using line-based chunking:', error.message);
-        return createChunks(text, maxChunkTokens, 50);
+        return createChunks(text, maxChunkTokens, 50, model);
     }
     
     // Calculate metadata tokens (included in each chunk)
-    const metadataTokens = countTokens(metadata);
+    const metadataTokens = countTokens(metadata, model);
     const effectiveMaxTokens = maxChunkTokens - metadataTokens - 100; // Reserve space for JSON structure
     
     if (effectiveMaxTokens <= 0) {
         console.error('Metadata exceeds chunk size limit');
         return [{
             text: text,
-            tokens: countTokens(text),
+            tokens: countTokens(text, model),
             index: 0
         }];
     }
@@ -265,8 +254,9 @@ function createJsonAwareChunks(text, maxChunkTokens, overlapTokens = 2) {
     
     for (let i = 0; i < jsonArray.length; i++) {
         const obj = jsonArray[i];
-        const objText = JSON.stringify(obj, null, 2);
-        const objTokens = countTokens(objText);
+        // Counted as formatJsonChunk writes it: indented inside the array, plus the separator
+        const objText = JSON.stringify([obj], null, 2).slice(2, -2);
+        const objTokens = countTokens(objText, model) + 1;
         
         // If single object exceeds max tokens, it must go in its own chunk
         if (objTokens > effectiveMaxTokens) {
@@ -275,7 +265,7 @@ function createJsonAwareChunks(text, maxChunkTokens, overlapTokens = 2) {
                 const chunkText = formatJsonChunk(metadata, currentObjects);
                 chunks.push({
                     text: chunkText,
-                    tokens: countTokens(chunkText),
+                    tokens: countTokens(chunkText, model),
                     index: chunks.length,
                     objectCount: currentObjects.length,
                     startIndex: i - currentObjects.length,
@@ -283,16 +273,16 @@ function createJsonAwareChunks(text, maxChunkTokens, overlapTokens = 2) {
                 });
                 
                 // Keep last few objects for context overlap
-                overlapObjects = currentObjects.slice(-Math.min(overlapTokens, currentObjects.length));
+                overlapObjects = overlapTokens > 0 ? currentObjects.slice(-Math.min(overlapTokens, currentObjects.length)) : [];
                 currentObjects = [...overlapObjects];
-                currentTokens = countTokens(JSON.stringify(currentObjects, null, 2));
+                currentTokens = countTokens(JSON.stringify(currentObjects, null, 2), model);
             }
             
             // Add the large object as its own chunk
             const singleChunkText = formatJsonChunk(metadata, [obj]);
             chunks.push({
                 text: singleChunkText,
-                tokens: countTokens(singleChunkText),
+                tokens: countTokens(singleChunkText, model),
                 index: chunks.length,
                 objectCount: 1,
                 startIndex: i,
@@ -303,7 +293,7 @@ function createJsonAwareChunks(text, maxChunkTokens, overlapTokens = 2) {
             // Reset for next chunk
             currentObjects = [];
             currentTokens = 0;
-            overlapObjects = [obj]; // Include this object in overlap for context
+            overlapObjects = overlapTokens > 0 ? [obj] : []; // Include this object in overlap for context
         } else {
             // Check if adding object exceeds limit
             const newTokens = currentTokens + objTokens;
@@ -316,7 +306,7 @@ function createJsonAwareChunks(text, maxChunkTokens, overlapTokens = 2) {
                 const chunkText = formatJsonChunk(metadata, currentObjects);
                 chunks.push({
                     text: chunkText,
-                    tokens: countTokens(chunkText),
+                    tokens: countTokens(chunkText, model),
                     index: chunks.length,
                     objectCount: currentObjects.length,
                     startIndex: i - currentObjects.length,
@@ -324,9 +314,9 @@ function createJsonAwareChunks(text, maxChunkTokens, overlapTokens = 2) {
                 });
                 
                 // Start new chunk with overlap
-                overlapObjects = currentObjects.slice(-Math.min(overlapTokens, currentObjects.length));
+                overlapObjects = overlapTokens > 0 ? currentObjects.slice(-Math.min(overlapTokens, currentObjects.length)) : [];
                 currentObjects = [...overlapObjects, obj];
-                currentTokens = countTokens(JSON.stringify(currentObjects, null, 2));
+                currentTokens = countTokens(JSON.stringify(currentObjects, null, 2), model);
             }
         }
     }
@@ -336,7 +326,7 @@ function createJsonAwareChunks(text, maxChunkTokens, overlapTokens = 2) {
         const chunkText = formatJsonChunk(metadata, currentObjects);
         chunks.push({
             text: chunkText,
-            tokens: countTokens(chunkText),
+            tokens: countTokens(chunkText, model),
             index: chunks.length,
             objectCount: currentObjects.length,
             startIndex: jsonArray.length - currentObjects.length,
@@ -395,29 +385,18 @@ function calculateBatchStrategy(tpmLimit, tokensPerRequest, processingTimeMs = 2
 
 /**
  * Estimate token costs for analysis
- * @param {number} inputTokens - Total input tokens
+ * @param {number|string} inputTokens - Total input tokens, or the input text to count with the model's encoding
  * @param {number} outputTokens - Total output tokens
  * @param {string} modelName - Model name for pricing
  * @returns {Object} Cost estimate
  */
 function estimateCosts(inputTokens, outputTokens, modelName) {
-    // Pricing per 1K tokens (approximate)
-    const pricing = {
-        'gpt-4-turbo': { input: 0.01, output: 0.03 },
-        'gpt-4o': { input: 0.005, output: 0.015 },
-        'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
-        'gpt-5': { input: 0.02, output: 0.06 },
-        'gpt-5-mini': { input: 0.001, output: 0.004 },
-        'o1-preview': { input: 0.015, output: 0.06 },
-        'o1-mini': { input: 0.003, output: 0.012 },
-        'gpt-35-turbo': { input: 0.0005, output: 0.0015 }
-    };
-    
-    const modelKey = Object.keys(pricing).find(key => 
-        modelName.toLowerCase().includes(key.replace('-', ''))
-    );
-    
-    const modelPricing = pricing[modelKey] || { input: 0.002, output: 0.006 };
+    // Pricing per 1K tokens (approximate) from the model catalog
+    const profile = getModelProfile(modelName);
+    const modelPricing = { input: profile.inputCostPer1K, output: profile.outputCostPer1K };
+    if (typeof inputTokens !== 'number') {
+        inputTokens = countTokens(inputTokens, profile);
+    }
     
     const inputCost = (inputTokens / 1000) * modelPricing.input;
     const outputCost = (outputTokens / 1000) * modelPricing.output;
@@ -430,6 +409,7 @@ function estimateCosts(inputTokens, outputTokens, modelName) {
         outputCost: outputCost.toFixed(4),
         totalCost: totalCost.toFixed(4),
         costPer1K: ((totalCost * 1000) / (inputTokens + outputTokens)).toFixed(4),
+        totalCostUsd: totalCost, // Unrounded, for accumulating many small calls
         modelPricing: modelPricing
     };
 }
@@ -439,13 +419,13 @@ function estimateCosts(inputTokens, outputTokens, modelName) {
  * Uses Microsoft's best practices for RAG applications
  * @param {string} text - The text to chunk
  * @param {number} maxChunkTokens - Maximum tokens per chunk
- * @param {Object} options - Chunking options
+ * @param {Object} options - Chunking options (overlapPercentage, model)
  * @returns {Array} Array of chunks with metadata and quality metrics
  */
 function createSemanticChunks(text, maxChunkTokens, options = {}) {
     // Simplified version - just use regular chunking
     const overlapTokens = Math.floor(maxChunkTokens * (options.overlapPercentage || 0.1));
-    const chunks = createChunks(text, maxChunkTokens, overlapTokens);
+    const chunks = createChunks(text, maxChunkTokens, overlapTokens, options.model);
     
     // Add simple statistics
     const stats = {
@@ -479,17 +459,14 @@ function createSemanticChunks(text, maxChunkTokens, options = {}) {
 function analyzeAndRecommendChunking(text, modelName) {
     const analysis = {
         textLength: text.length,
-        estimatedTokens: countTokens(text),
+        estimatedTokens: countTokens(text, modelName),
         contentType: detectContentType(text),
         structureComplexity: analyzeStructure(text),
         recommendations: {}
     };
     
     // Get model configuration
-    const modelKey = Object.keys(MODEL_CONFIGS).find(key => 
-        modelName.toLowerCase().includes(key.toLowerCase())
-    );
-    const modelConfig = MODEL_CONFIGS[modelKey] || { contextWindow: 128000, outputReserved: 4096 };
+    const modelConfig = getModelProfile(modelName);
     
     // Base recommendations
     const baseChunkSize = Math.min(1000, modelConfig.contextWindow * 0.1);
@@ -650,6 +627,5 @@ module.exports = {
     detectContentType,
     analyzeStructure,
     aggregateChunkResponses,
-    AggregationStrategies,
-    MODEL_CONFIGS
+    AggregationStrategies
 };
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * Access Token Validator
+ * Checks the signature, lifetime, issuer, tenant and audience of Microsoft
+ * Entra ID bearer tokens so that their claims can be trusted for authorization
+ *
+ * Signing keys come from the authority of the configured cloud and are cached.
+ * Accepted audiences are the management, Log Analytics and Cognitive Services
+ * endpoints the web app requests tokens for, this app's own registration
+ * (AZURE_CLIENT_ID) and TOKEN_AUDIENCES. Microsoft Graph tokens cannot be
+ * checked this way (Graph signs them for itself only); they are proven by a
+ * successful Graph call instead
+ */
+
+const crypto = require('crypto');
+const registry = require('./endpointRegistry');
+
+const KEYS_TTL_MS = 24 * 60 * 60 * 1000;
+// Unknown key IDs refresh the key set at most this often
+const KEYS_REFRESH_MS = 5 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 300;
+const KEY_SERVICES = ['management', 'logAnalytics', 'cognitive'];
+
+let signingKeys = null;
+
+class TokenValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TokenValidationError';
+    }
+}
+
+function trimSlash(value) {
+    return String(value || '').replace(/\/+$/, '').toLowerCase();
+}
+
+function decodeSegment(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf-8'));
+}
+
+async function fetchSigningKeys() {
+    const url = `${registry.getEndpoint('authentication')}/common/discovery/v2.0/keys`;
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new TokenValidationError(`Signing keys unavailable (HTTP ${response.status} from ${url})`);
+    }
+    const { keys = [] } = await response.json();
+    signingKeys = {
+        keys: new Map(keys.filter(key => key.kty === 'RSA').map(key => [key.kid, key])),
+        fetchedAt: Date.now()
+    };
+    return signingKeys;
+}
+
+async function getSigningKey(kid) {
+    if (!signingKeys || Date.now() - signingKeys.fetchedAt > KEYS_TTL_MS) {
+        await fetchSigningKeys();
+    }
+    if (!signingKeys.keys.has(kid) && Date.now() - signingKeys.fetchedAt > KEYS_REFRESH_MS) {
+        await fetchSigningKeys();
+    }
+    const jwk = signingKeys.keys.get(kid);
+    if (!jwk) {
+        throw new TokenValidationError(`Unknown signing key ${kid}`);
+    }
+    return crypto.createPublicKey({ key: { kty: jwk.kty, n: jwk.n, e: jwk.e }, format: 'jwk' });
+}
+
+/**
+ * Audiences tokens may be issued for; the app's own registration first
+ */
+function getAcceptedAudiences() {
+    const clientId = process.env.AZURE_CLIENT_ID;
+    const audiences = clientId ? [clientId, `api://${clientId}`] : [];
+
+    for (const service of KEY_SERVICES) {
+        try {
+            audiences.push(registry.getEndpoint(service));
+        } catch {
+            // Environments without the service accept no tokens for it
+        }
+    }
+    audiences.push(...(process.env.TOKEN_AUDIENCES || '').split(',').map(entry => entry.trim()).filter(Boolean));
+
+    return audiences.map(trimSlash);
+}
+
+function isAppAudience(aud) {
+    const clientId = process.env.AZURE_CLIENT_ID;
+    return Boolean(clientId) && [clientId, `api://${clientId}`].map(trimSlash).includes(trimSlash(aud));
+}
+
+function isValidIssuer(iss, tid) {
+    const authority = registry.getEndpoint('authentication');
+    return [
+        `https://sts.windows.net/${tid}/`,
+        `${authority}/${tid}/`,
+        `${authority}/${tid}/v2.0`
+    ].includes(iss);
+}
+
+/**
+ * Validate a bearer token and return its claims
+ * Throws TokenValidationError when the token cannot be trusted
+ */
+async function validateAccessToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+        throw new TokenValidationError('Not a JWT');
+    }
+
+    let header;
+    let claims;
+    try {
+        header = decodeSegment(parts[0]);
+        claims = decodeSegment(parts[1]);
+    } catch {
+        throw new TokenValidationError('Malformed JWT');
+    }
+
+    if (header.alg !== 'RS256' || !header.kid) {
+        throw new TokenValidationError(`Unsupported token algorithm ${header.alg}`);
+    }
+    // Graph access tokens carry a nonce that only Graph itself can verify
+    if (header.nonce) {
+        throw new TokenValidationError('Microsoft Graph tokens cannot be validated locally');
+    }
+
+    const key = await getSigningKey(header.kid);
+    const signed = crypto.verify('RSA-SHA256', Buffer.from(`${parts[0]}.${parts[1]}`), key, Buffer.from(parts[2], 'base64url'));
+    if (!signed) {
+        throw new TokenValidationError('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (!claims.exp || claims.exp + CLOCK_SKEW_SECONDS < now) {
+        throw new TokenValidationError('Token expired');
+    }
+    if (claims.nbf && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+        throw new TokenValidationError('Token not yet valid');
+    }
+    if (!claims.tid || !isValidIssuer(claims.iss, claims.tid)) {
+        throw new TokenValidationError(`Untrusted issuer ${claims.iss}`);
+    }
+    if (process.env.AZURE_TENANT_ID && claims.tid !== process.env.AZURE_TENANT_ID) {
+        throw new TokenValidationError(`Tokens from tenant ${claims.tid} are not accepted`);
+    }
+    if (!getAcceptedAudiences().includes(trimSlash(claims.aud))) {
+        throw new TokenValidationError(`Token audience ${claims.aud} is not accepted`);
+    }
+
+    return claims;
+}
+
+module.exports = {
+    TokenValidationError,
+    validateAccessToken,
+    getAcceptedAudiences,
+    isAppAudience
+};
@@ -0,0 +1,95 @@
+/**
+ * BPE Tokenizer
+ * Exact token counts with the encoding of the target model. The cl100k_base
+ * and o200k_base vocabularies ship inside gpt-tokenizer, so nothing is
+ * downloaded at runtime
+ *
+ * The encoding comes from the model catalog: o200k_base for gpt-4o and later
+ * models, cl100k_base for gpt-4, gpt-35-turbo and the embedding models. Names
+ * the catalog does not know get the catalog default
+ *
+ * Special-token text such as "<|endoftext|>" inside data is counted as
+ * ordinary text, the way the service tokenizes message content
+ */
+
+const { getModelProfile } = require('./modelCatalog');
+
+// Encoding name -> gpt-tokenizer module, loaded on first use
+const ENCODING_MODULES = {
+    cl100k_base: 'gpt-tokenizer/encoding/cl100k_base',
+    o200k_base: 'gpt-tokenizer/encoding/o200k_base'
+};
+
+const PLAIN_TEXT = { disallowedSpecial: new Set() };
+
+const encoders = new Map();
+// Model or deployment name -> encoding name; matching names against the catalog is not free
+const encodingByName = new Map();
+
+function getEncoder(encoding) {
+    if (!ENCODING_MODULES[encoding]) {
+        throw new Error(`Unsupported token encoding: ${encoding}`);
+    }
+    if (!encoders.has(encoding)) {
+        encoders.set(encoding, require(ENCODING_MODULES[encoding]));
+    }
+    return encoders.get(encoding);
+}
+
+/**
+ * Encoding for a model: an encoding name, a catalog profile, or a model or
+ * deployment name. Omitted models get the catalog default
+ */
+function resolveEncoding(model) {
+    if (model && typeof model === 'object') {
+        return model.encoding || getModelProfile(model.model).encoding;
+    }
+    if (model && ENCODING_MODULES[model]) {
+        return model;
+    }
+
+    const name = model || '';
+    if (!encodingByName.has(name)) {
+        encodingByName.set(name, getModelProfile(name).encoding);
+    }
+    return encodingByName.get(name);
+}
+
+// Objects are counted as the JSON that is sent
+function toText(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Number of tokens in text (objects are serialized as JSON)
+ * @param {string|Object} text - Text to count
+ * @param {string|Object} [model] - Model or deployment name, catalog profile or encoding name
+ * @returns {number} Token count
+ */
+function countTokens(text, model) {
+    if (text === null || text === undefined || text === '') return 0;
+    return getEncoder(resolveEncoding(model)).countTokens(toText(text), PLAIN_TEXT);
+}
+
+/**
+ * Token IDs for text
+ */
+function encode(text, model) {
+    if (text === null || text === undefined || text === '') return [];
+    return getEncoder(resolveEncoding(model)).encode(toText(text), PLAIN_TEXT);
+}
+
+/**
+ * Text for token IDs
+ */
+function decode(tokens, model) {
+    return getEncoder(resolveEncoding(model)).decode(tokens);
+}
+
+module.exports = {
+    ENCODINGS: Object.keys(ENCODING_MODULES),
+    countTokens,
+    encode,
+    decode,
+    resolveEncoding
+};
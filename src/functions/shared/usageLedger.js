@@ -0,0 +1,346 @@
+/**
+ * OpenAI Usage Ledger
+ * Prompt and completion tokens of every OpenAI response, attributed to the
+ * calling user, the deployment and the function that made the call, with the
+ * cost at the catalog price when the call was made
+ *
+ * Usage is aggregated per user, UTC day, deployment and feature (one entity
+ * each, updated with optimistic concurrency), so summaries read one partition
+ * per user. Costs are stored as recorded; later catalog price changes do not
+ * rewrite history
+ *
+ * Budgets: USAGE_SOFT_BUDGET_USD / USAGE_HARD_BUDGET_USD per
+ * USAGE_BUDGET_PERIOD apply to every user; administrators can set per-user
+ * overrides. Crossing the soft budget warns, the hard budget blocks
+ *
+ * Usage and budgets are keyed on the verified identity, so callers that send
+ * no validated token all count against the shared 'anonymous' user
+ */
+
+const { getEntityStore, StoreError } = require('./entityStore');
+const { estimateCosts } = require('./tokenUtils');
+
+const USAGE_TABLE = 'OpenAIUsage';
+const BUDGETS_TABLE = 'UsageBudgets';
+const BUDGETS_PARTITION = 'users';
+
+const SUMMARY_PERIODS = ['day', 'week'];
+const BUDGET_PERIODS = ['day', 'week', 'month'];
+const DEFAULT_BUDGET_PERIOD = 'month';
+const DEFAULT_SUMMARY_DAYS = 30;
+const MAX_SUMMARY_DAYS = 366;
+
+// SWA role or app role allowed to read everyone's usage and set budgets;
+// only honoured on a verified identity (clientPrincipal.getVerifiedIdentity)
+const ADMIN_ROLE = 'admin';
+
+const BUDGET_STATUS = {
+    OK: 'ok',
+    SOFT_EXCEEDED: 'softExceeded',
+    HARD_EXCEEDED: 'hardExceeded'
+};
+
+const MAX_WRITE_ATTEMPTS = 8;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const invalid = (message) => new StoreError(message, 'INVALID_INPUT', 400);
+const forbidden = (message) => new StoreError(message, 'FORBIDDEN', 403);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Table Storage keys cannot contain / \ # or ?
+function safeKey(value) {
+    return String(value).replace(/[/\\#?]/g, '|');
+}
+
+function userPartition(userId) {
+    return `user_${safeKey(userId)}`;
+}
+
+function dayOf(date) {
+    return date.toISOString().substring(0, 10);
+}
+
+// Weeks start on Monday (ISO 8601)
+function weekOf(day) {
+    const date = new Date(`${day}T00:00:00Z`);
+    return dayOf(new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS));
+}
+
+function periodStart(period, now = new Date()) {
+    const today = dayOf(now);
+    if (period === 'day') return today;
+    if (period === 'week') return weekOf(today);
+    return `${today.substring(0, 7)}-01`;
+}
+
+function periodEnd(period, start) {
+    const date = new Date(`${start}T00:00:00Z`);
+    if (period === 'day') return new Date(date.getTime() + DAY_MS);
+    if (period === 'week') return new Date(date.getTime() + 7 * DAY_MS);
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
+
+function isUsageAdmin(identity) {
+    return identity.verified === true && (identity.roles || []).includes(ADMIN_ROLE);
+}
+
+function parseBudget(value) {
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+function emptyTotals() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+function addTotals(totals, record) {
+    totals.requests += record.requests || 0;
+    totals.promptTokens += record.promptTokens || 0;
+    totals.completionTokens += record.completionTokens || 0;
+    totals.totalTokens += record.totalTokens || 0;
+    totals.costUsd += record.costUsd || 0;
+    return totals;
+}
+
+function roundCost(totals) {
+    return { ...totals, costUsd: Math.round(totals.costUsd * 1e6) / 1e6 };
+}
+
+/**
+ * Add one response's usage to the caller's ledger
+ * entry: { identity, feature, endpoint, deploymentName, model, usage }
+ */
+async function recordUsage({ identity, feature, endpoint, deploymentName, model, usage }) {
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    const hostname = endpoint ? new URL(endpoint).hostname : '';
+    const day = dayOf(new Date());
+    const { totalCostUsd } = estimateCosts(promptTokens, completionTokens, model || deploymentName);
+
+    const store = getEntityStore(USAGE_TABLE);
+    const partitionKey = userPartition(identity.userId);
+    const rowKey = safeKey(`${day}|${hostname}|${deploymentName}|${feature}`);
+
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+        const existing = await store.get(partitionKey, rowKey);
+        const entity = existing ? { ...existing } : {
+            partitionKey,
+            rowKey,
+            userId: identity.userId,
+            userName: identity.userName,
+            day,
+            endpoint: hostname,
+            deploymentName,
+            feature,
+            ...emptyTotals()
+        };
+
+        entity.model = model || entity.model || '';
+        addTotals(entity, {
+            requests: 1,
+            promptTokens,
+            completionTokens,
+            totalTokens: usage.total_tokens || promptTokens + completionTokens,
+            costUsd: totalCostUsd
+        });
+
+        try {
+            if (existing) {
+                await store.update(entity, { etag: existing.etag });
+            } else {
+                await store.create(entity);
+            }
+            return entity;
+        } catch (error) {
+            if (error.code !== 'PRECONDITION_FAILED' && error.code !== 'ALREADY_EXISTS') throw error;
+            // Parallel calls of the same run write the same entity
+            await sleep(Math.random() * 50 * attempt);
+        }
+    }
+    throw new Error(`Usage ledger entry ${rowKey} is contended (${MAX_WRITE_ATTEMPTS} conflicting writes)`);
+}
+
+/**
+ * onUsage callback for OpenAIClient that records into the ledger
+ */
+function usageRecorder(identity, feature, log = console.log) {
+    return async ({ endpoint, deploymentName, model, usage }) => {
+        try {
+            await recordUsage({ identity, feature, endpoint, deploymentName, model, usage });
+        } catch (error) {
+            // Accounting must never fail the call it accounts for
+            log(`[Usage] Could not record usage for ${identity.userId}: ${error.message}`);
+        }
+    };
+}
+
+async function listUsage(userId, fromDay) {
+    const store = getEntityStore(USAGE_TABLE);
+    const records = userId ? await store.list(userPartition(userId)) : await store.list();
+    return records.filter(record => record.day >= fromDay);
+}
+
+/**
+ * Usage totals grouped by day or week
+ * options: { period: 'day' | 'week', days (lookback, default 30), userId, all }
+ * Only administrators may read another user's usage or everyone's (all)
+ */
+async function summarizeUsage(identity, options = {}) {
+    const period = options.period || 'day';
+    if (!SUMMARY_PERIODS.includes(period)) {
+        throw invalid(`period must be one of: ${SUMMARY_PERIODS.join(', ')}`);
+    }
+
+    const days = options.days === undefined ? DEFAULT_SUMMARY_DAYS : parseInt(options.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SUMMARY_DAYS) {
+        throw invalid(`days must be between 1 and ${MAX_SUMMARY_DAYS}`);
+    }
+
+    const all = options.all === true || options.all === 'true';
+    const userId = all ? null : (options.userId || identity.userId);
+    if ((all || userId !== identity.userId) && !isUsageAdmin(identity)) {
+        throw forbidden('Only usage administrators can read other users\' usage');
+    }
+
+    const fromDay = dayOf(new Date(Date.now() - (days - 1) * DAY_MS));
+    const records = await listUsage(userId, period === 'week' ? weekOf(fromDay) : fromDay);
+
+    const buckets = new Map();
+    const byDeployment = {};
+    const byFeature = {};
+    const byUser = {};
+    const totals = emptyTotals();
+
+    for (const record of records) {
+        const key = period === 'week' ? weekOf(record.day) : record.day;
+        if (!buckets.has(key)) buckets.set(key, emptyTotals());
+        addTotals(buckets.get(key), record);
+
+        const deployment = `${record.endpoint}/${record.deploymentName}`;
+        byDeployment[deployment] = addTotals(byDeployment[deployment] || emptyTotals(), record);
+        byFeature[record.feature] = addTotals(byFeature[record.feature] || emptyTotals(), record);
+        if (all) {
+            byUser[record.userId] = addTotals(byUser[record.userId] || { userName: record.userName, ...emptyTotals() }, record);
+        }
+        addTotals(totals, record);
+    }
+
+    const mapValues = (groups) => Object.fromEntries(Object.entries(groups).map(([key, value]) => [key, roundCost(value)]));
+
+    return {
+        userId: userId || undefined,
+        period,
+        from: fromDay,
+        to: dayOf(new Date()),
+        totals: roundCost(totals),
+        [period === 'week' ? 'weeks' : 'days']: [...buckets.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([start, value]) => ({ start, ...roundCost(value) })),
+        byDeployment: mapValues(byDeployment),
+        byFeature: mapValues(byFeature),
+        ...(all ? { byUser: mapValues(byUser) } : {})
+    };
+}
+
+/**
+ * Budget that applies to a user: their override or the configured defaults
+ */
+async function getBudget(userId) {
+    const override = await getEntityStore(BUDGETS_TABLE).get(BUDGETS_PARTITION, safeKey(userId));
+    const envPeriod = process.env.USAGE_BUDGET_PERIOD;
+
+    return {
+        period: override?.period || (BUDGET_PERIODS.includes(envPeriod) ? envPeriod : DEFAULT_BUDGET_PERIOD),
+        softLimitUsd: override ? parseBudget(override.softLimitUsd) : parseBudget(process.env.USAGE_SOFT_BUDGET_USD),
+        hardLimitUsd: override ? parseBudget(override.hardLimitUsd) : parseBudget(process.env.USAGE_HARD_BUDGET_USD),
+        source: override ? 'user' : 'default',
+        updatedBy: override?.updatedBy
+    };
+}
+
+/**
+ * Spend in the current budget period against the user's budget
+ * estimatedCostUsd is the cost of the call about to be made
+ */
+async function checkBudget(identity, estimatedCostUsd = 0) {
+    const budget = await getBudget(identity.userId);
+    const start = periodStart(budget.period);
+    const records = await listUsage(identity.userId, start);
+    const spentUsd = records.reduce((sum, record) => sum + (record.costUsd || 0), 0);
+    const projected = spentUsd + estimatedCostUsd;
+
+    let status = BUDGET_STATUS.OK;
+    if (budget.hardLimitUsd !== null && projected > budget.hardLimitUsd) {
+        status = BUDGET_STATUS.HARD_EXCEEDED;
+    } else if (budget.softLimitUsd !== null && projected > budget.softLimitUsd) {
+        status = BUDGET_STATUS.SOFT_EXCEEDED;
+    }
+
+    return {
+        ...budget,
+        status,
+        periodStart: start,
+        resetsAt: periodEnd(budget.period, start).toISOString(),
+        spentUsd: Math.round(spentUsd * 1e6) / 1e6,
+        estimatedCostUsd: Math.round(estimatedCostUsd * 1e6) / 1e6
+    };
+}
+
+/**
+ * Set or clear (budget null) a user's budget override; administrators only
+ */
+async function setBudget(identity, userId, budget) {
+    if (!isUsageAdmin(identity)) {
+        throw forbidden('Only usage administrators can change budgets');
+    }
+    if (!userId) {
+        throw invalid('userId is required');
+    }
+
+    const store = getEntityStore(BUDGETS_TABLE);
+    if (budget === null) {
+        await store.delete(BUDGETS_PARTITION, safeKey(userId)).catch(error => {
+            if (error.code !== 'NOT_FOUND') throw error;
+        });
+        return getBudget(userId);
+    }
+
+    const period = budget.period || DEFAULT_BUDGET_PERIOD;
+    if (!BUDGET_PERIODS.includes(period)) {
+        throw invalid(`period must be one of: ${BUDGET_PERIODS.join(', ')}`);
+    }
+    const softLimitUsd = budget.softLimitUsd === undefined || budget.softLimitUsd === null ? null : parseBudget(budget.softLimitUsd);
+    const hardLimitUsd = budget.hardLimitUsd === undefined || budget.hardLimitUsd === null ? null : parseBudget(budget.hardLimitUsd);
+    if ((budget.softLimitUsd != null && softLimitUsd === null) || (budget.hardLimitUsd != null && hardLimitUsd === null)) {
+        throw invalid('softLimitUsd and hardLimitUsd must be non-negative numbers or null');
+    }
+    if (softLimitUsd !== null && hardLimitUsd !== null && softLimitUsd > hardLimitUsd) {
+        throw invalid('softLimitUsd cannot exceed hardLimitUsd');
+    }
+
+    await store.upsert({
+        partitionKey: BUDGETS_PARTITION,
+        rowKey: safeKey(userId),
+        userId,
+        period,
+        // Table Storage has no null; an empty string means no limit
+        softLimitUsd: softLimitUsd === null ? '' : softLimitUsd,
+        hardLimitUsd: hardLimitUsd === null ? '' : hardLimitUsd,
+        updatedBy: identity.userName,
+        updatedAt: new Date().toISOString()
+    });
+    return getBudget(userId);
+}
+
+module.exports = {
+    BUDGET_STATUS,
+    BUDGET_PERIODS,
+    recordUsage,
+    usageRecorder,
+    summarizeUsage,
+    getBudget,
+    checkBudget,
+    setBudget,
+    isUsageAdmin
+};
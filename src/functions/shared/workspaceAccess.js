@@ -0,0 +1,116 @@
+/**
+ * Workspace Access
+ * Resolves the Log Analytics workspaces a signed-in user can reach through
+ * Azure RBAC and uses them to authorize workspace()/app()/resource()
+ * references found by the KQL analyzer
+ * Lookups go through ARM with the user's own token and are cached per token
+ */
+
+const crypto = require('crypto');
+const registry = require('./endpointRegistry');
+const AzureRestClient = require('./azureRestClient');
+const { analyzeQuery } = require('./kqlParser');
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const SUBSCRIPTIONS_API_VERSION = '2020-01-01';
+
+// token hash -> { expiresAt, workspaces }
+const accessCache = new Map();
+
+function cacheKey(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Workspaces allowed for every user through KQL_ALLOWED_WORKSPACES
+ * (comma-separated workspace IDs, names or resource IDs)
+ */
+function getConfiguredWorkspaces() {
+    return (process.env.KQL_ALLOWED_WORKSPACES || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+}
+
+/**
+ * List the workspaces across all subscriptions visible to the user's ARM token
+ */
+async function getAccessibleWorkspaces(token, log = console.log) {
+    const key = cacheKey(token);
+    const cached = accessCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.workspaces;
+    }
+
+    const subscriptionClient = new AzureRestClient(token);
+    const subscriptions = await subscriptionClient.getAllPages(
+        `${registry.getEndpoint('management')}/subscriptions?api-version=${SUBSCRIPTIONS_API_VERSION}`
+    );
+
+    const results = await Promise.allSettled(
+        subscriptions.map(subscription => new AzureRestClient(token, subscription.subscriptionId).listWorkspaces())
+    );
+
+    const workspaces = [];
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            workspaces.push(...result.value);
+        } else {
+            log(`[WorkspaceAccess] Could not list workspaces in ${subscriptions[i].subscriptionId}: ${result.reason.message}`);
+        }
+    });
+
+    // An empty subscription list usually means the lookup failed; retry next time
+    if (subscriptions.length > 0) {
+        accessCache.set(key, { expiresAt: Date.now() + CACHE_TTL_MS, workspaces });
+    }
+    return workspaces;
+}
+
+/**
+ * Whether the user may run queries on a workspace: it is visible to their ARM
+ * token (matched on workspace ID or resource ID) or listed in KQL_ALLOWED_WORKSPACES
+ * Lookup failures propagate, so callers fail closed
+ */
+async function canAccessWorkspace(token, workspaceId, log = console.log) {
+    const wanted = String(workspaceId || '').toLowerCase();
+    if (!wanted) {
+        return false;
+    }
+    if (getConfiguredWorkspaces().some(entry => entry.toLowerCase() === wanted)) {
+        return true;
+    }
+
+    const workspaces = await getAccessibleWorkspaces(token, log);
+    return workspaces.some(ws => [ws.workspaceId, ws.resourceId].some(id => id && id.toLowerCase() === wanted));
+}
+
+/**
+ * Analyze a query for execution against workspaceId (or each of workspaceIds)
+ * Cross-workspace references are checked against the user's accessible
+ * workspaces only when the query actually contains some
+ */
+async function analyzeQueryAccess(query, { workspaceId, workspaceIds = [], token, log = console.log } = {}) {
+    const allowed = [workspaceId, ...workspaceIds, ...getConfiguredWorkspaces()].filter(Boolean);
+    let analysis = analyzeQuery(query, { allowedWorkspaces: allowed });
+
+    if (token && analysis.workspaceReferences.some(reference => !reference.allowed)) {
+        try {
+            const workspaces = await getAccessibleWorkspaces(token, log);
+            const identifiers = workspaces.flatMap(ws => [ws.workspaceId, ws.workspaceName, ws.resourceId]);
+            analysis = analyzeQuery(query, { allowedWorkspaces: [...allowed, ...identifiers.filter(Boolean)] });
+        } catch (error) {
+            // Without the workspace list every cross-workspace reference stays rejected
+            log(`[WorkspaceAccess] Could not resolve accessible workspaces: ${error.message}`);
+        }
+    }
+
+    return analysis;
+}
+
+module.exports = {
+    getConfiguredWorkspaces,
+    getAccessibleWorkspaces,
+    canAccessWorkspace,
+    analyzeQueryAccess
+};
@@ -1,3 +1,5 @@
+const registry = require('../shared/endpointRegistry');
+
 module.exports = async function (context, req) {
     context.log('Subscriptions discovery function processing request');
 
@@ -28,7 +30,10 @@ module.exports = async function (context, req) {
         context.log('Discovering accessible Azure subscriptions');
 
         // Create subscription client
-        const subscriptionClient = new SubscriptionClient(credential);
+        const subscriptionClient = new SubscriptionClient(credential, {
+            endpoint: registry.getEndpoint('management'),
+            credentialScopes: [registry.getScope('management')]
+        });
         
         const subscriptions = [];
         
@@ -0,0 +1,94 @@
+// OpenAI usage and cost accounting
+//
+// GET    /usage                     caller's usage by day (?period=day|week&days=30)
+//                                   administrators: ?userId= for one user, ?all=true for everyone
+// GET    /usage/budget              caller's budget and spend in the current period
+// GET    /usage/budget/{userId}     a user's budget (administrators)
+// PUT    /usage/budget/{userId}     { softLimitUsd, hardLimitUsd, period } override (administrators)
+// DELETE /usage/budget/{userId}     back to the configured defaults (administrators)
+
+const { StoreError } = require('../shared/entityStore');
+const { getVerifiedIdentity } = require('../shared/clientPrincipal');
+const usageLedger = require('../shared/usageLedger');
+
+const corsHeaders = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+};
+
+module.exports = async function (context, req) {
+    // Handle CORS
+    if (req.method === 'OPTIONS') {
+        context.res = {
+            status: 200,
+            headers: {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+            },
+            body: ''
+        };
+        return;
+    }
+
+    const method = req.method.toUpperCase();
+    const { resource, userId } = req.params || {};
+    const identity = await getVerifiedIdentity(req, context.log);
+
+    context.log(`Usage request: ${method} ${resource || ''} ${userId || ''} for user: ${identity.userId}`);
+
+    try {
+        let result;
+
+        if (!resource && method === 'GET') {
+            result = await usageLedger.summarizeUsage(identity, req.query || {});
+        } else if (resource === 'budget') {
+            const target = userId || identity.userId;
+            if (method === 'GET') {
+                if (target !== identity.userId && !usageLedger.isUsageAdmin(identity)) {
+                    throw new StoreError('Only usage administrators can read other users\' budgets', 'FORBIDDEN', 403);
+                }
+                result = await usageLedger.checkBudget({ ...identity, userId: target });
+            } else if (method === 'PUT') {
+                result = await usageLedger.setBudget(identity, userId, req.body || {});
+            } else if (method === 'DELETE') {
+                result = await usageLedger.setBudget(identity, userId, null);
+            }
+        }
+
+        if (result === undefined) {
+            context.res = {
+                status: 405,
+                headers: corsHeaders,
+                body: { error: `${method} is not supported for this usage route` }
+            };
+            return;
+        }
+
+        context.res = {
+            status: 200,
+            headers: corsHeaders,
+            body: result
+        };
+
+    } catch (error) {
+        if (error instanceof StoreError) {
+            context.res = {
+                status: error.statusCode,
+                headers: corsHeaders,
+                body: { error: error.message, code: error.code }
+            };
+            return;
+        }
+
+        context.log.error('Error in usage function:', error);
+        context.res = {
+            status: 500,
+            headers: corsHeaders,
+            body: {
+                error: 'Failed to process usage request',
+                details: error.message
+            }
+        };
+    }
+};
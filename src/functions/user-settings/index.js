@@ -1,25 +1,51 @@
-// User settings storage using Azure Table Storage or in-memory cache
-// In production, this should use Azure Table Storage or Cosmos DB
+// User settings storage backed by the shared entity store
+// Azure Table Storage in Azure (gov storage suffix from the endpoint registry),
+// Azurite or a local JSON file during development
 
-// In-memory storage for demo purposes (will reset on function restart)
-// In production, replace with Azure Table Storage or Cosmos DB
-const userSettings = new Map();
+const { getEntityStore, StoreError } = require('../shared/entityStore');
+const { getUserIdentity } = require('../shared/clientPrincipal');
+const savedQueryStore = require('../shared/savedQueryStore');
+
+const SETTINGS_TABLE = 'UserSettings';
+const SETTINGS_PARTITION = 'settings';
+
+// Bump when the stored settings shape changes and add a migration below
+const SETTINGS_SCHEMA_VERSION = 3;
+
+// Migrations keyed by the version they upgrade from
+const SETTINGS_MIGRATIONS = {
+    // v1: unversioned in-memory records kept lastModified inside the settings body
+    1: (settings) => {
+        const { lastModified, ...rest } = settings;
+        return rest;
+    },
+    // v2: saved queries lived inside settings; they are now in the saved-queries library
+    // (imported by importLegacySavedQueries before the record is rewritten)
+    2: (settings) => {
+        const { savedQueries, ...rest } = settings;
+        return rest;
+    }
+};
 
 module.exports = async function (context, req) {
     try {
         const method = req.method.toUpperCase();
-        const userId = req.headers['x-user-id'] || req.query.userId || req.body?.userId || 'default';
+        const identity = getUserIdentity(req);
+        const { userId } = identity;
         
         context.log(`User settings request: ${method} for user: ${userId}`);
         
         switch (method) {
             case 'GET':
                 // Retrieve user settings
-                const settings = getUserSettings(userId);
+                const settings = await getUserSettings(identity, context);
                 
                 context.res = {
                     status: 200,
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(settings.etag ? { 'ETag': settings.etag } : {})
+                    },
                     body: settings
                 };
                 break;
@@ -27,9 +53,9 @@ module.exports = async function (context, req) {
             case 'POST':
             case 'PUT':
                 // Save or update user settings
-                const newSettings = req.body;
+                const { etag: bodyEtag, userId: bodyUserId, ...newSettings } = req.body || {};
                 
-                if (!newSettings || typeof newSettings !== 'object') {
+                if (!req.body || typeof req.body !== 'object') {
                     context.res = {
                         status: 400,
                         body: { error: "Invalid settings data" }
@@ -40,17 +66,38 @@ module.exports = async function (context, req) {
                 // Validate settings structure
                 const validatedSettings = validateSettings(newSettings);
                 
-                // Save settings
-                saveUserSettings(userId, validatedSettings);
+                // Save settings; If-Match (or body etag) enables optimistic concurrency
+                const ifMatch = req.headers['if-match'] || bodyEtag;
                 
-                context.res = {
-                    status: 200,
-                    headers: { 'Content-Type': 'application/json' },
-                    body: {
-                        message: "Settings saved successfully",
-                        settings: validatedSettings
+                try {
+                    const saved = await saveUserSettings(userId, validatedSettings, ifMatch);
+                    
+                    context.res = {
+                        status: 200,
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'ETag': saved.etag
+                        },
+                        body: {
+                            message: "Settings saved successfully",
+                            settings: saved
+                        }
+                    };
+                } catch (saveError) {
+                    if (saveError instanceof StoreError && [409, 412].includes(saveError.statusCode)) {
+                        // Someone else saved first - return their copy so the client can merge
+                        context.res = {
+                            status: 412,
+                            headers: { 'Content-Type': 'application/json' },
+                            body: {
+                                error: "Settings were modified by another session",
+                                current: await getUserSettings(identity, context)
+                            }
+                        };
+                        return;
                     }
-                };
+                    throw saveError;
+                }
                 break;
                 
             default:
@@ -72,41 +119,111 @@ module.exports = async function (context, req) {
     }
 };
 
+// Table Storage keys may not contain / \ # ? or control characters
+function toRowKey(userId) {
+    return String(userId).replace(/[\/\\#?\u0000-\u001F\u007F-\u009F]/g, '_');
+}
+
+// Load the stored record for a user, or null when none exists
+async function loadRecord(userId) {
+    const store = getEntityStore(SETTINGS_TABLE);
+    return store.get(SETTINGS_PARTITION, toRowKey(userId));
+}
+
 // Get user settings with defaults
-function getUserSettings(userId) {
-    if (userSettings.has(userId)) {
-        return userSettings.get(userId);
+async function getUserSettings(identity, context) {
+    const record = await loadRecord(identity.userId);
+    
+    if (!record) {
+        // Return default settings
+        return {
+            ...getDefaultSettings(),
+            schemaVersion: SETTINGS_SCHEMA_VERSION,
+            etag: null
+        };
     }
     
-    // Return default settings
-    return getDefaultSettings();
+    const storedVersion = record.schemaVersion || 1;
+    const stored = JSON.parse(record.data || '{}');
+    
+    if (storedVersion < 3 && Array.isArray(stored.savedQueries) && stored.savedQueries.length > 0) {
+        await importLegacySavedQueries(identity, stored.savedQueries, context);
+        
+        // Rewrite the record at the current version so the import only runs once
+        try {
+            return await saveUserSettings(identity.userId, {}, record.etag);
+        } catch (error) {
+            if (!(error instanceof StoreError)) throw error;
+            // Lost a race with another writer; fall through and serve the migrated copy
+        }
+    }
+    
+    return {
+        ...getDefaultSettings(),
+        ...validateSettings(stored, storedVersion),
+        schemaVersion: SETTINGS_SCHEMA_VERSION,
+        lastModified: record.updatedAt || record.timestamp,
+        etag: record.etag
+    };
 }
 
 // Save user settings
-function saveUserSettings(userId, settings) {
+async function saveUserSettings(userId, settings, ifMatch) {
+    const store = getEntityStore(SETTINGS_TABLE);
+    const existing = await loadRecord(userId);
+    
+    if (ifMatch && (!existing || existing.etag !== ifMatch)) {
+        throw new StoreError('Settings were modified by another session', 'PRECONDITION_FAILED', 412);
+    }
+    
     // Merge with existing settings
-    const existingSettings = getUserSettings(userId);
+    const existingSettings = existing
+        ? validateSettings(JSON.parse(existing.data || '{}'), existing.schemaVersion || 1)
+        : {};
     const mergedSettings = {
         ...existingSettings,
-        ...settings,
-        lastModified: new Date().toISOString()
+        ...settings
+    };
+    
+    const entity = {
+        partitionKey: SETTINGS_PARTITION,
+        rowKey: toRowKey(userId),
+        userId: String(userId),
+        schemaVersion: SETTINGS_SCHEMA_VERSION,
+        data: JSON.stringify(mergedSettings),
+        updatedAt: new Date().toISOString()
     };
     
-    userSettings.set(userId, mergedSettings);
+    const saved = existing
+        ? await store.update(entity, { etag: existing.etag })
+        : await store.create(entity);
+    
+    return {
+        ...getDefaultSettings(),
+        ...mergedSettings,
+        schemaVersion: SETTINGS_SCHEMA_VERSION,
+        lastModified: saved.updatedAt,
+        etag: saved.etag
+    };
+}
+
+// Apply migrations until the record matches the current schema version
+function migrateSettings(settings, fromVersion) {
+    let migrated = { ...settings };
     
-    // In production, save to persistent storage here
-    // Example: Azure Table Storage
-    // await tableClient.upsertEntity({
-    //     partitionKey: 'settings',
-    //     rowKey: userId,
-    //     ...mergedSettings
-    // });
+    for (let version = fromVersion; version < SETTINGS_SCHEMA_VERSION; version++) {
+        const migration = SETTINGS_MIGRATIONS[version];
+        if (migration) {
+            migrated = migration(migrated);
+        }
+    }
     
-    return mergedSettings;
+    return migrated;
 }
 
-// Validate and sanitize settings
-function validateSettings(settings) {
+// Validate and sanitize settings, migrating records written by older schema versions
+function validateSettings(settings, schemaVersion = SETTINGS_SCHEMA_VERSION) {
+    settings = migrateSettings(settings, schemaVersion);
     const validated = {};
     
     // Theme settings
@@ -202,20 +319,6 @@ function validateSettings(settings) {
         };
     }
     
-    // Saved queries
-    if (settings.savedQueries) {
-        validated.savedQueries = Array.isArray(settings.savedQueries)
-            ? settings.savedQueries.slice(0, 100).map(q => ({
-                id: q.id || generateId(),
-                name: q.name || 'Unnamed Query',
-                query: q.query || '',
-                category: q.category || 'General',
-                created: q.created || new Date().toISOString(),
-                modified: new Date().toISOString()
-            }))
-            : [];
-    }
-    
     return validated;
 }
 
@@ -268,13 +371,29 @@ function getDefaultSettings() {
             autoLogout: 30,
             requireMFA: false,
             dataEncryption: true
-        },
-        savedQueries: [],
-        lastModified: new Date().toISOString()
+        }
     };
 }
 
-// Generate unique ID for saved queries
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
-}
\ No newline at end of file
+// Copy queries saved by schema v1/v2 into the saved-queries library
+// Legacy ids are reused so a repeated import (e.g. a concurrent GET) is a no-op
+async function importLegacySavedQueries(identity, legacyQueries, context) {
+    for (const [index, legacy] of legacyQueries.slice(0, 100).entries()) {
+        if (!legacy || !legacy.query) continue;
+        
+        try {
+            await savedQueryStore.createQuery(identity, {
+                id: `legacy-${toRowKey(identity.userId)}-${toRowKey(legacy.id || index)}`,
+                name: legacy.name || 'Unnamed Query',
+                query: legacy.query,
+                tags: legacy.category ? [legacy.category] : [],
+                createdAt: legacy.created,
+                changeNote: 'Imported from user settings'
+            });
+        } catch (error) {
+            if (error.code !== 'ALREADY_EXISTS') {
+                context?.log?.warn?.(`Failed to import saved query ${legacy.id}: ${error.message}`);
+            }
+        }
+    }
+}
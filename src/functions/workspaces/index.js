@@ -1,5 +1,6 @@
 const { DefaultAzureCredential } = require("@azure/identity");
 const { OperationalInsightsManagementClient } = require("@azure/arm-operationalinsights");
+const registry = require('../shared/endpointRegistry');
 
 module.exports = async function (context, req) {
     context.log('Workspace discovery endpoint called');
@@ -42,11 +43,12 @@ module.exports = async function (context, req) {
         const credential = new DefaultAzureCredential();
         
         // Configure for Government cloud endpoints
-        const armEndpoint = process.env.ManagementEndpoint || 'https://management.usgovcloudapi.net';
+        const armEndpoint = registry.getEndpoint('management');
         
         // Create client for Log Analytics workspaces
         const client = new OperationalInsightsManagementClient(credential, subscriptionId, {
-            endpoint: armEndpoint
+            endpoint: armEndpoint,
+            credentialScopes: [registry.getScope('management')]
         });
 
         // List all workspaces in the subscription
@@ -77,7 +79,7 @@ module.exports = async function (context, req) {
                     workspaces: workspaces,
                     count: workspaces.length,
                     subscriptionId: subscriptionId,
-                    environment: process.env.AZURE_ENVIRONMENT || 'AzureUSGovernment'
+                    environment: registry.getEnvironmentName()
                 })
             };
         } catch (listError) {
@@ -108,7 +110,7 @@ module.exports = async function (context, req) {
             body: JSON.stringify({
                 error: 'Failed to discover workspaces',
                 message: error.message,
-                environment: process.env.AZURE_ENVIRONMENT || 'AzureUSGovernment'
+                environment: registry.getEnvironmentName()
             })
         };
     }